@@ -17,6 +17,11 @@ import Optimization from "./pages/Optimization";
 import Settings from "./pages/Settings";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
+import SsoCallback from "./pages/SsoCallback";
+import AcceptInvite from "./pages/AcceptInvite";
 import AdminDashboard from "./pages/AdminDashboard";
 import UserDashboard from "./pages/UserDashboard";
 import TaskDetails from "./pages/TaskDetails";
@@ -115,6 +120,11 @@ function App() {
                     {/* Public Routes */}
                     <Route path="/login" element={<Login />} />
                     <Route path="/register" element={<Register />} />
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password" element={<ResetPassword />} />
+                    <Route path="/verify-email" element={<VerifyEmail />} />
+                    <Route path="/sso/callback" element={<SsoCallback />} />
+                    <Route path="/accept-invite" element={<AcceptInvite />} />
                  
 
                     {/* Protected Routes */}
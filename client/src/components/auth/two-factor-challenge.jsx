@@ -0,0 +1,93 @@
+"use client"
+
+import { useState } from "react"
+import { Loader2 } from "lucide-react"
+import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Label } from "../ui/label"
+import { CardContent, CardFooter } from "../ui/card"
+import { useAuth } from "../../context/auth-context"
+
+// Second login step for accounts with two-factor authentication: a code from
+// the authenticator app, or one of the recovery codes
+export function TwoFactorChallenge({ challengeToken, onCancel }) {
+  const { verifyTwoFactor } = useAuth()
+  const [code, setCode] = useState("")
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [error, setError] = useState("")
+  const [isVerifying, setIsVerifying] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!code.trim()) {
+      setError(useRecoveryCode ? "Enter a recovery code" : "Enter the code from your app")
+      return
+    }
+
+    try {
+      setIsVerifying(true)
+      await verifyTwoFactor(challengeToken, code.trim())
+    } catch (err) {
+      const { error: message, code: reason } = err.response?.data || {}
+      // The challenge only lasts a few minutes; start over with the password
+      if (reason === "CHALLENGE_INVALID") {
+        onCancel(message)
+        return
+      }
+      setError(message || "Verification failed")
+      setCode("")
+    } finally {
+      setIsVerifying(false)
+    }
+  }
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode((prev) => !prev)
+    setCode("")
+    setError("")
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <CardContent className="space-y-2">
+        <Label htmlFor="two-factor-code" className="text-sm font-medium text-foreground/80">
+          {useRecoveryCode ? "Recovery code" : "Authentication code"}
+        </Label>
+        <Input
+          id="two-factor-code"
+          autoFocus
+          autoComplete="one-time-code"
+          inputMode={useRecoveryCode ? "text" : "numeric"}
+          placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+          maxLength={useRecoveryCode ? 11 : 6}
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value)
+            setError("")
+          }}
+          disabled={isVerifying}
+          className={`text-center tracking-widest ${error ? "border-red-500" : ""}`}
+        />
+        <p className="text-sm text-muted-foreground">
+          {useRecoveryCode
+            ? "Each recovery code works once."
+            : "Open your authenticator app and enter the 6-digit code for this account."}
+        </p>
+        {error && <p className="text-sm text-red-500">{error}</p>}
+      </CardContent>
+
+      <CardFooter className="flex flex-col space-y-3">
+        <Button type="submit" className="w-full gradient-primary text-primary-foreground" disabled={isVerifying}>
+          {isVerifying && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Verify
+        </Button>
+        <Button type="button" variant="link" size="sm" onClick={toggleRecoveryCode} disabled={isVerifying}>
+          {useRecoveryCode ? "Use your authenticator app" : "Use a recovery code"}
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={() => onCancel()} disabled={isVerifying}>
+          Back to sign in
+        </Button>
+      </CardFooter>
+    </form>
+  )
+}
@@ -0,0 +1,454 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+import { History, Loader2, MessageSquare, Pencil, Reply, SmilePlus, Trash } from "lucide-react"
+import { Avatar, AvatarFallback, AvatarImage } from "../ui/avatar"
+import { Button } from "../ui/button"
+import { Textarea } from "../ui/textarea"
+import { Popover, PopoverContent, PopoverTrigger } from "../ui/popover"
+import { Markdown } from "./markdown"
+import { api } from "../../lib/api"
+import { useAuth } from "../../context/auth-context"
+import { useSocketContext } from "../../context/socket-context"
+import { useToast } from "../../hooks/use-toast"
+
+const REACTION_EMOJIS = ["👍", "👎", "🎉", "❤️", "😄", "👀"]
+
+// "@" followed by up to two words right before the caret
+const MENTION_QUERY = /(?:^|\s)@([\p{L}\p{N}_.'-]*(?: [\p{L}\p{N}_.'-]*)?)$/u
+
+const initials = (name = "") =>
+  name
+    .split(" ")
+    .map((n) => n[0])
+    .join("")
+
+function CommentComposer({ users, initialValue = "", placeholder, submitLabel, onSubmit, onCancel, autoFocus }) {
+  const [value, setValue] = useState(initialValue)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [mentionQuery, setMentionQuery] = useState(null)
+  const textareaRef = useRef(null)
+
+  const suggestions =
+    mentionQuery === null
+      ? []
+      : users.filter((user) => user.name.toLowerCase().startsWith(mentionQuery.toLowerCase())).slice(0, 5)
+
+  const updateMentionQuery = (text, caret) => {
+    const match = text.slice(0, caret).match(MENTION_QUERY)
+    setMentionQuery(match ? match[1] : null)
+  }
+
+  const handleChange = (e) => {
+    setValue(e.target.value)
+    updateMentionQuery(e.target.value, e.target.selectionStart)
+  }
+
+  const insertMention = (user) => {
+    const caret = textareaRef.current?.selectionStart ?? value.length
+    const before = value.slice(0, caret).replace(/@[^@]*$/, `@${user.name} `)
+    const next = before + value.slice(caret)
+    setValue(next)
+    setMentionQuery(null)
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus()
+      textareaRef.current?.setSelectionRange(before.length, before.length)
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!value.trim()) return
+    try {
+      setIsSubmitting(true)
+      await onSubmit(value)
+      setValue("")
+    } catch {
+      // Keep the text so it can be sent again; the caller reports the error
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+      handleSubmit(e)
+    } else if (e.key === "Escape") {
+      setMentionQuery(null)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="relative">
+        <Textarea
+          ref={textareaRef}
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder}
+          className="min-h-[80px]"
+          autoFocus={autoFocus}
+        />
+        {suggestions.length > 0 && (
+          <div className="absolute left-0 top-full z-10 mt-1 w-64 rounded-md border bg-white shadow-lg">
+            {suggestions.map((user) => (
+              <button
+                key={user._id}
+                type="button"
+                className="flex w-full items-center gap-2 px-3 py-2 text-left text-sm hover:bg-gray-100"
+                onClick={() => insertMention(user)}
+              >
+                <Avatar className="h-6 w-6">
+                  <AvatarImage src={user.avatar || "/placeholder.svg"} />
+                  <AvatarFallback className="text-xs">{initials(user.name)}</AvatarFallback>
+                </Avatar>
+                {user.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-muted-foreground">Markdown supported. Type @ to mention someone.</p>
+        <div className="flex gap-2">
+          {onCancel && (
+            <Button type="button" variant="ghost" size="sm" onClick={onCancel}>
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" size="sm" disabled={isSubmitting || !value.trim()}>
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            {submitLabel}
+          </Button>
+        </div>
+      </div>
+    </form>
+  )
+}
+
+function CommentHistory({ commentId }) {
+  const [history, setHistory] = useState(null)
+
+  useEffect(() => {
+    api.comments
+      .getHistory(commentId)
+      .then(setHistory)
+      .catch(() => setHistory({ history: [] }))
+  }, [commentId])
+
+  if (!history) return <Loader2 className="h-4 w-4 animate-spin" />
+
+  return (
+    <div className="max-h-64 space-y-3 overflow-y-auto">
+      {[...history.history].reverse().map((version, index) => (
+        <div key={index} className="space-y-1 border-b pb-2 last:border-0">
+          <p className="text-xs text-muted-foreground">{new Date(version.editedAt).toLocaleString()}</p>
+          <Markdown source={version.body} />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function CommentItem({ comment, repliesByParent, users, currentUser, handlers, depth }) {
+  const [isReplying, setIsReplying] = useState(false)
+  const [isEditing, setIsEditing] = useState(false)
+  const replies = repliesByParent[comment._id] || []
+  const isAuthor = comment.author?._id === currentUser?.id
+  const canDelete = isAuthor || currentUser?.role === "Admin"
+
+  return (
+    <div className={depth > 0 ? "ml-4 border-l pl-4" : ""}>
+      <div className="group flex gap-3 py-3">
+        <Avatar className="h-8 w-8">
+          <AvatarImage src={comment.author?.avatar || "/placeholder.svg"} />
+          <AvatarFallback className="text-xs">{initials(comment.author?.name)}</AvatarFallback>
+        </Avatar>
+        <div className="flex-1 space-y-1">
+          <div className="flex items-center gap-2 text-sm">
+            <span className="font-medium">{comment.author?.name || "Unknown user"}</span>
+            <span className="text-xs text-muted-foreground">{new Date(comment.createdAt).toLocaleString()}</span>
+            {comment.editedAt && !comment.deleted && (
+              <Popover>
+                <PopoverTrigger asChild>
+                  <button type="button" className="flex items-center gap-1 text-xs text-muted-foreground hover:underline">
+                    <History className="h-3 w-3" />
+                    edited
+                  </button>
+                </PopoverTrigger>
+                <PopoverContent className="w-80 bg-white">
+                  <p className="mb-2 text-sm font-medium">Previous versions</p>
+                  <CommentHistory commentId={comment._id} />
+                </PopoverContent>
+              </Popover>
+            )}
+          </div>
+
+          {comment.deleted ? (
+            <p className="text-sm italic text-muted-foreground">This comment was deleted</p>
+          ) : isEditing ? (
+            <CommentComposer
+              users={users}
+              initialValue={comment.body}
+              submitLabel="Save"
+              autoFocus
+              onCancel={() => setIsEditing(false)}
+              onSubmit={async (body) => {
+                await handlers.onEdit(comment, body)
+                setIsEditing(false)
+              }}
+            />
+          ) : (
+            <Markdown source={comment.body} mentionNames={(comment.mentions || []).map((user) => user.name)} />
+          )}
+
+          {!comment.deleted && !isEditing && (
+            <div className="flex flex-wrap items-center gap-1 pt-1">
+              {comment.reactions.map((reaction) => (
+                <button
+                  key={reaction.emoji}
+                  type="button"
+                  onClick={() => handlers.onReact(comment, reaction.emoji)}
+                  className={`rounded-full border px-2 py-0.5 text-xs ${
+                    reaction.users.includes(currentUser?.id) ? "border-primary bg-primary/10" : "border-gray-200"
+                  }`}
+                >
+                  {reaction.emoji} {reaction.users.length}
+                </button>
+              ))}
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button variant="ghost" size="icon" className="h-6 w-6">
+                    <SmilePlus className="h-3 w-3" />
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="flex w-auto gap-1 bg-white p-2">
+                  {REACTION_EMOJIS.map((emoji) => (
+                    <button
+                      key={emoji}
+                      type="button"
+                      className="rounded px-1 text-lg hover:bg-gray-100"
+                      onClick={() => handlers.onReact(comment, emoji)}
+                    >
+                      {emoji}
+                    </button>
+                  ))}
+                </PopoverContent>
+              </Popover>
+              <Button variant="ghost" size="sm" className="h-6 px-2 text-xs" onClick={() => setIsReplying(true)}>
+                <Reply className="mr-1 h-3 w-3" />
+                Reply
+              </Button>
+              {isAuthor && (
+                <Button variant="ghost" size="sm" className="h-6 px-2 text-xs" onClick={() => setIsEditing(true)}>
+                  <Pencil className="mr-1 h-3 w-3" />
+                  Edit
+                </Button>
+              )}
+              {canDelete && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 px-2 text-xs text-red-500"
+                  onClick={() => handlers.onDelete(comment)}
+                >
+                  <Trash className="mr-1 h-3 w-3" />
+                  Delete
+                </Button>
+              )}
+            </div>
+          )}
+
+          {isReplying && (
+            <CommentComposer
+              users={users}
+              placeholder={`Reply to ${comment.author?.name || "comment"}...`}
+              submitLabel="Reply"
+              autoFocus
+              onCancel={() => setIsReplying(false)}
+              onSubmit={async (body) => {
+                await handlers.onReply(comment, body)
+                setIsReplying(false)
+              }}
+            />
+          )}
+        </div>
+      </div>
+
+      {replies.map((reply) => (
+        <CommentItem
+          key={reply._id}
+          comment={reply}
+          repliesByParent={repliesByParent}
+          users={users}
+          currentUser={currentUser}
+          handlers={handlers}
+          depth={depth + 1}
+        />
+      ))}
+    </div>
+  )
+}
+
+// Discussion on a task, or on one of its submissions when `submissionId` is set.
+// The page showing the task joins its `task:<id>` socket room.
+export function CommentThread({ taskId, submissionId, title = "Discussion" }) {
+  const { toast } = useToast()
+  const { user } = useAuth()
+  const { socket } = useSocketContext()
+  const [comments, setComments] = useState([])
+  const [users, setUsers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const targetId = submissionId || taskId
+
+  const showError = useCallback(
+    (error, fallback) =>
+      toast({
+        title: "Error",
+        description: error.message || fallback,
+        variant: "destructive",
+      }),
+    [toast]
+  )
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setIsLoading(true)
+        const [commentData, userData] = await Promise.all([
+          api.comments.getComments(submissionId ? { submission: submissionId } : { task: taskId }),
+          api.users.getUsers().catch(() => []),
+        ])
+        setComments(commentData)
+        setUsers(userData)
+      } catch (error) {
+        showError(error, "Failed to load comments")
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    load()
+  }, [taskId, submissionId, showError])
+
+  // Merge a comment coming from the API or the socket into the list
+  const upsert = useCallback((comment) => {
+    setComments((prev) =>
+      prev.some((c) => c._id === comment._id)
+        ? prev.map((c) => (c._id === comment._id ? comment : c))
+        : [...prev, comment]
+    )
+  }, [])
+
+  useEffect(() => {
+    if (!socket) return
+
+    const onUpsert = (comment) => {
+      if (comment.target === targetId) upsert(comment)
+    }
+    const onDelete = ({ _id, target }) => {
+      if (target === targetId) setComments((prev) => prev.filter((c) => c._id !== _id))
+    }
+
+    socket.on("comment:created", onUpsert)
+    socket.on("comment:updated", onUpsert)
+    socket.on("comment:deleted", onDelete)
+    return () => {
+      socket.off("comment:created", onUpsert)
+      socket.off("comment:updated", onUpsert)
+      socket.off("comment:deleted", onDelete)
+    }
+  }, [socket, targetId, upsert])
+
+  const target = submissionId ? { submission: submissionId } : { task: taskId }
+
+  const handlers = {
+    onReply: async (parent, body) => {
+      try {
+        upsert(await api.comments.addComment({ ...target, parent: parent._id, body }))
+      } catch (error) {
+        showError(error, "Failed to post reply")
+        throw error
+      }
+    },
+    onEdit: async (comment, body) => {
+      try {
+        upsert(await api.comments.updateComment(comment._id, body))
+      } catch (error) {
+        showError(error, "Failed to edit comment")
+        throw error
+      }
+    },
+    onReact: async (comment, emoji) => {
+      try {
+        upsert(await api.comments.toggleReaction(comment._id, emoji))
+      } catch (error) {
+        showError(error, "Failed to react")
+      }
+    },
+    onDelete: async (comment) => {
+      if (!confirm("Delete this comment?")) return
+      try {
+        await api.comments.deleteComment(comment._id)
+        const hasReplies = comments.some((c) => c.parent === comment._id)
+        if (hasReplies) {
+          upsert({ ...comment, deleted: true, body: "", reactions: [], mentions: [] })
+        } else {
+          setComments((prev) => prev.filter((c) => c._id !== comment._id))
+        }
+      } catch (error) {
+        showError(error, "Failed to delete comment")
+      }
+    },
+  }
+
+  const handleAdd = async (body) => {
+    try {
+      upsert(await api.comments.addComment({ ...target, body }))
+    } catch (error) {
+      showError(error, "Failed to post comment")
+      throw error
+    }
+  }
+
+  const repliesByParent = comments.reduce((acc, comment) => {
+    const key = comment.parent || "root"
+    acc[key] = [...(acc[key] || []), comment]
+    return acc
+  }, {})
+
+  return (
+    <div className="space-y-3">
+      <h3 className="flex items-center gap-2 text-sm font-medium">
+        <MessageSquare className="h-4 w-4" />
+        {title}
+        {comments.length > 0 && <span className="text-muted-foreground">({comments.filter((c) => !c.deleted).length})</span>}
+      </h3>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        </div>
+      ) : (repliesByParent.root || []).length === 0 ? (
+        <p className="text-sm text-muted-foreground">No comments yet. Start the discussion below.</p>
+      ) : (
+        <div className="divide-y">
+          {repliesByParent.root.map((comment) => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              repliesByParent={repliesByParent}
+              users={users}
+              currentUser={user}
+              handlers={handlers}
+              depth={0}
+            />
+          ))}
+        </div>
+      )}
+
+      <CommentComposer users={users} placeholder="Write a comment..." submitLabel="Comment" onSubmit={handleAdd} />
+    </div>
+  )
+}
@@ -0,0 +1,175 @@
+"use client"
+
+// Small markdown renderer for comments. It builds React elements directly,
+// so user input is never injected as HTML.
+//
+// Supported: paragraphs, headings, bullet and numbered lists, blockquotes,
+// fenced code blocks, inline code, **bold**, *italic*, [links](https://...)
+// and highlighting of @mentions.
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\((https?:\/\/[^\s)]+)\))/
+
+function renderMentions(text, mentionNames, keyPrefix) {
+  if (!mentionNames.length) return [text]
+
+  const escaped = mentionNames
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+  const pattern = new RegExp(`(@(?:${escaped.join("|")}))`, "gi")
+
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <span key={`${keyPrefix}-m${index}`} className="rounded bg-primary/10 px-1 font-medium text-primary">
+        {part}
+      </span>
+    ) : (
+      part
+    )
+  )
+}
+
+function renderInline(text, mentionNames, keyPrefix = "i") {
+  const nodes = []
+  let rest = text
+  let index = 0
+
+  while (rest) {
+    const match = rest.match(INLINE_PATTERN)
+    if (!match) {
+      nodes.push(...renderMentions(rest, mentionNames, `${keyPrefix}-${index}`))
+      break
+    }
+
+    if (match.index > 0) {
+      nodes.push(...renderMentions(rest.slice(0, match.index), mentionNames, `${keyPrefix}-${index}`))
+    }
+
+    const [token] = match
+    const key = `${keyPrefix}-${index}`
+    if (match[1]) {
+      nodes.push(
+        <code key={key} className="rounded bg-muted px-1 py-0.5 font-mono text-xs">
+          {token.slice(1, -1)}
+        </code>
+      )
+    } else if (match[2]) {
+      nodes.push(<strong key={key}>{renderInline(token.slice(2, -2), mentionNames, key)}</strong>)
+    } else if (match[3]) {
+      nodes.push(<em key={key}>{renderInline(token.slice(1, -1), mentionNames, key)}</em>)
+    } else if (match[4]) {
+      const label = token.slice(1, token.indexOf("]("))
+      nodes.push(
+        <a key={key} href={match[5]} target="_blank" rel="noopener noreferrer" className="text-primary underline">
+          {label}
+        </a>
+      )
+    }
+
+    rest = rest.slice(match.index + token.length)
+    index += 1
+  }
+
+  return nodes
+}
+
+function parseBlocks(source) {
+  const lines = source.replace(/\r\n/g, "\n").split("\n")
+  const blocks = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+
+    if (line.startsWith("```")) {
+      const code = []
+      i += 1
+      while (i < lines.length && !lines[i].startsWith("```")) {
+        code.push(lines[i])
+        i += 1
+      }
+      blocks.push({ type: "code", text: code.join("\n") })
+      i += 1
+    } else if (/^#{1,3}\s/.test(line)) {
+      blocks.push({ type: "heading", level: line.match(/^#+/)[0].length, text: line.replace(/^#+\s/, "") })
+      i += 1
+    } else if (/^\s*[-*]\s/.test(line) || /^\s*\d+\.\s/.test(line)) {
+      const ordered = /^\s*\d+\.\s/.test(line)
+      const itemPattern = ordered ? /^\s*\d+\.\s/ : /^\s*[-*]\s/
+      const items = []
+      while (i < lines.length && itemPattern.test(lines[i])) {
+        items.push(lines[i].replace(itemPattern, ""))
+        i += 1
+      }
+      blocks.push({ type: "list", ordered, items })
+    } else if (line.startsWith(">")) {
+      const quote = []
+      while (i < lines.length && lines[i].startsWith(">")) {
+        quote.push(lines[i].replace(/^>\s?/, ""))
+        i += 1
+      }
+      blocks.push({ type: "quote", lines: quote })
+    } else if (!line.trim()) {
+      i += 1
+    } else {
+      const paragraph = []
+      while (i < lines.length && lines[i].trim() && !/^(```|#{1,3}\s|\s*[-*]\s|\s*\d+\.\s|>)/.test(lines[i])) {
+        paragraph.push(lines[i])
+        i += 1
+      }
+      blocks.push({ type: "paragraph", lines: paragraph })
+    }
+  }
+
+  return blocks
+}
+
+// Lines joined with <br />, as comments are usually typed with hard line breaks
+function renderLines(lines, mentionNames, keyPrefix) {
+  return lines.flatMap((line, index) => [
+    ...(index > 0 ? [<br key={`${keyPrefix}-br${index}`} />] : []),
+    ...renderInline(line, mentionNames, `${keyPrefix}-${index}`),
+  ])
+}
+
+export function Markdown({ source = "", mentionNames = [] }) {
+  return (
+    <div className="space-y-2 text-sm break-words">
+      {parseBlocks(source).map((block, index) => {
+        const key = `b${index}`
+        switch (block.type) {
+          case "code":
+            return (
+              <pre key={key} className="overflow-x-auto rounded-md bg-muted p-3 font-mono text-xs">
+                <code>{block.text}</code>
+              </pre>
+            )
+          case "heading":
+            return (
+              <p key={key} className={block.level === 1 ? "text-base font-bold" : "font-semibold"}>
+                {renderInline(block.text, mentionNames, key)}
+              </p>
+            )
+          case "list": {
+            const ListTag = block.ordered ? "ol" : "ul"
+            return (
+              <ListTag key={key} className={`pl-5 ${block.ordered ? "list-decimal" : "list-disc"}`}>
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex}>{renderInline(item, mentionNames, `${key}-${itemIndex}`)}</li>
+                ))}
+              </ListTag>
+            )
+          }
+          case "quote":
+            return (
+              <blockquote key={key} className="border-l-2 border-muted-foreground/30 pl-3 text-muted-foreground">
+                {renderLines(block.lines, mentionNames, key)}
+              </blockquote>
+            )
+          default:
+            return <p key={key}>{renderLines(block.lines, mentionNames, key)}</p>
+        }
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,143 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2, UserX } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog"
+import { Button } from "../ui/button"
+import { Label } from "../ui/label"
+import { Textarea } from "../ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../ui/select"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+const KEEP_WORK = "keep"
+
+// Offboard a user: shows what they still have open, lets the admin hand it to
+// someone else, then deactivates the account. Nothing they did is deleted.
+export function DeactivateUserDialog({ user, users, onOpenChange, onDeactivated }) {
+  const { toast } = useToast()
+  const [summary, setSummary] = useState(null)
+  const [reassignTo, setReassignTo] = useState(KEEP_WORK)
+  const [reason, setReason] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (!user) return
+    setSummary(null)
+    setReassignTo(KEEP_WORK)
+    setReason("")
+    api.admin
+      .getOffboarding(user._id)
+      .then(setSummary)
+      .catch((error) => console.error("Error fetching offboarding summary:", error))
+  }, [user])
+
+  const successors = users.filter((item) => item._id !== user?._id && !item.deactivatedAt)
+  const hasOpenWork = summary && (summary.openTasks > 0 || summary.pendingReviews > 0)
+
+  const handleDeactivate = async () => {
+    try {
+      setIsSaving(true)
+      const result = await api.admin.deactivateUser(user._id, {
+        reason,
+        ...(reassignTo !== KEEP_WORK && { reassignTo }),
+      })
+      const { tasks, reviews } = result.reassigned
+      toast({
+        title: "User deactivated",
+        description:
+          tasks || reviews
+            ? `${result.message}. Moved ${tasks} task(s) and ${reviews} pending review(s).`
+            : result.message,
+      })
+      onDeactivated(result.user)
+      onOpenChange(false)
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to deactivate the user",
+        variant: "destructive",
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={Boolean(user)} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Deactivate {user?.name}</DialogTitle>
+          <DialogDescription>
+            They are signed out everywhere and can no longer sign in. Their tasks, submissions and history are
+            kept, and the account can be reactivated later.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!summary ? (
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        ) : (
+          <div className="space-y-4">
+            <ul className="list-disc space-y-1 pl-5 text-sm text-muted-foreground">
+              <li>{summary.openTasks} open task(s) assigned to them</li>
+              <li>{summary.pendingReviews} task(s) with submissions waiting for their review</li>
+              {summary.activeWorkSessions > 0 && <li>An active work session, which will be ended</li>}
+              {summary.ledDepartments.length > 0 && (
+                <li>
+                  Leads {summary.ledDepartments.map((department) => department.name).join(", ")}. Pick a new lead
+                  afterwards.
+                </li>
+              )}
+            </ul>
+
+            {hasOpenWork && (
+              <div className="space-y-2">
+                <Label>Hand open work to</Label>
+                <Select value={reassignTo} onValueChange={setReassignTo}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={KEEP_WORK}>Nobody, leave it with {user?.name}</SelectItem>
+                    {successors.map((item) => (
+                      <SelectItem key={item._id} value={item._id}>
+                        {item.name} ({item.role})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="deactivation-reason">Reason (optional)</Label>
+              <Textarea
+                id="deactivation-reason"
+                placeholder="e.g. Left the company"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button variant="destructive" onClick={handleDeactivate} disabled={!summary || isSaving}>
+            {isSaving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <UserX className="mr-2 h-4 w-4" />}
+            Deactivate
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
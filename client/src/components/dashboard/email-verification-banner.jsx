@@ -0,0 +1,51 @@
+"use client"
+
+import { useState } from "react"
+import { Loader2, MailWarning } from "lucide-react"
+import { Alert, AlertDescription, AlertTitle } from "../ui/alert"
+import { Button } from "../ui/button"
+import { useAuth } from "../../context/auth-context"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+// Shown until a self-registered user confirms their email. Until then the
+// server only allows read access.
+export function EmailVerificationBanner() {
+  const { user } = useAuth()
+  const { toast } = useToast()
+  const [isSending, setIsSending] = useState(false)
+
+  if (!user || user.emailVerified !== false) return null
+
+  const handleResend = async () => {
+    try {
+      setIsSending(true)
+      await api.auth.resendVerification()
+      toast({ title: "Email sent", description: `A new verification link was sent to ${user.email}.` })
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to send verification email",
+        variant: "destructive",
+      })
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  return (
+    <Alert className="mb-4 border-amber-500/50">
+      <MailWarning className="text-amber-500" />
+      <AlertTitle>Verify your email address</AlertTitle>
+      <AlertDescription>
+        <p>
+          Your account is read-only until you confirm {user.email}. Use the link we emailed you, or request a new one.
+        </p>
+        <Button variant="outline" size="sm" className="mt-2" disabled={isSending} onClick={handleResend}>
+          {isSending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Resend verification email
+        </Button>
+      </AlertDescription>
+    </Alert>
+  )
+}
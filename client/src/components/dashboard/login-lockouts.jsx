@@ -0,0 +1,129 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { formatDistanceToNow } from "date-fns"
+import { Loader2, Lock, RefreshCw, Unlock } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card"
+import { Badge } from "../ui/badge"
+import { Button } from "../ui/button"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "../ui/table"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+// Accounts and IP addresses currently locked out after repeated failed
+// sign-ins, with a way to let them back in early
+export function LoginLockouts() {
+  const { toast } = useToast()
+  const [lockouts, setLockouts] = useState(null)
+  const [isRefreshing, setIsRefreshing] = useState(false)
+  const [unlockingId, setUnlockingId] = useState(null)
+
+  const fetchLockouts = async () => {
+    try {
+      setIsRefreshing(true)
+      setLockouts(await api.admin.getLockouts())
+    } catch (error) {
+      console.error("Error fetching login lockouts:", error)
+      setLockouts((prev) => prev || [])
+    } finally {
+      setIsRefreshing(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchLockouts()
+  }, [])
+
+  const handleUnlock = async (lockout) => {
+    try {
+      setUnlockingId(lockout._id)
+      const { message } = await api.admin.unlockLogin(lockout._id)
+      setLockouts((prev) => prev.filter((item) => item._id !== lockout._id))
+      toast({ title: "Lockout lifted", description: message })
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to lift the lockout",
+        variant: "destructive",
+      })
+    } finally {
+      setUnlockingId(null)
+    }
+  }
+
+  return (
+    <Card className="border-none shadow-lg bg-white dark:bg-slate-800">
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle className="flex items-center text-xl text-slate-800 dark:text-slate-100">
+            <Lock className="mr-2 h-5 w-5" /> Locked Sign-Ins
+          </CardTitle>
+          <CardDescription>
+            Repeated failed sign-ins lock an account or IP address for a while, longer with each further failure.
+          </CardDescription>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchLockouts} disabled={isRefreshing}>
+          <RefreshCw className={`mr-2 h-4 w-4 ${isRefreshing ? "animate-spin" : ""}`} /> Refresh
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {!lockouts ? (
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        ) : lockouts.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">Nothing is locked out right now.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Locked</TableHead>
+                <TableHead>Failed attempts</TableHead>
+                <TableHead>Last attempt from</TableHead>
+                <TableHead>Unlocks</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {lockouts.map((lockout) => (
+                <TableRow key={lockout._id}>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <Badge variant={lockout.kind === "ip" ? "outline" : "secondary"}>
+                        {lockout.kind === "ip" ? "IP" : "Account"}
+                      </Badge>
+                      <div>
+                        <div className="font-medium">{lockout.user?.name || lockout.identifier}</div>
+                        {lockout.user && (
+                          <div className="text-xs text-slate-500 dark:text-slate-400">
+                            {lockout.user.email} · {lockout.user.role}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  </TableCell>
+                  <TableCell>{lockout.failures}</TableCell>
+                  <TableCell>{lockout.lastIp || "—"}</TableCell>
+                  <TableCell>{formatDistanceToNow(new Date(lockout.lockedUntil), { addSuffix: true })}</TableCell>
+                  <TableCell className="text-right">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleUnlock(lockout)}
+                      disabled={unlockingId === lockout._id}
+                    >
+                      {unlockingId === lockout._id ? (
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      ) : (
+                        <Unlock className="mr-2 h-4 w-4" />
+                      )}
+                      Unlock
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
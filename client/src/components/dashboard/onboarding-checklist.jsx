@@ -0,0 +1,77 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Link } from "react-router-dom"
+import { CheckCircle2, Circle, Rocket, X } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card"
+import { Button } from "../ui/button"
+import { Progress } from "../ui/progress"
+import { api } from "../../lib/api"
+
+// Getting-started steps for new accounts. The server decides which steps apply
+// and when the checklist should show, so this only renders what it is given.
+export function OnboardingChecklist() {
+  const [checklist, setChecklist] = useState(null)
+
+  useEffect(() => {
+    api.auth
+      .getOnboarding()
+      .then(setChecklist)
+      .catch((error) => console.error("Error fetching onboarding checklist:", error))
+  }, [])
+
+  const handleDismiss = async () => {
+    setChecklist(null)
+    try {
+      await api.auth.dismissOnboarding()
+    } catch (error) {
+      console.error("Error dismissing onboarding checklist:", error)
+    }
+  }
+
+  if (!checklist?.visible) return null
+
+  return (
+    <Card className="border-primary/30">
+      <CardHeader className="flex flex-row items-start justify-between space-y-0 pb-3">
+        <div className="space-y-1">
+          <CardTitle className="flex items-center text-lg">
+            <Rocket className="mr-2 h-5 w-5 text-primary" /> Get started
+          </CardTitle>
+          <CardDescription>
+            {checklist.completed} of {checklist.total} steps done
+          </CardDescription>
+        </div>
+        <Button variant="ghost" size="sm" onClick={handleDismiss}>
+          <X className="mr-1 h-4 w-4" /> Dismiss
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Progress value={(checklist.completed / checklist.total) * 100} className="h-2" />
+        <ul className="space-y-3">
+          {checklist.steps.map((step) => (
+            <li key={step.id} className="flex items-start gap-3">
+              {step.done ? (
+                <CheckCircle2 className="mt-0.5 h-5 w-5 shrink-0 text-green-500" />
+              ) : (
+                <Circle className="mt-0.5 h-5 w-5 shrink-0 text-muted-foreground" />
+              )}
+              <div>
+                {step.href && !step.done ? (
+                  <Link to={step.href} className="font-medium text-primary hover:underline">
+                    {step.title}
+                  </Link>
+                ) : (
+                  <p className={step.done ? "font-medium text-muted-foreground line-through" : "font-medium"}>
+                    {step.title}
+                  </p>
+                )}
+                <p className="text-sm text-muted-foreground">{step.description}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,242 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { formatDistanceToNow } from "date-fns"
+import { Loader2, Mail, RefreshCw, Send, Trash2 } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card"
+import { Badge } from "../ui/badge"
+import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "../ui/table"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+const ROLES = ["Admin", "Manager", "User"]
+const NO_DEPARTMENT = "none"
+
+const idOf = (value) => (value && value._id ? String(value._id) : value ? String(value) : "")
+
+// Invite people with a fixed role and department, and follow up on the
+// invitations nobody has accepted yet. Managers invite Users into the
+// departments they run.
+export function PendingInvitations({ currentUser, departments }) {
+  const { toast } = useToast()
+  const isAdmin = currentUser?.role === "Admin"
+  const invitableDepartments = isAdmin
+    ? departments
+    : departments.filter(
+        (department) =>
+          idOf(department) === idOf(currentUser?.department) || idOf(department.lead) === idOf(currentUser?.id),
+      )
+
+  const [invitations, setInvitations] = useState(null)
+  // Managers have to pick one of their departments
+  const [form, setForm] = useState({ email: "", name: "", role: "User", department: isAdmin ? NO_DEPARTMENT : "" })
+  const [isSending, setIsSending] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+
+  const fetchInvitations = async () => {
+    try {
+      setInvitations(await api.invitations.getInvitations())
+    } catch (error) {
+      console.error("Error fetching invitations:", error)
+      setInvitations((prev) => prev || [])
+    }
+  }
+
+  useEffect(() => {
+    fetchInvitations()
+  }, [])
+
+  const reportError = (error, fallback) => {
+    toast({
+      title: "Error",
+      description: error.message || fallback,
+      variant: "destructive",
+    })
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    try {
+      setIsSending(true)
+      const invitation = await api.invitations.createInvitation({
+        email: form.email,
+        name: form.name,
+        role: form.role,
+        ...(form.department && form.department !== NO_DEPARTMENT && { department: form.department }),
+      })
+      setForm((prev) => ({ ...prev, email: "", name: "" }))
+      fetchInvitations()
+      toast(
+        invitation.emailSent
+          ? { title: "Invitation sent", description: `${invitation.email} will get an email with a link to join.` }
+          : {
+              title: "Invitation created",
+              description: "The email could not be sent. Check the mail settings, then resend it.",
+              variant: "destructive",
+            },
+      )
+    } catch (error) {
+      reportError(error, "Failed to send the invitation")
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  const handleResend = async (invitation) => {
+    try {
+      setBusyId(invitation._id)
+      const { message, expiresAt } = await api.invitations.resendInvitation(invitation._id)
+      setInvitations((prev) =>
+        prev.map((item) => (item._id === invitation._id ? { ...item, expiresAt, status: "pending" } : item)),
+      )
+      toast({ title: "Invitation", description: message })
+    } catch (error) {
+      reportError(error, "Failed to resend the invitation")
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return
+    try {
+      setBusyId(invitation._id)
+      const { message } = await api.invitations.revokeInvitation(invitation._id)
+      setInvitations((prev) => prev.filter((item) => item._id !== invitation._id))
+      toast({ title: "Invitation revoked", description: message })
+    } catch (error) {
+      reportError(error, "Failed to revoke the invitation")
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <Card className="border-none shadow-lg bg-white dark:bg-slate-800">
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle className="flex items-center text-xl text-slate-800 dark:text-slate-100">
+            <Mail className="mr-2 h-5 w-5" /> Invitations
+          </CardTitle>
+          <CardDescription>
+            Invited people join with the role and department chosen here, through a link that expires.
+          </CardDescription>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchInvitations}>
+          <RefreshCw className="mr-2 h-4 w-4" /> Refresh
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <form onSubmit={handleInvite} className="flex flex-wrap gap-2">
+          <Input
+            type="email"
+            required
+            className="max-w-xs"
+            placeholder="name@example.com"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+          />
+          <Input
+            className="max-w-[12rem]"
+            placeholder="Name (optional)"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <Select value={form.role} onValueChange={(role) => setForm({ ...form, role })} disabled={!isAdmin}>
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {ROLES.map((role) => (
+                <SelectItem key={role} value={role}>
+                  {role}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={form.department} onValueChange={(department) => setForm({ ...form, department })}>
+            <SelectTrigger className="w-48">
+              <SelectValue placeholder="Department" />
+            </SelectTrigger>
+            <SelectContent>
+              {isAdmin && <SelectItem value={NO_DEPARTMENT}>No department</SelectItem>}
+              {invitableDepartments.map((department) => (
+                <SelectItem key={department._id} value={department._id}>
+                  {department.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button type="submit" disabled={isSending || !form.email.trim()}>
+            {isSending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Send className="mr-2 h-4 w-4" />}
+            Invite
+          </Button>
+        </form>
+
+        {!invitations ? (
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        ) : invitations.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">No pending invitations.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Invited</TableHead>
+                <TableHead>Role</TableHead>
+                <TableHead>Department</TableHead>
+                <TableHead>Invited by</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {invitations.map((invitation) => (
+                <TableRow key={invitation._id}>
+                  <TableCell>
+                    <div className="font-medium">{invitation.email}</div>
+                    {invitation.name && (
+                      <div className="text-xs text-slate-500 dark:text-slate-400">{invitation.name}</div>
+                    )}
+                  </TableCell>
+                  <TableCell>{invitation.role}</TableCell>
+                  <TableCell>{invitation.department?.name || "—"}</TableCell>
+                  <TableCell>{invitation.invitedBy?.name || "—"}</TableCell>
+                  <TableCell>
+                    {invitation.status === "expired" ? (
+                      <Badge variant="destructive">Expired</Badge>
+                    ) : (
+                      <Badge variant="secondary">
+                        Expires {formatDistanceToNow(new Date(invitation.expiresAt), { addSuffix: true })}
+                      </Badge>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right space-x-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={busyId === invitation._id}
+                      onClick={() => handleResend(invitation)}
+                    >
+                      Resend
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      disabled={busyId === invitation._id}
+                      onClick={() => handleRevoke(invitation)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
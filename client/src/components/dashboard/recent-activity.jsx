@@ -68,7 +68,11 @@ export function RecentActivity() {
         return "text-blue-500"
       case "updated":
         return "text-amber-500"
+      case "started":
+      case "rescheduled":
+        return "text-sky-500"
       case "assigned":
+      case "reassigned":
         return "text-purple-500"
       default:
         return "text-gray-500"
@@ -111,9 +115,18 @@ export function RecentActivity() {
                 <div className="space-y-1">
                   <p className="text-sm">
                     <span className="font-medium">{activity.user.name}</span>{" "}
-                    <span className={getActionColor(activity.action)}>{activity.action}</span>{" "}
-                    <span className="font-medium">{activity.task}</span> in{" "}
-                    <span className="font-medium">{activity.department}</span>
+                    <span className={getActionColor(activity.action)}>{activity.action}</span>
+                    {activity.task && (
+                      <>
+                        {" "}
+                        <span className="font-medium">{activity.task}</span>
+                      </>
+                    )}
+                    {activity.department && (
+                      <>
+                        {" "}in <span className="font-medium">{activity.department}</span>
+                      </>
+                    )}
                   </p>
                   <p className="text-xs text-muted-foreground">{activity.time}</p>
                 </div>
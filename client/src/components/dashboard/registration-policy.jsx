@@ -0,0 +1,117 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2, UserPlus } from "lucide-react"
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "../ui/card"
+import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Label } from "../ui/label"
+import { RadioGroup, RadioGroupItem } from "../ui/radio-group"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+const MODES = [
+  { value: "closed", label: "Invitation only", description: "People join only through an invitation." },
+  {
+    value: "domain",
+    label: "Allowed email domains",
+    description: "Anyone with an email at one of the domains below can register as a User.",
+  },
+  { value: "open", label: "Open", description: "Anyone can register as a User." },
+]
+
+// Admin setting for who may create an account without an invitation. Self-
+// registered accounts are always Users without a department.
+export function RegistrationPolicy() {
+  const { toast } = useToast()
+  const [mode, setMode] = useState(null)
+  const [domains, setDomains] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const applyPolicy = (policy) => {
+    setMode(policy.mode)
+    setDomains(policy.domains.join(", "))
+  }
+
+  useEffect(() => {
+    api.admin
+      .getRegistrationPolicy()
+      .then(applyPolicy)
+      .catch((error) => console.error("Error fetching registration policy:", error))
+  }, [])
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true)
+      applyPolicy(
+        await api.admin.updateRegistrationPolicy({
+          mode,
+          domains: domains
+            .split(/[\s,]+/)
+            .map((domain) => domain.trim())
+            .filter(Boolean),
+        }),
+      )
+      toast({ title: "Registration updated", description: MODES.find((option) => option.value === mode).description })
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update registration",
+        variant: "destructive",
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!mode) {
+    return (
+      <Card className="border-none shadow-lg bg-white dark:bg-slate-800">
+        <CardContent className="p-6">
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <Card className="border-none shadow-lg bg-white dark:bg-slate-800">
+      <CardHeader>
+        <CardTitle className="flex items-center text-xl text-slate-800 dark:text-slate-100">
+          <UserPlus className="mr-2 h-5 w-5" /> Registration
+        </CardTitle>
+        <CardDescription>Who can create an account without an invitation</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <RadioGroup value={mode} onValueChange={setMode} className="space-y-2">
+          {MODES.map((option) => (
+            <div key={option.value} className="flex items-start space-x-2">
+              <RadioGroupItem value={option.value} id={`registration-${option.value}`} className="mt-1" />
+              <div>
+                <Label htmlFor={`registration-${option.value}`}>{option.label}</Label>
+                <p className="text-xs text-slate-500 dark:text-slate-400">{option.description}</p>
+              </div>
+            </div>
+          ))}
+        </RadioGroup>
+        {mode === "domain" && (
+          <div className="space-y-2">
+            <Label htmlFor="registration-domains">Domains</Label>
+            <Input
+              id="registration-domains"
+              placeholder="example.com, example.org"
+              value={domains}
+              onChange={(e) => setDomains(e.target.value)}
+            />
+          </div>
+        )}
+      </CardContent>
+      <CardFooter>
+        <Button onClick={handleSave} disabled={isSaving}>
+          {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Save
+        </Button>
+      </CardFooter>
+    </Card>
+  )
+}
@@ -0,0 +1,202 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Bot, Loader2, Plus, Trash2 } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card"
+import { Badge } from "../ui/badge"
+import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../ui/select"
+import { ApiTokenList } from "../settings/api-token-list"
+import { CreateApiTokenDialog } from "../settings/create-api-token-dialog"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+const ROLES = ["Admin", "Manager", "User"]
+const NO_DEPARTMENT = "none"
+
+// Accounts for integrations that are not tied to a person. They never sign in;
+// they reach the API only through the tokens issued here.
+export function ServiceAccounts({ departments }) {
+  const { toast } = useToast()
+  const [accounts, setAccounts] = useState(null)
+  const [name, setName] = useState("")
+  const [role, setRole] = useState("User")
+  const [department, setDepartment] = useState(NO_DEPARTMENT)
+  const [isCreating, setIsCreating] = useState(false)
+  const [tokenAccount, setTokenAccount] = useState(null)
+  const [revokingId, setRevokingId] = useState(null)
+
+  useEffect(() => {
+    api.admin
+      .getServiceAccounts()
+      .then(setAccounts)
+      .catch((error) => {
+        console.error("Error fetching service accounts:", error)
+        setAccounts([])
+      })
+  }, [])
+
+  const reportError = (error, fallback) => {
+    toast({
+      title: "Error",
+      description: error.message || fallback,
+      variant: "destructive",
+    })
+  }
+
+  const updateAccount = (id, update) =>
+    setAccounts((prev) => prev.map((account) => (account._id === id ? update(account) : account)))
+
+  const handleCreateAccount = async () => {
+    try {
+      setIsCreating(true)
+      const account = await api.admin.createServiceAccount({
+        name,
+        role,
+        ...(department !== NO_DEPARTMENT && { department }),
+      })
+      setAccounts((prev) => [...prev, account])
+      setName("")
+      toast({ title: "Service account created", description: `Issue a token for ${account.name} to start using it.` })
+    } catch (error) {
+      reportError(error, "Failed to create the service account")
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleDeleteAccount = async (account) => {
+    if (!window.confirm(`Delete ${account.name}? Its tokens stop working immediately.`)) return
+    try {
+      setRevokingId(account._id)
+      const { message } = await api.admin.deleteServiceAccount(account._id)
+      setAccounts((prev) => prev.filter((item) => item._id !== account._id))
+      toast({ title: "Service account deleted", description: message })
+    } catch (error) {
+      reportError(error, "Failed to delete the service account")
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleCreateToken = async (fields) => {
+    const created = await api.admin.createServiceAccountToken(tokenAccount._id, fields)
+    updateAccount(tokenAccount._id, (account) => ({ ...account, tokens: [created.apiToken, ...account.tokens] }))
+    return created
+  }
+
+  const handleRevokeToken = async (account, token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) return
+    try {
+      setRevokingId(token._id)
+      const { message } = await api.admin.revokeServiceAccountToken(account._id, token._id)
+      updateAccount(account._id, (item) => ({
+        ...item,
+        tokens: item.tokens.filter((existing) => existing._id !== token._id),
+      }))
+      toast({ title: "Token revoked", description: message })
+    } catch (error) {
+      reportError(error, "Failed to revoke the token")
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  return (
+    <Card className="border-none shadow-lg bg-white dark:bg-slate-800">
+      <CardHeader>
+        <CardTitle className="flex items-center text-xl text-slate-800 dark:text-slate-100">
+          <Bot className="mr-2 h-5 w-5" /> Service Accounts
+        </CardTitle>
+        <CardDescription>
+          Accounts for integrations. Their role and department limit what their tokens can reach, as for any user.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-wrap gap-2">
+          <Input
+            className="max-w-xs"
+            placeholder="Service account name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <Select value={role} onValueChange={setRole}>
+            <SelectTrigger className="w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {ROLES.map((option) => (
+                <SelectItem key={option} value={option}>
+                  {option}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={department} onValueChange={setDepartment}>
+            <SelectTrigger className="w-48">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_DEPARTMENT}>No department</SelectItem>
+              {departments.map((option) => (
+                <SelectItem key={option._id} value={option._id}>
+                  {option.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button onClick={handleCreateAccount} disabled={isCreating || !name.trim()}>
+            {isCreating ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+            Add account
+          </Button>
+        </div>
+
+        {!accounts ? (
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        ) : accounts.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">No service accounts yet.</p>
+        ) : (
+          accounts.map((account) => (
+            <div key={account._id} className="space-y-3 rounded-md border p-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{account.name}</span>
+                  <Badge variant="secondary">{account.role}</Badge>
+                  {account.department && <Badge variant="outline">{account.department.name}</Badge>}
+                </div>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={() => setTokenAccount(account)}>
+                    <Plus className="mr-2 h-4 w-4" /> New token
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    disabled={revokingId !== null}
+                    onClick={() => handleDeleteAccount(account)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+              <ApiTokenList
+                tokens={account.tokens}
+                revokingId={revokingId}
+                onRevoke={(token) => handleRevokeToken(account, token)}
+                emptyMessage="No active tokens."
+              />
+            </div>
+          ))
+        )}
+      </CardContent>
+
+      <CreateApiTokenDialog
+        open={Boolean(tokenAccount)}
+        onOpenChange={(open) => !open && setTokenAccount(null)}
+        title={tokenAccount ? `New token for ${tokenAccount.name}` : "New token"}
+        description="The token acts as the service account, within its scopes."
+        onCreate={handleCreateToken}
+      />
+    </Card>
+  )
+}
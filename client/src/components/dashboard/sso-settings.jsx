@@ -0,0 +1,208 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { KeyRound, Loader2, Plus, Trash2 } from "lucide-react"
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "../ui/card"
+import { Badge } from "../ui/badge"
+import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Label } from "../ui/label"
+import { Switch } from "../ui/switch"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../ui/select"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+const ROLES = ["Admin", "Manager", "User"]
+
+// Admin settings for single sign-on: which identity provider groups grant a
+// role or department, and whether password sign-in stays open
+export function SsoSettings({ departments }) {
+  const { toast } = useToast()
+  const [settings, setSettings] = useState(null)
+  const [roleMappings, setRoleMappings] = useState([])
+  const [departmentMappings, setDepartmentMappings] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+
+  const applySettings = (data) => {
+    setSettings(data)
+    setRoleMappings(data.roleMappings)
+    setDepartmentMappings(
+      data.departmentMappings.map(({ group, department }) => ({ group, department: department?._id || department })),
+    )
+  }
+
+  useEffect(() => {
+    api.admin
+      .getSsoSettings()
+      .then(applySettings)
+      .catch((error) => console.error("Error fetching SSO settings:", error))
+  }, [])
+
+  const save = async (changes, successMessage) => {
+    try {
+      setIsSaving(true)
+      applySettings(await api.admin.updateSsoSettings(changes))
+      toast({ title: "Single sign-on updated", description: successMessage })
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update single sign-on settings",
+        variant: "destructive",
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleSaveMappings = () => {
+    save(
+      {
+        roleMappings: roleMappings.filter((mapping) => mapping.group.trim()),
+        departmentMappings: departmentMappings.filter((mapping) => mapping.group.trim() && mapping.department),
+      },
+      "Group mappings apply from each user's next sign-in.",
+    )
+  }
+
+  const updateAt = (setList, index, changes) =>
+    setList((prev) => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)))
+  const removeAt = (setList, index) => setList((prev) => prev.filter((_, i) => i !== index))
+
+  if (!settings) {
+    return (
+      <Card className="border-none shadow-lg bg-white dark:bg-slate-800">
+        <CardContent className="p-6">
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <Card className="border-none shadow-lg bg-white dark:bg-slate-800">
+      <CardHeader>
+        <CardTitle className="flex items-center text-xl text-slate-800 dark:text-slate-100">
+          <KeyRound className="mr-2 h-5 w-5" /> Single Sign-On
+          {settings.configured ? (
+            <Badge variant="secondary" className="ml-2">
+              {settings.providerName}
+            </Badge>
+          ) : (
+            <Badge variant="outline" className="ml-2">
+              Not set up
+            </Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          {settings.configured
+            ? `Users sign in through ${settings.issuer}. Register ${settings.redirectUri} as the redirect URI with the provider.`
+            : "Set OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET on the server to enable it."}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex items-center justify-between rounded-md border p-3">
+          <div>
+            <Label htmlFor="local-login" className="font-medium">
+              Password sign-in
+            </Label>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              When off, only admins can sign in with a password; everyone else uses single sign-on.
+            </p>
+          </div>
+          <Switch
+            id="local-login"
+            checked={settings.localLoginEnabled}
+            disabled={isSaving || (!settings.configured && settings.localLoginEnabled)}
+            onCheckedChange={(checked) =>
+              save(
+                { localLoginEnabled: checked },
+                checked ? "Password sign-in is open to everyone." : "Password sign-in is now limited to admins.",
+              )
+            }
+          />
+        </div>
+
+        <div className="space-y-2">
+          <Label className="text-sm font-medium text-slate-500 dark:text-slate-400">
+            Role mappings (claim "{settings.groupsClaim}")
+          </Label>
+          {roleMappings.map((mapping, index) => (
+            <div key={index} className="flex gap-2">
+              <Input
+                placeholder="Group name"
+                value={mapping.group}
+                onChange={(e) => updateAt(setRoleMappings, index, { group: e.target.value })}
+              />
+              <Select value={mapping.role} onValueChange={(role) => updateAt(setRoleMappings, index, { role })}>
+                <SelectTrigger className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {ROLES.map((role) => (
+                    <SelectItem key={role} value={role}>
+                      {role}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="ghost" size="icon" onClick={() => removeAt(setRoleMappings, index)}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setRoleMappings((prev) => [...prev, { group: "", role: "User" }])}
+          >
+            <Plus className="mr-2 h-4 w-4" /> Add role mapping
+          </Button>
+        </div>
+
+        <div className="space-y-2">
+          <Label className="text-sm font-medium text-slate-500 dark:text-slate-400">Department mappings</Label>
+          {departmentMappings.map((mapping, index) => (
+            <div key={index} className="flex gap-2">
+              <Input
+                placeholder="Group name"
+                value={mapping.group}
+                onChange={(e) => updateAt(setDepartmentMappings, index, { group: e.target.value })}
+              />
+              <Select
+                value={mapping.department || ""}
+                onValueChange={(department) => updateAt(setDepartmentMappings, index, { department })}
+              >
+                <SelectTrigger className="w-48">
+                  <SelectValue placeholder="Department" />
+                </SelectTrigger>
+                <SelectContent>
+                  {departments.map((department) => (
+                    <SelectItem key={department._id} value={department._id}>
+                      {department.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="ghost" size="icon" onClick={() => removeAt(setDepartmentMappings, index)}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setDepartmentMappings((prev) => [...prev, { group: "", department: "" }])}
+          >
+            <Plus className="mr-2 h-4 w-4" /> Add department mapping
+          </Button>
+        </div>
+      </CardContent>
+      <CardFooter>
+        <Button onClick={handleSaveMappings} disabled={isSaving}>
+          {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Save mappings
+        </Button>
+      </CardFooter>
+    </Card>
+  )
+}
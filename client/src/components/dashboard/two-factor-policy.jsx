@@ -0,0 +1,101 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2, ShieldCheck } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card"
+import { Label } from "../ui/label"
+import { Switch } from "../ui/switch"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+const ROLES = ["Admin", "Manager", "User"]
+
+// Admin control for the roles that must use two-factor authentication, with how
+// many accounts of each role have it enabled
+export function TwoFactorPolicy() {
+  const { toast } = useToast()
+  const [policy, setPolicy] = useState(null)
+  const [savingRole, setSavingRole] = useState(null)
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        setPolicy(await api.admin.getTwoFactorPolicy())
+      } catch (error) {
+        console.error("Error fetching two-factor policy:", error)
+      }
+    }
+    fetchPolicy()
+  }, [])
+
+  const handleToggle = async (role, required) => {
+    const requiredRoles = required
+      ? [...policy.requiredRoles, role]
+      : policy.requiredRoles.filter((item) => item !== role)
+
+    try {
+      setSavingRole(role)
+      const updated = await api.admin.updateTwoFactorPolicy(requiredRoles)
+      setPolicy((prev) => ({ ...prev, ...updated }))
+      toast({
+        title: "Security policy updated",
+        description: required
+          ? `${role} accounts must now set up two-factor authentication.`
+          : `Two-factor authentication is now optional for ${role} accounts.`,
+      })
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update the security policy",
+        variant: "destructive",
+      })
+    } finally {
+      setSavingRole(null)
+    }
+  }
+
+  const enrollmentFor = (role) => policy.enrollment.find((item) => item.role === role) || { total: 0, enabled: 0 }
+
+  return (
+    <Card className="border-none shadow-lg bg-white dark:bg-slate-800">
+      <CardHeader>
+        <CardTitle className="flex items-center text-xl text-slate-800 dark:text-slate-100">
+          <ShieldCheck className="mr-2 h-5 w-5" /> Two-Factor Authentication
+        </CardTitle>
+        <CardDescription>
+          Require an authenticator app for these roles. Users without one can only open their account settings until
+          they set it up.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!policy ? (
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {ROLES.map((role) => {
+              const { total, enabled } = enrollmentFor(role)
+              return (
+                <div key={role} className="flex items-center justify-between rounded-md border p-3">
+                  <div>
+                    <Label htmlFor={`require-2fa-${role}`} className="font-medium">
+                      {role}
+                    </Label>
+                    <p className="text-xs text-slate-500 dark:text-slate-400">
+                      {enabled} of {total} enrolled
+                    </p>
+                  </div>
+                  <Switch
+                    id={`require-2fa-${role}`}
+                    checked={policy.requiredRoles.includes(role)}
+                    disabled={savingRole !== null}
+                    onCheckedChange={(checked) => handleToggle(role, checked)}
+                  />
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,32 @@
+"use client"
+
+import { Link } from "react-router-dom"
+import { ShieldAlert } from "lucide-react"
+import { Alert, AlertDescription, AlertTitle } from "../ui/alert"
+import { Button } from "../ui/button"
+import { useAuth } from "../../context/auth-context"
+
+// Shown while the security policy requires two-factor authentication for the
+// user's role and they have not set it up. Until then the server only allows
+// their own account settings.
+export function TwoFactorSetupBanner() {
+  const { user } = useAuth()
+
+  if (!user || !user.twoFactorSetupRequired) return null
+
+  return (
+    <Alert className="mb-4 border-red-500/50">
+      <ShieldAlert className="text-red-500" />
+      <AlertTitle>Set up two-factor authentication</AlertTitle>
+      <AlertDescription>
+        <p>
+          Two-factor authentication is required for {user.role} accounts. Most of the workspace is unavailable until you
+          add an authenticator app.
+        </p>
+        <Button asChild variant="outline" size="sm" className="mt-2">
+          <Link to="/settings?tab=security">Set up now</Link>
+        </Button>
+      </AlertDescription>
+    </Alert>
+  )
+}
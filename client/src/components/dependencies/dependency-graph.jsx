@@ -9,6 +9,8 @@ import { useSocketContext } from "../../context/socket-context"
 import { OptimizationInsights } from "../optimization/optimization-insights"
 import { OptimizationActions } from "../optimization/optimization-actions"
 import { useIsMobile } from "../../hooks/use-mobile"
+import { useAuth } from "../../context/auth-context"
+import { ScheduleReview } from "./schedule-review"
 
 // Utility function to map Tailwind colors to hex
 const getHexColor = (tailwindColor) => {
@@ -32,6 +34,11 @@ export function DependencyGraph() {
   const [tasks, setTasks] = useState([])
   const [departments, setDepartments] = useState([])
   const [insights, setInsights] = useState([])
+  const [analysis, setAnalysis] = useState(null)
+  const [scheduleChanges, setScheduleChanges] = useState([])
+  const [refreshKey, setRefreshKey] = useState(0)
+  const { user } = useAuth()
+  const canReschedule = user?.role === "Admin" || user?.role === "Manager"
   const [selectedDepartment, setSelectedDepartment] = useState("All")
   const [viewMode, setViewMode] = useState("graph") // "graph" or "gantt"
   const isMobile = useIsMobile()
@@ -41,10 +48,11 @@ export function DependencyGraph() {
     const fetchData = async () => {
       try {
         setIsLoading(true)
-        const [tasksData, departmentsData, insightsData] = await Promise.all([
+        const [tasksData, departmentsData, insightsData, analysisData] = await Promise.all([
           api.tasks.getTasks(),
           api.departments.getDepartments(),
           api.ai.getInsights(),
+          api.ai.getDependencyAnalysis(),
         ])
         console.log("Fetched tasks:", tasksData)
         console.log("Fetched departments:", departmentsData)
@@ -52,6 +60,7 @@ export function DependencyGraph() {
         setTasks(tasksData)
         setDepartments(departmentsData)
         setInsights(insightsData)
+        setAnalysis(analysisData)
         setError(null)
       } catch (err) {
         setError(err.message || "Failed to load data")
@@ -66,7 +75,17 @@ export function DependencyGraph() {
     }
 
     fetchData()
-  }, [toast])
+  }, [toast, refreshKey])
+
+  // Proposed due dates for tasks whose dependencies slipped (managers only)
+  useEffect(() => {
+    if (!canReschedule) return
+
+    api.tasks
+      .getScheduleProposals()
+      .then((data) => setScheduleChanges(data.changes || []))
+      .catch((err) => console.error("Failed to load schedule proposals:", err))
+  }, [canReschedule, refreshKey])
 
   // Listen for socket events to update insights
   useEffect(() => {
@@ -95,6 +114,16 @@ export function DependencyGraph() {
     })
     .filter((id) => id)
 
+  // Critical path and bottlenecks from the server-side dependency analysis
+  const criticalPath = analysis?.criticalPath || []
+  const bottleneckCounts = new Map((analysis?.bottlenecks || []).map((b) => [b.task, b.blockedCount]))
+  const slackByTask = analysis?.slack || {}
+  const isCriticalLink = (sourceId, targetId) => {
+    const index = criticalPath.indexOf(sourceId)
+    return index !== -1 && criticalPath[index + 1] === targetId
+  }
+  const formatSlack = (id) => (slackByTask[id] === undefined ? "n/a" : `${slackByTask[id]} day(s)`)
+
   // Responsive sizing for the SVG
   useEffect(() => {
     const updateSize = () => {
@@ -117,7 +146,7 @@ export function DependencyGraph() {
     updateSize()
 
     return () => window.removeEventListener("resize", updateSize)
-  }, [containerRef, svgRef, filteredTasks, departments, viewMode, insights])
+  }, [containerRef, svgRef, filteredTasks, departments, viewMode, insights, analysis, scheduleChanges])
 
   // Render Dependency Graph
   const renderDependencyGraph = () => {
@@ -129,6 +158,8 @@ export function DependencyGraph() {
       department: task.department?.name || "Unknown",
       status: task.status,
       isHighlighted: insightTaskIds.includes(task._id),
+      isCritical: criticalPath.includes(task._id),
+      blockedCount: bottleneckCounts.get(task._id) || 0,
     }))
 
     const links = []
@@ -140,6 +171,7 @@ export function DependencyGraph() {
             links.push({
               source: depId,
               target: task._id,
+              isCritical: isCriticalLink(depId, task._id),
             })
           }
         })
@@ -188,6 +220,20 @@ export function DependencyGraph() {
       .attr("d", "M0,-5L10,0L0,5")
       .attr("fill", "#888")
 
+    svg
+      .select("defs")
+      .append("marker")
+      .attr("id", "arrowhead-critical")
+      .attr("viewBox", "0 -5 10 10")
+      .attr("refX", 25)
+      .attr("refY", 0)
+      .attr("orient", "auto")
+      .attr("markerWidth", 6)
+      .attr("markerHeight", 6)
+      .append("path")
+      .attr("d", "M0,-5L10,0L0,5")
+      .attr("fill", "#ef4444")
+
     const simulation = d3
       .forceSimulation(nodes)
       .force(
@@ -205,13 +251,13 @@ export function DependencyGraph() {
 
     const link = g
       .append("g")
-      .attr("stroke", "#888")
-      .attr("stroke-width", 2)
       .selectAll("line")
       .data(links)
       .enter()
       .append("line")
-      .attr("marker-end", "url(#arrowhead)")
+      .attr("stroke", (d) => (d.isCritical ? "#ef4444" : "#888"))
+      .attr("stroke-width", (d) => (d.isCritical ? 3 : 2))
+      .attr("marker-end", (d) => (d.isCritical ? "url(#arrowhead-critical)" : "url(#arrowhead)"))
 
     const node = g
       .append("g")
@@ -226,7 +272,7 @@ export function DependencyGraph() {
         tooltip
           .style("opacity", 1)
           .html(
-            `<strong>${d.title}</strong><br>Department: ${d.department}<br>Status: ${d.status}${deps.length ? `<br>Depends on: ${deps.join(", ")}` : ""}`,
+            `<strong>${d.title}</strong><br>Department: ${d.department}<br>Status: ${d.status}<br>Slack: ${formatSlack(d.id)}${d.isCritical ? "<br>On critical path" : ""}${d.blockedCount ? `<br>Blocking ${d.blockedCount} downstream tasks` : ""}${deps.length ? `<br>Depends on: ${deps.join(", ")}` : ""}`,
           )
           .style("left", `${event.pageX + 10}px`)
           .style("top", `${event.pageY - 10}px`)
@@ -235,6 +281,15 @@ export function DependencyGraph() {
         tooltip.style("opacity", 0)
       })
 
+    node
+      .filter((d) => d.blockedCount > 0)
+      .append("circle")
+      .attr("r", isMobile ? 19 : 25)
+      .attr("fill", "none")
+      .attr("stroke", "#a855f7")
+      .attr("stroke-width", 2)
+      .attr("stroke-dasharray", "4 2")
+
     node
       .append("circle")
       .attr("r", isMobile ? 15 : 20)
@@ -243,7 +298,7 @@ export function DependencyGraph() {
         return dept ? getHexColor(dept.color) : "#64748b"
       })
       .attr("stroke", (d) => {
-        if (d.isHighlighted) return "#ef4444"
+        if (d.isCritical || d.isHighlighted) return "#ef4444"
         switch (d.status) {
           case "Completed":
             return "#22c55e"
@@ -255,7 +310,7 @@ export function DependencyGraph() {
             return "#000"
         }
       })
-      .attr("stroke-width", (d) => (d.isHighlighted ? 3 : 2))
+      .attr("stroke-width", (d) => (d.isCritical ? 4 : d.isHighlighted ? 3 : 2))
 
     // Always add text labels but adjust size for mobile
     node
@@ -325,7 +380,8 @@ export function DependencyGraph() {
       { name: "Completed", color: "#22c55e" },
       { name: "In Progress", color: "#3b82f6" },
       { name: "Pending", color: "#f59e0b" },
-      { name: "AI Highlighted", color: "#ef4444" },
+      { name: "Critical Path / AI Highlighted", color: "#ef4444" },
+      { name: "Bottleneck", color: "#a855f7" },
     ]
 
     legend
@@ -427,17 +483,22 @@ export function DependencyGraph() {
       title: task.title,
       department: task.department?.name || "Unknown",
       status: task.status,
-      start: new Date(task.createdAt),
+      start: new Date(task.startDate || task.createdAt),
       end: task.dueDate
         ? new Date(task.dueDate)
         : new Date(new Date(task.createdAt).setDate(new Date(task.createdAt).getDate() + 7)),
       dependencies: task.dependencies?.map((dep) => dep._id) || [],
       isHighlighted: insightTaskIds.includes(task._id),
+      isCritical: criticalPath.includes(task._id),
+      proposedEnd: (() => {
+        const change = scheduleChanges.find((c) => c.task === task._id)
+        return change ? new Date(change.newDueDate) : null
+      })(),
     }))
 
     const xScale = d3
       .scaleTime()
-      .domain([d3.min(ganttData, (d) => d.start), d3.max(ganttData, (d) => d.end)])
+      .domain([d3.min(ganttData, (d) => d.start), d3.max(ganttData, (d) => d.proposedEnd || d.end)])
       .range([0, boundedWidth])
       .nice()
 
@@ -492,7 +553,7 @@ export function DependencyGraph() {
         return dept ? getHexColor(dept.color) : "#64748b"
       })
       .attr("stroke", (d) => {
-        if (d.isHighlighted) return "#ef4444"
+        if (d.isCritical || d.isHighlighted) return "#ef4444"
         switch (d.status) {
           case "Completed":
             return "#22c55e"
@@ -504,12 +565,12 @@ export function DependencyGraph() {
             return "#000"
         }
       })
-      .attr("stroke-width", (d) => (d.isHighlighted ? 3 : 2))
+      .attr("stroke-width", (d) => (d.isCritical ? 4 : d.isHighlighted ? 3 : 2))
       .on("mouseover", (event, d) => {
         tooltip
           .style("opacity", 1)
           .html(
-            `<strong>${d.title}</strong><br>Department: ${d.department}<br>Status: ${d.status}<br>Start: ${d.start.toLocaleDateString()}<br>End: ${d.end.toLocaleDateString()}`,
+            `<strong>${d.title}</strong><br>Department: ${d.department}<br>Status: ${d.status}<br>Start: ${d.start.toLocaleDateString()}<br>End: ${d.end.toLocaleDateString()}<br>Slack: ${formatSlack(d.id)}`,
           )
           .style("left", `${event.pageX + 10}px`)
           .style("top", `${event.pageY - 10}px`)
@@ -518,6 +579,31 @@ export function DependencyGraph() {
         tooltip.style("opacity", 0)
       })
 
+    // Proposed extensions from the rescheduling service, drawn past the current due date
+    g.selectAll(".proposed-bar")
+      .data(ganttData.filter((d) => d.proposedEnd && d.proposedEnd > d.end))
+      .enter()
+      .append("rect")
+      .attr("class", "proposed-bar")
+      .attr("x", (d) => xScale(d.end))
+      .attr("y", (d) => yScale(d.id))
+      .attr("width", (d) => Math.max(2, xScale(d.proposedEnd) - xScale(d.end)))
+      .attr("height", yScale.bandwidth())
+      .attr("fill", "none")
+      .attr("stroke", "#f59e0b")
+      .attr("stroke-width", 2)
+      .attr("stroke-dasharray", "4 2")
+      .on("mouseover", (event, d) => {
+        tooltip
+          .style("opacity", 1)
+          .html(`<strong>${d.title}</strong><br>Proposed due: ${d.proposedEnd.toLocaleDateString()}`)
+          .style("left", `${event.pageX + 10}px`)
+          .style("top", `${event.pageY - 10}px`)
+      })
+      .on("mouseout", () => {
+        tooltip.style("opacity", 0)
+      })
+
     // Always show legend but adjust size for mobile
     const legendX = isMobile ? width - 80 : width - 120
     const legendY = isMobile ? margin.top : margin.top
@@ -547,7 +633,8 @@ export function DependencyGraph() {
       { name: "Completed", color: "#22c55e" },
       { name: "In Progress", color: "#3b82f6" },
       { name: "Pending", color: "#f59e0b" },
-      { name: "AI Highlighted", color: "#ef4444" },
+      { name: "Critical Path / AI Highlighted", color: "#ef4444" },
+      { name: "Bottleneck", color: "#a855f7" },
     ]
 
     legend
@@ -650,6 +737,55 @@ export function DependencyGraph() {
             <svg ref={svgRef} className="w-full h-[400px] md:h-[600px] border border-gray-200 rounded-md" />
           </div>
         </div>
+        {analysis && (
+          <div className="mt-4 grid gap-4 md:grid-cols-2">
+            <div className="border rounded-md p-3">
+              <h3 className="text-sm font-semibold mb-2">Critical Path</h3>
+              {criticalPath.length ? (
+                <ol className="text-sm list-decimal pl-5 space-y-1">
+                  {criticalPath.map((id) => (
+                    <li key={id}>
+                      {tasks.find((t) => t._id === id)?.title || id}
+                      <span className="text-muted-foreground"> (slack {formatSlack(id)})</span>
+                    </li>
+                  ))}
+                </ol>
+              ) : (
+                <p className="text-sm text-muted-foreground">No open tasks on the critical path</p>
+              )}
+              {analysis.projectedFinish && (
+                <p className="text-xs text-muted-foreground mt-2">
+                  Projected finish: {new Date(analysis.projectedFinish).toLocaleDateString()}
+                </p>
+              )}
+            </div>
+            <div className="border rounded-md p-3">
+              <h3 className="text-sm font-semibold mb-2">Bottlenecks</h3>
+              {analysis.bottlenecks?.length ? (
+                <ul className="text-sm space-y-1">
+                  {analysis.bottlenecks.map((b) => (
+                    <li key={b.task}>
+                      {b.title}
+                      <span className="text-muted-foreground"> blocks {b.blockedCount} tasks</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-muted-foreground">No bottlenecks detected</p>
+              )}
+              {analysis.cycles?.length > 0 && (
+                <p className="text-xs text-red-500 mt-2">
+                  {analysis.cycles.length} circular dependenc{analysis.cycles.length === 1 ? "y" : "ies"} detected
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+        {canReschedule && scheduleChanges.length > 0 && (
+          <div className="mt-4">
+            <ScheduleReview changes={scheduleChanges} onApplied={() => setRefreshKey((key) => key + 1)} />
+          </div>
+        )}
         <div className="mt-4">
           <OptimizationInsights insights={insights} />
         </div>
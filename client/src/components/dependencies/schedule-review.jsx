@@ -0,0 +1,107 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { CalendarClock, Loader2 } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "../ui/table"
+import { Button } from "../ui/button"
+import { Checkbox } from "../ui/checkbox"
+import { api } from "../../lib/api"
+import { useToast } from "../../hooks/use-toast"
+
+export function ScheduleReview({ changes, onApplied }) {
+  const { toast } = useToast()
+  const [selected, setSelected] = useState([])
+  const [isApplying, setIsApplying] = useState(false)
+
+  // Select every proposal by default whenever a new set arrives
+  useEffect(() => {
+    setSelected(changes.map((change) => change.task))
+  }, [changes])
+
+  const toggle = (taskId, checked) => {
+    setSelected((prev) => (checked ? [...prev, taskId] : prev.filter((id) => id !== taskId)))
+  }
+
+  const handleApply = async () => {
+    try {
+      setIsApplying(true)
+      const result = await api.tasks.applySchedule(changes.filter((change) => selected.includes(change.task)))
+      toast({
+        title: "Schedule updated",
+        description: `${result.applied.length} task(s) rescheduled${
+          result.skipped.length ? `, ${result.skipped.length} skipped because they changed meanwhile` : ""
+        }`,
+      })
+      onApplied?.()
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to apply schedule changes",
+        variant: "destructive",
+      })
+    } finally {
+      setIsApplying(false)
+    }
+  }
+
+  if (!changes.length) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CalendarClock className="h-5 w-5" />
+          Schedule review
+        </CardTitle>
+        <CardDescription>
+          These tasks can no longer meet their due dates because a dependency slipped. Review the proposed dates and
+          apply them in one batch.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-8" />
+                <TableHead>Task</TableHead>
+                <TableHead>Assignee</TableHead>
+                <TableHead>Current due</TableHead>
+                <TableHead>Proposed due</TableHead>
+                <TableHead>Shift</TableHead>
+                <TableHead>Caused by</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {changes.map((change) => (
+                <TableRow key={change.task}>
+                  <TableCell>
+                    <Checkbox
+                      checked={selected.includes(change.task)}
+                      onCheckedChange={(checked) => toggle(change.task, checked)}
+                    />
+                  </TableCell>
+                  <TableCell>{change.title}</TableCell>
+                  <TableCell>{change.assignee?.name || "Unassigned"}</TableCell>
+                  <TableCell className="text-red-500 line-through">
+                    {new Date(change.oldDueDate).toLocaleDateString()}
+                  </TableCell>
+                  <TableCell className="text-green-600">{new Date(change.newDueDate).toLocaleDateString()}</TableCell>
+                  <TableCell>+{change.shiftDays} day(s)</TableCell>
+                  <TableCell>{change.causedBy.map((dep) => dep.title).join(", ")}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+        <div className="flex justify-end">
+          <Button onClick={handleApply} disabled={isApplying || selected.length === 0}>
+            {isApplying && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Apply {selected.length} change(s)
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
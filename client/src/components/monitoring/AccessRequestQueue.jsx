@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Inbox, CheckCircle, XCircle } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import { API_URL } from '@/lib/api';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth } from '../../context/auth-context';
+
+// Requests reopened later name the employee who asked again in requested_by
+const requesterName = (request, fallback) => (request.requested_by || request.added_by)?.name || fallback;
+
+/**
+ * Employees' requests to whitelist a site, for their managers to approve or
+ * reject. Approvals can end on a date. Managers' approvals only apply to the
+ * requester's department; admins may allow the site for everyone.
+ */
+export function AccessRequestQueue({ onReviewed }) {
+  const [requests, setRequests] = useState([]);
+  const [reviewing, setReviewing] = useState(null); // { request, decision }
+  const [expiresAt, setExpiresAt] = useState('');
+  const [departmentOnly, setDepartmentOnly] = useState(false);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'Admin';
+
+  const fetchRequests = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/monitoring/whitelist/requests`);
+      setRequests(response.data.requests || []);
+    } catch (error) {
+      console.error('Error fetching access requests:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const openReview = (request, decision) => {
+    setReviewing({ request, decision });
+    setExpiresAt('');
+    setDepartmentOnly(false);
+    setNote('');
+  };
+
+  const handleReview = async () => {
+    const { request, decision } = reviewing;
+    setLoading(true);
+
+    try {
+      const body = decision === 'approve'
+        ? { notes: note, expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined, departmentOnly }
+        : { reason: note };
+      const response = await axios.post(`${API_URL}/monitoring/whitelist/${request._id}/${decision}`, body);
+      toast({ title: decision === 'approve' ? 'Request approved' : 'Request rejected', description: response.data.message });
+      setReviewing(null);
+      setRequests((current) => current.filter((item) => item._id !== request._id));
+      onReviewed?.();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to review the request',
+        variant: 'destructive'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (requests.length === 0) return null;
+
+  return (
+    <Card className="neo-card border-primary/20">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Inbox className="h-5 w-5 text-primary" />
+          Access Requests
+          <Badge variant="outline" className="ml-auto">
+            {requests.length} pending
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {requests.map((request) => (
+          <div key={request._id} className="flex items-start justify-between gap-4 p-4 border rounded-lg">
+            <div className="min-w-0">
+              <h4 className="font-semibold text-foreground">{request.domain}</h4>
+              <p className="text-sm text-muted-foreground">{request.description}</p>
+              <p className="text-xs text-muted-foreground mt-1">
+                {requesterName(request, 'Unknown')} ·{' '}
+                {formatDistanceToNow(new Date(request.updatedAt), { addSuffix: true })}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="sm" onClick={() => openReview(request, 'approve')}>
+                <CheckCircle className="h-4 w-4 mr-1 text-green-500" />
+                Approve
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => openReview(request, 'reject')}>
+                <XCircle className="h-4 w-4 mr-1 text-red-500" />
+                Reject
+              </Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+
+      <Dialog open={Boolean(reviewing)} onOpenChange={(open) => !open && setReviewing(null)}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>
+              {reviewing?.decision === 'approve' ? 'Approve' : 'Reject'} {reviewing?.request.domain}
+            </DialogTitle>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            {reviewing?.decision === 'approve' && (
+              <>
+                <div>
+                  <label className="text-sm font-medium text-foreground mb-2 block">Allow until (optional)</label>
+                  <Input type="datetime-local" value={expiresAt} onChange={(e) => setExpiresAt(e.target.value)} />
+                </div>
+                {isAdmin ? (
+                  <label className="flex items-center gap-2 text-sm text-foreground">
+                    <Checkbox checked={departmentOnly} onCheckedChange={(checked) => setDepartmentOnly(checked === true)} />
+                    Only for {requesterName(reviewing.request, 'the requester')}&apos;s department
+                  </label>
+                ) : (
+                  <p className="text-sm text-muted-foreground">
+                    Applies to {requesterName(reviewing.request, 'the requester')}&apos;s department only.
+                  </p>
+                )}
+              </>
+            )}
+            <div>
+              <label className="text-sm font-medium text-foreground mb-2 block">
+                {reviewing?.decision === 'approve' ? 'Note (optional)' : 'Reason shown to the employee'}
+              </label>
+              <Input value={note} onChange={(e) => setNote(e.target.value)} />
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Button variant="outline" onClick={() => setReviewing(null)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleReview}
+              disabled={loading}
+              variant={reviewing?.decision === 'approve' ? 'default' : 'destructive'}
+            >
+              {reviewing?.decision === 'approve' ? 'Approve' : 'Reject'}
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
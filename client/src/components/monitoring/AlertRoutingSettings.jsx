@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
+import { BellRing, Plus, Trash2, ArrowUp, ArrowDown, Save, Moon } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '@/lib/api';
+import { useToast } from '@/hooks/use-toast';
+
+const alertTypes = [
+  'idle_timeout',
+  'unauthorized_website',
+  'suspicious_activity',
+  'productivity_drop',
+  'extended_break',
+  'after_hours_activity',
+  'application_misuse'
+];
+
+const severities = ['low', 'medium', 'high', 'critical'];
+
+const recipientLevels = [
+  { value: 'manager', label: 'Managers' },
+  { value: 'department_lead', label: 'Department lead' },
+  { value: 'admins', label: 'Admins' }
+];
+
+const channels = [
+  { value: 'dashboard', label: 'In-app' },
+  { value: 'email', label: 'Email' },
+  { value: 'webhook', label: 'Webhook' },
+  { value: 'sms', label: 'SMS' }
+];
+
+const newRule = () => ({
+  name: '',
+  alert_types: [],
+  severities: [],
+  recipients: 'manager',
+  channels: ['dashboard'],
+  escalate_after_minutes: 0,
+  enabled: true
+});
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+const label = (value) => value.replace(/_/g, ' ');
+
+/**
+ * Edit who is told about monitoring alerts and over which channels, quiet
+ * hours, and how long an alert may go unacknowledged before it escalates from
+ * managers to the department lead and then to admins.
+ */
+export function AlertRoutingSettings() {
+  const [rules, setRules] = useState([]);
+  const [quietHours, setQuietHours] = useState({ enabled: false, start: '22:00', end: '07:00', timezone: 'UTC', override_severities: [] });
+  const [webhookUrl, setWebhookUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { toast } = useToast();
+
+  const load = (settings) => {
+    setRules((settings.rules || []).map((rule) => ({ ...rule })));
+    setQuietHours({ ...settings.quiet_hours, override_severities: settings.quiet_hours?.override_severities || [] });
+    setWebhookUrl(settings.webhook_url || '');
+  };
+
+  useEffect(() => {
+    axios.get(`${API_URL}/monitoring/alert-routing`)
+      .then((response) => load(response.data.settings))
+      .catch((error) => console.error('Error fetching alert routing:', error));
+  }, []);
+
+  const updateRule = (index, changes) => {
+    setRules((current) => current.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    setRules((current) => {
+      const next = [...current];
+      const [rule] = next.splice(index, 1);
+      next.splice(index + offset, 0, rule);
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.put(`${API_URL}/monitoring/alert-routing`, {
+        rules,
+        quiet_hours: quietHours,
+        webhook_url: webhookUrl
+      });
+      load(response.data.settings);
+      toast({ title: 'Alert routing saved' });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to save alert routing',
+        variant: 'destructive'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className="neo-card border-border/50">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BellRing className="h-5 w-5 text-primary" />
+          Alert Routing
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <p className="text-sm text-muted-foreground">
+          Each alert follows the first enabled rule that covers its type and severity. If nobody acknowledges it in
+          time, it escalates from managers to the department lead and then to admins.
+        </p>
+
+        <div className="space-y-4">
+          {rules.map((rule, index) => (
+            <div key={rule._id || index} className="p-4 border rounded-lg space-y-3">
+              <div className="flex items-center gap-2">
+                <Input
+                  placeholder="Rule name"
+                  value={rule.name}
+                  onChange={(e) => updateRule(index, { name: e.target.value })}
+                  className="flex-1"
+                />
+                <Switch checked={rule.enabled} onCheckedChange={(enabled) => updateRule(index, { enabled })} />
+                <Button variant="ghost" size="sm" disabled={index === 0} onClick={() => moveRule(index, -1)}>
+                  <ArrowUp className="h-4 w-4" />
+                </Button>
+                <Button variant="ghost" size="sm" disabled={index === rules.length - 1} onClick={() => moveRule(index, 1)}>
+                  <ArrowDown className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setRules((current) => current.filter((_, i) => i !== index))}
+                >
+                  <Trash2 className="h-4 w-4 text-red-500" />
+                </Button>
+              </div>
+
+              <div>
+                <p className="text-xs font-medium text-muted-foreground mb-1">Alert types (none selected: all)</p>
+                <div className="flex flex-wrap gap-3">
+                  {alertTypes.map((type) => (
+                    <label key={type} className="flex items-center gap-1 text-sm capitalize text-foreground">
+                      <Checkbox
+                        checked={rule.alert_types.includes(type)}
+                        onCheckedChange={() => updateRule(index, { alert_types: toggle(rule.alert_types, type) })}
+                      />
+                      {label(type)}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <p className="text-xs font-medium text-muted-foreground mb-1">Severities (none selected: all)</p>
+                <div className="flex flex-wrap gap-3">
+                  {severities.map((severity) => (
+                    <label key={severity} className="flex items-center gap-1 text-sm capitalize text-foreground">
+                      <Checkbox
+                        checked={rule.severities.includes(severity)}
+                        onCheckedChange={() => updateRule(index, { severities: toggle(rule.severities, severity) })}
+                      />
+                      {severity}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                  <p className="text-xs font-medium text-muted-foreground mb-1">Notify first</p>
+                  <Select value={rule.recipients} onValueChange={(recipients) => updateRule(index, { recipients })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {recipientLevels.map((level) => (
+                        <SelectItem key={level.value} value={level.value}>
+                          {level.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <p className="text-xs font-medium text-muted-foreground mb-1">Channels</p>
+                  <div className="flex flex-wrap gap-3 pt-2">
+                    {channels.map((channel) => (
+                      <label key={channel.value} className="flex items-center gap-1 text-sm text-foreground">
+                        <Checkbox
+                          checked={rule.channels.includes(channel.value)}
+                          onCheckedChange={() => updateRule(index, { channels: toggle(rule.channels, channel.value) })}
+                        />
+                        {channel.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-xs font-medium text-muted-foreground mb-1">Escalate after (minutes, 0 = never)</p>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={rule.escalate_after_minutes}
+                    onChange={(e) => updateRule(index, { escalate_after_minutes: Number(e.target.value) || 0 })}
+                  />
+                </div>
+              </div>
+            </div>
+          ))}
+
+          <Button variant="outline" size="sm" onClick={() => setRules((current) => [...current, newRule()])}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Rule
+          </Button>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center gap-2">
+            <Moon className="h-4 w-4 text-primary" />
+            <span className="font-medium text-foreground">Quiet hours</span>
+            <Switch
+              checked={quietHours.enabled}
+              onCheckedChange={(enabled) => setQuietHours((current) => ({ ...current, enabled }))}
+            />
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Alerts raised during quiet hours are held until they end, except for the severities ticked below.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <Input
+              type="time"
+              value={quietHours.start || ''}
+              onChange={(e) => setQuietHours((current) => ({ ...current, start: e.target.value }))}
+            />
+            <Input
+              type="time"
+              value={quietHours.end || ''}
+              onChange={(e) => setQuietHours((current) => ({ ...current, end: e.target.value }))}
+            />
+            <Input
+              placeholder="Timezone, e.g. Europe/London"
+              value={quietHours.timezone || ''}
+              onChange={(e) => setQuietHours((current) => ({ ...current, timezone: e.target.value }))}
+            />
+          </div>
+          <div className="flex flex-wrap gap-3">
+            {severities.map((severity) => (
+              <label key={severity} className="flex items-center gap-1 text-sm capitalize text-foreground">
+                <Checkbox
+                  checked={quietHours.override_severities.includes(severity)}
+                  onCheckedChange={() => setQuietHours((current) => ({
+                    ...current,
+                    override_severities: toggle(current.override_severities, severity)
+                  }))}
+                />
+                {severity}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="text-sm font-medium text-foreground mb-2 block">Webhook URL</label>
+          <Input
+            placeholder="https://hooks.example.com/alerts"
+            value={webhookUrl}
+            onChange={(e) => setWebhookUrl(e.target.value)}
+          />
+          <p className="text-xs text-muted-foreground mt-1">
+            Receives a JSON POST for each alert sent to the webhook channel. SMS delivery needs a provider and is
+            recorded as skipped until one is set up.
+          </p>
+        </div>
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={loading} className="gradient-primary text-primary-foreground">
+            <Save className="h-4 w-4 mr-2" />
+            Save Routing
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
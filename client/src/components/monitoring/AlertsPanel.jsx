@@ -20,12 +20,49 @@ import {
   Activity,
   Globe,
   User,
-  Calendar
+  Calendar,
+  BellRing
 } from 'lucide-react';
+import { format, formatDistanceToNow } from 'date-fns';
 import axios from 'axios';
 import { API_URL } from '@/lib/api';
 import { useToast } from '@/hooks/use-toast';
 
+const levelLabels = {
+  manager: 'managers',
+  department_lead: 'department lead',
+  admins: 'admins'
+};
+
+const deliveryStyles = {
+  sent: 'bg-green-500/20 text-green-500',
+  failed: 'bg-red-500/20 text-red-500',
+  skipped: 'bg-gray-500/20 text-gray-500'
+};
+
+// Who has been told about an alert and whether it is still escalating
+const routingSummary = (alert) => {
+  const routing = alert.routing;
+  if (!routing?.status) return null;
+
+  switch (routing.status) {
+    case 'pending':
+      return 'Waiting to be routed';
+    case 'deferred':
+      return `Held for quiet hours until ${format(new Date(routing.deferred_until), 'p')}`;
+    case 'unrouted':
+      return routing.note || 'Not routed';
+    default: {
+      let summary = `Sent to ${levelLabels[routing.level] || routing.level}`;
+      if (routing.escalations > 0) summary += ` · escalated ${routing.escalations}×`;
+      if (routing.next_escalation_at && alert.status === 'active') {
+        summary += ` · escalates ${formatDistanceToNow(new Date(routing.next_escalation_at), { addSuffix: true })}`;
+      }
+      return summary;
+    }
+  }
+};
+
 export function AlertsPanel({ employee }) {
   const [alerts, setAlerts] = useState([]);
   const [selectedAlert, setSelectedAlert] = useState(null);
@@ -340,6 +377,12 @@ export function AlertsPanel({ employee }) {
                             {alert.age_minutes !== undefined && (
                               <span>{alert.age_minutes}m ago</span>
                             )}
+                            {routingSummary(alert) && (
+                              <div className="flex items-center gap-1">
+                                <BellRing className="h-3 w-3" />
+                                <span>{routingSummary(alert)}</span>
+                              </div>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -416,6 +459,32 @@ export function AlertsPanel({ employee }) {
                 </div>
               </div>
               
+              {routingSummary(selectedAlert) && (
+                <div>
+                  <p className="font-medium text-foreground mb-2">Notifications</p>
+                  <p className="text-sm text-muted-foreground">{routingSummary(selectedAlert)}</p>
+                  {selectedAlert.routing.note && selectedAlert.routing.status !== 'unrouted' && (
+                    <p className="text-sm text-muted-foreground">{selectedAlert.routing.note}</p>
+                  )}
+                  {selectedAlert.deliveries?.length > 0 && (
+                    <div className="mt-2 space-y-1">
+                      {selectedAlert.deliveries.map((delivery) => (
+                        <div key={delivery._id} className="flex items-center gap-2 text-sm">
+                          <Badge className={deliveryStyles[delivery.status]}>{delivery.status}</Badge>
+                          <span className="capitalize text-foreground">{delivery.channel}</span>
+                          <span className="text-muted-foreground">
+                            to {levelLabels[delivery.level] || delivery.level} ({delivery.recipients?.length || 0})
+                            {' · '}
+                            {format(new Date(delivery.at), 'PPp')}
+                          </span>
+                          {delivery.error && <span className="text-xs text-muted-foreground">— {delivery.error}</span>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {selectedAlert.data && Object.keys(selectedAlert.data).length > 0 && (
                 <div>
                   <p className="font-medium text-foreground mb-2">Additional Data</p>
@@ -0,0 +1,491 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import {
+  ListChecks,
+  Plus,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Save,
+  FlaskConical,
+  Upload,
+  History,
+  RotateCcw
+} from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import { API_URL } from '@/lib/api';
+import { useToast } from '@/hooks/use-toast';
+
+const ruleTypes = [
+  { value: 'domain', label: 'Domain', placeholder: 'facebook.com' },
+  { value: 'url_glob', label: 'URL pattern', placeholder: '*youtube.com/shorts*' },
+  { value: 'url_regex', label: 'URL regex', placeholder: '^https://.*\\.example\\.com/games' },
+  { value: 'title_keyword', label: 'Title keyword', placeholder: 'online casino' },
+  { value: 'application', label: 'Application', placeholder: 'Steam' }
+];
+
+const actionColors = {
+  allow: 'bg-green-500/10 text-green-500',
+  flag: 'bg-yellow-500/10 text-yellow-500',
+  alert: 'bg-red-500/10 text-red-500'
+};
+
+const newRule = () => ({
+  type: 'domain',
+  pattern: '',
+  action: 'alert',
+  severity: 'medium',
+  description: '',
+  enabled: true
+});
+
+const errorMessage = (error, fallback) => error.response?.data?.error || fallback;
+
+/**
+ * Edit the ordered rules of a monitoring policy. Changes are saved as a draft,
+ * which has to be tested against sample URLs before it can be published.
+ */
+export function PolicyRulesEditor() {
+  const [policies, setPolicies] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [rules, setRules] = useState([]);
+  const [defaultAction, setDefaultAction] = useState('allow');
+  const [dirty, setDirty] = useState(false);
+  const [samples, setSamples] = useState('');
+  const [results, setResults] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [newPolicyName, setNewPolicyName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { toast } = useToast();
+
+  const selected = policies.find((policy) => policy._id === selectedId);
+
+  const showError = (error, fallback) => {
+    toast({ title: 'Error', description: errorMessage(error, fallback), variant: 'destructive' });
+  };
+
+  const loadDraft = useCallback((policy) => {
+    setRules((policy?.draft?.rules || []).map((rule) => ({ ...rule })));
+    setDefaultAction(policy?.draft?.default_action || 'allow');
+    setDirty(false);
+    setResults(null);
+  }, []);
+
+  const replacePolicy = (policy) => {
+    setPolicies((current) => current.map((item) => (item._id === policy._id ? { ...item, ...policy } : item)));
+  };
+
+  const fetchVersions = useCallback(async (policyId) => {
+    try {
+      const response = await axios.get(`${API_URL}/monitoring/policies/${policyId}/versions`);
+      setVersions(response.data.versions || []);
+    } catch (error) {
+      console.error('Error fetching policy versions:', error);
+    }
+  }, []);
+
+  const selectPolicy = useCallback((policy) => {
+    setSelectedId(policy?._id || '');
+    setVersions([]);
+    loadDraft(policy);
+    if (policy) fetchVersions(policy._id);
+  }, [loadDraft, fetchVersions]);
+
+  const fetchPolicies = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/monitoring/policies`);
+      const list = response.data.policies || [];
+      setPolicies(list);
+      selectPolicy(list[0]);
+    } catch (error) {
+      console.error('Error fetching monitoring policies:', error);
+    }
+  }, [selectPolicy]);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const updateRules = (next) => {
+    setRules(next);
+    setDirty(true);
+    setResults(null);
+  };
+
+  const updateRule = (index, changes) => {
+    updateRules(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    const next = [...rules];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    updateRules(next);
+  };
+
+  const sampleList = () => samples.split('\n').map((line) => line.trim()).filter(Boolean);
+
+  const handleCreatePolicy = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/monitoring/policies`, { name: newPolicyName });
+      setPolicies((current) => [...current, response.data.policy]);
+      selectPolicy(response.data.policy);
+      setNewPolicyName('');
+    } catch (error) {
+      showError(error, 'Failed to create policy');
+    }
+  };
+
+  const handleSaveDraft = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.put(`${API_URL}/monitoring/policies/${selectedId}`, {
+        rules,
+        default_action: defaultAction
+      });
+      replacePolicy(response.data.policy);
+      setDirty(false);
+      toast({ title: 'Draft saved', description: 'Test it against sample URLs before publishing' });
+    } catch (error) {
+      showError(error, 'Failed to save draft');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Unsaved rules, e.g. a single rule, are tested without touching the draft
+  const handleTestRules = async (testRules, ruleIndex = null) => {
+    try {
+      const response = await axios.post(`${API_URL}/monitoring/policies/test`, {
+        rules: testRules,
+        default_action: defaultAction,
+        samples: sampleList()
+      });
+      setResults({ ruleIndex, items: response.data.results });
+    } catch (error) {
+      showError(error, 'Failed to test rules');
+    }
+  };
+
+  const handleTestDraft = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/monitoring/policies/${selectedId}/test`, {
+        samples: sampleList()
+      });
+      setResults({ ruleIndex: null, items: response.data.results });
+      replacePolicy({ _id: selectedId, draft: { ...selected.draft, tested_at: response.data.tested_at } });
+    } catch (error) {
+      showError(error, 'Failed to test draft');
+    }
+  };
+
+  const handlePublish = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.post(`${API_URL}/monitoring/policies/${selectedId}/publish`, { notes });
+      replacePolicy(response.data.policy);
+      setNotes('');
+      fetchVersions(selectedId);
+      toast({ title: 'Policy published', description: response.data.message });
+    } catch (error) {
+      showError(error, 'Failed to publish policy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!confirm(`Load version ${version} into the draft? Unsaved changes are lost.`)) return;
+
+    try {
+      const response = await axios.post(`${API_URL}/monitoring/policies/${selectedId}/versions/${version}/restore`);
+      replacePolicy(response.data.policy);
+      loadDraft(response.data.policy);
+    } catch (error) {
+      showError(error, 'Failed to restore version');
+    }
+  };
+
+  const canPublish = selected && !dirty && selected.draft?.tested_at;
+
+  return (
+    <Card className="neo-card border-border/50">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ListChecks className="h-5 w-5 text-primary" />
+          Monitoring Policy Rules
+          {selected && (
+            <Badge variant="outline" className="ml-auto">
+              {selected.published?.version ? `Published v${selected.published.version}` : 'Not published'}
+            </Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <p className="text-sm text-muted-foreground">
+          Rules are checked from top to bottom and the first match decides whether activity is allowed, flagged for
+          review or raises an alert. Whitelisted sites are always allowed.
+        </p>
+
+        {/* Policy selection */}
+        <div className="flex flex-wrap items-center gap-4">
+          <Select
+            value={selectedId}
+            onValueChange={(id) => selectPolicy(policies.find((policy) => policy._id === id))}
+          >
+            <SelectTrigger className="w-56">
+              <SelectValue placeholder="Select policy" />
+            </SelectTrigger>
+            <SelectContent>
+              {policies.map((policy) => (
+                <SelectItem key={policy._id} value={policy._id}>
+                  {policy.name}
+                  {policy.departments?.length > 0 && ` (${policy.departments.map((d) => d.name).join(', ')})`}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <div className="flex items-center gap-2">
+            <Input
+              placeholder="New policy name"
+              value={newPolicyName}
+              onChange={(e) => setNewPolicyName(e.target.value)}
+              className="w-48"
+            />
+            <Button variant="outline" size="sm" onClick={handleCreatePolicy} disabled={!newPolicyName.trim()}>
+              <Plus className="h-4 w-4 mr-2" />
+              Create
+            </Button>
+          </div>
+        </div>
+
+        {selected && (
+          <>
+            {/* Ordered rules */}
+            <div className="space-y-3">
+              {rules.map((rule, index) => (
+                <div key={index} className="p-3 border rounded-lg space-y-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-xs text-muted-foreground w-6">{index + 1}.</span>
+                    <Select value={rule.type} onValueChange={(value) => updateRule(index, { type: value })}>
+                      <SelectTrigger className="w-36">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {ruleTypes.map((type) => (
+                          <SelectItem key={type.value} value={type.value}>
+                            {type.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      placeholder={ruleTypes.find((type) => type.value === rule.type)?.placeholder}
+                      value={rule.pattern}
+                      onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                      className="flex-1 min-w-48"
+                    />
+                    <Select value={rule.action} onValueChange={(value) => updateRule(index, { action: value })}>
+                      <SelectTrigger className="w-24">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="allow">Allow</SelectItem>
+                        <SelectItem value="flag">Flag</SelectItem>
+                        <SelectItem value="alert">Alert</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <Select value={rule.severity} onValueChange={(value) => updateRule(index, { severity: value })}>
+                      <SelectTrigger className="w-28">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="low">Low</SelectItem>
+                        <SelectItem value="medium">Medium</SelectItem>
+                        <SelectItem value="high">High</SelectItem>
+                        <SelectItem value="critical">Critical</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 pl-8">
+                    <Input
+                      placeholder="Description, e.g. Social media"
+                      value={rule.description || ''}
+                      onChange={(e) => updateRule(index, { description: e.target.value })}
+                      className="flex-1 min-w-48"
+                    />
+                    <Switch
+                      checked={rule.enabled !== false}
+                      onCheckedChange={(checked) => updateRule(index, { enabled: checked })}
+                    />
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleTestRules([rule], index)}
+                      disabled={!rule.pattern.trim() || sampleList().length === 0}
+                    >
+                      <FlaskConical className="h-4 w-4 mr-1" />
+                      Test this rule
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => moveRule(index, -1)} disabled={index === 0}>
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => moveRule(index, 1)}
+                      disabled={index === rules.length - 1}
+                    >
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => updateRules(rules.filter((_, i) => i !== index))}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              ))}
+
+              <div className="flex flex-wrap items-center gap-4">
+                <Button variant="outline" size="sm" onClick={() => updateRules([...rules, newRule()])}>
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Rule
+                </Button>
+                <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                  When nothing matches
+                  <Select
+                    value={defaultAction}
+                    onValueChange={(value) => {
+                      setDefaultAction(value);
+                      setDirty(true);
+                    }}
+                  >
+                    <SelectTrigger className="w-24">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="allow">Allow</SelectItem>
+                      <SelectItem value="flag">Flag</SelectItem>
+                      <SelectItem value="alert">Alert</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <Button
+                  size="sm"
+                  className="gradient-primary text-primary-foreground ml-auto"
+                  onClick={handleSaveDraft}
+                  disabled={!dirty || loading}
+                >
+                  <Save className="h-4 w-4 mr-2" />
+                  Save Draft
+                </Button>
+              </div>
+            </div>
+
+            {/* Sample URLs */}
+            <div className="space-y-3 p-4 border rounded-lg">
+              <h4 className="font-medium text-foreground flex items-center gap-2">
+                <FlaskConical className="h-4 w-4" />
+                Test Against Sample URLs
+              </h4>
+              <Textarea
+                placeholder={'One URL per line\nhttps://github.com/org/repo\nhttps://www.facebook.com/'}
+                value={samples}
+                onChange={(e) => setSamples(e.target.value)}
+                rows={4}
+              />
+              <div className="flex items-center gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleTestDraft}
+                  disabled={dirty || sampleList().length === 0}
+                >
+                  Test Saved Draft
+                </Button>
+                {dirty && <span className="text-xs text-muted-foreground">Save the draft to test it</span>}
+                {!dirty && selected.draft?.tested_at && (
+                  <span className="text-xs text-muted-foreground">
+                    Tested {formatDistanceToNow(new Date(selected.draft.tested_at), { addSuffix: true })}
+                  </span>
+                )}
+              </div>
+
+              {results && (
+                <div className="space-y-1">
+                  {results.ruleIndex !== null && (
+                    <p className="text-xs text-muted-foreground">Results for rule {results.ruleIndex + 1} only</p>
+                  )}
+                  {results.items.map((result, i) => (
+                    <div key={i} className="flex items-center gap-2 text-sm">
+                      <Badge className={actionColors[result.action]}>{result.action}</Badge>
+                      <span className="truncate flex-1">{result.sample.url || result.sample.title}</span>
+                      <span className="text-xs text-muted-foreground">
+                        {result.rule
+                          ? `${result.rule.description || result.rule.pattern} (${result.severity})`
+                          : 'No rule matched'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Publishing */}
+            <div className="flex flex-wrap items-center gap-2">
+              <Input
+                placeholder="What changed in this version?"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                className="flex-1 min-w-48"
+              />
+              <Button
+                className="gradient-primary text-primary-foreground"
+                onClick={handlePublish}
+                disabled={!canPublish || loading}
+              >
+                <Upload className="h-4 w-4 mr-2" />
+                Publish
+              </Button>
+            </div>
+
+            {/* Version history */}
+            {versions.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="font-medium text-foreground flex items-center gap-2">
+                  <History className="h-4 w-4" />
+                  Versions
+                </h4>
+                {versions.map((version) => (
+                  <div key={version.version} className="flex items-center gap-3 text-sm p-2 border rounded-lg">
+                    <Badge variant="outline">v{version.version}</Badge>
+                    <span className="flex-1 text-muted-foreground truncate">
+                      {version.notes || `${version.rules.length} rules`}
+                    </span>
+                    <span className="text-xs text-muted-foreground">
+                      {version.published_by?.name || 'System'},{' '}
+                      {formatDistanceToNow(new Date(version.published_at), { addSuffix: true })}
+                    </span>
+                    <Button variant="ghost" size="sm" onClick={() => handleRestore(version.version)}>
+                      <RotateCcw className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Globe, Send } from 'lucide-react';
+import { format } from 'date-fns';
+import axios from 'axios';
+import { API_URL } from '@/lib/api';
+import { useToast } from '@/hooks/use-toast';
+
+const statusStyles = {
+  pending: 'bg-yellow-500/10 text-yellow-500',
+  approved: 'bg-green-500/10 text-green-500',
+  rejected: 'bg-red-500/10 text-red-500'
+};
+
+/**
+ * Lets an employee ask for a website to be whitelisted and follow their
+ * requests. Managers review them from the whitelist screen.
+ */
+export function SiteAccessRequests() {
+  const [requests, setRequests] = useState([]);
+  const [domain, setDomain] = useState('');
+  const [justification, setJustification] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { toast } = useToast();
+
+  const fetchRequests = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/monitoring/whitelist/requests/mine`);
+      setRequests(response.data.requests || []);
+    } catch (error) {
+      console.error('Error fetching access requests:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await axios.post(`${API_URL}/monitoring/whitelist/requests`, { domain, justification });
+      toast({ title: 'Request sent', description: response.data.message });
+      setDomain('');
+      setJustification('');
+      fetchRequests();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to request access',
+        variant: 'destructive'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isExpired = (request) => request.expires_at && new Date(request.expires_at) < new Date();
+
+  return (
+    <Card className="neo-card border-border/50">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Globe className="h-5 w-5 text-primary" />
+          Request Access to a Site
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <Input
+            placeholder="example.com"
+            value={domain}
+            onChange={(e) => setDomain(e.target.value)}
+            required
+          />
+          <Textarea
+            placeholder="Why do you need this site for your work?"
+            value={justification}
+            onChange={(e) => setJustification(e.target.value)}
+            required
+            rows={2}
+          />
+          <Button type="submit" size="sm" disabled={loading} className="gradient-primary text-primary-foreground">
+            <Send className="h-4 w-4 mr-2" />
+            Request Access
+          </Button>
+        </form>
+
+        {requests.length > 0 && (
+          <div className="space-y-2">
+            {requests.map((request) => (
+              <div key={request._id} className="flex items-start justify-between gap-3 p-3 border rounded-lg">
+                <div className="min-w-0">
+                  <p className="font-medium text-foreground truncate">{request.domain}</p>
+                  {request.approval_status === 'rejected' && request.rejection_reason && (
+                    <p className="text-xs text-muted-foreground">{request.rejection_reason}</p>
+                  )}
+                  {request.approval_status === 'approved' && request.expires_at && (
+                    <p className="text-xs text-muted-foreground">
+                      {isExpired(request) ? 'Expired' : 'Until'} {format(new Date(request.expires_at), 'PPp')}
+                    </p>
+                  )}
+                </div>
+                <Badge className={statusStyles[request.approval_status]}>
+                  {isExpired(request) ? 'expired' : request.approval_status}
+                </Badge>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -7,6 +7,7 @@ import { Textarea } from '@/components/ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
 import {
   Shield,
   Plus,
@@ -17,14 +18,53 @@ import {
   XCircle,
   Edit,
   Trash2,
-  Download,
-  Upload,
   Brain,
   Clock
 } from 'lucide-react';
 import axios from 'axios';
 import { API_URL } from '@/lib/api';
 import { useToast } from '@/hooks/use-toast';
+import { useAuth } from '../../context/auth-context';
+import { PolicyRulesEditor } from './PolicyRulesEditor';
+import { AccessRequestQueue } from './AccessRequestQueue';
+import { WhitelistTransfer } from './WhitelistTransfer';
+
+const roles = [
+  { value: 'admin', label: 'Admins' },
+  { value: 'manager', label: 'Managers' },
+  { value: 'employee', label: 'Employees' }
+];
+
+const emptyForm = () => ({
+  domain: '',
+  applicationName: '',
+  applicationExecutable: '',
+  category: 'work_related',
+  description: '',
+  trustLevel: 'high',
+  intelligentMonitoring: {
+    enabled: true,
+    screenshotOnViolation: false,
+    maxScreenshotsPerSession: 0,
+    aiAnalysisEnabled: false
+  },
+  timeRestrictions: {
+    allowedHours: { start: '', end: '' },
+    allowedDays: [],
+    timezone: 'UTC'
+  },
+  usageLimits: {
+    maxDailyMinutes: '',
+    maxSessionMinutes: '',
+    warningThresholdMinutes: ''
+  },
+  departmentRestrictions: [],
+  roleRestrictions: [],
+  allowedPaths: '',
+  blockedPaths: ''
+});
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
 
 export function WhitelistManager() {
   const [whitelist, setWhitelist] = useState([]);
@@ -35,32 +75,14 @@ export function WhitelistManager() {
   const [showAddDialog, setShowAddDialog] = useState(false);
   const [editingEntry, setEditingEntry] = useState(null);
   const { toast } = useToast();
+  const { user } = useAuth();
+  // Entries apply company-wide, so only admins edit them
+  const isAdmin = user?.role === 'Admin';
+
+  const [departments, setDepartments] = useState([]);
 
   // Form state for adding/editing entries
-  const [formData, setFormData] = useState({
-    domain: '',
-    applicationName: '',
-    applicationExecutable: '',
-    category: 'work_related',
-    description: '',
-    trustLevel: 'high',
-    intelligentMonitoring: {
-      enabled: true,
-      screenshotOnViolation: false,
-      maxScreenshotsPerSession: 0,
-      aiAnalysisEnabled: false
-    },
-    timeRestrictions: {
-      allowedHours: { start: '', end: '' },
-      allowedDays: [],
-      timezone: 'UTC'
-    },
-    usageLimits: {
-      maxDailyMinutes: '',
-      maxSessionMinutes: '',
-      warningThresholdMinutes: ''
-    }
-  });
+  const [formData, setFormData] = useState(emptyForm);
 
   const categories = [
     { value: 'work_related', label: 'Work Related' },
@@ -85,6 +107,12 @@ export function WhitelistManager() {
     fetchWhitelist();
   }, [statusFilter, categoryFilter]);
 
+  useEffect(() => {
+    axios.get(`${API_URL}/departments`)
+      .then((response) => setDepartments(response.data || []))
+      .catch((error) => console.error('Error fetching departments:', error));
+  }, []);
+
   const fetchWhitelist = async () => {
     setLoading(true);
     try {
@@ -121,8 +149,12 @@ export function WhitelistManager() {
         description: formData.description,
         trustLevel: formData.trustLevel,
         intelligentMonitoring: formData.intelligentMonitoring,
-        timeRestrictions: formData.timeRestrictions.allowedHours.start ? formData.timeRestrictions : undefined,
-        usageLimits: formData.usageLimits.maxDailyMinutes ? formData.usageLimits : undefined
+        timeRestrictions: formData.timeRestrictions,
+        usageLimits: formData.usageLimits,
+        departmentRestrictions: formData.departmentRestrictions,
+        roleRestrictions: formData.roleRestrictions,
+        allowedPaths: formData.allowedPaths.split('\n'),
+        blockedPaths: formData.blockedPaths.split('\n')
       };
 
       if (editingEntry) {
@@ -162,57 +194,41 @@ export function WhitelistManager() {
   };
 
   const resetForm = () => {
-    setFormData({
-      domain: '',
-      applicationName: '',
-      applicationExecutable: '',
-      category: 'work_related',
-      description: '',
-      trustLevel: 'high',
-      intelligentMonitoring: {
-        enabled: true,
-        screenshotOnViolation: false,
-        maxScreenshotsPerSession: 0,
-        aiAnalysisEnabled: false
-      },
-      timeRestrictions: {
-        allowedHours: { start: '', end: '' },
-        allowedDays: [],
-        timezone: 'UTC'
-      },
-      usageLimits: {
-        maxDailyMinutes: '',
-        maxSessionMinutes: '',
-        warningThresholdMinutes: ''
-      }
-    });
+    setFormData(emptyForm());
   };
 
   const handleEdit = (entry) => {
+    const defaults = emptyForm();
+    const time = entry.time_restrictions || {};
+    const limits = entry.usage_limits || {};
     setEditingEntry(entry);
     setFormData({
+      ...defaults,
       domain: entry.domain,
       applicationName: entry.application_name || '',
       applicationExecutable: entry.application_executable || '',
       category: entry.category,
       description: entry.description,
       trustLevel: entry.trust_level || 'high',
-      intelligentMonitoring: entry.intelligent_monitoring || {
-        enabled: true,
-        screenshotOnViolation: false,
-        maxScreenshotsPerSession: 0,
-        aiAnalysisEnabled: false
+      intelligentMonitoring: {
+        ...defaults.intelligentMonitoring,
+        screenshotOnViolation: entry.intelligent_monitoring?.screenshot_on_violation ?? false,
+        aiAnalysisEnabled: entry.intelligent_monitoring?.ai_analysis_enabled ?? false
       },
-      timeRestrictions: entry.time_restrictions || {
-        allowedHours: { start: '', end: '' },
-        allowedDays: [],
-        timezone: 'UTC'
+      timeRestrictions: {
+        allowedHours: { start: time.allowed_hours?.start || '', end: time.allowed_hours?.end || '' },
+        allowedDays: time.allowed_days || [],
+        timezone: time.timezone || 'UTC'
       },
-      usageLimits: entry.usage_limits || {
-        maxDailyMinutes: '',
-        maxSessionMinutes: '',
-        warningThresholdMinutes: ''
-      }
+      usageLimits: {
+        maxDailyMinutes: limits.max_daily_minutes || '',
+        maxSessionMinutes: limits.max_session_minutes || '',
+        warningThresholdMinutes: limits.warning_threshold_minutes || ''
+      },
+      departmentRestrictions: (entry.department_restrictions || []).map((department) => department._id || department),
+      roleRestrictions: entry.role_restrictions || [],
+      allowedPaths: (entry.allowed_paths || []).map((item) => item.path).join('\n'),
+      blockedPaths: (entry.blocked_paths || []).map((item) => item.path).join('\n')
     });
     setShowAddDialog(true);
   };
@@ -257,6 +273,9 @@ export function WhitelistManager() {
 
   return (
     <div className="space-y-6">
+      {/* Employees' requests to whitelist a site */}
+      <AccessRequestQueue onReviewed={fetchWhitelist} />
+
       {/* Header and Controls */}
       <Card className="neo-card border-primary/20">
         <CardHeader>
@@ -304,12 +323,14 @@ export function WhitelistManager() {
             </Select>
 
             <Dialog open={showAddDialog} onOpenChange={setShowAddDialog}>
-              <DialogTrigger asChild>
-                <Button className="gradient-primary text-primary-foreground" onClick={resetForm}>
-                  <Plus className="h-4 w-4 mr-2" />
-                  Add Entry
-                </Button>
-              </DialogTrigger>
+              {isAdmin && (
+                <DialogTrigger asChild>
+                  <Button className="gradient-primary text-primary-foreground" onClick={resetForm}>
+                    <Plus className="h-4 w-4 mr-2" />
+                    Add Entry
+                  </Button>
+                </DialogTrigger>
+              )}
               <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
                 <DialogHeader>
                   <DialogTitle>
@@ -393,6 +414,159 @@ export function WhitelistManager() {
                     />
                   </div>
 
+                  {/* Access Restrictions */}
+                  <div className="space-y-3 p-4 border rounded-lg">
+                    <h4 className="font-medium text-foreground flex items-center gap-2">
+                      <Clock className="h-4 w-4" />
+                      Access Restrictions
+                    </h4>
+                    <p className="text-xs text-muted-foreground">
+                      Outside these limits the site is treated as not whitelisted and the monitoring policy decides.
+                    </p>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div>
+                        <label className="text-sm text-foreground mb-2 block">Allowed from</label>
+                        <Input
+                          type="time"
+                          value={formData.timeRestrictions.allowedHours.start}
+                          onChange={(e) => setFormData({
+                            ...formData,
+                            timeRestrictions: {
+                              ...formData.timeRestrictions,
+                              allowedHours: { ...formData.timeRestrictions.allowedHours, start: e.target.value }
+                            }
+                          })}
+                        />
+                      </div>
+                      <div>
+                        <label className="text-sm text-foreground mb-2 block">Allowed until</label>
+                        <Input
+                          type="time"
+                          value={formData.timeRestrictions.allowedHours.end}
+                          onChange={(e) => setFormData({
+                            ...formData,
+                            timeRestrictions: {
+                              ...formData.timeRestrictions,
+                              allowedHours: { ...formData.timeRestrictions.allowedHours, end: e.target.value }
+                            }
+                          })}
+                        />
+                      </div>
+                      <div>
+                        <label className="text-sm text-foreground mb-2 block">Timezone</label>
+                        <Input
+                          placeholder="Europe/Berlin"
+                          value={formData.timeRestrictions.timezone}
+                          onChange={(e) => setFormData({
+                            ...formData,
+                            timeRestrictions: { ...formData.timeRestrictions, timezone: e.target.value }
+                          })}
+                        />
+                      </div>
+                    </div>
+
+                    <div className="flex flex-wrap gap-2">
+                      {daysOfWeek.map(day => (
+                        <Button
+                          key={day}
+                          type="button"
+                          size="sm"
+                          variant={formData.timeRestrictions.allowedDays.includes(day) ? 'default' : 'outline'}
+                          onClick={() => setFormData({
+                            ...formData,
+                            timeRestrictions: {
+                              ...formData.timeRestrictions,
+                              allowedDays: toggle(formData.timeRestrictions.allowedDays, day)
+                            }
+                          })}
+                        >
+                          {day.slice(0, 3)}
+                        </Button>
+                      ))}
+                      <span className="text-xs text-muted-foreground self-center">No days selected means every day</span>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      {[
+                        { key: 'maxDailyMinutes', label: 'Minutes per day' },
+                        { key: 'warningThresholdMinutes', label: 'Warn after (minutes)' },
+                        { key: 'maxSessionMinutes', label: 'Minutes per visit' }
+                      ].map(({ key, label }) => (
+                        <div key={key}>
+                          <label className="text-sm text-foreground mb-2 block">{label}</label>
+                          <Input
+                            type="number"
+                            min="1"
+                            placeholder="No limit"
+                            value={formData.usageLimits[key]}
+                            onChange={(e) => setFormData({
+                              ...formData,
+                              usageLimits: { ...formData.usageLimits, [key]: e.target.value }
+                            })}
+                          />
+                        </div>
+                      ))}
+                    </div>
+
+                    <div>
+                      <label className="text-sm text-foreground mb-2 block">Only for departments</label>
+                      <div className="flex flex-wrap gap-3">
+                        {departments.map(department => (
+                          <label key={department._id} className="flex items-center gap-2 text-sm text-foreground">
+                            <Checkbox
+                              checked={formData.departmentRestrictions.includes(department._id)}
+                              onCheckedChange={() => setFormData({
+                                ...formData,
+                                departmentRestrictions: toggle(formData.departmentRestrictions, department._id)
+                              })}
+                            />
+                            {department.name}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="text-sm text-foreground mb-2 block">Only for roles</label>
+                      <div className="flex flex-wrap gap-3">
+                        {roles.map(role => (
+                          <label key={role.value} className="flex items-center gap-2 text-sm text-foreground">
+                            <Checkbox
+                              checked={formData.roleRestrictions.includes(role.value)}
+                              onCheckedChange={() => setFormData({
+                                ...formData,
+                                roleRestrictions: toggle(formData.roleRestrictions, role.value)
+                              })}
+                            />
+                            {role.label}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="text-sm text-foreground mb-2 block">Allowed paths only</label>
+                        <Textarea
+                          placeholder={'/docs\n/api'}
+                          value={formData.allowedPaths}
+                          onChange={(e) => setFormData({...formData, allowedPaths: e.target.value})}
+                          rows={2}
+                        />
+                      </div>
+                      <div>
+                        <label className="text-sm text-foreground mb-2 block">Blocked paths</label>
+                        <Textarea
+                          placeholder={'/shorts\n/games'}
+                          value={formData.blockedPaths}
+                          onChange={(e) => setFormData({...formData, blockedPaths: e.target.value})}
+                          rows={2}
+                        />
+                      </div>
+                    </div>
+                  </div>
+
                   {/* Intelligent Monitoring Settings */}
                   <div className="space-y-3 p-4 border rounded-lg">
                     <h4 className="font-medium text-foreground flex items-center gap-2">
@@ -444,17 +618,8 @@ export function WhitelistManager() {
             </Dialog>
           </div>
 
-          {/* Quick Actions */}
-          <div className="flex gap-2">
-            <Button variant="outline" size="sm">
-              <Upload className="h-4 w-4 mr-2" />
-              Import CSV
-            </Button>
-            <Button variant="outline" size="sm">
-              <Download className="h-4 w-4 mr-2" />
-              Export CSV
-            </Button>
-          </div>
+          {/* Copy the whitelist and policies between environments */}
+          <WhitelistTransfer onImported={fetchWhitelist} />
         </CardContent>
       </Card>
 
@@ -505,6 +670,31 @@ export function WhitelistManager() {
                         </div>
                       )}
                       
+                      {(entry.time_restrictions?.allowed_hours?.start || entry.time_restrictions?.allowed_hours?.end ||
+                        entry.usage_limits?.max_daily_minutes || entry.department_restrictions?.length > 0 ||
+                        entry.role_restrictions?.length > 0) && (
+                        <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground mb-2">
+                          {(entry.time_restrictions?.allowed_hours?.start || entry.time_restrictions?.allowed_hours?.end) && (
+                            <span className="flex items-center gap-1">
+                              <Clock className="h-3 w-3" />
+                              {entry.time_restrictions.allowed_hours.start || '00:00'}–{entry.time_restrictions.allowed_hours.end || '24:00'}{' '}
+                              {entry.time_restrictions.timezone}
+                            </span>
+                          )}
+                          {entry.usage_limits?.max_daily_minutes && (
+                            <span>{entry.usage_limits.max_daily_minutes} min/day</span>
+                          )}
+                          {entry.department_restrictions?.length > 0 && (
+                            <span>
+                              {entry.department_restrictions.length} department(s) only
+                            </span>
+                          )}
+                          {entry.role_restrictions?.length > 0 && (
+                            <span>{entry.role_restrictions.join(', ')} only</span>
+                          )}
+                        </div>
+                      )}
+
                       {entry.usage_stats && (
                         <div className="flex items-center gap-4 text-xs text-muted-foreground mt-2">
                           <span>Visits: {entry.usage_stats.total_visits}</span>
@@ -515,14 +705,16 @@ export function WhitelistManager() {
                       )}
                     </div>
                     
-                    <div className="flex items-center gap-2">
-                      <Button variant="ghost" size="sm" onClick={() => handleEdit(entry)}>
-                        <Edit className="h-4 w-4" />
-                      </Button>
-                      <Button variant="ghost" size="sm" onClick={() => handleDelete(entry._id)}>
-                        <Trash2 className="h-4 w-4" />
-                      </Button>
-                    </div>
+                    {isAdmin && (
+                      <div className="flex items-center gap-2">
+                        <Button variant="ghost" size="sm" onClick={() => handleEdit(entry)}>
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(entry._id)}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
@@ -538,6 +730,9 @@ export function WhitelistManager() {
           )}
         </CardContent>
       </Card>
+
+      {/* Rules for everything that is not whitelisted */}
+      <PolicyRulesEditor />
     </div>
   );
 }
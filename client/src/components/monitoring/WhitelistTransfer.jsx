@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Download, Upload, FileJson } from 'lucide-react';
+import { format } from 'date-fns';
+import axios from 'axios';
+import { API_URL } from '@/lib/api';
+import { useToast } from '@/hooks/use-toast';
+
+const sections = [
+  { key: 'whitelist', label: 'Whitelist entries', itemKey: 'domain' },
+  { key: 'policies', label: 'Monitoring policies', itemKey: 'name' }
+];
+
+// Short text for a changed value: paths, lists and limits
+const describe = (value) => {
+  if (value === undefined) return 'none';
+  if (Array.isArray(value)) {
+    return value.length === 0 ? 'none' : value.map((item) => item.path || item.pattern || describe(item)).join(', ');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key.replace(/_/g, ' ')}: ${describe(item)}`).join('; ');
+  }
+  return String(value);
+};
+
+/**
+ * Export the whitelist (CSV) or the whitelist and monitoring policies (JSON),
+ * and import such a file from another environment. Imports are previewed as
+ * a dry run listing what would be added, changed or skipped before they are
+ * applied.
+ */
+export function WhitelistTransfer({ onImported }) {
+  const [open, setOpen] = useState(false);
+  const [file, setFile] = useState(null); // { name, format, content }
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const { toast } = useToast();
+
+  const handleExport = async (fileFormat) => {
+    try {
+      const response = await axios.get(`${API_URL}/monitoring/whitelist/export`, {
+        params: { format: fileFormat },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${fileFormat === 'csv' ? 'whitelist' : 'monitoring-policy'}-${format(new Date(), 'yyyy-MM-dd')}.${fileFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting whitelist:', error);
+      toast({ title: 'Error', description: 'Failed to export the whitelist', variant: 'destructive' });
+    }
+  };
+
+  const runImport = async (dryRun, selected = file) => {
+    setLoading(true);
+    try {
+      const response = await axios.post(`${API_URL}/monitoring/whitelist/import`, selected.content, {
+        params: { format: selected.format, dryRun },
+        headers: { 'Content-Type': selected.format === 'csv' ? 'text/csv' : 'text/plain' }
+      });
+      if (dryRun) {
+        setPreview(response.data);
+        return;
+      }
+
+      const { whitelist, policies } = response.data;
+      toast({
+        title: 'Import complete',
+        description: `${whitelist.added.length} entries added, ${whitelist.changed.length} updated` +
+          (policies.added.length + policies.changed.length > 0
+            ? `; ${policies.added.length + policies.changed.length} policy drafts saved, test and publish them to enforce`
+            : '')
+      });
+      setOpen(false);
+      onImported?.();
+    } catch (error) {
+      setPreview(null);
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to import the file',
+        variant: 'destructive'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+    const content = await selected.text();
+    const next = { name: selected.name, format: /\.json$/i.test(selected.name) ? 'json' : 'csv', content };
+    setFile(next);
+    setPreview(null);
+    runImport(true, next);
+  };
+
+  const openImport = () => {
+    setFile(null);
+    setPreview(null);
+    setOpen(true);
+  };
+
+  const pending = preview
+    ? sections.reduce((total, { key }) => total + preview[key].added.length + preview[key].changed.length, 0)
+    : 0;
+
+  return (
+    <div className="flex gap-2">
+      <Button variant="outline" size="sm" onClick={openImport}>
+        <Upload className="h-4 w-4 mr-2" />
+        Import
+      </Button>
+      <Button variant="outline" size="sm" onClick={() => handleExport('csv')}>
+        <Download className="h-4 w-4 mr-2" />
+        Export CSV
+      </Button>
+      <Button variant="outline" size="sm" onClick={() => handleExport('json')}>
+        <FileJson className="h-4 w-4 mr-2" />
+        Export JSON
+      </Button>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-2xl max-h-[80vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Import Whitelist and Policies</DialogTitle>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div>
+              <Input type="file" accept=".csv,.json" onChange={handleFile} />
+              <p className="text-xs text-muted-foreground mt-1">
+                CSV files hold whitelist entries, one per row. JSON exports also hold monitoring policies, which
+                are imported as drafts. Entries are matched by domain and policies by name.
+              </p>
+            </div>
+
+            {loading && !preview && <p className="text-sm text-muted-foreground">Checking {file?.name}...</p>}
+
+            {preview && sections.map(({ key, label, itemKey }) => {
+              const report = preview[key];
+              const total = report.added.length + report.changed.length + report.unchanged +
+                report.conflicts.length + report.errors.length;
+              if (total === 0) return null;
+
+              return (
+                <div key={key} className="space-y-2">
+                  <h4 className="font-semibold text-foreground">{label}</h4>
+                  <div className="flex flex-wrap gap-2">
+                    <Badge className="bg-green-500/10 text-green-500">{report.added.length} new</Badge>
+                    <Badge className="bg-blue-500/10 text-blue-500">{report.changed.length} changed</Badge>
+                    <Badge variant="outline">{report.unchanged} unchanged</Badge>
+                    <Badge className="bg-yellow-500/10 text-yellow-500">{report.conflicts.length} conflicts</Badge>
+                    <Badge className="bg-red-500/10 text-red-500">{report.errors.length} invalid</Badge>
+                  </div>
+
+                  <div className="space-y-1 text-sm">
+                    {report.added.map((item) => (
+                      <p key={`added-${item.row}`} className="text-foreground">
+                        <span className="text-green-500">+</span> {item[itemKey]}
+                      </p>
+                    ))}
+                    {report.changed.map((item) => (
+                      <div key={`changed-${item.row}`}>
+                        <p className="text-foreground">
+                          <span className="text-blue-500">~</span> {item[itemKey]}
+                        </p>
+                        {item.changes.map((change) => (
+                          <p key={change.field} className="text-xs text-muted-foreground ml-4">
+                            {change.field.replace(/_/g, ' ')}: {describe(change.from)} → {describe(change.to)}
+                          </p>
+                        ))}
+                      </div>
+                    ))}
+                    {report.conflicts.map((item) => (
+                      <p key={`conflict-${item.row}`} className="text-yellow-500">
+                        ! {item[itemKey]} (row {item.row}): {item.reason}
+                      </p>
+                    ))}
+                    {report.errors.map((item) => (
+                      <p key={`error-${item.row}`} className="text-red-500">
+                        × Row {item.row}{item[itemKey] ? ` (${item[itemKey]})` : ''}: {item.error}
+                      </p>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+
+            {preview && (
+              <p className="text-xs text-muted-foreground">
+                Conflicts and invalid rows are skipped.
+              </p>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Button variant="outline" onClick={() => setOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => runImport(false)}
+              disabled={loading || pending === 0}
+              className="gradient-primary text-primary-foreground"
+            >
+              Apply {pending > 0 ? `${pending} changes` : 'import'}
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+"use client"
+
+import { formatDistanceToNow } from "date-fns"
+import { KeyRound, Loader2, Trash2 } from "lucide-react"
+import { Button } from "../ui/button"
+import { Badge } from "../ui/badge"
+
+const isExpired = (token) => new Date(token.expiresAt) <= new Date()
+
+// API tokens with their scopes, expiry and last use, each with a revoke button
+export function ApiTokenList({ tokens, revokingId, onRevoke, emptyMessage = "No API tokens yet." }) {
+  if (tokens.length === 0) {
+    return <p className="text-sm text-muted-foreground">{emptyMessage}</p>
+  }
+
+  return (
+    <div className="space-y-3">
+      {tokens.map((token) => (
+        <div key={token._id} className="flex items-center gap-3 rounded-md border p-3">
+          <KeyRound className="h-5 w-5 shrink-0 text-muted-foreground" />
+          <div className="min-w-0 flex-1">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="truncate text-sm font-medium">{token.name}</span>
+              <span className="font-mono text-xs text-muted-foreground">{token.prefix}…</span>
+              {isExpired(token) && <Badge variant="destructive">Expired</Badge>}
+            </div>
+            <div className="mt-1 flex flex-wrap gap-1">
+              {token.scopes.map((scope) => (
+                <Badge key={scope} variant="outline" className="font-mono text-[10px]">
+                  {scope}
+                </Badge>
+              ))}
+            </div>
+            <p className="mt-1 truncate text-xs text-muted-foreground">
+              {token.lastUsedAt
+                ? `Last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}${
+                    token.lastUsedIp ? ` from ${token.lastUsedIp}` : ""
+                  }`
+                : "Never used"}{" "}
+              · {isExpired(token) ? "Expired" : "Expires"}{" "}
+              {formatDistanceToNow(new Date(token.expiresAt), { addSuffix: true })}
+            </p>
+          </div>
+          <Button variant="ghost" size="sm" disabled={revokingId !== null} onClick={() => onRevoke(token)}>
+            {revokingId === token._id ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <Trash2 className="mr-2 h-4 w-4" />
+            )}
+            Revoke
+          </Button>
+        </div>
+      ))}
+    </div>
+  )
+}
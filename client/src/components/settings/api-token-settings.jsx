@@ -0,0 +1,88 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2, Plus } from "lucide-react"
+import { Button } from "../ui/button"
+import { ApiTokenList } from "./api-token-list"
+import { CreateApiTokenDialog } from "./create-api-token-dialog"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+// Personal access tokens for scripts and CI, which act as the user within the
+// scopes they were given
+export function ApiTokenSettings() {
+  const { toast } = useToast()
+  const [tokens, setTokens] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [revokingId, setRevokingId] = useState(null)
+  const [isCreateOpen, setIsCreateOpen] = useState(false)
+
+  useEffect(() => {
+    const fetchTokens = async () => {
+      try {
+        setTokens(await api.apiTokens.getTokens())
+      } catch (error) {
+        console.error("Error fetching API tokens:", error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchTokens()
+  }, [])
+
+  const handleCreate = async (fields) => {
+    const created = await api.apiTokens.createToken(fields)
+    setTokens((prev) => [created.apiToken, ...prev])
+    return created
+  }
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) return
+    try {
+      setRevokingId(token._id)
+      await api.apiTokens.revokeToken(token._id)
+      setTokens((prev) => prev.filter((item) => item._id !== token._id))
+      toast({ title: "Token revoked", description: `"${token.name}" can no longer be used.` })
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to revoke the token",
+        variant: "destructive",
+      })
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h4 className="text-sm font-medium">API Tokens</h4>
+          <p className="text-sm text-muted-foreground">
+            Let scripts and CI use the API as you, limited to the scopes you choose
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => setIsCreateOpen(true)}>
+          <Plus className="mr-2 h-4 w-4" /> New token
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        </div>
+      ) : (
+        <ApiTokenList tokens={tokens} revokingId={revokingId} onRevoke={handleRevoke} />
+      )}
+
+      <CreateApiTokenDialog
+        open={isCreateOpen}
+        onOpenChange={setIsCreateOpen}
+        title="New personal access token"
+        description="The token can do what you can, but only within its scopes."
+        onCreate={handleCreate}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,156 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Copy, Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog"
+import { Button } from "../ui/button"
+import { Checkbox } from "../ui/checkbox"
+import { Input } from "../ui/input"
+import { Label } from "../ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../ui/select"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+const EXPIRY_OPTIONS = [
+  { days: "7", label: "7 days" },
+  { days: "30", label: "30 days" },
+  { days: "90", label: "90 days" },
+  { days: "365", label: "1 year" },
+]
+
+// Form for a new API token: name, scopes and expiry. Once `onCreate` resolves
+// to { token }, the token is shown here for the one time it can be copied.
+export function CreateApiTokenDialog({ open, onOpenChange, title, description, onCreate }) {
+  const { toast } = useToast()
+  const [scopes, setScopes] = useState([])
+  const [name, setName] = useState("")
+  const [selected, setSelected] = useState([])
+  const [expiresInDays, setExpiresInDays] = useState("30")
+  const [createdToken, setCreatedToken] = useState(null)
+  const [isCreating, setIsCreating] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+    setName("")
+    setSelected([])
+    setExpiresInDays("30")
+    setCreatedToken(null)
+    api.apiTokens
+      .getScopes()
+      .then(setScopes)
+      .catch((error) => console.error("Error fetching token scopes:", error))
+  }, [open])
+
+  const toggleScope = (scope, checked) =>
+    setSelected((prev) => (checked ? [...prev, scope] : prev.filter((item) => item !== scope)))
+
+  const handleCreate = async () => {
+    try {
+      setIsCreating(true)
+      const { token } = await onCreate({ name, scopes: selected, expiresInDays: Number(expiresInDays) })
+      setCreatedToken(token)
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to create the token",
+        variant: "destructive",
+      })
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken)
+      toast({ title: "Copied", description: "Token copied to the clipboard." })
+    } catch (error) {
+      toast({ title: "Error", description: error.message || "Could not copy the token", variant: "destructive" })
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{createdToken ? "Copy your token" : title}</DialogTitle>
+          <DialogDescription>
+            {createdToken
+              ? "This is the only time the token is shown. Send it in an Authorization: Bearer header."
+              : description}
+          </DialogDescription>
+        </DialogHeader>
+
+        {createdToken ? (
+          <div className="flex gap-2">
+            <Input readOnly value={createdToken} className="font-mono text-xs" onFocus={(e) => e.target.select()} />
+            <Button variant="outline" size="icon" onClick={copyToken}>
+              <Copy className="h-4 w-4" />
+            </Button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="token-name">Name</Label>
+              <Input
+                id="token-name"
+                placeholder="e.g. CI pipeline"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Scopes</Label>
+              {scopes.map(({ scope, description: scopeDescription }) => (
+                <label key={scope} className="flex items-start gap-2 text-sm">
+                  <Checkbox
+                    className="mt-0.5"
+                    checked={selected.includes(scope)}
+                    onCheckedChange={(checked) => toggleScope(scope, checked)}
+                  />
+                  <span>
+                    <span className="font-mono">{scope}</span>
+                    <span className="block text-xs text-muted-foreground">{scopeDescription}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="space-y-2">
+              <Label>Expires after</Label>
+              <Select value={expiresInDays} onValueChange={setExpiresInDays}>
+                <SelectTrigger className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {EXPIRY_OPTIONS.map((option) => (
+                    <SelectItem key={option.days} value={option.days}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          {createdToken ? (
+            <Button onClick={() => onOpenChange(false)}>Done</Button>
+          ) : (
+            <Button onClick={handleCreate} disabled={isCreating || !name.trim() || selected.length === 0}>
+              {isCreating && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Create token
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
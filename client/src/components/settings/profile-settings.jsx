@@ -56,7 +56,7 @@ export function ProfileSettings() {
 
     try {
       // Update user profile
-      await api.users.updateUser(userId, {
+      const updated = await api.users.updateUser(userId, {
         name: formData.name,
         email: formData.email,
         bio: formData.bio,
@@ -75,7 +75,9 @@ export function ProfileSettings() {
 
       toast({
         title: "Success",
-        description: "Profile updated successfully!",
+        description: updated.pendingEmail
+          ? `Profile updated. Follow the link sent to ${updated.pendingEmail} to start using it.`
+          : "Profile updated successfully!",
       })
 
       // Reset password fields
@@ -215,6 +217,9 @@ export function ProfileSettings() {
                   handlePasswordChange("newPassword", e.target.value)
                 }
               />
+              <p className="text-xs text-muted-foreground">
+                At least 8 characters with upper and lower case letters and a number
+              </p>
             </div>
             <div className="space-y-2">
               <Label htmlFor="confirm-password">Confirm Password</Label>
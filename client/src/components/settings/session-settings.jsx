@@ -0,0 +1,156 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { formatDistanceToNow } from "date-fns"
+import { Loader2, LogOut, Monitor, Smartphone } from "lucide-react"
+import { Button } from "../ui/button"
+import { Badge } from "../ui/badge"
+import { Separator } from "../ui/separator"
+import { useAuth } from "../../context/auth-context"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+const isMobile = (session) => /Android|iPhone|iPad/.test(session.userAgent || "")
+
+// Devices signed in to the account, with the option to sign any of them out
+export function SessionSettings() {
+  const { logout } = useAuth()
+  const { toast } = useToast()
+  const [sessions, setSessions] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [revokingId, setRevokingId] = useState(null)
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        setSessions(await api.auth.getSessions())
+      } catch (error) {
+        console.error("Error fetching sessions:", error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchSessions()
+  }, [])
+
+  const reportError = (error, fallback) => {
+    toast({
+      title: "Error",
+      description: error.message || fallback,
+      variant: "destructive",
+    })
+  }
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      logout()
+      return
+    }
+    try {
+      setRevokingId(session._id)
+      await api.auth.revokeSession(session._id)
+      setSessions((prev) => prev.filter((item) => item._id !== session._id))
+      toast({ title: "Session revoked", description: `${session.device} has been signed out.` })
+    } catch (error) {
+      reportError(error, "Failed to revoke session")
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleRevokeOthers = async () => {
+    try {
+      setRevokingId("others")
+      const { revoked } = await api.auth.revokeAllSessions({ keepCurrent: true })
+      setSessions((prev) => prev.filter((session) => session.current))
+      toast({ title: "Signed out", description: `${revoked} other session(s) have been signed out.` })
+    } catch (error) {
+      reportError(error, "Failed to revoke sessions")
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm("Sign out of every device, including this one?")) return
+    try {
+      setRevokingId("all")
+      await api.auth.revokeAllSessions()
+      logout()
+    } catch (error) {
+      reportError(error, "Failed to revoke sessions")
+      setRevokingId(null)
+    }
+  }
+
+  const otherSessions = sessions.filter((session) => !session.current)
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="text-sm font-medium">Active Sessions</h4>
+        <p className="text-sm text-muted-foreground">Devices that are currently signed in to your account</p>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-primary" />
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No active sessions.</p>
+      ) : (
+        <div className="space-y-3">
+          {sessions.map((session) => {
+            const DeviceIcon = isMobile(session) ? Smartphone : Monitor
+            return (
+              <div key={session._id} className="flex items-center gap-3 rounded-md border p-3">
+                <DeviceIcon className="h-5 w-5 shrink-0 text-muted-foreground" />
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center gap-2">
+                    <span className="truncate text-sm font-medium">{session.device}</span>
+                    {session.current && <Badge variant="secondary">This device</Badge>}
+                  </div>
+                  <p className="truncate text-xs text-muted-foreground">
+                    {session.ip || "Unknown IP"} · Active{" "}
+                    {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })} · Signed in{" "}
+                    {formatDistanceToNow(new Date(session.createdAt), { addSuffix: true })}
+                  </p>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  disabled={revokingId !== null}
+                  onClick={() => handleRevoke(session)}
+                >
+                  {revokingId === session._id ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : (
+                    <LogOut className="mr-2 h-4 w-4" />
+                  )}
+                  {session.current ? "Log out" : "Revoke"}
+                </Button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      <Separator />
+
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="outline"
+          disabled={revokingId !== null || otherSessions.length === 0}
+          onClick={handleRevokeOthers}
+        >
+          {revokingId === "others" && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Sign out other devices
+        </Button>
+        <Button variant="destructive" disabled={revokingId !== null} onClick={handleRevokeAll}>
+          {revokingId === "all" && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Sign out everywhere
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,253 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Copy, Loader2, ShieldCheck, ShieldOff } from "lucide-react"
+import { Button } from "../ui/button"
+import { Badge } from "../ui/badge"
+import { Input } from "../ui/input"
+import { Label } from "../ui/label"
+import { useAuth } from "../../context/auth-context"
+import { useToast } from "../../hooks/use-toast"
+import { api } from "../../lib/api"
+
+// Authenticator app enrollment, recovery codes and switching two-factor
+// authentication off (unless the user's role requires it)
+export function TwoFactorSettings() {
+  const { updateUser } = useAuth()
+  const { toast } = useToast()
+  const [status, setStatus] = useState(null)
+  const [enrollment, setEnrollment] = useState(null)
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  // "regenerate" or "disable" while asking for a code to confirm it
+  const [pendingAction, setPendingAction] = useState(null)
+  const [code, setCode] = useState("")
+  const [password, setPassword] = useState("")
+  const [isWorking, setIsWorking] = useState(false)
+
+  const fetchStatus = async () => {
+    try {
+      setStatus(await api.auth.getTwoFactor())
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error)
+    }
+  }
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const reportError = (error, fallback) => {
+    toast({
+      title: "Error",
+      description: error.message || fallback,
+      variant: "destructive",
+    })
+  }
+
+  const resetForm = () => {
+    setPendingAction(null)
+    setCode("")
+    setPassword("")
+  }
+
+  const handleSetup = async () => {
+    try {
+      setIsWorking(true)
+      setEnrollment(await api.auth.setupTwoFactor())
+      setRecoveryCodes(null)
+    } catch (error) {
+      reportError(error, "Failed to start setup")
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleEnable = async (e) => {
+    e.preventDefault()
+    try {
+      setIsWorking(true)
+      const result = await api.auth.enableTwoFactor(code.trim())
+      setRecoveryCodes(result.recoveryCodes)
+      setEnrollment(null)
+      setCode("")
+      updateUser({ twoFactorEnabled: true, twoFactorSetupRequired: false })
+      await fetchStatus()
+      toast({ title: "Two-factor authentication enabled", description: "Save your recovery codes somewhere safe." })
+    } catch (error) {
+      reportError(error, "Failed to enable two-factor authentication")
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleConfirm = async (e) => {
+    e.preventDefault()
+    try {
+      setIsWorking(true)
+      if (pendingAction === "disable") {
+        await api.auth.disableTwoFactor({ password, code: code.trim() })
+        updateUser({ twoFactorEnabled: false })
+        setRecoveryCodes(null)
+        toast({ title: "Two-factor authentication disabled" })
+      } else {
+        const result = await api.auth.regenerateRecoveryCodes(code.trim())
+        setRecoveryCodes(result.recoveryCodes)
+        toast({ title: "New recovery codes", description: "Your previous recovery codes no longer work." })
+      }
+      resetForm()
+      await fetchStatus()
+    } catch (error) {
+      reportError(error, "Verification failed")
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join("\n"))
+      toast({ title: "Copied", description: "Recovery codes copied to the clipboard." })
+    } catch (error) {
+      reportError(error, "Could not copy the codes")
+    }
+  }
+
+  if (!status) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h4 className="flex items-center gap-2 text-sm font-medium">
+            Two-Factor Authentication
+            {status.enabled ? <Badge variant="secondary">On</Badge> : <Badge variant="outline">Off</Badge>}
+            {status.required && <Badge variant="destructive">Required</Badge>}
+          </h4>
+          <p className="text-sm text-muted-foreground">
+            Ask for a code from an authenticator app, such as Google Authenticator or 1Password, when you sign in
+          </p>
+        </div>
+        {!status.enabled && !enrollment && (
+          <Button size="sm" onClick={handleSetup} disabled={isWorking}>
+            {isWorking ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <ShieldCheck className="mr-2 h-4 w-4" />}
+            Set up
+          </Button>
+        )}
+      </div>
+
+      {enrollment && (
+        <form onSubmit={handleEnable} className="space-y-3 rounded-md border p-4">
+          <p className="text-sm">Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <img src={enrollment.qrCode} alt="Two-factor QR code" className="h-44 w-44 rounded bg-white p-2" />
+          <p className="text-xs text-muted-foreground">
+            Can't scan it? Enter this key instead: <code className="break-all font-mono">{enrollment.secret}</code>
+          </p>
+          <div className="flex gap-2">
+            <Input
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              maxLength={6}
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="max-w-[10rem] tracking-widest"
+            />
+            <Button type="submit" disabled={isWorking || code.trim().length !== 6}>
+              {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Enable
+            </Button>
+            <Button type="button" variant="ghost" onClick={() => setEnrollment(null)} disabled={isWorking}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {recoveryCodes && (
+        <div className="space-y-3 rounded-md border border-amber-500/50 p-4">
+          <p className="text-sm">
+            Recovery codes let you sign in if you lose your phone. Each works once, and they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={copyRecoveryCodes}>
+              <Copy className="mr-2 h-4 w-4" />
+              Copy
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setRecoveryCodes(null)}>
+              I've saved them
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {status.enabled && !pendingAction && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="mr-auto text-sm text-muted-foreground">
+            {status.recoveryCodesRemaining} recovery code(s) left
+          </span>
+          <Button variant="outline" size="sm" onClick={() => setPendingAction("regenerate")}>
+            New recovery codes
+          </Button>
+          {!status.required && (
+            <Button variant="outline" size="sm" className="text-red-600" onClick={() => setPendingAction("disable")}>
+              <ShieldOff className="mr-2 h-4 w-4" />
+              Disable
+            </Button>
+          )}
+        </div>
+      )}
+
+      {pendingAction && (
+        <form onSubmit={handleConfirm} className="space-y-3 rounded-md border p-4">
+          {pendingAction === "disable" && (
+            <div className="space-y-1">
+              <Label htmlFor="two-factor-password">Password</Label>
+              <Input
+                id="two-factor-password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+          )}
+          <div className="space-y-1">
+            <Label htmlFor="two-factor-confirm-code">Authentication code</Label>
+            <Input
+              id="two-factor-confirm-code"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="max-w-[10rem] tracking-widest"
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button
+              type="submit"
+              variant={pendingAction === "disable" ? "destructive" : "default"}
+              disabled={isWorking || !code.trim()}
+            >
+              {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              {pendingAction === "disable" ? "Disable two-factor authentication" : "Generate new codes"}
+            </Button>
+            <Button type="button" variant="ghost" onClick={resetForm} disabled={isWorking}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
@@ -3,7 +3,7 @@
 import { toast } from "react-toastify";
 import { useState, useEffect } from "react";
 import axios from "axios";
-import { API_URL } from "@/lib/api";
+import { API_URL, api } from "@/lib/api";
 import { cn } from "../../lib/utils";
 import {
   Dialog,
@@ -28,6 +28,18 @@ import { isValid, parse } from "date-fns";
 import "react-toastify/dist/ReactToastify.css";
 import { useAuth } from "@/context/auth-context";
 import { getUserTasks } from "@/lib/user-api";
+import { LabelPicker } from "./task-labels";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const defaultRecurrence = {
+  frequency: "none",
+  interval: 1,
+  byWeekday: [],
+  byMonthDay: "",
+  assignmentMode: "fixed",
+  durationDays: 1,
+};
 
 export function CreateTaskDialog({ open, onOpenChange }) {
   const { user } = useAuth();
@@ -42,6 +54,8 @@ export function CreateTaskDialog({ open, onOpenChange }) {
   const [assigneeSearch, setAssigneeSearch] = useState("");
   const [selectedUserTasks, setSelectedUserTasks] = useState([]);
   const [loadingUserTasks, setLoadingUserTasks] = useState(false);
+  const [recurrence, setRecurrence] = useState(defaultRecurrence);
+  const isRecurring = recurrence.frequency !== "none";
 
   const [formData, setFormData] = useState({
     title: "",
@@ -51,6 +65,7 @@ export function CreateTaskDialog({ open, onOpenChange }) {
     priority: "Medium",
     status: "Pending",
     dependencies: [],
+    labels: [],
   });
 
   useEffect(() => {
@@ -63,6 +78,7 @@ export function CreateTaskDialog({ open, onOpenChange }) {
         priority: "Medium",
         status: "Pending",
         dependencies: [],
+        labels: [],
       });
       setDueDate("");
       setDocumentFile(null);
@@ -71,6 +87,7 @@ export function CreateTaskDialog({ open, onOpenChange }) {
       setAssigneeSearch("");
       setSelectedUserTasks([]);
       setLoadingUserTasks(false);
+      setRecurrence(defaultRecurrence);
 
       const fetchData = async () => {
         try {
@@ -146,6 +163,44 @@ export function CreateTaskDialog({ open, onOpenChange }) {
     setFormData((prev) => ({ ...prev, [field]: value }));
   };
 
+  const handleRecurrenceChange = (field, value) => {
+    setRecurrence((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleWeekday = (day) => {
+    setRecurrence((prev) => ({
+      ...prev,
+      byWeekday: prev.byWeekday.includes(day)
+        ? prev.byWeekday.filter((d) => d !== day)
+        : [...prev.byWeekday, day],
+    }));
+  };
+
+  // Recurring tasks are saved as a template; the server generates the actual tasks
+  const createTemplate = async () => {
+    const result = await api.taskTemplates.createTemplate({
+      title: formData.title,
+      description: formData.description,
+      department: formData.department,
+      priority: formData.priority,
+      links: formData.links,
+      assignmentMode: recurrence.assignmentMode,
+      assignee: recurrence.assignmentMode === "fixed" ? formData.assignee : undefined,
+      startDate: dueDate || undefined,
+      durationDays: Number(recurrence.durationDays) || 0,
+      recurrence: {
+        frequency: recurrence.frequency,
+        interval: Number(recurrence.interval) || 1,
+        byWeekday: recurrence.frequency === "weekly" ? recurrence.byWeekday : undefined,
+        byMonthDay:
+          recurrence.frequency === "monthly" && recurrence.byMonthDay !== ""
+            ? Number(recurrence.byMonthDay)
+            : undefined,
+      },
+    });
+    toast.success(`Recurring task created (${result.rrule}). ${result.generated} upcoming task(s) generated.`);
+  };
+
   const handleDateChange = (e) => {
     const value = e.target.value;
     setDueDate(value);
@@ -197,7 +252,8 @@ export function CreateTaskDialog({ open, onOpenChange }) {
   };
 
   const handleSubmit = async () => {
-    if (!formData.title || !formData.department || !formData.assignee) {
+    const needsAssignee = !isRecurring || recurrence.assignmentMode === "fixed";
+    if (!formData.title || !formData.department || (needsAssignee && !formData.assignee)) {
       toast.error("Please fill in all required fields (Title, Department, Assignee)");
       return;
     }
@@ -229,6 +285,19 @@ export function CreateTaskDialog({ open, onOpenChange }) {
 
     setIsLoading(true);
 
+    if (isRecurring) {
+      try {
+        await createTemplate();
+        onOpenChange(false);
+      } catch (error) {
+        console.error("Error creating recurring task:", error);
+        toast.error(error.message || "Failed to create recurring task");
+      } finally {
+        setIsLoading(false);
+      }
+      return;
+    }
+
     try {
       const formDataToSend = new FormData();
       formDataToSend.append("title", formData.title);
@@ -238,6 +307,7 @@ export function CreateTaskDialog({ open, onOpenChange }) {
       formDataToSend.append("priority", formData.priority);
       formDataToSend.append("status", formData.status);
       formDataToSend.append("dependencies", JSON.stringify(formData.dependencies));
+      formDataToSend.append("labels", JSON.stringify(formData.labels));
       formDataToSend.append("createdBy", user.id);
       formDataToSend.append("links", formData.links);
 
@@ -307,6 +377,13 @@ export function CreateTaskDialog({ open, onOpenChange }) {
             />
           </div>
 
+          {!isRecurring && (
+            <div className="grid gap-2">
+              <Label>Labels</Label>
+              <LabelPicker value={formData.labels} onChange={(labels) => handleChange("labels", labels)} />
+            </div>
+          )}
+
           <div className="grid grid-cols-2 gap-4">
             <div className="grid gap-2">
               <Label htmlFor="department">
@@ -436,7 +513,7 @@ export function CreateTaskDialog({ open, onOpenChange }) {
             </div>
 
             <div className="grid gap-2">
-              <Label htmlFor="dueDate">Due Date</Label>
+              <Label htmlFor="dueDate">{isRecurring ? "Starts On" : "Due Date"}</Label>
               <Input
                 id="dueDate"
                 type="text"
@@ -450,43 +527,156 @@ export function CreateTaskDialog({ open, onOpenChange }) {
           </div>
 
           <div className="grid gap-2">
-            <Label htmlFor="dependencies">Dependencies</Label>
+            <Label htmlFor="repeat">Repeat</Label>
             <Select
-              value={formData.dependencies[0] || ""}
-              onValueChange={(value) => handleChange("dependencies", value ? [value] : [])}
+              value={recurrence.frequency}
+              onValueChange={(value) => handleRecurrenceChange("frequency", value)}
             >
-              <SelectTrigger id="dependencies" className="bg-white border-gray-300">
-                <SelectValue placeholder="Select dependent tasks" />
+              <SelectTrigger id="repeat" className="bg-white border-gray-300">
+                <SelectValue />
               </SelectTrigger>
-              <SelectContent className="bg-white border-gray-300 max-h-60 overflow-y-auto z-[70]">
-                {tasks.map((task) => (
-                  <SelectItem key={task._id} value={task._id}>
-                    {task.title}
-                  </SelectItem>
-                ))}
+              <SelectContent className="bg-white border-gray-300 z-[70]">
+                <SelectItem value="none">Does not repeat</SelectItem>
+                <SelectItem value="daily">Daily</SelectItem>
+                <SelectItem value="weekdays">Every weekday (Mon-Fri)</SelectItem>
+                <SelectItem value="weekly">Weekly</SelectItem>
+                <SelectItem value="monthly">Monthly</SelectItem>
               </SelectContent>
             </Select>
           </div>
 
-          <div className="grid gap-2">
-            <Label htmlFor="document">Document</Label>
-            <Input
-              id="document"
-              type="file"
-              accept=".pdf,.doc,.docx,.txt,.html"
-              onChange={handleFileChange}
-            />
-            {documentFile && (
-              <p className="text-sm text-muted-foreground">Selected: {documentFile.name}</p>
-            )}
-          </div>
+          {isRecurring && (
+            <div className="grid gap-4 rounded-md border border-gray-200 p-4">
+              {recurrence.frequency !== "weekdays" && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="grid gap-2">
+                    <Label htmlFor="interval">
+                      Every ({recurrence.frequency === "daily" ? "days" : recurrence.frequency === "weekly" ? "weeks" : "months"})
+                    </Label>
+                    <Input
+                      id="interval"
+                      type="number"
+                      min={1}
+                      value={recurrence.interval}
+                      onChange={(e) => handleRecurrenceChange("interval", e.target.value)}
+                    />
+                  </div>
+                  {recurrence.frequency === "monthly" && (
+                    <div className="grid gap-2">
+                      <Label htmlFor="byMonthDay">Day of month</Label>
+                      <Select
+                        value={String(recurrence.byMonthDay)}
+                        onValueChange={(value) => handleRecurrenceChange("byMonthDay", value)}
+                      >
+                        <SelectTrigger id="byMonthDay" className="bg-white border-gray-300">
+                          <SelectValue placeholder="Same day as start" />
+                        </SelectTrigger>
+                        <SelectContent className="bg-white border-gray-300 max-h-60 overflow-y-auto z-[70]">
+                          {Array.from({ length: 31 }, (_, i) => (
+                            <SelectItem key={i + 1} value={String(i + 1)}>
+                              {i + 1}
+                            </SelectItem>
+                          ))}
+                          <SelectItem value="-1">Last day</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {recurrence.frequency === "weekly" && (
+                <div className="grid gap-2">
+                  <Label>On</Label>
+                  <div className="flex flex-wrap gap-1">
+                    {WEEKDAYS.map((label, day) => (
+                      <Button
+                        key={label}
+                        type="button"
+                        size="sm"
+                        variant={recurrence.byWeekday.includes(day) ? "default" : "outline"}
+                        onClick={() => toggleWeekday(day)}
+                      >
+                        {label}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div className="grid gap-2">
+                  <Label htmlFor="assignmentMode">Assign to</Label>
+                  <Select
+                    value={recurrence.assignmentMode}
+                    onValueChange={(value) => handleRecurrenceChange("assignmentMode", value)}
+                  >
+                    <SelectTrigger id="assignmentMode" className="bg-white border-gray-300">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-white border-gray-300 z-[70]">
+                      <SelectItem value="fixed">Selected assignee</SelectItem>
+                      <SelectItem value="roundRobin">Rotate through department</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="durationDays">Due after (days)</Label>
+                  <Input
+                    id="durationDays"
+                    type="number"
+                    min={0}
+                    value={recurrence.durationDays}
+                    onChange={(e) => handleRecurrenceChange("durationDays", e.target.value)}
+                  />
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Templates carry no dependencies or attachments */}
+          {!isRecurring && (
+            <>
+              <div className="grid gap-2">
+                <Label htmlFor="dependencies">Dependencies</Label>
+                <Select
+                  value={formData.dependencies[0] || ""}
+                  onValueChange={(value) => handleChange("dependencies", value ? [value] : [])}
+                >
+                  <SelectTrigger id="dependencies" className="bg-white border-gray-300">
+                    <SelectValue placeholder="Select dependent tasks" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white border-gray-300 max-h-60 overflow-y-auto z-[70]">
+                    {tasks.map((task) => (
+                      <SelectItem key={task._id} value={task._id}>
+                        {task.title}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="grid gap-2">
+                <Label htmlFor="document">Document</Label>
+                <Input
+                  id="document"
+                  type="file"
+                  accept=".pdf,.doc,.docx,.txt,.html"
+                  onChange={handleFileChange}
+                />
+                {documentFile && (
+                  <p className="text-sm text-muted-foreground">Selected: {documentFile.name}</p>
+                )}
+              </div>
+            </>
+          )}
         </div>
         <DialogFooter>
           <Button variant="outline" onClick={() => onOpenChange(false)}>
             Cancel
           </Button>
           <Button type="submit" onClick={handleSubmit} disabled={isLoading || dateError}>
-            {isLoading ? "Creating..." : "Create Task"}
+            {isLoading ? "Creating..." : isRecurring ? "Create Recurring Task" : "Create Task"}
           </Button>
         </DialogFooter>
       </DialogContent>
@@ -0,0 +1,182 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { Loader2, Play, Repeat, Trash } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "../ui/table"
+import { Button } from "../ui/button"
+import { Switch } from "../ui/switch"
+import { api } from "../../lib/api"
+import { useToast } from "../../hooks/use-toast"
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+// Human readable version of a template's schedule
+function describeRecurrence({ frequency, interval = 1, byWeekday = [], byMonthDay }) {
+  const every = (unit) => (interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`)
+
+  switch (frequency) {
+    case "daily":
+      return every("day")
+    case "weekdays":
+      return "Every weekday"
+    case "weekly":
+      return byWeekday.length
+        ? `${every("week")} on ${[...byWeekday].sort((a, b) => a - b).map((day) => WEEKDAYS[day]).join(", ")}`
+        : every("week")
+    case "monthly":
+      if (byMonthDay === -1) return `${every("month")} on the last day`
+      return byMonthDay ? `${every("month")} on day ${byMonthDay}` : every("month")
+    default:
+      return frequency
+  }
+}
+
+export function RecurringTemplates() {
+  const { toast } = useToast()
+  const [templates, setTemplates] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      setTemplates(await api.taskTemplates.getTemplates())
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load recurring tasks",
+        variant: "destructive",
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [toast])
+
+  useEffect(() => {
+    loadTemplates()
+  }, [loadTemplates])
+
+  const run = async (templateId, request, successMessage) => {
+    try {
+      setBusyId(templateId)
+      const result = await request()
+      toast({ title: "Success", description: successMessage(result) })
+      await loadTemplates()
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Request failed",
+        variant: "destructive",
+      })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleToggleActive = (template, active) =>
+    run(
+      template._id,
+      () => api.taskTemplates.updateTemplate(template._id, { active }),
+      () => `'${template.title}' ${active ? "resumed" : "paused"}`
+    )
+
+  const handleGenerate = (template) =>
+    run(
+      template._id,
+      () => api.taskTemplates.generateNow(template._id),
+      (result) => `${result.generated} task(s) generated for '${template.title}'`
+    )
+
+  const handleDelete = (template) => {
+    if (!confirm(`Delete the recurring task '${template.title}'? Tasks already generated are kept.`)) return
+    return run(
+      template._id,
+      () => api.taskTemplates.deleteTemplate(template._id),
+      () => `'${template.title}' deleted`
+    )
+  }
+
+  if (isLoading || templates.length === 0) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Repeat className="h-5 w-5" />
+          Recurring Tasks
+        </CardTitle>
+        <CardDescription>Templates that generate tasks on a schedule</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Title</TableHead>
+                <TableHead>Department</TableHead>
+                <TableHead>Schedule</TableHead>
+                <TableHead>Assignee</TableHead>
+                <TableHead>Next</TableHead>
+                <TableHead>Active</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {templates.map((template) => (
+                <TableRow key={template._id}>
+                  <TableCell>{template.title}</TableCell>
+                  <TableCell>{template.department?.name || "Unknown"}</TableCell>
+                  <TableCell title={template.rrule}>{describeRecurrence(template.recurrence)}</TableCell>
+                  <TableCell>
+                    {template.assignmentMode === "roundRobin"
+                      ? `Rotation (${template.rotation.length ? template.rotation.map((u) => u.name).join(", ") : "department"})`
+                      : template.assignee?.name || "Unassigned"}
+                  </TableCell>
+                  <TableCell>
+                    {template.nextOccurrences.length
+                      ? new Date(template.nextOccurrences[0]).toLocaleDateString()
+                      : "—"}
+                  </TableCell>
+                  <TableCell>
+                    <Switch
+                      checked={template.active}
+                      disabled={busyId === template._id}
+                      onCheckedChange={(checked) => handleToggleActive(template, checked)}
+                    />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {busyId === template._id ? (
+                      <Loader2 className="ml-auto h-4 w-4 animate-spin" />
+                    ) : (
+                      <div className="flex justify-end gap-1">
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8"
+                          title="Generate upcoming tasks now"
+                          disabled={!template.active}
+                          onClick={() => handleGenerate(template)}
+                        >
+                          <Play className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 text-red-500"
+                          title="Delete"
+                          onClick={() => handleDelete(template)}
+                        >
+                          <Trash className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,234 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Bookmark, Loader2, Pin, PinOff, Save, Trash, Users } from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "../ui/card"
+import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Label } from "../ui/label"
+import { Checkbox } from "../ui/checkbox"
+import { Popover, PopoverContent, PopoverTrigger } from "../ui/popover"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "../ui/dialog"
+import { api } from "../../lib/api"
+import { useToast } from "../../hooks/use-toast"
+
+function SaveViewDialog({ open, onOpenChange, activeView, onSave, onUpdate }) {
+  const [name, setName] = useState("")
+  const [shared, setShared] = useState(false)
+  const [pinned, setPinned] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setName("")
+      setShared(false)
+      setPinned(true)
+    }
+  }, [open])
+
+  const run = async (action) => {
+    try {
+      setIsSaving(true)
+      await action()
+      onOpenChange(false)
+    } catch {
+      // The caller reports the error; keep the dialog open
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    run(() => onSave({ name: name.trim(), shared, pinned }))
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[425px]">
+        <DialogHeader>
+          <DialogTitle>Save View</DialogTitle>
+          <DialogDescription>Save the current filters so you can come back to them.</DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid gap-2">
+            <Label htmlFor="view-name">Name</Label>
+            <Input id="view-name" value={name} onChange={(e) => setName(e.target.value)} required maxLength={60} />
+          </div>
+          <div className="flex items-center space-x-2">
+            <Checkbox id="view-shared" checked={shared} onCheckedChange={(checked) => setShared(Boolean(checked))} />
+            <Label htmlFor="view-shared">Share with my department</Label>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Checkbox id="view-pinned" checked={pinned} onCheckedChange={(checked) => setPinned(Boolean(checked))} />
+            <Label htmlFor="view-pinned">Pin to sidebar</Label>
+          </div>
+          <DialogFooter className="gap-2">
+            {activeView?.isOwner && (
+              <Button type="button" variant="outline" disabled={isSaving} onClick={() => run(onUpdate)}>
+                Update "{activeView.name}"
+              </Button>
+            )}
+            <Button type="submit" disabled={isSaving || !name.trim()}>
+              {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Save as new view
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+// Saved filter views. Pinned views are listed in the sidebar, the rest are a click away.
+export function SavedViews({ filters, activeViewId, onApply }) {
+  const { toast } = useToast()
+  const [views, setViews] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaveOpen, setIsSaveOpen] = useState(false)
+
+  useEffect(() => {
+    const fetchViews = async () => {
+      try {
+        const data = await api.taskViews.getViews()
+        setViews(data)
+      } catch (error) {
+        console.error("Error fetching saved views:", error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchViews()
+  }, [])
+
+  const activeView = views.find((view) => view._id === activeViewId)
+  const pinnedViews = views.filter((view) => view.pinned)
+
+  const replaceView = (updated) => {
+    setViews((prev) => prev.map((view) => (view._id === updated._id ? updated : view)))
+  }
+
+  const reportError = (error, fallback) => {
+    toast({
+      title: "Error",
+      description: error.message || fallback,
+      variant: "destructive",
+    })
+  }
+
+  const handleSave = async ({ name, shared, pinned }) => {
+    try {
+      const view = await api.taskViews.createView({ name, shared, pinned, filters })
+      setViews((prev) => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)))
+      onApply(view)
+      toast({ title: "View saved", description: `"${view.name}" has been saved.` })
+    } catch (error) {
+      reportError(error, "Failed to save view")
+      throw error
+    }
+  }
+
+  const handleUpdate = async () => {
+    try {
+      const view = await api.taskViews.updateView(activeView._id, { filters })
+      replaceView(view)
+      toast({ title: "View updated", description: `"${view.name}" now uses the current filters.` })
+    } catch (error) {
+      reportError(error, "Failed to update view")
+      throw error
+    }
+  }
+
+  const handleTogglePin = async (view) => {
+    try {
+      replaceView(await api.taskViews.togglePin(view._id))
+    } catch (error) {
+      reportError(error, "Failed to pin view")
+    }
+  }
+
+  const handleDelete = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return
+    try {
+      await api.taskViews.deleteView(view._id)
+      setViews((prev) => prev.filter((item) => item._id !== view._id))
+    } catch (error) {
+      reportError(error, "Failed to delete view")
+    }
+  }
+
+  const renderView = (view) => (
+    <div
+      key={view._id}
+      className={`group flex items-center gap-1 rounded-md px-2 py-1 text-sm ${
+        view._id === activeViewId ? "bg-primary/10 text-primary" : "hover:bg-muted"
+      }`}
+    >
+      <button type="button" className="flex flex-1 items-center gap-2 truncate text-left" onClick={() => onApply(view)}>
+        {view.shared ? <Users className="h-3.5 w-3.5 shrink-0" /> : <Bookmark className="h-3.5 w-3.5 shrink-0" />}
+        <span className="truncate">{view.name}</span>
+        {!view.isOwner && <span className="truncate text-xs text-muted-foreground">· {view.owner?.name}</span>}
+      </button>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-6 w-6"
+        title={view.pinned ? "Unpin" : "Pin to sidebar"}
+        onClick={() => handleTogglePin(view)}
+      >
+        {view.pinned ? <PinOff className="h-3.5 w-3.5" /> : <Pin className="h-3.5 w-3.5" />}
+      </Button>
+      {view.isOwner && (
+        <Button variant="ghost" size="icon" className="h-6 w-6" title="Delete view" onClick={() => handleDelete(view)}>
+          <Trash className="h-3.5 w-3.5" />
+        </Button>
+      )}
+    </div>
+  )
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle>Views</CardTitle>
+        <Button variant="outline" size="sm" onClick={() => setIsSaveOpen(true)}>
+          <Save className="mr-2 h-4 w-4" />
+          Save
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {isLoading ? (
+          <div className="flex justify-center py-2">
+            <Loader2 className="h-5 w-5 animate-spin text-primary" />
+          </div>
+        ) : (
+          <>
+            {pinnedViews.length > 0 ? (
+              <div className="space-y-1">{pinnedViews.map(renderView)}</div>
+            ) : (
+              <p className="text-sm text-muted-foreground">Pinned views show up here.</p>
+            )}
+            {views.length > 0 && (
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button variant="ghost" size="sm" className="w-full">
+                    All views ({views.length})
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-72 space-y-1 p-2" align="start">
+                  {views.map(renderView)}
+                </PopoverContent>
+              </Popover>
+            )}
+          </>
+        )}
+      </CardContent>
+      <SaveViewDialog
+        open={isSaveOpen}
+        onOpenChange={setIsSaveOpen}
+        activeView={activeView}
+        onSave={handleSave}
+        onUpdate={handleUpdate}
+      />
+    </Card>
+  )
+}
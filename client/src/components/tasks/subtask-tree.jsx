@@ -0,0 +1,193 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { ArrowDown, ArrowUp, CornerLeftUp, GitBranch, Loader2, Plus } from "lucide-react"
+import { Badge } from "../ui/badge"
+import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Progress } from "../ui/progress"
+import { api } from "../../lib/api"
+import { useToast } from "../../hooks/use-toast"
+
+const statusColors = {
+  Completed: "bg-green-500/10 text-green-500 hover:bg-green-500/20",
+  "In Progress": "bg-blue-500/10 text-blue-500 hover:bg-blue-500/20",
+  Pending: "bg-amber-500/10 text-amber-500 hover:bg-amber-500/20",
+}
+
+function SubtaskNode({ node, siblings, index, depth, parentId, onReorder, onMoveUp, onOpen, isBusy }) {
+  return (
+    <li>
+      <div
+        className="group flex items-center gap-2 rounded-md py-1 pr-2 hover:bg-muted/50"
+        style={{ paddingLeft: `${depth * 1.25 + 0.5}rem` }}
+      >
+        <button type="button" className="flex-1 truncate text-left text-sm hover:underline" onClick={() => onOpen(node)}>
+          {node.title}
+        </button>
+        {node.checklist?.length > 0 && (
+          <span className="text-xs text-muted-foreground">
+            {node.checklist.filter((item) => item.done).length}/{node.checklist.length}
+          </span>
+        )}
+        <Progress value={node.progress || 0} className="h-1 w-16" />
+        <Badge className={statusColors[node.status]}>{node.status}</Badge>
+        <div className="flex opacity-0 group-hover:opacity-100">
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-6 w-6"
+            disabled={isBusy || index === 0}
+            onClick={() => onReorder(parentId, siblings, index, -1)}
+          >
+            <ArrowUp className="h-3 w-3" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-6 w-6"
+            disabled={isBusy || index === siblings.length - 1}
+            onClick={() => onReorder(parentId, siblings, index, 1)}
+          >
+            <ArrowDown className="h-3 w-3" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-6 w-6"
+            title="Move to top level"
+            disabled={isBusy}
+            onClick={() => onMoveUp(node)}
+          >
+            <CornerLeftUp className="h-3 w-3" />
+          </Button>
+        </div>
+      </div>
+      {node.subtasks?.length > 0 && (
+        <ul>
+          {node.subtasks.map((child, childIndex) => (
+            <SubtaskNode
+              key={child._id}
+              node={child}
+              siblings={node.subtasks}
+              index={childIndex}
+              depth={depth + 1}
+              parentId={node._id}
+              onReorder={onReorder}
+              onMoveUp={onMoveUp}
+              onOpen={onOpen}
+              isBusy={isBusy}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+export function SubtaskTree({ taskId, onChange }) {
+  const navigate = useNavigate()
+  const { toast } = useToast()
+  const [subtasks, setSubtasks] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isBusy, setIsBusy] = useState(false)
+  const [newTitle, setNewTitle] = useState("")
+
+  const loadSubtasks = useCallback(async () => {
+    try {
+      setSubtasks(await api.tasks.getSubtasks(taskId))
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load subtasks",
+        variant: "destructive",
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [taskId, toast])
+
+  useEffect(() => {
+    loadSubtasks()
+  }, [loadSubtasks])
+
+  const run = async (request, errorMessage) => {
+    try {
+      setIsBusy(true)
+      await request()
+      await loadSubtasks()
+      onChange?.()
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || errorMessage,
+        variant: "destructive",
+      })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    if (!newTitle.trim()) return
+    await run(() => api.tasks.createSubtask(taskId, { title: newTitle.trim() }), "Failed to create subtask")
+    setNewTitle("")
+  }
+
+  const handleReorder = (parentId, siblings, index, offset) => {
+    const ids = siblings.map((sibling) => sibling._id)
+    const [moved] = ids.splice(index, 1)
+    ids.splice(index + offset, 0, moved)
+    return run(() => api.tasks.reorderSubtasks(parentId, ids), "Failed to reorder subtasks")
+  }
+
+  const handleMoveUp = (node) => run(() => api.tasks.moveTask(node._id, null), "Failed to move subtask")
+
+  return (
+    <div className="space-y-3">
+      <h3 className="flex items-center gap-2 text-sm font-medium">
+        <GitBranch className="h-4 w-4" />
+        Subtasks
+      </h3>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        </div>
+      ) : subtasks.length > 0 ? (
+        <ul>
+          {subtasks.map((node, index) => (
+            <SubtaskNode
+              key={node._id}
+              node={node}
+              siblings={subtasks}
+              index={index}
+              depth={0}
+              parentId={taskId}
+              onReorder={handleReorder}
+              onMoveUp={handleMoveUp}
+              onOpen={(subtask) => navigate(`/tasks/${subtask._id}`)}
+              isBusy={isBusy}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-muted-foreground">This task has no subtasks. Progress is tracked on the task itself.</p>
+      )}
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <Input
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a subtask"
+          className="h-8"
+        />
+        <Button type="submit" size="sm" disabled={isBusy || !newTitle.trim()}>
+          <Plus className="h-4 w-4" />
+        </Button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,133 @@
+"use client"
+
+import { useState } from "react"
+import { ArrowDown, ArrowUp, ListChecks, Plus, Trash } from "lucide-react"
+import { Button } from "../ui/button"
+import { Checkbox } from "../ui/checkbox"
+import { Input } from "../ui/input"
+import { Progress } from "../ui/progress"
+import { api } from "../../lib/api"
+import { useToast } from "../../hooks/use-toast"
+
+export function TaskChecklist({ taskId, items = [], onChange }) {
+  const { toast } = useToast()
+  const [checklist, setChecklist] = useState(() => [...items].sort((a, b) => a.order - b.order))
+  const [newItem, setNewItem] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const doneCount = checklist.filter((item) => item.done).length
+
+  // Every checklist endpoint answers with the full, ordered list
+  const run = async (request, errorMessage) => {
+    try {
+      setIsSaving(true)
+      const updated = await request()
+      setChecklist(updated)
+      onChange?.(updated)
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || errorMessage,
+        variant: "destructive",
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    if (!newItem.trim()) return
+    await run(() => api.tasks.addChecklistItem(taskId, newItem.trim()), "Failed to add checklist item")
+    setNewItem("")
+  }
+
+  const handleToggle = (item, done) =>
+    run(
+      () => api.tasks.updateChecklistItem(taskId, item._id, { done }),
+      "Failed to update checklist item"
+    )
+
+  const handleDelete = (item) =>
+    run(() => api.tasks.deleteChecklistItem(taskId, item._id), "Failed to delete checklist item")
+
+  const handleMove = (index, offset) => {
+    const ids = checklist.map((item) => item._id)
+    const [moved] = ids.splice(index, 1)
+    ids.splice(index + offset, 0, moved)
+    return run(() => api.tasks.reorderChecklist(taskId, ids), "Failed to reorder checklist")
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="flex items-center gap-2 text-sm font-medium">
+          <ListChecks className="h-4 w-4" />
+          Checklist
+        </h3>
+        {checklist.length > 0 && (
+          <span className="text-xs text-muted-foreground">
+            {doneCount}/{checklist.length} done
+          </span>
+        )}
+      </div>
+      {checklist.length > 0 && <Progress value={(doneCount / checklist.length) * 100} className="h-1" />}
+
+      <ul className="space-y-1">
+        {checklist.map((item, index) => (
+          <li key={item._id} className="group flex items-center gap-2 rounded-md px-2 py-1 hover:bg-muted/50">
+            <Checkbox
+              checked={item.done}
+              disabled={isSaving}
+              onCheckedChange={(checked) => handleToggle(item, checked === true)}
+            />
+            <span className={`flex-1 text-sm ${item.done ? "text-muted-foreground line-through" : ""}`}>
+              {item.text}
+            </span>
+            <div className="flex opacity-0 group-hover:opacity-100">
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6"
+                disabled={isSaving || index === 0}
+                onClick={() => handleMove(index, -1)}
+              >
+                <ArrowUp className="h-3 w-3" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6"
+                disabled={isSaving || index === checklist.length - 1}
+                onClick={() => handleMove(index, 1)}
+              >
+                <ArrowDown className="h-3 w-3" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6 text-red-500"
+                disabled={isSaving}
+                onClick={() => handleDelete(item)}
+              >
+                <Trash className="h-3 w-3" />
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <Input
+          value={newItem}
+          onChange={(e) => setNewItem(e.target.value)}
+          placeholder="Add a checklist item"
+          className="h-8"
+        />
+        <Button type="submit" size="sm" disabled={isSaving || !newItem.trim()}>
+          <Plus className="h-4 w-4" />
+        </Button>
+      </form>
+    </div>
+  )
+}
@@ -3,64 +3,104 @@
 import { useEffect, useState } from "react"
 import { Card, CardContent, CardHeader, CardTitle } from "../ui/card"
 import { Label } from "../ui/label"
-import { RadioGroup, RadioGroupItem } from "../ui/radio-group"
 import { Checkbox } from "../ui/checkbox"
 import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../ui/select"
 import { api } from "../../lib/api"
+import { EMPTY_FILTERS, normalizeFilters } from "../../lib/utils"
 
-export function TaskFilters({ onFilterChange }) {
-  const [status, setStatus] = useState([])
-  const [department, setDepartment] = useState([])
-  const [priority, setPriority] = useState("all")
+export function TaskFilters({ filters = EMPTY_FILTERS, onFilterChange }) {
+  const [draft, setDraft] = useState(() => normalizeFilters(filters))
   const [departments, setDepartments] = useState([])
+  const [users, setUsers] = useState([])
+  const [labels, setLabels] = useState([])
 
-  // Fetch departments on mount
+  // Fetch filter options on mount
   useEffect(() => {
-    const fetchDepartments = async () => {
+    const fetchOptions = async () => {
       try {
-        const data = await api.departments.getDepartments()
-        setDepartments(data)
+        const [departmentData, userData, labelData] = await Promise.all([
+          api.departments.getDepartments(),
+          api.users.getUsers(),
+          api.labels.getLabels(),
+        ])
+        setDepartments(departmentData)
+        setUsers(userData)
+        setLabels(labelData)
       } catch (error) {
-        console.error("Error fetching departments:", error)
+        console.error("Error fetching filter options:", error)
       }
     }
-    fetchDepartments()
+    fetchOptions()
   }, [])
 
-  const handleStatusChange = (value, checked) => {
-    setStatus(prev => 
-      checked ? [...prev, value] : prev.filter(item => item !== value)
-    )
+  // Follow filters applied from outside, e.g. a saved view
+  useEffect(() => {
+    setDraft(normalizeFilters(filters))
+  }, [filters])
+
+  const setField = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }))
   }
 
-  const handleDepartmentChange = (value, checked) => {
-    setDepartment(prev => 
-      checked ? [...prev, value] : prev.filter(item => item !== value)
-    )
+  const toggleValue = (field, value, checked) => {
+    setDraft((prev) => ({
+      ...prev,
+      [field]: checked ? [...prev[field], value] : prev[field].filter((item) => item !== value),
+    }))
   }
 
   const handleApplyFilters = () => {
-    onFilterChange({
-      status,
-      department,
-      priority: priority === "all" ? undefined : priority,
-    })
+    onFilterChange({ ...draft, search: draft.search.trim() })
+  }
+
+  const handleReset = () => {
+    setDraft(EMPTY_FILTERS)
+    onFilterChange(EMPTY_FILTERS)
   }
 
+  const renderUserSelect = (field, placeholder) => (
+    <Select value={draft[field][0] || "any"} onValueChange={(value) => setField(field, value === "any" ? [] : [value])}>
+      <SelectTrigger>
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value="any">{placeholder}</SelectItem>
+        {users.map((user) => (
+          <SelectItem key={user._id} value={user._id}>
+            {user.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+
   return (
     <Card>
       <CardHeader>
         <CardTitle>Filters</CardTitle>
       </CardHeader>
       <CardContent className="space-y-6">
+        <div className="space-y-3">
+          <h3 className="text-sm font-medium">Search</h3>
+          <Input
+            placeholder="Title or description"
+            value={draft.search}
+            onChange={(e) => setField("search", e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleApplyFilters()}
+          />
+        </div>
+
         <div className="space-y-3">
           <h3 className="text-sm font-medium">Status</h3>
           <div className="space-y-2">
             {["Completed", "In Progress", "Pending"].map(stat => (
               <div key={stat} className="flex items-center space-x-2">
-                <Checkbox 
-                  id={`status-${stat.toLowerCase()}`} 
-                  onCheckedChange={(checked) => handleStatusChange(stat, checked)}
+                <Checkbox
+                  id={`status-${stat.toLowerCase()}`}
+                  checked={draft.status.includes(stat)}
+                  onCheckedChange={(checked) => toggleValue("status", stat, checked)}
                 />
                 <Label htmlFor={`status-${stat.toLowerCase()}`}>{stat}</Label>
               </div>
@@ -73,9 +113,10 @@ export function TaskFilters({ onFilterChange }) {
           <div className="space-y-2">
             {departments.map(dept => (
               <div key={dept._id} className="flex items-center space-x-2">
-                <Checkbox 
-                  id={`dept-${dept._id}`} 
-                  onCheckedChange={(checked) => handleDepartmentChange(dept._id, checked)}
+                <Checkbox
+                  id={`dept-${dept._id}`}
+                  checked={draft.department.includes(dept._id)}
+                  onCheckedChange={(checked) => toggleValue("department", dept._id, checked)}
                 />
                 <Label htmlFor={`dept-${dept._id}`}>{dept.name}</Label>
               </div>
@@ -85,21 +126,81 @@ export function TaskFilters({ onFilterChange }) {
 
         <div className="space-y-3">
           <h3 className="text-sm font-medium">Priority</h3>
-          <RadioGroup value={priority} onValueChange={setPriority}>
-            {["all", "High", "Medium", "Low"].map(prio => (
+          <div className="space-y-2">
+            {["High", "Medium", "Low"].map(prio => (
               <div key={prio} className="flex items-center space-x-2">
-                <RadioGroupItem value={prio} id={`priority-${prio.toLowerCase()}`} />
-                <Label htmlFor={`priority-${prio.toLowerCase()}`}>
-                  {prio === "all" ? "All" : prio}
-                </Label>
+                <Checkbox
+                  id={`priority-${prio.toLowerCase()}`}
+                  checked={draft.priority.includes(prio)}
+                  onCheckedChange={(checked) => toggleValue("priority", prio, checked)}
+                />
+                <Label htmlFor={`priority-${prio.toLowerCase()}`}>{prio}</Label>
               </div>
             ))}
-          </RadioGroup>
+          </div>
+        </div>
+
+        {labels.length > 0 && (
+          <div className="space-y-3">
+            <h3 className="text-sm font-medium">Labels</h3>
+            <div className="space-y-2">
+              {labels.map(label => (
+                <div key={label._id} className="flex items-center space-x-2">
+                  <Checkbox
+                    id={`label-${label._id}`}
+                    checked={draft.labels.includes(label._id)}
+                    onCheckedChange={(checked) => toggleValue("labels", label._id, checked)}
+                  />
+                  <Label htmlFor={`label-${label._id}`} className="flex items-center gap-2">
+                    <span className={`h-2.5 w-2.5 rounded-full ${label.color}`} />
+                    {label.name}
+                  </Label>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-3">
+          <h3 className="text-sm font-medium">Assignee</h3>
+          {renderUserSelect("assignee", "Anyone")}
+        </div>
+
+        <div className="space-y-3">
+          <h3 className="text-sm font-medium">Created by</h3>
+          {renderUserSelect("createdBy", "Anyone")}
         </div>
 
-        <Button className="w-full" onClick={handleApplyFilters}>
-          Apply Filters
-        </Button>
+        <div className="space-y-3">
+          <h3 className="text-sm font-medium">Due date</h3>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1">
+              <Label htmlFor="due-from" className="text-xs text-muted-foreground">From</Label>
+              <Input id="due-from" type="date" value={draft.dueFrom} onChange={(e) => setField("dueFrom", e.target.value)} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="due-to" className="text-xs text-muted-foreground">To</Label>
+              <Input id="due-to" type="date" value={draft.dueTo} onChange={(e) => setField("dueTo", e.target.value)} />
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Checkbox
+              id="overdue"
+              checked={draft.overdue}
+              onCheckedChange={(checked) => setField("overdue", Boolean(checked))}
+            />
+            <Label htmlFor="overdue">Overdue only</Label>
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <Button variant="outline" className="flex-1" onClick={handleReset}>
+            Reset
+          </Button>
+          <Button className="flex-1" onClick={handleApplyFilters}>
+            Apply Filters
+          </Button>
+        </div>
       </CardContent>
     </Card>
   )
@@ -0,0 +1,170 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import { formatDistanceToNow } from "date-fns"
+import { ArrowRight, History, Loader2 } from "lucide-react"
+import { Avatar, AvatarFallback, AvatarImage } from "../ui/avatar"
+import { Badge } from "../ui/badge"
+import { Button } from "../ui/button"
+import { api } from "../../lib/api"
+import { useToast } from "../../hooks/use-toast"
+
+const PAGE_SIZE = 50
+
+const FIELD_LABELS = {
+  dueDate: "Due date",
+  startDate: "Start date",
+  assignee: "Assignee",
+  githubLink: "GitHub link",
+  documentLink: "Document link",
+  progressPercentage: "Progress",
+  parent: "Parent task",
+}
+
+const ENTITY_LABELS = {
+  Task: "task",
+  TaskSubmission: "submission",
+  Progress: "progress update",
+  Aim: "aim",
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/
+
+// "dueDate" -> "Due date"; free-form fields such as "checklist: <item>" are kept as is
+const fieldLabel = (field) => {
+  if (FIELD_LABELS[field]) return FIELD_LABELS[field]
+  const label = /^[a-zA-Z]+$/.test(field) ? field.replace(/([A-Z])/g, " $1").toLowerCase() : field
+  return label.charAt(0).toUpperCase() + label.slice(1)
+}
+
+const formatValue = (value, field) => {
+  if (value === null || value === undefined || value === "") return "none"
+  if (Array.isArray(value)) return value.length ? value.map((item) => formatValue(item, field)).join(", ") : "none"
+  if (typeof value === "string" && ISO_DATE.test(value)) return new Date(value).toLocaleDateString()
+  if (field === "progress" || field === "progressPercentage") return `${value}%`
+  if (typeof value === "object") return JSON.stringify(value)
+  return String(value)
+}
+
+const initials = (name = "") =>
+  name
+    .split(" ")
+    .map((part) => part[0])
+    .join("")
+    .slice(0, 2)
+    .toUpperCase()
+
+function ChangeRow({ change }) {
+  const from = change.fromLabel !== undefined ? change.fromLabel : change.from
+  const to = change.toLabel !== undefined ? change.toLabel : change.to
+
+  return (
+    <li className="flex flex-wrap items-center gap-1.5 text-xs">
+      <span className="font-medium">{fieldLabel(change.field)}</span>
+      <span className="max-w-[12rem] truncate text-muted-foreground line-through">{formatValue(from, change.field)}</span>
+      <ArrowRight className="h-3 w-3 text-muted-foreground" />
+      <span className="max-w-[12rem] truncate">{formatValue(to, change.field)}</span>
+    </li>
+  )
+}
+
+export function TaskHistory({ taskId }) {
+  const { toast } = useToast()
+  const [entries, setEntries] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [hasMore, setHasMore] = useState(false)
+
+  const loadEntries = useCallback(async (before) => {
+    try {
+      setIsLoading(true)
+      const params = { limit: PAGE_SIZE }
+      if (before) params.before = before
+      const data = await api.tasks.getHistory(taskId, params)
+      setEntries((current) => (before ? [...current, ...data] : data))
+      setHasMore(data.length === PAGE_SIZE)
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load task history",
+        variant: "destructive",
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [taskId, toast])
+
+  useEffect(() => {
+    loadEntries()
+  }, [loadEntries])
+
+  if (isLoading && entries.length === 0) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  if (entries.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 text-center">
+        <History className="h-12 w-12 text-muted-foreground/60 mb-2" />
+        <p className="text-muted-foreground">No changes recorded yet</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <ol className="relative space-y-5 border-l pl-6">
+        {entries.map((entry) => {
+          const name = entry.actor ? entry.actor.name : entry.actorName
+          const showChanges = entry.action !== "created" && entry.changes.length > 0
+
+          return (
+            <li key={entry._id} className="relative">
+              <Avatar className="absolute -left-[2.3rem] h-7 w-7 border-2 border-background">
+                <AvatarImage src={entry.actor?.avatar || "/placeholder.svg"} alt={name} />
+                <AvatarFallback className="text-[10px]">{initials(name)}</AvatarFallback>
+              </Avatar>
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-medium">{name}</span>
+                <span className="text-muted-foreground">
+                  {entry.action} the {ENTITY_LABELS[entry.entityType]}
+                </span>
+                {entry.entityType !== "Task" && (
+                  <Badge variant="outline" className="text-[10px]">
+                    {entry.entityType === "TaskSubmission" ? "Submission" : entry.entityType}
+                  </Badge>
+                )}
+                <span className="text-xs text-muted-foreground" title={new Date(entry.createdAt).toLocaleString()}>
+                  {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                </span>
+              </div>
+              {showChanges && (
+                <ul className="mt-2 space-y-1 rounded-md bg-muted/50 p-2">
+                  {entry.changes.map((change, index) => (
+                    <ChangeRow key={`${change.field}-${index}`} change={change} />
+                  ))}
+                </ul>
+              )}
+            </li>
+          )
+        })}
+      </ol>
+      {hasMore && (
+        <div className="flex justify-center">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={isLoading}
+            onClick={() => loadEntries(entries[entries.length - 1].createdAt)}
+          >
+            {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Load older changes
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
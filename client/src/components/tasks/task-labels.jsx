@@ -0,0 +1,162 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Check, Loader2, Plus, Tag } from "lucide-react"
+import { Badge } from "../ui/badge"
+import { Button } from "../ui/button"
+import { Input } from "../ui/input"
+import { Popover, PopoverContent, PopoverTrigger } from "../ui/popover"
+import { api } from "../../lib/api"
+import { useToast } from "../../hooks/use-toast"
+
+// Listed in full so Tailwind keeps the classes
+const LABEL_COLORS = [
+  "bg-slate-500",
+  "bg-red-500",
+  "bg-orange-500",
+  "bg-amber-500",
+  "bg-green-500",
+  "bg-teal-500",
+  "bg-sky-500",
+  "bg-blue-500",
+  "bg-violet-500",
+  "bg-pink-500",
+]
+
+export function LabelBadge({ label, className = "" }) {
+  return (
+    <Badge variant="outline" className={`gap-1.5 font-normal ${className}`}>
+      <span className={`h-2 w-2 rounded-full ${label.color || "bg-slate-500"}`} />
+      {label.name}
+    </Badge>
+  )
+}
+
+export function TaskLabels({ labels = [] }) {
+  if (!labels.length) return null
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {labels.map((label) => (
+        <LabelBadge key={label._id} label={label} />
+      ))}
+    </div>
+  )
+}
+
+// Pick labels by id. New labels can be created from the search box.
+export function LabelPicker({ value = [], onChange }) {
+  const { toast } = useToast()
+  const [labels, setLabels] = useState([])
+  const [search, setSearch] = useState("")
+  const [color, setColor] = useState(LABEL_COLORS[0])
+  const [isCreating, setIsCreating] = useState(false)
+
+  useEffect(() => {
+    const fetchLabels = async () => {
+      try {
+        const data = await api.labels.getLabels()
+        setLabels(data)
+      } catch (error) {
+        console.error("Error fetching labels:", error)
+      }
+    }
+    fetchLabels()
+  }, [])
+
+  const selected = labels.filter((label) => value.includes(label._id))
+  const query = search.trim().toLowerCase()
+  const matches = labels.filter((label) => label.name.toLowerCase().includes(query))
+  const exactMatch = labels.some((label) => label.name.toLowerCase() === query)
+
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter((labelId) => labelId !== id) : [...value, id])
+  }
+
+  const handleCreate = async () => {
+    try {
+      setIsCreating(true)
+      const label = await api.labels.createLabel({ name: search.trim(), color })
+      setLabels((prev) => (prev.some((l) => l._id === label._id) ? prev : [...prev, label]))
+      if (!value.includes(label._id)) onChange([...value, label._id])
+      setSearch("")
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to create label",
+        variant: "destructive",
+      })
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      {selected.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {selected.map((label) => (
+            <button key={label._id} type="button" onClick={() => toggle(label._id)} title="Remove label">
+              <LabelBadge label={label} className="hover:line-through" />
+            </button>
+          ))}
+        </div>
+      )}
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button type="button" variant="outline" size="sm" className="gap-2">
+            <Tag className="h-4 w-4" />
+            {selected.length ? "Edit labels" : "Add labels"}
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent className="z-[70] w-64 space-y-3 p-3" align="start">
+          <Input
+            placeholder="Search or create a label"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault()
+                if (query && !exactMatch) handleCreate()
+              }
+            }}
+          />
+          <div className="max-h-48 space-y-1 overflow-y-auto">
+            {matches.map((label) => (
+              <button
+                key={label._id}
+                type="button"
+                className="flex w-full items-center gap-2 rounded px-2 py-1 text-left text-sm hover:bg-muted"
+                onClick={() => toggle(label._id)}
+              >
+                <span className={`h-2.5 w-2.5 rounded-full ${label.color}`} />
+                <span className="flex-1 truncate">{label.name}</span>
+                {value.includes(label._id) && <Check className="h-4 w-4" />}
+              </button>
+            ))}
+            {matches.length === 0 && !query && <p className="px-2 text-xs text-muted-foreground">No labels yet</p>}
+          </div>
+          {query && !exactMatch && (
+            <div className="space-y-2 border-t pt-3">
+              <div className="flex flex-wrap gap-1.5">
+                {LABEL_COLORS.map((option) => (
+                  <button
+                    key={option}
+                    type="button"
+                    aria-label={option}
+                    className={`h-5 w-5 rounded-full ${option} ${color === option ? "ring-2 ring-offset-2 ring-primary" : ""}`}
+                    onClick={() => setColor(option)}
+                  />
+                ))}
+              </div>
+              <Button type="button" size="sm" className="w-full" disabled={isCreating} onClick={handleCreate}>
+                {isCreating ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+                Create "{search.trim()}"
+              </Button>
+            </div>
+          )}
+        </PopoverContent>
+      </Popover>
+    </div>
+  )
+}
@@ -15,11 +15,14 @@ import {
   DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "../ui/dropdown-menu"
-import { MoreHorizontal, Eye, Edit, Trash, Loader2 } from 'lucide-react'
+import { MoreHorizontal, Eye, Edit, Trash, Loader2, Lock, ChevronDown, ChevronRight, ListPlus } from 'lucide-react'
 import { TaskDetailsDialog } from "./task-details-dialog"
 import { useToast } from "../../hooks/use-toast"
 import { api } from "../../lib/api"
 import { useSocketContext } from "../../context/socket-context"
+import { getBlockingDependencies } from "../../lib/utils"
+import { useTasks } from "../../hooks/use-tasks"
+import { LabelPicker, TaskLabels } from "./task-labels"
 import {
   Dialog,
   DialogContent,
@@ -34,7 +37,112 @@ import { Textarea } from "../ui/textarea"
 import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
-function EditTaskDialog({ task, open, onOpenChange }) {
+const TASK_PAGE_SIZE = 50
+
+// Nest tasks under their parent when the parent is part of the same list.
+// Children whose parent is filtered out are shown at the top level.
+function buildTaskTree(tasks) {
+  const ids = new Set(tasks.map((task) => task._id))
+  const childrenOf = {}
+  const roots = []
+
+  tasks.forEach((task) => {
+    const parentId = task.parent?._id || task.parent
+    if (parentId && ids.has(parentId)) {
+      childrenOf[parentId] = [...(childrenOf[parentId] || []), task]
+    } else {
+      roots.push(task)
+    }
+  })
+
+  const toNode = (task) => ({
+    task,
+    children: (childrenOf[task._id] || []).sort((a, b) => (a.order || 0) - (b.order || 0)).map(toNode),
+  })
+  return roots.map(toNode)
+}
+
+// Tasks that cannot become the parent of `task`: itself and everything below it
+function getDescendantIds(task, tasks) {
+  const excluded = new Set([task._id])
+  let added = true
+  while (added) {
+    added = false
+    tasks.forEach((candidate) => {
+      const parentId = candidate.parent?._id || candidate.parent
+      if (parentId && excluded.has(parentId) && !excluded.has(candidate._id)) {
+        excluded.add(candidate._id)
+        added = true
+      }
+    })
+  }
+  return excluded
+}
+
+function AddSubtaskDialog({ parent, open, onOpenChange, onCreated }) {
+  const [title, setTitle] = useState("")
+  const [dueDate, setDueDate] = useState("")
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setTitle("")
+      setDueDate("")
+    }
+  }, [open])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setIsSubmitting(true)
+      const subtask = await api.tasks.createSubtask(parent._id, {
+        title,
+        dueDate: dueDate ? new Date(dueDate).toISOString() : undefined,
+      })
+      toast.success("Subtask created successfully")
+      onCreated?.(subtask)
+      onOpenChange(false)
+    } catch (error) {
+      console.error("Error creating subtask:", error)
+      toast.error(error.message || "Failed to create subtask")
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange} className="dialog-overlay">
+      <DialogContent className="dialog-content sm:max-w-[425px]">
+        <DialogHeader>
+          <DialogTitle>Add Subtask to "{parent.title}"</DialogTitle>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="grid gap-4 py-4">
+            <div className="grid gap-2">
+              <Label htmlFor="subtask-title">Title</Label>
+              <Input id="subtask-title" value={title} onChange={(e) => setTitle(e.target.value)} required />
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="subtask-dueDate">Due Date</Label>
+              <Input id="subtask-dueDate" type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+              <p className="text-xs text-muted-foreground">Defaults to the parent task's due date.</p>
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : "Add Subtask"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+function EditTaskDialog({ task, tasks, open, onOpenChange, onUpdated }) {
   // const { toast } = useToast()
   const [formData, setFormData] = useState({
     title: "",
@@ -42,6 +150,8 @@ function EditTaskDialog({ task, open, onOpenChange }) {
     status: "Pending",
     priority: "Medium",
     dueDate: "",
+    parent: "none",
+    labels: [],
   })
   const [isSubmitting, setIsSubmitting] = useState(false)
 
@@ -54,10 +164,16 @@ function EditTaskDialog({ task, open, onOpenChange }) {
         status: task.status || "Pending",
         priority: task.priority || "Medium",
         dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split("T")[0] : "",
+        parent: task.parent?._id || task.parent || "none",
+        labels: (task.labels || []).map((label) => label._id || label),
       })
     }
   }, [task])
 
+  const currentParent = task.parent?._id || task.parent || "none"
+  const excludedParents = getDescendantIds(task, tasks)
+  const parentOptions = tasks.filter((candidate) => !excludedParents.has(candidate._id))
+
   const handleChange = (e) => {
     const { name, value } = e.target
     setFormData((prev) => ({ ...prev, [name]: value }))
@@ -71,11 +187,16 @@ function EditTaskDialog({ task, open, onOpenChange }) {
     e.preventDefault();
     try {
       setIsSubmitting(true);
-      await api.tasks.updateTask(task._id, {
-        ...formData,
-        dueDate: formData.dueDate ? new Date(formData.dueDate).toISOString() : null,
+      const { parent, ...updates } = formData;
+      let updatedTask = await api.tasks.updateTask(task._id, {
+        ...updates,
+        dueDate: updates.dueDate ? new Date(updates.dueDate).toISOString() : null,
       });
+      if (parent !== currentParent) {
+        updatedTask = await api.tasks.moveTask(task._id, parent === "none" ? null : parent);
+      }
       toast.success("Task updated successfully");
+      onUpdated?.(updatedTask);
       onOpenChange(false);
     } catch (error) {
       console.error("Error updating task:", error);
@@ -154,6 +275,29 @@ function EditTaskDialog({ task, open, onOpenChange }) {
                 onChange={handleChange}
               />
             </div>
+            <div className="grid gap-2">
+              <Label>Labels</Label>
+              <LabelPicker value={formData.labels} onChange={(labels) => handleSelectChange("labels", labels)} />
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="parent">Parent Task</Label>
+              <Select
+                value={formData.parent}
+                onValueChange={(value) => handleSelectChange("parent", value)}
+              >
+                <SelectTrigger className="bg-white border border-gray-300 rounded-md shadow-sm">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="z-[70]">
+                  <SelectItem value="none">None (top level)</SelectItem>
+                  {parentOptions.map((candidate) => (
+                    <SelectItem key={candidate._id} value={candidate._id}>
+                      {candidate.title}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
           </div>
           <DialogFooter>
             <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
@@ -176,36 +320,25 @@ function EditTaskDialog({ task, open, onOpenChange }) {
 export function TasksList({ filters }) {
   const { toast } = useToast()
   const { events } = useSocketContext()
-  const [tasks, setTasks] = useState([])
-  const [isLoading, setIsLoading] = useState(true)
-  const [error, setError] = useState(null)
+  const { tasks, setTasks, total, hasMore, loadMore, isLoading, isLoadingMore, error } = useTasks(filters, {
+    pageSize: TASK_PAGE_SIZE,
+  })
   const [selectedTask, setSelectedTask] = useState(null)
   const [isDetailsOpen, setIsDetailsOpen] = useState(false)
   const [isEditOpen, setIsEditOpen] = useState(false)
   const [isDeleting, setIsDeleting] = useState(false)
+  const [isAddSubtaskOpen, setIsAddSubtaskOpen] = useState(false)
+  const [collapsed, setCollapsed] = useState([])
 
-  // Fetch tasks based on filters
   useEffect(() => {
-    const fetchTasks = async () => {
-      try {
-        setIsLoading(true)
-        const data = await api.tasks.getTasks(filters)
-        setTasks(data)
-        setError(null)
-      } catch (err) {
-        setError(err.message || "Failed to load tasks")
-        toast({
-          title: "Error",
-          description: err.message || "Failed to load tasks",
-          variant: "destructive",
-        })
-      } finally {
-        setIsLoading(false)
-      }
+    if (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load tasks",
+        variant: "destructive",
+      })
     }
-
-    fetchTasks()
-  }, [filters, toast])
+  }, [error, toast])
 
   // Handle socket events for real-time updates
   useEffect(() => {
@@ -214,11 +347,20 @@ export function TasksList({ filters }) {
 
       // Apply filter checks for socket updates
       const matchesFilters = (task) => {
-        const { status, department, priority } = filters
+        const { status, department, priority, assignee, labels, createdBy, dueFrom, dueTo, overdue, search } = filters
+        const dueDate = task.dueDate ? new Date(task.dueDate) : null
+        const text = `${task.title} ${task.description || ""}`.toLowerCase()
         return (
           (!status?.length || status.includes(task.status)) &&
           (!department?.length || department.includes(task.department?._id)) &&
-          (!priority || priority === "all" || task.priority === priority)
+          (!priority?.length || priority.includes(task.priority)) &&
+          (!assignee?.length || assignee.includes(task.assignee?._id)) &&
+          (!createdBy?.length || createdBy.includes(task.createdBy)) &&
+          (!labels?.length || (task.labels || []).some((label) => labels.includes(label._id || label))) &&
+          (!dueFrom || (dueDate && dueDate >= new Date(`${dueFrom}T00:00:00`))) &&
+          (!dueTo || (dueDate && dueDate <= new Date(`${dueTo}T23:59:59.999`))) &&
+          (!overdue || (dueDate && dueDate < new Date() && task.status !== "Completed")) &&
+          (!search || text.includes(search.toLowerCase()))
         )
       }
 
@@ -234,7 +376,7 @@ export function TasksList({ filters }) {
         setTasks((prev) => prev.filter((task) => task._id !== latestEvent.data._id))
       }
     }
-  }, [events, filters])
+  }, [events, filters, setTasks])
 
   const getStatusColor = (status) => {
     switch (status) {
@@ -272,6 +414,23 @@ export function TasksList({ filters }) {
     setIsEditOpen(true)
   }
 
+  const handleAddSubtask = (task) => {
+    setSelectedTask(task)
+    setIsAddSubtaskOpen(true)
+  }
+
+  const handleSubtaskCreated = (subtask) => {
+    setTasks((prev) => (prev.some((task) => task._id === subtask._id) ? prev : [...prev, subtask]))
+  }
+
+  const handleTaskUpdated = (updatedTask) => {
+    setTasks((prev) => prev.map((task) => (task._id === updatedTask._id ? { ...task, ...updatedTask } : task)))
+  }
+
+  const toggleCollapsed = (taskId) => {
+    setCollapsed((prev) => (prev.includes(taskId) ? prev.filter((id) => id !== taskId) : [...prev, taskId]))
+  }
+
   const handleDeleteTask = async (taskId) => {
     if (confirm("Are you sure you want to delete this task?")) {
       try {
@@ -287,6 +446,112 @@ export function TasksList({ filters }) {
     }
   }
 
+  // A task's row followed by the rows of its subtasks, unless collapsed
+  const renderTaskRows = ({ task, children }, depth) => {
+    const isCollapsed = collapsed.includes(task._id)
+    return [
+      <TableRow key={task._id}>
+        <TableCell>
+          <div className="flex items-center gap-1" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+            {children.length > 0 ? (
+              <button
+                type="button"
+                className="text-muted-foreground hover:text-foreground"
+                onClick={() => toggleCollapsed(task._id)}
+              >
+                {isCollapsed ? <ChevronRight className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+              </button>
+            ) : (
+              <span className="w-4" />
+            )}
+            <span>{task.title}</span>
+            {children.length > 0 && (
+              <span className="text-xs text-muted-foreground">
+                ({children.filter((child) => child.task.status === "Completed").length}/{children.length}
+                {" "}· {task.progress || 0}%)
+              </span>
+            )}
+          </div>
+          {task.labels?.length > 0 && (
+            <div className="mt-1" style={{ paddingLeft: `${depth * 1.5 + 1.25}rem` }}>
+              <TaskLabels labels={task.labels} />
+            </div>
+          )}
+        </TableCell>
+        <TableCell>{task.assignee?.name || "Unassigned"}</TableCell>
+        <TableCell>
+          <div className="flex items-center gap-1">
+            <Badge className={getStatusColor(task.status)}>{task.status}</Badge>
+            {getBlockingDependencies(task).length > 0 && (
+              <Badge
+                className="bg-red-500/10 text-red-500 hover:bg-red-500/20"
+                title={`Waiting on: ${getBlockingDependencies(task).map((dep) => dep.title).join(", ")}`}
+              >
+                <Lock className="mr-1 h-3 w-3" />
+                Blocked
+              </Badge>
+            )}
+          </div>
+        </TableCell>
+        <TableCell>
+          <Badge className={getPriorityColor(task.priority)}>{task.priority}</Badge>
+        </TableCell>
+        <TableCell>
+          {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : "No date"}
+        </TableCell>
+        <TableCell className="text-right">
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" className="h-8 w-8 p-0">
+                <span className="sr-only">Open menu</span>
+                <MoreHorizontal className="h-4 w-4" />
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent
+              align="end"
+              className="bg-white border border-gray-200 shadow-lg rounded-md"
+            >
+              <DropdownMenuLabel className="font-medium text-gray-900">
+                Actions
+              </DropdownMenuLabel>
+              <DropdownMenuItem
+                onClick={() => handleViewTask(task)}
+                className="text-gray-700 hover:bg-gray-100 hover:text-gray-900"
+              >
+                <Eye className="mr-2 h-4 w-4" />
+                View details
+              </DropdownMenuItem>
+              <DropdownMenuItem
+                onClick={() => handleEditTask(task)}
+                className="text-gray-700 hover:bg-gray-100 hover:text-gray-900"
+              >
+                <Edit className="mr-2 h-4 w-4" />
+                Edit task
+              </DropdownMenuItem>
+              <DropdownMenuItem
+                onClick={() => handleAddSubtask(task)}
+                className="text-gray-700 hover:bg-gray-100 hover:text-gray-900"
+              >
+                <ListPlus className="mr-2 h-4 w-4" />
+                Add subtask
+              </DropdownMenuItem>
+              <DropdownMenuSeparator className="bg-gray-200" />
+              <DropdownMenuItem
+                className="text-red-600 hover:bg-red-50 hover:text-red-700"
+                onClick={() => handleDeleteTask(task._id)}
+                disabled={isDeleting}
+              >
+                <Trash className="mr-2 h-4 w-4" />
+                Delete task
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </TableCell>
+      </TableRow>,
+      ...(isCollapsed ? [] : children.flatMap((child) => renderTaskRows(child, depth + 1))),
+    ]
+  }
+
   // Group tasks by department
   const groupedTasks = tasks.reduce((acc, task) => {
     const deptName = task.department?.name || "Unknown"
@@ -314,7 +579,7 @@ export function TasksList({ filters }) {
     )
   }
 
-  if (error) {
+  if (error && tasks.length === 0) {
     return (
       <Card>
         <CardHeader>
@@ -323,7 +588,7 @@ export function TasksList({ filters }) {
         </CardHeader>
         <CardContent>
           <div className="p-4 text-center text-red-500">
-            <p>Error loading tasks: {error}</p>
+            <p>Error loading tasks: {error.message || "Failed to load tasks"}</p>
             <Button
               variant="outline"
               className="mt-4"
@@ -366,62 +631,7 @@ export function TasksList({ filters }) {
                     </TableRow>
                   </TableHeader>
                   <TableBody>
-                    {deptTasks.map((task) => (
-                      <TableRow key={task._id}>
-                        <TableCell>{task.title}</TableCell>
-                        <TableCell>{task.assignee?.name || "Unassigned"}</TableCell>
-                        <TableCell>
-                          <Badge className={getStatusColor(task.status)}>{task.status}</Badge>
-                        </TableCell>
-                        <TableCell>
-                          <Badge className={getPriorityColor(task.priority)}>{task.priority}</Badge>
-                        </TableCell>
-                        <TableCell>
-                          {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : "No date"}
-                        </TableCell>
-                        <TableCell className="text-right">
-                          <DropdownMenu>
-                            <DropdownMenuTrigger asChild>
-                              <Button variant="ghost" className="h-8 w-8 p-0">
-                                <span className="sr-only">Open menu</span>
-                                <MoreHorizontal className="h-4 w-4" />
-                              </Button>
-                            </DropdownMenuTrigger>
-                            <DropdownMenuContent
-                              align="end"
-                              className="bg-white border border-gray-200 shadow-lg rounded-md"
-                            >
-                              <DropdownMenuLabel className="font-medium text-gray-900">
-                                Actions
-                              </DropdownMenuLabel>
-                              <DropdownMenuItem
-                                onClick={() => handleViewTask(task)}
-                                className="text-gray-700 hover:bg-gray-100 hover:text-gray-900"
-                              >
-                                <Eye className="mr-2 h-4 w-4" />
-                                View details
-                              </DropdownMenuItem>
-                              <DropdownMenuItem
-                                onClick={() => handleEditTask(task)}
-                                className="text-gray-700 hover:bg-gray-100 hover:text-gray-900"
-                              >
-                                <Edit className="mr-2 h-4 w-4" />
-                                Edit task
-                              </DropdownMenuItem>
-                              <DropdownMenuSeparator className="bg-gray-200" />
-                              <DropdownMenuItem
-                                className="text-red-600 hover:bg-red-50 hover:text-red-700"
-                                onClick={() => handleDeleteTask(task._id)}
-                                disabled={isDeleting}
-                              >
-                                <Trash className="mr-2 h-4 w-4" />
-                                Delete task
-                              </DropdownMenuItem>
-                            </DropdownMenuContent>
-                          </DropdownMenu>
-                        </TableCell>
-                      </TableRow>
-                    ))}
+                    {buildTaskTree(deptTasks).map((node) => renderTaskRows(node, 0))}
                   </TableBody>
                 </Table>
               </div>
@@ -429,6 +639,17 @@ export function TasksList({ filters }) {
           </Card>
         ))
       )}
+      {hasMore && (
+        <div className="flex flex-col items-center gap-2">
+          <p className="text-sm text-muted-foreground">
+            Showing {tasks.length} of {total} tasks
+          </p>
+          <Button variant="outline" onClick={loadMore} disabled={isLoadingMore}>
+            {isLoadingMore && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Load more tasks
+          </Button>
+        </div>
+      )}
       {selectedTask && (
         <>
           <TaskDetailsDialog
@@ -438,8 +659,16 @@ export function TasksList({ filters }) {
           />
           <EditTaskDialog
             task={selectedTask}
+            tasks={tasks}
             open={isEditOpen}
             onOpenChange={setIsEditOpen}
+            onUpdated={handleTaskUpdated}
+          />
+          <AddSubtaskDialog
+            parent={selectedTask}
+            open={isAddSubtaskOpen}
+            onOpenChange={setIsAddSubtaskOpen}
+            onCreated={handleSubtaskCreated}
           />
         </>
       )}
@@ -271,8 +271,21 @@ export function NotificationBadge() {
     markAsRead(notification._id)
     if (notification.type === "submission_approved" || notification.type === "submission_rejected") {
       navigate("/completed-tasks")
-    } else if ((notification.type === "task_assigned" || notification.type === "task_submitted") && notification.task) {
+    } else if (
+      [
+        "task_assigned",
+        "task_submitted",
+        "task_unblocked",
+        "task_rescheduled",
+        "comment_mention",
+      ].includes(notification.type) &&
+      notification.task
+    ) {
       navigate(`/tasks/${notification.task}`)
+    } else if (notification.type === "access_requested" || notification.type === "monitoring_alert") {
+      navigate("/monitoring")
+    } else if (notification.type === "access_request_reviewed") {
+      navigate("/userdashboard")
     }
   }
 
@@ -286,6 +299,17 @@ export function NotificationBadge() {
         return <div className="w-2 h-2 rounded-full bg-blue-500" />
       case "task_submitted":
         return <div className="w-2 h-2 rounded-full bg-yellow-500" />
+      case "task_unblocked":
+        return <div className="w-2 h-2 rounded-full bg-purple-500" />
+      case "task_rescheduled":
+        return <div className="w-2 h-2 rounded-full bg-orange-500" />
+      case "comment_mention":
+        return <div className="w-2 h-2 rounded-full bg-sky-500" />
+      case "access_requested":
+      case "access_request_reviewed":
+        return <div className="w-2 h-2 rounded-full bg-teal-500" />
+      case "monitoring_alert":
+        return <div className="w-2 h-2 rounded-full bg-rose-500" />
       default:
         return <div className="w-2 h-2 rounded-full bg-gray-500" />
     }
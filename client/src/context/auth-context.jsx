@@ -4,8 +4,8 @@ import { createContext, useContext, useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useToast } from "../hooks/use-toast";
 import axios from "axios";
+import { API_URL, SESSION_ENDED_EVENT, api, attachAuth, clearSession, storeSession } from "../lib/api";
 
-const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
 const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
@@ -14,21 +14,15 @@ export const AuthProvider = ({ children }) => {
   const navigate = useNavigate();
   const { toast } = useToast();
 
-  const axiosInstance = axios.create({
-    baseURL: API_URL,
-    headers: {
-      "Content-Type": "application/json",
-    },
-  });
-
-  // Add token to axiosInstance headers if available
-  axiosInstance.interceptors.request.use((config) => {
-    const token = localStorage.getItem("WorkflowToken");
-    if (token) {
-      config.headers["x-auth-token"] = token;
-    }
-    return config;
-  });
+  // Sends the stored token and refreshes it when it expires
+  const axiosInstance = attachAuth(
+    axios.create({
+      baseURL: API_URL,
+      headers: {
+        "Content-Type": "application/json",
+      },
+    }),
+  );
 
   // Load user from localStorage on mount
   useEffect(() => {
@@ -45,6 +39,21 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  // The refresh token was rejected, e.g. an admin ended this session
+  useEffect(() => {
+    const handleSessionEnded = () => {
+      setUser(null);
+      navigate("/login");
+      toast({
+        title: "Session ended",
+        description: "Your session has expired or was signed out. Please log in again.",
+        variant: "destructive",
+      });
+    };
+    window.addEventListener(SESSION_ENDED_EVENT, handleSessionEnded);
+    return () => window.removeEventListener(SESSION_ENDED_EVENT, handleSessionEnded);
+  }, [navigate, toast]);
+
   const register = async (userData) => {
     setLoading(true);
   
@@ -57,15 +66,14 @@ export const AuthProvider = ({ children }) => {
     try {
       console.log("userData while register", filteredUserData);
       const response = await axiosInstance.post("/auth/register", filteredUserData);
-      const { token, user } = response.data;
+      const { user } = response.data;
   
-      localStorage.setItem("WorkflowToken", token);
-      localStorage.setItem("WorkflowUser", JSON.stringify(user));
+      storeSession(response.data);
       setUser(user);
   
       toast({
         title: "Registration successful",
-        description: "Your account has been created successfully.",
+        description: "Your account has been created. Check your inbox to verify your email.",
         variant: "success",
       });
   
@@ -83,28 +91,30 @@ export const AuthProvider = ({ children }) => {
   };
   
 
+  // Store the access token, refresh token and user, then open the dashboard
+  const startSession = (session, greeting = { title: "Login successful", description: "Welcome back!" }) => {
+    storeSession(session);
+    setUser(session.user);
+
+    toast({
+      ...greeting,
+      variant: "success",
+    });
+
+    // Navigate based on role
+    navigate(session.user.role === "User" ? "/userdashboard" : "/dashboard");
+  };
+
+  // Resolves to the two-factor challenge when the account needs a code, so the
+  // login page can ask for it
   const login = async (credentials) => {
     setLoading(true);
     try {
       const response = await axiosInstance.post("/auth/login", credentials);
-      const { token, user } = response.data;
-
-      console.log("user after login", user);
-      // Store token and user in localStorage
-      localStorage.setItem("WorkflowToken", token);
-      localStorage.setItem("WorkflowUser", JSON.stringify(user));
-
-      // Set user in state
-      setUser(user);
-
-      toast({
-        title: "Login successful",
-        description: "Welcome back!",
-        variant: "success",
-      });
-
-      // Navigate based on role
-      navigate(user.role === "User" ? "/userdashboard" : "/dashboard");
+      if (response.data.twoFactorRequired) {
+        return response.data;
+      }
+      startSession(response.data);
     } catch (error) {
       toast({
         title: "Login failed",
@@ -117,10 +127,55 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step with an authenticator or recovery code. Errors are thrown
+  // so the code can be entered again.
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const response = await axiosInstance.post("/auth/login/2fa", { challengeToken, code });
+    startSession(response.data);
+
+    if (response.data.recoveryCodesRemaining !== undefined) {
+      toast({
+        title: "Recovery code used",
+        description: `You have ${response.data.recoveryCodesRemaining} recovery code(s) left. Generate new ones in Settings.`,
+      });
+    }
+  };
+
+  // Finish single sign-on with the one-time code the server redirected back
+  // with. Like login(), resolves to the two-factor challenge when one is needed.
+  const completeSso = async (code) => {
+    const response = await axiosInstance.post("/auth/sso/exchange", { code });
+    if (response.data.twoFactorRequired) {
+      return response.data;
+    }
+    startSession(response.data);
+  };
+
+  // Create the invited account and sign in. Rejects with the server's error
+  // so the page can show it next to the form.
+  const acceptInvitation = async ({ token, name, password }) => {
+    const response = await axiosInstance.post("/auth/invitations/accept", { token, name, password });
+    startSession(response.data, {
+      title: "Welcome to WorkflowAI",
+      description: "Your account is ready.",
+    });
+  };
+
+  // Merge changes into the stored user, e.g. after the email is verified
+  const updateUser = (changes) => {
+    setUser((prev) => {
+      if (!prev) return prev;
+      const updated = { ...prev, ...changes };
+      localStorage.setItem("WorkflowUser", JSON.stringify(updated));
+      return updated;
+    });
+  };
+
   const logout = () => {
+    // End the session on the server too; the local logout does not wait for it
+    api.auth.logout().catch((error) => console.error("Logout error:", error));
     setUser(null);
-    localStorage.removeItem("WorkflowToken"); // Fixed from "token" to "WorkflowToken"
-    localStorage.removeItem("WorkflowUser");
+    clearSession();
     navigate("/login");
     toast({
       title: "Logged out",
@@ -129,7 +184,7 @@ export const AuthProvider = ({ children }) => {
   };
 
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, verifyTwoFactor, completeSso, acceptInvitation, register, logout, updateUser }}>
       {children}
     </AuthContext.Provider>
   );
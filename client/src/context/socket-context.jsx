@@ -3,6 +3,8 @@
 import { createContext, useContext, useEffect, useState } from "react"
 import io from "socket.io-client"
 import { useToast } from "../hooks/use-toast"
+import { useAuth } from "./auth-context"
+import { refreshSession, sessionToken } from "../lib/api"
 
 const SocketContext = createContext(null)
 
@@ -18,34 +20,38 @@ export function SocketProvider({ children }) {
   const [socket, setSocket] = useState(null)
   const [isConnected, setIsConnected] = useState(false)
   const { toast } = useToast()
+  const { user } = useAuth()
   const [events, setEvents] = useState([])
+  const userId = user?.id
+  const departmentId = user?.department?._id || user?.department
 
   useEffect(() => {
+    // The server only accepts signed-in sockets
+    if (!userId) return
+
     // Get the base URL from the API URL environment variable
     const apiUrl = import.meta.env.VITE_API_URL || "http://localhost:5000/api"
     const baseUrl = apiUrl.replace(/\/api$/, '') // Remove '/api' if present
     
     // Initialize socket connection
+    // Read on every (re)connect so a refreshed token is used
     const socketInstance = io(baseUrl, {
       withCredentials: true,
-      auth: {
-        token: localStorage.getItem('authToken')
-      }
+      auth: (cb) => cb({ token: sessionToken() })
     })
 
     socketInstance.on("connect", () => {
       console.log("Socket connected")
       setIsConnected(true)
-      
-      // Join rooms based on user ID if available
-      const userData = localStorage.getItem('userData')
-      if (userData) {
-        try {
-          const { id, department } = JSON.parse(userData)
-          socketInstance.emit("join", [`user:${id}`, `department:${department}`])
-        } catch (error) {
-          console.error("Error parsing user data:", error)
-        }
+
+      // The server skips rooms this user may not join
+      socketInstance.emit("join", [`user:${userId}`, ...(departmentId ? [`department:${departmentId}`] : [])])
+    })
+
+    // Handshakes with an expired access token are refused; refresh and retry
+    socketInstance.on("connect_error", async (error) => {
+      if (error.data?.code === "TOKEN_EXPIRED" && (await refreshSession())) {
+        socketInstance.connect()
       }
     })
 
@@ -105,11 +111,12 @@ export function SocketProvider({ children }) {
 
     setSocket(socketInstance)
 
-    // Clean up on unmount
+    // Clean up on unmount or sign-out
     return () => {
       socketInstance.disconnect()
+      setSocket(null)
     }
-  }, [toast])
+  }, [toast, userId, departmentId])
 
   const joinRooms = (rooms) => {
     if (socket && isConnected) {
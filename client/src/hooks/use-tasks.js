@@ -1,31 +1,72 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useCallback } from "react"
 import { api } from "../lib/api"
 
-export function useTasks() {
+// Tasks matching `filters`, loaded a page at a time. Call `loadMore` for the next page.
+export function useTasks(filters = {}, { pageSize = 25, sort } = {}) {
   const [tasks, setTasks] = useState([])
+  const [page, setPage] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [hasMore, setHasMore] = useState(false)
   const [isLoading, setIsLoading] = useState(true)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
   const [error, setError] = useState(null)
 
+  // Callers often pass a new object with the same filters on every render
+  const filterKey = JSON.stringify(filters)
+
+  const fetchPage = useCallback(
+    (pageNumber) => api.tasks.getTasksPage(JSON.parse(filterKey), { page: pageNumber, limit: pageSize, sort }),
+    [filterKey, pageSize, sort]
+  )
+
   useEffect(() => {
+    let cancelled = false
+
     const fetchTasks = async () => {
       try {
         setIsLoading(true)
-        const data = await api.tasks.getTasks()
-        setTasks(data)
+        const result = await fetchPage(1)
+        if (cancelled) return
+        setTasks(result.items)
+        setPage(1)
+        setTotal(result.total)
+        setHasMore(result.hasMore)
         setError(null)
       } catch (err) {
-        setError(err)
+        if (!cancelled) setError(err)
       } finally {
-        setIsLoading(false)
+        if (!cancelled) setIsLoading(false)
       }
     }
 
     fetchTasks()
-  }, [])
+    return () => {
+      cancelled = true
+    }
+  }, [fetchPage])
+
+  const loadMore = useCallback(async () => {
+    try {
+      setIsLoadingMore(true)
+      const result = await fetchPage(page + 1)
+      // Tasks created since the first page may shift later pages; skip repeats
+      setTasks((prev) => {
+        const seen = new Set(prev.map((task) => task._id))
+        return [...prev, ...result.items.filter((task) => !seen.has(task._id))]
+      })
+      setPage(page + 1)
+      setTotal(result.total)
+      setHasMore(result.hasMore)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setIsLoadingMore(false)
+    }
+  }, [fetchPage, page])
 
-  return { tasks, isLoading, error }
+  return { tasks, setTasks, total, hasMore, loadMore, isLoading, isLoadingMore, error }
 }
 
 export function useTask(id) {
@@ -5,6 +5,8 @@ import { Outlet } from "react-router-dom"
 import { DashboardSidebar } from "../components/dashboard/sidebar"
 import { DashboardHeader } from "../components/dashboard/header"
 import { CompactMonitoringIndicator } from "../components/monitoring/MonitoringStatusIndicator"
+import { EmailVerificationBanner } from "../components/dashboard/email-verification-banner"
+import { TwoFactorSetupBanner } from "../components/dashboard/two-factor-setup-banner"
 
 export function DashboardLayout() {
   const [sidebarOpen, setSidebarOpen] = useState(false)
@@ -56,6 +58,8 @@ export function DashboardLayout() {
       <div className="md:ml-80 pt-18">
         <main className="main-content-scroll scrollbar-thin p-4 md:p-6 lg:p-10 pr-2 md:pr-4 lg:pr-6">
           <div className="max-w-8xl mx-auto animate-fade-in">
+            <EmailVerificationBanner />
+            <TwoFactorSetupBanner />
             {/* Monitoring Status Indicator for Employees */}
             {(() => {
               const user = JSON.parse(localStorage.getItem("WorkflowUser") || "{}");
@@ -1,30 +1,168 @@
 
+import axios from "axios"
+
 export const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api"
 
-// Helper function for API requests
-async function fetchAPI(endpoint, options = {}) {
-  // Get token from localStorage if available
-  const token = localStorage.getItem("WorkflowToken")
+const TOKEN_KEY = "WorkflowToken"
+const REFRESH_TOKEN_KEY = "WorkflowRefreshToken"
+const USER_KEY = "WorkflowUser"
 
-  const headers = {
-    "Content-Type": "application/json",
-    ...(token && { "x-auth-token": token }),
-    ...options.headers,
-  }
+// Fired when the refresh token is rejected, e.g. the session was revoked
+export const SESSION_ENDED_EVENT = "workflow:session-ended"
+
+// Requests that must not trigger a refresh when they answer 401
+const NO_REFRESH_ENDPOINTS = ["/auth/login", "/auth/register", "/auth/refresh", "/auth/logout"]
+const skipsRefresh = (url = "") => NO_REFRESH_ENDPOINTS.some((endpoint) => url.includes(endpoint))
+
+// Keep the tokens and user returned by login, register and refresh
+export function storeSession({ token, refreshToken, user }) {
+  localStorage.setItem(TOKEN_KEY, token)
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user))
+}
+
+// Current access token, e.g. for the Socket.IO handshake
+export function sessionToken() {
+  return localStorage.getItem(TOKEN_KEY)
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
+  localStorage.removeItem(USER_KEY)
+}
+
+async function requestRefresh() {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY)
+  if (!refreshToken) return null
 
   try {
-    const response = await fetch(`${API_URL}${endpoint}`, {
+    const response = await fetch(`${API_URL}/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    })
+
+    if (response.ok) {
+      const session = await response.json()
+      storeSession(session)
+      return session.token
+    }
+
+    // Another tab may have rotated the refresh token while this request was in flight
+    const current = localStorage.getItem(REFRESH_TOKEN_KEY)
+    if (current && current !== refreshToken) return localStorage.getItem(TOKEN_KEY)
+
+    if (response.status === 401) {
+      clearSession()
+      window.dispatchEvent(new Event(SESSION_ENDED_EVENT))
+    }
+    return null
+  } catch (error) {
+    console.error("Token refresh failed:", error)
+    return null
+  }
+}
+
+let pendingRefresh = null
+
+// New access token from the stored refresh token, or null when the session is
+// over. Requests failing at the same time share a single refresh.
+export function refreshSession() {
+  if (!pendingRefresh) {
+    pendingRefresh = requestRefresh().finally(() => {
+      pendingRefresh = null
+    })
+  }
+  return pendingRefresh
+}
+
+const requestUrl = (config) =>
+  /^https?:\/\//.test(config.url || "") ? config.url : `${config.baseURL || ""}${config.url || ""}`
+
+// Components that call the API with axios send the access token and get the
+// same silent refresh. Applied to the default instance; instances made with
+// axios.create() need it too.
+export function attachAuth(instance) {
+  instance.interceptors.request.use((config) => {
+    const token = localStorage.getItem(TOKEN_KEY)
+    if (token && requestUrl(config).startsWith(API_URL) && !config.headers["x-auth-token"]) {
+      config.headers["x-auth-token"] = token
+    }
+    return config
+  })
+
+  instance.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error
+    if (response?.status === 401 && config && !config._retried && !skipsRefresh(config.url)) {
+      const hadToken = config.headers?.["x-auth-token"]
+      const token = hadToken && (await refreshSession())
+      if (token) {
+        config._retried = true
+        config.headers["x-auth-token"] = token
+        return instance(config)
+      }
+    }
+    return Promise.reject(error)
+  })
+
+  return instance
+}
+
+attachAuth(axios)
+
+// Totals sent by paginated list endpoints, see server/utils/pagination.js
+function readPagination(headers) {
+  const total = parseInt(headers.get("X-Total-Count")) || 0
+  const page = parseInt(headers.get("X-Page")) || 1
+  const perPage = parseInt(headers.get("X-Per-Page")) || 0
+  const totalPages = parseInt(headers.get("X-Total-Pages")) || 1
+  return { total, page, perPage, totalPages, hasMore: page < totalPages }
+}
+
+// Query string from an object. Arrays become repeated keys; empty values are left out.
+export function toQueryString(params = {}) {
+  const queryParams = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(val => queryParams.append(key, val))
+    } else if (value) {
+      queryParams.append(key, value)
+    }
+  })
+
+  const queryString = queryParams.toString()
+  return queryString ? `?${queryString}` : ""
+}
+
+// Helper function for API requests. With `paginated: true` the result is
+// { items, total, page, perPage, totalPages, hasMore } instead of the bare list.
+async function fetchAPI(endpoint, { paginated = false, ...options } = {}) {
+  const send = (token) =>
+    fetch(`${API_URL}${endpoint}`, {
       ...options,
-      headers,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { "x-auth-token": token }),
+        ...options.headers,
+      },
     })
 
+  try {
+    // Get token from localStorage if available
+    const token = localStorage.getItem(TOKEN_KEY)
+    let response = await send(token)
+
+    // The access token is short-lived; refresh it once and retry
+    if (response.status === 401 && token && !skipsRefresh(endpoint)) {
+      const refreshedToken = await refreshSession()
+      if (refreshedToken) response = await send(refreshedToken)
+    }
+
     // Handle unauthorized responses
     if (response.status === 401) {
-      // Clear token and redirect to login if needed
-      localStorage.removeItem("token")
-      // You might want to redirect to login page here
-      // window.location.href = '/login';
-      throw new Error("Unauthorized: Please log in again")
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.error || "Unauthorized: Please log in again")
     }
 
     if (!response.ok) {
@@ -32,7 +170,8 @@ async function fetchAPI(endpoint, options = {}) {
       throw new Error(errorData.error || `API error: ${response.statusText}`)
     }
 
-    return response.json()
+    const data = await response.json()
+    return paginated ? { items: data, ...readPagination(response.headers) } : data
   } catch (error) {
     console.error(`API Error (${endpoint}):`, error)
     throw error
@@ -52,24 +191,87 @@ const auth = {
       body: JSON.stringify(userData),
     }),
   getCurrentUser: () => fetchAPI("/auth/me"),
+  verifyEmail: (token) =>
+    fetchAPI("/auth/verify-email", {
+      method: "POST",
+      body: JSON.stringify({ token }),
+    }),
+  resendVerification: () =>
+    fetchAPI("/auth/resend-verification", {
+      method: "POST",
+    }),
+  forgotPassword: (email) =>
+    fetchAPI("/auth/forgot-password", {
+      method: "POST",
+      body: JSON.stringify({ email }),
+    }),
+  resetPassword: (token, password) =>
+    fetchAPI("/auth/reset-password", {
+      method: "POST",
+      body: JSON.stringify({ token, password }),
+    }),
+  logout: () =>
+    fetchAPI("/auth/logout", {
+      method: "POST",
+      body: JSON.stringify({ refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY) }),
+    }),
+  getSessions: () => fetchAPI("/auth/sessions"),
+  revokeSession: (id) =>
+    fetchAPI(`/auth/sessions/${id}`, {
+      method: "DELETE",
+    }),
+  revokeAllSessions: ({ keepCurrent = false } = {}) =>
+    fetchAPI(`/auth/sessions${toQueryString({ keepCurrent })}`, {
+      method: "DELETE",
+    }),
+  verifyTwoFactor: (challengeToken, code) =>
+    fetchAPI("/auth/login/2fa", {
+      method: "POST",
+      body: JSON.stringify({ challengeToken, code }),
+    }),
+  getTwoFactor: () => fetchAPI("/auth/2fa"),
+  setupTwoFactor: () =>
+    fetchAPI("/auth/2fa/setup", {
+      method: "POST",
+    }),
+  enableTwoFactor: (code) =>
+    fetchAPI("/auth/2fa/enable", {
+      method: "POST",
+      body: JSON.stringify({ code }),
+    }),
+  disableTwoFactor: ({ password, code }) =>
+    fetchAPI("/auth/2fa/disable", {
+      method: "POST",
+      body: JSON.stringify({ password, code }),
+    }),
+  regenerateRecoveryCodes: (code) =>
+    fetchAPI("/auth/2fa/recovery-codes", {
+      method: "POST",
+      body: JSON.stringify({ code }),
+    }),
+  getSsoOptions: () => fetchAPI("/auth/sso"),
+  getRegistration: () => fetchAPI("/auth/registration"),
+  getInvitation: (token) => fetchAPI(`/auth/invitations/${encodeURIComponent(token)}`),
+  getOnboarding: () => fetchAPI("/auth/onboarding"),
+  dismissOnboarding: () =>
+    fetchAPI("/auth/onboarding/dismiss", {
+      method: "POST",
+    }),
+  // Full-page navigation, since the identity provider redirects back to the server
+  ssoLoginUrl: () => `${API_URL}/auth/sso/start`,
 }
 
 // Tasks API
 const tasks = {
-  getTasks: (filters = {}) => {
-    const queryParams = new URLSearchParams()
-    Object.entries(filters).forEach(([key, value]) => {
-      if (Array.isArray(value)) {
-        value.forEach(val => queryParams.append(key, val))
-      } else if (value) {
-        queryParams.append(key, value)
-      }
-    })
-
-    const queryString = queryParams.toString()
-    return fetchAPI(`/tasks${queryString ? `?${queryString}` : ""}`)
-  },
+  getTasks: (filters = {}) => fetchAPI(`/tasks${toQueryString(filters)}`),
+  // One page of tasks; `paging` takes page, limit, sort and fields
+  getTasksPage: (filters = {}, paging = {}) =>
+    fetchAPI(`/tasks${toQueryString({ ...filters, ...paging })}`, { paginated: true }),
   getTask: (id) => fetchAPI(`/tasks/${id}`),
+  getHistory: (id, params = {}) => {
+    const queryString = new URLSearchParams(params).toString()
+    return fetchAPI(`/tasks/${id}/history${queryString ? `?${queryString}` : ""}`)
+  },
   createTask: (task) =>
     fetchAPI("/tasks", {
       method: "POST",
@@ -84,6 +286,194 @@ const tasks = {
     fetchAPI(`/tasks/${id}`, {
       method: "DELETE",
     }),
+  getScheduleProposals: (filters = {}) => {
+    const queryParams = new URLSearchParams()
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value)
+    })
+
+    const queryString = queryParams.toString()
+    return fetchAPI(`/tasks/schedule/proposals${queryString ? `?${queryString}` : ""}`)
+  },
+  applySchedule: (changes) =>
+    fetchAPI("/tasks/schedule/apply", {
+      method: "POST",
+      body: JSON.stringify({ changes }),
+    }),
+  getSubtasks: (id) => fetchAPI(`/tasks/${id}/subtasks`),
+  createSubtask: (id, subtask) =>
+    fetchAPI(`/tasks/${id}/subtasks`, {
+      method: "POST",
+      body: JSON.stringify(subtask),
+    }),
+  reorderSubtasks: (id, order) =>
+    fetchAPI(`/tasks/${id}/subtasks/reorder`, {
+      method: "PUT",
+      body: JSON.stringify({ order }),
+    }),
+  moveTask: (id, parent) =>
+    fetchAPI(`/tasks/${id}/parent`, {
+      method: "PUT",
+      body: JSON.stringify({ parent }),
+    }),
+  addChecklistItem: (id, text) =>
+    fetchAPI(`/tasks/${id}/checklist`, {
+      method: "POST",
+      body: JSON.stringify({ text }),
+    }),
+  updateChecklistItem: (id, itemId, updates) =>
+    fetchAPI(`/tasks/${id}/checklist/${itemId}`, {
+      method: "PUT",
+      body: JSON.stringify(updates),
+    }),
+  reorderChecklist: (id, order) =>
+    fetchAPI(`/tasks/${id}/checklist/reorder`, {
+      method: "PUT",
+      body: JSON.stringify({ order }),
+    }),
+  deleteChecklistItem: (id, itemId) =>
+    fetchAPI(`/tasks/${id}/checklist/${itemId}`, {
+      method: "DELETE",
+    }),
+}
+
+// Recurring task templates API
+const taskTemplates = {
+  getTemplates: (filters = {}) => {
+    const queryParams = new URLSearchParams(filters).toString()
+    return fetchAPI(`/task-templates${queryParams ? `?${queryParams}` : ""}`)
+  },
+  getTemplate: (id) => fetchAPI(`/task-templates/${id}`),
+  createTemplate: (template) =>
+    fetchAPI("/task-templates", {
+      method: "POST",
+      body: JSON.stringify(template),
+    }),
+  updateTemplate: (id, updates) =>
+    fetchAPI(`/task-templates/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(updates),
+    }),
+  deleteTemplate: (id) =>
+    fetchAPI(`/task-templates/${id}`, {
+      method: "DELETE",
+    }),
+  generateNow: (id) =>
+    fetchAPI(`/task-templates/${id}/generate`, {
+      method: "POST",
+    }),
+  previewSchedule: (schedule) =>
+    fetchAPI("/task-templates/preview", {
+      method: "POST",
+      body: JSON.stringify(schedule),
+    }),
+}
+
+// Comments API
+const comments = {
+  getComments: (target) => fetchAPI(`/comments?${new URLSearchParams(target).toString()}`),
+  addComment: (comment) =>
+    fetchAPI("/comments", {
+      method: "POST",
+      body: JSON.stringify(comment),
+    }),
+  updateComment: (id, body) =>
+    fetchAPI(`/comments/${id}`, {
+      method: "PUT",
+      body: JSON.stringify({ body }),
+    }),
+  deleteComment: (id) =>
+    fetchAPI(`/comments/${id}`, {
+      method: "DELETE",
+    }),
+  toggleReaction: (id, emoji) =>
+    fetchAPI(`/comments/${id}/reactions`, {
+      method: "POST",
+      body: JSON.stringify({ emoji }),
+    }),
+  getHistory: (id) => fetchAPI(`/comments/${id}/history`),
+}
+
+// Submissions API
+const submissions = {
+  getSubmissions: (filters = {}) => fetchAPI(`/submissions${toQueryString(filters)}`),
+  getSubmissionsPage: (filters = {}, paging = {}) =>
+    fetchAPI(`/submissions${toQueryString({ ...filters, ...paging })}`, { paginated: true }),
+}
+
+// Labels API
+const labels = {
+  getLabels: () => fetchAPI("/labels"),
+  createLabel: (label) =>
+    fetchAPI("/labels", {
+      method: "POST",
+      body: JSON.stringify(label),
+    }),
+  updateLabel: (id, label) =>
+    fetchAPI(`/labels/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(label),
+    }),
+  deleteLabel: (id) =>
+    fetchAPI(`/labels/${id}`, {
+      method: "DELETE",
+    }),
+}
+
+// Saved task views API
+const taskViews = {
+  getViews: () => fetchAPI("/task-views"),
+  createView: (view) =>
+    fetchAPI("/task-views", {
+      method: "POST",
+      body: JSON.stringify(view),
+    }),
+  updateView: (id, view) =>
+    fetchAPI(`/task-views/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(view),
+    }),
+  deleteView: (id) =>
+    fetchAPI(`/task-views/${id}`, {
+      method: "DELETE",
+    }),
+  togglePin: (id) =>
+    fetchAPI(`/task-views/${id}/pin`, {
+      method: "POST",
+    }),
+}
+
+// Invitations API
+const invitations = {
+  getInvitations: () => fetchAPI("/invitations"),
+  createInvitation: (invitation) =>
+    fetchAPI("/invitations", {
+      method: "POST",
+      body: JSON.stringify(invitation),
+    }),
+  resendInvitation: (id) =>
+    fetchAPI(`/invitations/${id}/resend`, {
+      method: "POST",
+    }),
+  revokeInvitation: (id) =>
+    fetchAPI(`/invitations/${id}`, {
+      method: "DELETE",
+    }),
+}
+
+// Personal API tokens API
+const apiTokens = {
+  getScopes: () => fetchAPI("/tokens/scopes"),
+  getTokens: () => fetchAPI("/tokens"),
+  createToken: (token) =>
+    fetchAPI("/tokens", {
+      method: "POST",
+      body: JSON.stringify(token),
+    }),
+  revokeToken: (id) =>
+    fetchAPI(`/tokens/${id}`, {
+      method: "DELETE",
+    }),
 }
 
 // Departments API
@@ -118,6 +508,8 @@ const departments = {
 // Users API
 const users = {
   getUsers: () => fetchAPI("/users"),
+  getUsersPage: (filters = {}, paging = {}) =>
+    fetchAPI(`/users${toQueryString({ ...filters, ...paging })}`, { paginated: true }),
   getUser: (id) => fetchAPI(`/users/${id}`),
   createUser: (user) =>
     fetchAPI("/users", {
@@ -158,7 +550,15 @@ const users = {
 const ai = {
   getInsights: () => fetchAPI("/new/ai/insights"),
   optimizeWorkflow: () => fetchAPI("/new/ai/optimize", { method: "POST" }),
-  getDependencyAnalysis: () => fetchAPI("/new/ai/dependencies"),
+  getDependencyAnalysis: (filters = {}) => {
+    const queryParams = new URLSearchParams()
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value)
+    })
+
+    const queryString = queryParams.toString()
+    return fetchAPI(`/ai/dependencies${queryString ? `?${queryString}` : ""}`)
+  },
 }
 
 
@@ -180,6 +580,67 @@ const admin = {
     fetchAPI(`/admin/users/${id}`, {
       method: "DELETE",
     }),
+  getOffboarding: (id) => fetchAPI(`/admin/users/${id}/offboarding`),
+  deactivateUser: (id, offboarding) =>
+    fetchAPI(`/admin/users/${id}/deactivate`, {
+      method: "POST",
+      body: JSON.stringify(offboarding),
+    }),
+  reactivateUser: (id) =>
+    fetchAPI(`/admin/users/${id}/reactivate`, {
+      method: "POST",
+    }),
+  getUserSessions: (id) => fetchAPI(`/admin/users/${id}/sessions`),
+  forceLogout: (id) =>
+    fetchAPI(`/admin/users/${id}/logout`, {
+      method: "POST",
+    }),
+  resetTwoFactor: (id) =>
+    fetchAPI(`/admin/users/${id}/reset-2fa`, {
+      method: "POST",
+    }),
+  getTwoFactorPolicy: () => fetchAPI("/admin/security/two-factor"),
+  updateTwoFactorPolicy: (requiredRoles) =>
+    fetchAPI("/admin/security/two-factor", {
+      method: "PUT",
+      body: JSON.stringify({ requiredRoles }),
+    }),
+  getSsoSettings: () => fetchAPI("/admin/security/sso"),
+  updateSsoSettings: (settings) =>
+    fetchAPI("/admin/security/sso", {
+      method: "PUT",
+      body: JSON.stringify(settings),
+    }),
+  getLockouts: () => fetchAPI("/admin/security/lockouts"),
+  unlockLogin: (id) =>
+    fetchAPI(`/admin/security/lockouts/${id}`, {
+      method: "DELETE",
+    }),
+  getRegistrationPolicy: () => fetchAPI("/admin/security/registration"),
+  updateRegistrationPolicy: (policy) =>
+    fetchAPI("/admin/security/registration", {
+      method: "PUT",
+      body: JSON.stringify(policy),
+    }),
+  getServiceAccounts: () => fetchAPI("/admin/service-accounts"),
+  createServiceAccount: (account) =>
+    fetchAPI("/admin/service-accounts", {
+      method: "POST",
+      body: JSON.stringify(account),
+    }),
+  deleteServiceAccount: (id) =>
+    fetchAPI(`/admin/service-accounts/${id}`, {
+      method: "DELETE",
+    }),
+  createServiceAccountToken: (id, token) =>
+    fetchAPI(`/admin/service-accounts/${id}/tokens`, {
+      method: "POST",
+      body: JSON.stringify(token),
+    }),
+  revokeServiceAccountToken: (id, tokenId) =>
+    fetchAPI(`/admin/service-accounts/${id}/tokens/${tokenId}`, {
+      method: "DELETE",
+    }),
   getDepartments: () => fetchAPI("/admin/departments"),
   getDepartment: (id) => fetchAPI(`/admin/departments/${id}`),
   createDepartment: (departmentData) =>
@@ -281,6 +742,8 @@ const aims = {
     const queryString = queryParams.toString()
     return fetchAPI(`/aims${queryString ? `?${queryString}` : ""}`)
   },
+  getAimsPage: (filters = {}, paging = {}) =>
+    fetchAPI(`/aims${toQueryString({ ...filters, ...paging })}`, { paginated: true }),
   getTodayAim: (userId) => {
     if (!userId) {
       throw new Error("User ID is required")
@@ -324,6 +787,13 @@ const aims = {
 export const api = {
   auth,
   tasks,
+  taskTemplates,
+  comments,
+  submissions,
+  labels,
+  taskViews,
+  apiTokens,
+  invitations,
   departments,
   users,
   ai,
@@ -1,3 +1,42 @@
 export function cn(...classes) {
   return classes.filter(Boolean).join(" ")
 }
+
+// Dependencies that still block a task whose department runs in strict dependencies mode
+export function getBlockingDependencies(task) {
+  if (!task?.department?.strictDependencies || task.status === "Completed") return []
+  return (task.dependencies || []).filter((dep) => dep.status && dep.status !== "Completed")
+}
+
+// Task list filters with nothing selected
+export const EMPTY_FILTERS = {
+  status: [],
+  department: [],
+  priority: [],
+  assignee: [],
+  labels: [],
+  createdBy: [],
+  dueFrom: "",
+  dueTo: "",
+  overdue: false,
+  search: "",
+}
+
+// Task list filters with every key present, e.g. for filters loaded from a saved view
+export function normalizeFilters(filters = {}) {
+  const toDate = (value) => (value ? String(value).slice(0, 10) : "")
+  const toList = (value) => (value === undefined || value === null || value === "" ? [] : [].concat(value))
+
+  return {
+    status: toList(filters.status),
+    department: toList(filters.department),
+    priority: toList(filters.priority),
+    assignee: toList(filters.assignee),
+    labels: toList(filters.labels),
+    createdBy: toList(filters.createdBy),
+    dueFrom: toDate(filters.dueFrom),
+    dueTo: toDate(filters.dueTo),
+    overdue: Boolean(filters.overdue),
+    search: filters.search || "",
+  }
+}
@@ -0,0 +1,138 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Link, useSearchParams } from "react-router-dom"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
+import { Loader2 } from "lucide-react"
+import { useAuth } from "../context/auth-context"
+import { api } from "../lib/api"
+
+export default function AcceptInvite() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token")
+  const { acceptInvitation } = useAuth()
+  const [invitation, setInvitation] = useState(null)
+  const [loadError, setLoadError] = useState(token ? "" : "This invitation link is missing its token.")
+  const [formData, setFormData] = useState({ name: "", password: "", confirmPassword: "" })
+  const [error, setError] = useState("")
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!token) return
+    api.auth
+      .getInvitation(token)
+      .then((data) => {
+        setInvitation(data)
+        setFormData((prev) => ({ ...prev, name: data.name || "" }))
+      })
+      .catch((err) => setLoadError(err.message || "This invitation is invalid or has expired"))
+  }, [token])
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value })
+    setError("")
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (formData.password !== formData.confirmPassword) {
+      setError("Passwords do not match")
+      return
+    }
+
+    setLoading(true)
+    try {
+      await acceptInvitation({ token, name: formData.name, password: formData.password })
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || "Could not create your account")
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 relative overflow-hidden bg-background">
+      <div className="absolute inset-0 bg-gradient-to-br from-primary/20 via-background to-accent/20"></div>
+      <div className="absolute inset-0 bg-cyber-grid opacity-30"></div>
+
+      <Card className="w-full max-w-md relative z-10 neo-card animate-scale-in">
+        <CardHeader className="space-y-1 text-center">
+          <CardTitle className="text-3xl font-bold text-foreground">Join WorkflowAI</CardTitle>
+          <CardDescription className="text-muted-foreground">
+            {invitation
+              ? `${invitation.invitedBy || "An administrator"} invited ${invitation.email} as ${invitation.role}${
+                  invitation.department ? ` in ${invitation.department}` : ""
+                }`
+              : "Accept your invitation to create an account"}
+          </CardDescription>
+        </CardHeader>
+
+        {loadError ? (
+          <CardContent className="space-y-4 text-center">
+            <p className="text-sm text-red-500">{loadError}</p>
+            <p className="text-sm text-muted-foreground">Ask whoever invited you to send a new invitation.</p>
+            <Link to="/login" className="text-sm text-primary hover:underline">
+              Back to login
+            </Link>
+          </CardContent>
+        ) : !invitation ? (
+          <CardContent className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </CardContent>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <CardContent className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="name">Full Name</Label>
+                <Input id="name" name="name" value={formData.name} onChange={handleChange} disabled={loading} required />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="password">Password</Label>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  disabled={loading}
+                  required
+                />
+                <p className="text-xs text-muted-foreground">
+                  At least 8 characters with upper and lower case letters and a number
+                </p>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword">Confirm Password</Label>
+                <Input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  disabled={loading}
+                  required
+                />
+              </div>
+              {error && <p className="text-sm text-red-500">{error}</p>}
+            </CardContent>
+            <CardFooter className="flex flex-col space-y-4">
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Create account
+              </Button>
+              <p className="text-center text-sm">
+                Already have an account?{" "}
+                <Link to="/login" className="text-primary hover:underline">
+                  Login
+                </Link>
+              </p>
+            </CardFooter>
+          </form>
+        )}
+      </Card>
+    </div>
+  )
+}
@@ -7,7 +7,7 @@ import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter }
 import { Input } from "@/components/ui/input"
 import { Button } from "@/components/ui/button"
 import { Textarea } from "@/components/ui/textarea"
-import { Building2, Users, Plus, Trash2, RefreshCw, Search, Edit, UserPlus, UserCog } from "lucide-react"
+import { Building2, Users, Plus, Trash2, RefreshCw, Search, Edit, UserPlus, UserCog, LogOut, ShieldOff, Mail, UserX, UserCheck } from "lucide-react"
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
 import { Badge } from "@/components/ui/badge"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
@@ -23,13 +23,23 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog"
 import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
 import { useToast } from "../hooks/use-toast"
-import { API_URL } from "@/lib/api"
+import { API_URL, api as workflowApi, attachAuth } from "@/lib/api"
+import { TwoFactorPolicy } from "@/components/dashboard/two-factor-policy"
+import { SsoSettings } from "@/components/dashboard/sso-settings"
+import { LoginLockouts } from "@/components/dashboard/login-lockouts"
+import { ServiceAccounts } from "@/components/dashboard/service-accounts"
+import { PendingInvitations } from "@/components/dashboard/pending-invitations"
+import { RegistrationPolicy } from "@/components/dashboard/registration-policy"
+import { DeactivateUserDialog } from "@/components/dashboard/deactivate-user-dialog"
 
-// Configure axios with base URL
-const api = axios.create({
-  baseURL: `${API_URL}`,
-})
+// Configure axios with base URL and the signed-in user's token
+const api = attachAuth(
+  axios.create({
+    baseURL: `${API_URL}`,
+  }),
+)
 
 const colorOptions = [
   { value: "bg-blue-500", label: "Blue" },
@@ -51,7 +61,7 @@ const roleOptions = [
 ]
 
 const AdminDashboard = () => {
-  const { user, token } = useAuth()
+  const { user: currentUser } = useAuth()
   const { toast } = useToast()
   const [users, setUsers] = useState([])
   const [departments, setDepartments] = useState([])
@@ -81,13 +91,7 @@ const AdminDashboard = () => {
   const [editingUser, setEditingUser] = useState(null)
   const [showDepartmentDialog, setShowDepartmentDialog] = useState(false)
   const [showUserDialog, setShowUserDialog] = useState(false)
-
-  // Set auth header for all requests
-  useEffect(() => {
-    if (token) {
-      api.defaults.headers.common["Authorization"] = `Bearer ${token}`
-    }
-  }, [token])
+  const [deactivatingUser, setDeactivatingUser] = useState(null)
 
   useEffect(() => {
     fetchUsers()
@@ -329,6 +333,63 @@ const AdminDashboard = () => {
     }
   }
 
+  const handleForceLogout = async (user) => {
+    if (!window.confirm(`Sign ${user.name} out of every device?`)) return
+    try {
+      const { message } = await workflowApi.admin.forceLogout(user._id)
+      toast({
+        title: "Success",
+        description: message,
+      })
+    } catch (err) {
+      console.error("Error forcing logout:", err)
+      toast({
+        title: "Error",
+        description: err.message || "Failed to log out user",
+        variant: "destructive",
+      })
+    }
+  }
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${user.name}? They will be signed out everywhere.`)) return
+    try {
+      const { message } = await workflowApi.admin.resetTwoFactor(user._id)
+      setUsers((prev) => prev.map((item) => (item._id === user._id ? { ...item, twoFactorEnabled: false } : item)))
+      toast({
+        title: "Success",
+        description: message,
+      })
+    } catch (err) {
+      console.error("Error resetting two-factor authentication:", err)
+      toast({
+        title: "Error",
+        description: err.message || "Failed to reset two-factor authentication",
+        variant: "destructive",
+      })
+    }
+  }
+
+  const replaceUser = (updated) => setUsers((prev) => prev.map((item) => (item._id === updated._id ? updated : item)))
+
+  const handleReactivateUser = async (user) => {
+    try {
+      const { message, user: updated } = await workflowApi.admin.reactivateUser(user._id)
+      replaceUser(updated)
+      toast({
+        title: "Success",
+        description: message,
+      })
+    } catch (err) {
+      console.error("Error reactivating user:", err)
+      toast({
+        title: "Error",
+        description: err.message || "Failed to reactivate user",
+        variant: "destructive",
+      })
+    }
+  }
+
   const filteredDepartments = departments.filter((department) =>
     department.name.toLowerCase().includes(searchTerm.toLowerCase()),
   )
@@ -476,13 +537,16 @@ const AdminDashboard = () => {
           </Card>
 
           <Tabs defaultValue="departments" className="w-full" onValueChange={setActiveTab}>
-            <TabsList className="w-full max-w-md mx-auto grid grid-cols-2 mb-6">
+            <TabsList className="w-full max-w-lg mx-auto grid grid-cols-3 mb-6">
               <TabsTrigger value="departments" className="text-sm">
                 <Building2 className="mr-2 h-4 w-4" /> Departments
               </TabsTrigger>
               <TabsTrigger value="users" className="text-sm">
                 <Users className="mr-2 h-4 w-4" /> Users
               </TabsTrigger>
+              <TabsTrigger value="invitations" className="text-sm">
+                <Mail className="mr-2 h-4 w-4" /> Invitations
+              </TabsTrigger>
             </TabsList>
 
             <TabsContent value="departments" className="mt-0">
@@ -668,7 +732,7 @@ const AdminDashboard = () => {
                       <Label className="text-sm font-medium text-slate-500 dark:text-slate-400">Password</Label>
                       <Input
                         type="password"
-                        placeholder="Enter password"
+                        placeholder="At least 8 characters, mixed case and a number"
                         value={newUser.password}
                         onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
                         className="w-full"
@@ -800,7 +864,14 @@ const AdminDashboard = () => {
                                   )}
                                 </Avatar>
                               </TableCell>
-                              <TableCell className="font-medium">{user.name}</TableCell>
+                              <TableCell className="font-medium">
+                                {user.name}
+                                {user.deactivatedAt && (
+                                  <Badge variant="outline" className="ml-2 text-slate-500">
+                                    Deactivated
+                                  </Badge>
+                                )}
+                              </TableCell>
                               <TableCell>{user.email}</TableCell>
                               <TableCell>{getRoleBadge(user.role)}</TableCell>
                               <TableCell>
@@ -829,6 +900,24 @@ const AdminDashboard = () => {
                                     >
                                       <Edit className="mr-2 h-4 w-4" /> Edit User
                                     </DropdownMenuItem>
+                                    <DropdownMenuItem onClick={() => handleForceLogout(user)}>
+                                      <LogOut className="mr-2 h-4 w-4" /> Force Logout
+                                    </DropdownMenuItem>
+                                    {user.twoFactorEnabled && (
+                                      <DropdownMenuItem onClick={() => handleResetTwoFactor(user)}>
+                                        <ShieldOff className="mr-2 h-4 w-4" /> Reset 2FA
+                                      </DropdownMenuItem>
+                                    )}
+                                    {currentUser?.role === "Admin" &&
+                                      (user.deactivatedAt ? (
+                                        <DropdownMenuItem onClick={() => handleReactivateUser(user)}>
+                                          <UserCheck className="mr-2 h-4 w-4" /> Reactivate User
+                                        </DropdownMenuItem>
+                                      ) : (
+                                        <DropdownMenuItem onClick={() => setDeactivatingUser(user)}>
+                                          <UserX className="mr-2 h-4 w-4" /> Deactivate User
+                                        </DropdownMenuItem>
+                                      ))}
                                     <DropdownMenuItem
                                       className="text-red-600 dark:text-red-400"
                                       onClick={() => handleDeleteUser(user._id)}
@@ -846,6 +935,20 @@ const AdminDashboard = () => {
                   </CardContent>
                 </Card>
               </div>
+
+              {currentUser?.role === "Admin" && (
+                <div className="mt-8 space-y-8">
+                  <TwoFactorPolicy />
+                  <SsoSettings departments={departments} />
+                  <LoginLockouts />
+                  <ServiceAccounts departments={departments} />
+                </div>
+              )}
+            </TabsContent>
+
+            <TabsContent value="invitations" className="mt-0 space-y-8">
+              <PendingInvitations currentUser={currentUser} departments={departments} />
+              {currentUser?.role === "Admin" && <RegistrationPolicy />}
             </TabsContent>
           </Tabs>
         </div>
@@ -918,6 +1021,21 @@ const AdminDashboard = () => {
                   </SelectContent>
                 </Select>
               </div>
+              <div className="flex items-center justify-between space-x-2">
+                <div className="space-y-0.5">
+                  <Label htmlFor="edit-dept-strict">Strict dependencies</Label>
+                  <p className="text-xs text-muted-foreground">
+                    Tasks cannot start or complete until their dependencies are completed
+                  </p>
+                </div>
+                <Switch
+                  id="edit-dept-strict"
+                  checked={Boolean(editingDepartment.strictDependencies)}
+                  onCheckedChange={(checked) =>
+                    setEditingDepartment({ ...editingDepartment, strictDependencies: checked })
+                  }
+                />
+              </div>
             </div>
           )}
           <DialogFooter>
@@ -1017,6 +1135,13 @@ const AdminDashboard = () => {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      <DeactivateUserDialog
+        user={deactivatingUser}
+        users={users}
+        onOpenChange={(open) => !open && setDeactivatingUser(null)}
+        onDeactivated={replaceUser}
+      />
     </div>
   )
 }
@@ -2,7 +2,7 @@
 
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useCallback } from "react"
 import axios from "axios"
 import { useNavigate } from "react-router-dom"
 import { useToast } from "../hooks/use-toast"
@@ -33,6 +33,8 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "../components/ui/tabs"
 import { CompletedTasksStats } from "../components/dashboard/CompletedTasksStats"
 import { API_URL } from "@/lib/api"
 
+const COMPLETED_PAGE_SIZE = 24
+
 const CompletedTasks = () => {
   const navigate = useNavigate()
   const { toast } = useToast()
@@ -52,29 +54,69 @@ const CompletedTasks = () => {
   const [submissionFilter, setSubmissionFilter] = useState("all")
   const [showStats, setShowStats] = useState(true)
 
+  const [page, setPage] = useState(1)
+  const [totalTasks, setTotalTasks] = useState(0)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
+  const [debouncedSearch, setDebouncedSearch] = useState("")
+  const hasMore = page * COMPLETED_PAGE_SIZE < totalTasks
+
+  // Search on the server once typing pauses
   useEffect(() => {
-    fetchData()
-  }, [])
+    const timeout = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300)
+    return () => clearTimeout(timeout)
+  }, [searchTerm])
 
-  const fetchData = async () => {
-    try {
-      setIsLoading(true)
-      const token = localStorage.getItem("WorkflowToken")
+  useEffect(() => {
+    const fetchDepartments = async () => {
+      try {
+        const token = localStorage.getItem("WorkflowToken")
+        const departmentsResponse = await axios.get(`${API_URL}/departments`, {
+          headers: { "x-auth-token": token },
+        })
+        setDepartments(departmentsResponse.data)
+      } catch (error) {
+        console.error("Error fetching departments:", error)
+      }
+    }
+    fetchDepartments()
+  }, [])
 
-      const tasksResponse = await axios.get(`${API_URL}/tasks?status=Completed`, {
-        headers: { "x-auth-token": token },
-      })
-      setTasks(tasksResponse.data)
+  // One page of completed tasks, newest first, with the submissions for those tasks
+  const fetchTasksPage = useCallback(
+    async (pageNumber) => {
+      const headers = { "x-auth-token": localStorage.getItem("WorkflowToken") }
+      const params = { status: "Completed", page: pageNumber, limit: COMPLETED_PAGE_SIZE, sort: "-updatedAt" }
+      if (debouncedSearch) params.search = debouncedSearch
+      if (selectedDepartment !== "all") params.department = selectedDepartment
+
+      const tasksResponse = await axios.get(`${API_URL}/tasks`, { headers, params })
+      const pageTasks = tasksResponse.data
+
+      let pageSubmissions = []
+      if (pageTasks.length > 0) {
+        const submissionsResponse = await axios.get(`${API_URL}/submissions`, {
+          headers,
+          params: { task: pageTasks.map((task) => task._id).join(",") },
+        })
+        pageSubmissions = submissionsResponse.data
+      }
 
-      const submissionsResponse = await axios.get(`${API_URL}/submissions`, {
-        headers: { "x-auth-token": token },
-      })
-      setSubmissions(submissionsResponse.data)
+      return {
+        pageTasks,
+        pageSubmissions,
+        total: parseInt(tasksResponse.headers["x-total-count"]) || pageTasks.length,
+      }
+    },
+    [debouncedSearch, selectedDepartment]
+  )
 
-      const departmentsResponse = await axios.get(`${API_URL}/departments`, {
-        headers: { "x-auth-token": token },
-      })
-      setDepartments(departmentsResponse.data)
+  const fetchData = useCallback(async () => {
+    try {
+      const { pageTasks, pageSubmissions, total } = await fetchTasksPage(1)
+      setTasks(pageTasks)
+      setSubmissions(pageSubmissions)
+      setTotalTasks(total)
+      setPage(1)
     } catch (error) {
       console.error("Error fetching data:", error)
       toast({
@@ -85,6 +127,31 @@ const CompletedTasks = () => {
     } finally {
       setIsLoading(false)
     }
+  }, [fetchTasksPage, toast])
+
+  useEffect(() => {
+    fetchData()
+  }, [fetchData])
+
+  const loadMore = async () => {
+    try {
+      setIsLoadingMore(true)
+      const { pageTasks, pageSubmissions, total } = await fetchTasksPage(page + 1)
+      const loadedIds = new Set(tasks.map((task) => task._id))
+      setTasks((prev) => [...prev, ...pageTasks.filter((task) => !loadedIds.has(task._id))])
+      setSubmissions((prev) => [...prev, ...pageSubmissions])
+      setTotalTasks(total)
+      setPage(page + 1)
+    } catch (error) {
+      console.error("Error loading more tasks:", error)
+      toast({
+        title: "Error",
+        description: "Failed to load more tasks",
+        variant: "destructive",
+      })
+    } finally {
+      setIsLoadingMore(false)
+    }
   }
 
 const handleReviewSubmission = async () => {
@@ -726,6 +793,18 @@ const handleReviewSubmission = async () => {
         </TabsContent>
       </Tabs>
 
+      {hasMore && (
+        <div className="flex flex-col items-center gap-2 pb-6">
+          <p className="text-sm text-muted-foreground">
+            Showing {tasks.length} of {totalTasks} completed tasks
+          </p>
+          <Button variant="outline" onClick={loadMore} disabled={isLoadingMore}>
+            {isLoadingMore && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Load more
+          </Button>
+        </div>
+      )}
+
       <Dialog open={reviewDialogOpen} onOpenChange={setReviewDialogOpen} className="dialog-overlay">
         <DialogContent className="dialog-content sm:max-w-[525px] max-w-full sm:max-w-[525px] w-[90vw] max-h-[90vh] overflow-y-auto">
           <DialogHeader>
@@ -10,6 +10,7 @@ import { DepartmentStats } from "../components/dashboard/department-stats"
 import { TasksOverview } from "../components/dashboard/tasks-overview"
 import { AIInsights } from "../components/dashboard/ai-insights"
 import { RecentActivity } from "../components/dashboard/recent-activity"
+import { OnboardingChecklist } from "../components/dashboard/onboarding-checklist"
 import { api, API_URL } from "../lib/api"
 import { useToast } from "../hooks/use-toast"
 import { useAuth } from "../context/auth-context"
@@ -204,6 +205,8 @@ function Dashboard() {
         </div>
       </div>
 
+      <OnboardingChecklist />
+
       {/* Enhanced Cyber Stats Cards */}
       <div className="grid gap-8 md:grid-cols-2 lg:grid-cols-4">
         <Card className="neo-card hover-neo group relative overflow-hidden border-primary/20">
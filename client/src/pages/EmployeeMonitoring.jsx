@@ -37,6 +37,7 @@ import { EmployeeSelector } from '@/components/monitoring/EmployeeSelector';
 import { ActivityChart } from '@/components/monitoring/ActivityChart';
 import { ScreenshotGallery } from '@/components/monitoring/ScreenshotGallery';
 import { AlertsPanel } from '@/components/monitoring/AlertsPanel';
+import { AlertRoutingSettings } from '@/components/monitoring/AlertRoutingSettings';
 import { ReportsGenerator } from '@/components/monitoring/ReportsGenerator';
 import { BulkMonitoringControls } from '@/components/monitoring/BulkMonitoringControls';
 import { AIInsightsPanel } from '@/components/monitoring/AIInsightsPanel';
@@ -392,10 +393,11 @@ export function EmployeeMonitoring() {
             />
           </TabsContent>
 
-          <TabsContent value="alerts">
+          <TabsContent value="alerts" className="space-y-6">
             <AlertsPanel
               employee={selectedEmployee}
             />
+            <AlertRoutingSettings />
           </TabsContent>
 
           <TabsContent value="ai-insights">
@@ -0,0 +1,91 @@
+"use client"
+
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
+import { Loader2, MailCheck } from "lucide-react"
+import { api } from "../lib/api"
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("")
+  const [error, setError] = useState("")
+  const [loading, setLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError("Please enter a valid email address")
+      return
+    }
+
+    setLoading(true)
+    setError("")
+    try {
+      await api.auth.forgotPassword(email.trim())
+      setSent(true)
+    } catch (err) {
+      setError(err.message || "Could not send the reset link")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 relative overflow-hidden bg-background">
+      <div className="absolute inset-0 bg-gradient-to-br from-primary/20 via-background to-accent/20"></div>
+      <div className="absolute inset-0 bg-cyber-grid opacity-30"></div>
+
+      <Card className="w-full max-w-md relative z-10 neo-card animate-scale-in">
+        <CardHeader className="space-y-1 text-center">
+          <CardTitle className="text-3xl font-bold text-foreground">Forgot Password</CardTitle>
+          <CardDescription className="text-muted-foreground">
+            Enter your email and we will send you a link to reset your password
+          </CardDescription>
+        </CardHeader>
+
+        {sent ? (
+          <CardContent className="space-y-4 text-center">
+            <MailCheck className="mx-auto h-12 w-12 text-primary" />
+            <p className="text-sm text-muted-foreground">
+              If an account exists for <span className="font-medium text-foreground">{email}</span>, a reset link is on
+              its way. The link expires in one hour.
+            </p>
+            <Link to="/login" className="text-sm text-primary hover:underline">
+              Back to login
+            </Link>
+          </CardContent>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <CardContent className="space-y-2">
+              <Label htmlFor="email">Email Address</Label>
+              <Input
+                id="email"
+                type="email"
+                placeholder="name@example.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                disabled={loading}
+                className={error ? "border-red-500" : ""}
+              />
+              {error && <p className="text-sm text-red-500">{error}</p>}
+            </CardContent>
+            <CardFooter className="flex flex-col space-y-4 pt-6">
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Send Reset Link
+              </Button>
+              <Link to="/login" className="text-sm text-muted-foreground hover:text-primary">
+                Back to login
+              </Link>
+            </CardFooter>
+          </form>
+        )}
+      </Card>
+    </div>
+  )
+}
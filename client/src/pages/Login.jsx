@@ -141,13 +141,15 @@
 "use client"
 
 import { useEffect, useState } from "react"
-import { Link, useNavigate } from "react-router-dom"
+import { Link, useLocation, useSearchParams } from "react-router-dom"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
-import { Loader2 } from "lucide-react"
+import { KeyRound, Loader2 } from "lucide-react"
 import { useAuth } from "../context/auth-context" // Import the context
+import { api } from "../lib/api"
+import { TwoFactorChallenge } from "../components/auth/two-factor-challenge"
 
 export default function Login() {
   const [formData, setFormData] = useState({
@@ -157,11 +159,24 @@ export default function Login() {
   const [errors, setErrors] = useState({})
   const [loading, setLoading] = useState(false)
   const [forceTheme, setForceTheme] = useState("");
-  const navigate = useNavigate()
+  const location = useLocation()
+  const [searchParams] = useSearchParams()
+  // Set when the password was right and the account asks for a second factor.
+  // Single sign-on arrives here with one too (pages/SsoCallback.jsx).
+  const [challenge, setChallenge] = useState(location.state?.challenge || null)
+  const [sso, setSso] = useState(null)
+  const ssoError = searchParams.get("ssoError")
 
   // Use login from AuthContext
   const { login } = useAuth()
 
+  useEffect(() => {
+    api.auth
+      .getSsoOptions()
+      .then(setSso)
+      .catch((error) => console.error("Error fetching SSO options:", error))
+  }, [])
+
   useEffect(() => {
     const isSystemDark = window.matchMedia("(prefers-color-scheme: dark)").matches;
     setForceTheme(isSystemDark ? "light" : "dark");
@@ -201,9 +216,11 @@ export default function Login() {
       setLoading(true)
   
       try {
-        await login(formData) // Ensure the login function is successful
-        console.log("Login successful")  // Add this log to confirm successful login
-        navigate("/dashboard") // Ensure this line gets executed
+        // login() opens the dashboard itself unless a code is needed
+        const result = await login(formData)
+        if (result?.twoFactorRequired) {
+          setChallenge(result)
+        }
       } catch (error) {
         console.error("Login error:", error)
         setErrors({ password: "Invalid email or password" })
@@ -212,6 +229,12 @@ export default function Login() {
       }
     }
   }
+
+  const handleChallengeCancel = (message) => {
+    setChallenge(null)
+    setFormData({ ...formData, password: "" })
+    if (message) setErrors({ password: message })
+  }
   
 
   return (
@@ -234,14 +257,45 @@ export default function Login() {
             </svg>
           </div>
           <CardTitle className="text-4xl font-bold text-foreground mb-2">
-            Welcome Back
+            {challenge ? "Two-Step Verification" : "Welcome Back"}
           </CardTitle>
           <CardDescription className="text-muted-foreground text-lg">
-            Enter your credentials to access your cyber workspace
+            {challenge
+              ? "Confirm it's you with your authenticator app"
+              : "Enter your credentials to access your cyber workspace"}
           </CardDescription>
         </CardHeader>
+        {challenge ? (
+          <TwoFactorChallenge challengeToken={challenge.challengeToken} onCancel={handleChallengeCancel} />
+        ) : (
         <form onSubmit={handleSubmit} className="space-y-6">
           <CardContent className="space-y-6">
+            {ssoError && (
+              <p className="rounded-md border border-red-500/50 bg-red-500/10 p-3 text-sm text-red-500">{ssoError}</p>
+            )}
+
+            {sso?.enabled && (
+              <div className="space-y-4">
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="w-full py-3"
+                  disabled={loading}
+                  onClick={() => {
+                    window.location.href = api.auth.ssoLoginUrl()
+                  }}
+                >
+                  <KeyRound className="mr-2 h-5 w-5" />
+                  Sign in with {sso.providerName}
+                </Button>
+                <div className="flex items-center gap-3 text-xs uppercase text-muted-foreground">
+                  <span className="h-px flex-1 bg-border" />
+                  {sso.localLoginEnabled ? "or use your password" : "Password sign-in is for administrators only"}
+                  <span className="h-px flex-1 bg-border" />
+                </div>
+              </div>
+            )}
+
             <div className="space-y-2 group">
               <Label htmlFor="email" className="text-sm font-medium text-foreground/80">
                 Email Address
@@ -340,6 +394,7 @@ export default function Login() {
             </div>
           </CardFooter>
         </form>
+        )}
       </Card>
     </div>
   )
@@ -359,30 +359,24 @@ export default function Register() {
     email: "",
     password: "",
     confirmPassword: "",
-    department: "",
     role: "User",
   })
 
   const [errors, setErrors] = useState({})
-  const [departments, setDepartments] = useState([])
+  // Whether registration is open, limited to email domains, or by invitation only
+  const [registration, setRegistration] = useState(null)
   const [success, setSuccess] = useState(false)
   const { register, loading } = useAuth()
   const [forceTheme, setForceTheme] = useState("");
 
   useEffect(() => {
-    const fetchDepartments = async () => {
-      try {
-        const data = await api.departments.getDepartments()
-        setDepartments(data)
-        if (data.length > 0 && !formData.department) {
-          setFormData((prev) => ({ ...prev, department: data[0].id }))
-        }
-      } catch (err) {
-        console.error("Error fetching departments:", err)
-      }
-    }
-
-    fetchDepartments()
+    api.auth
+      .getRegistration()
+      .then(setRegistration)
+      .catch((err) => {
+        console.error("Error fetching registration policy:", err)
+        setRegistration({ open: true, bootstrap: false, domains: [] })
+      })
   }, [])
 
   const handleChange = (e) => {
@@ -391,21 +385,9 @@ export default function Register() {
     if (errors[name]) setErrors({ ...errors, [name]: "" })
   }
 
-  const handleDepartmentChange = (value) => {
-    setFormData({ ...formData, department: value })
-    if (errors.department) setErrors({ ...errors, department: "" })
-  }
-
   const handleRoleChange = (value) => {
     setFormData({ ...formData, role: value })
     if (errors.role) setErrors({ ...errors, role: "" })
-
-    // Clear department if role is Admin/Manager
-    if (value === "Admin" || value === "Manager") {
-      setFormData((prev) => ({ ...prev, department: "" }))
-    } else if (departments.length > 0) {
-      setFormData((prev) => ({ ...prev, department: departments[0].id }))
-    }
   }
 
   const validateForm = () => {
@@ -420,16 +402,16 @@ export default function Register() {
 
     if (!formData.password) {
       newErrors.password = "Password is required"
-    } else if (formData.password.length < 3) {
-      newErrors.password = "Password must be at least 3 characters"
+    } else if (formData.password.length < 8) {
+      newErrors.password = "Password must be at least 8 characters"
+    } else if (!/[a-z]/.test(formData.password) || !/[A-Z]/.test(formData.password) || !/\d/.test(formData.password)) {
+      newErrors.password = "Password must mix upper and lower case letters and a number"
     }
 
     if (formData.password !== formData.confirmPassword) {
       newErrors.confirmPassword = "Passwords do not match"
     }
 
-    if (formData.role === "User" && !formData.department) newErrors.department = "Please select a department"
-
     if (!formData.role) newErrors.role = "Please select a role"
 
     setErrors(newErrors)
@@ -493,237 +475,189 @@ export default function Register() {
             Create your account to access the future of workflow management
           </CardDescription>
         </CardHeader>
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <CardContent className="space-y-6">
-            {success && (
-              <Alert className="neo-card border-accent/30 bg-accent/10 animate-slide-up">
-                <Mail className="h-4 w-4 text-accent" />
-                <AlertTitle className="text-foreground">Registration successful!</AlertTitle>
-                <AlertDescription className="text-muted-foreground">
-                  A welcome email has been sent to {formData.email} with details about your role and responsibilities.
-                </AlertDescription>
-              </Alert>
-            )}
-
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div className="space-y-2 group">
-                <Label htmlFor="name" className="text-sm font-medium text-foreground/80">
-                  Full Name
-                </Label>
-                <div className="relative">
+        {registration && !registration.open ? (
+          <CardContent className="space-y-4 text-center">
+            <p className="text-sm text-muted-foreground">
+              Registration is by invitation only. Ask an administrator or your manager to send you an invitation.
+            </p>
+            <Link to="/login" className="text-sm text-primary hover:underline">
+              Back to login
+            </Link>
+          </CardContent>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <CardContent className="space-y-6">
+              {success && (
+                <Alert className="neo-card border-accent/30 bg-accent/10 animate-slide-up">
+                  <Mail className="h-4 w-4 text-accent" />
+                  <AlertTitle className="text-foreground">Registration successful!</AlertTitle>
+                  <AlertDescription className="text-muted-foreground">
+                    A welcome email has been sent to {formData.email} with details about your role and responsibilities.
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-2 group">
+                  <Label htmlFor="name" className="text-sm font-medium text-foreground/80">
+                    Full Name
+                  </Label>
+                  <div className="relative">
+                    <Input
+                      id="name"
+                      name="name"
+                      placeholder="John Doe"
+                      value={formData.name}
+                      onChange={handleChange}
+                      disabled={loading || success}
+                      className={`transition-all duration-300 bg-background/50 backdrop-blur-sm border-border/50 focus:border-primary/50 focus:ring-2 focus:ring-primary/20 ${
+                        errors.name ? "border-red-500 focus:border-red-500 focus:ring-red-200" : ""
+                      }`}
+                    />
+                    <div className="absolute inset-0 rounded-md bg-gradient-to-r from-primary/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none"></div>
+                  </div>
+                  {errors.name && (
+                    <p className="text-sm text-red-500 animate-slide-up flex items-center gap-1">
+                      <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                      </svg>
+                      {errors.name}
+                    </p>
+                  )}
+                </div>
+
+                <div className="space-y-2 group">
+                  <Label htmlFor="email" className="text-sm font-medium text-foreground/80">
+                    Email Address
+                  </Label>
+                  <div className="relative">
+                    <Input
+                      id="email"
+                      name="email"
+                      type="email"
+                      placeholder="name@example.com"
+                      value={formData.email}
+                      onChange={handleChange}
+                      disabled={loading || success}
+                      className={`transition-all duration-300 bg-background/50 backdrop-blur-sm border-border/50 focus:border-primary/50 focus:ring-2 focus:ring-primary/20 ${
+                        errors.email ? "border-red-500 focus:border-red-500 focus:ring-red-200" : ""
+                      }`}
+                    />
+                    <div className="absolute inset-0 rounded-md bg-gradient-to-r from-primary/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none"></div>
+                  </div>
+                  {errors.email && (
+                    <p className="text-sm text-red-500 animate-slide-up flex items-center gap-1">
+                      <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                      </svg>
+                      {errors.email}
+                    </p>
+                  )}
+                  {registration?.domains.length > 0 && (
+                    <p className="text-xs text-muted-foreground">
+                      Use your {registration.domains.map((domain) => `@${domain}`).join(" or ")} email address
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="password">Password</Label>
                   <Input
-                    id="name"
-                    name="name"
-                    placeholder="John Doe"
-                    value={formData.name}
+                    id="password"
+                    name="password"
+                    type="password"
+                    placeholder="••••••••"
+                    value={formData.password}
                     onChange={handleChange}
                     disabled={loading || success}
-                    className={`transition-all duration-300 bg-background/50 backdrop-blur-sm border-border/50 focus:border-primary/50 focus:ring-2 focus:ring-primary/20 ${
-                      errors.name ? "border-red-500 focus:border-red-500 focus:ring-red-200" : ""
-                    }`}
+                    className={errors.password ? "border-red-500" : ""}
                   />
-                  <div className="absolute inset-0 rounded-md bg-gradient-to-r from-primary/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none"></div>
+                  {errors.password && <p className="text-sm text-red-500">{errors.password}</p>}
                 </div>
-                {errors.name && (
-                  <p className="text-sm text-red-500 animate-slide-up flex items-center gap-1">
-                    <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                      <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                    </svg>
-                    {errors.name}
-                  </p>
-                )}
-              </div>
 
-              <div className="space-y-2 group">
-                <Label htmlFor="email" className="text-sm font-medium text-foreground/80">
-                  Email Address
-                </Label>
-                <div className="relative">
+                <div className="space-y-2">
+                  <Label htmlFor="confirmPassword">Confirm Password</Label>
                   <Input
-                    id="email"
-                    name="email"
-                    type="email"
-                    placeholder="name@example.com"
-                    value={formData.email}
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type="password"
+                    placeholder="••••••••"
+                    value={formData.confirmPassword}
                     onChange={handleChange}
                     disabled={loading || success}
-                    className={`transition-all duration-300 bg-background/50 backdrop-blur-sm border-border/50 focus:border-primary/50 focus:ring-2 focus:ring-primary/20 ${
-                      errors.email ? "border-red-500 focus:border-red-500 focus:ring-red-200" : ""
-                    }`}
+                    className={errors.confirmPassword ? "border-red-500" : ""}
                   />
-                  <div className="absolute inset-0 rounded-md bg-gradient-to-r from-primary/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none"></div>
+                  {errors.confirmPassword && <p className="text-sm text-red-500">{errors.confirmPassword}</p>}
                 </div>
-                {errors.email && (
-                  <p className="text-sm text-red-500 animate-slide-up flex items-center gap-1">
-                    <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                      <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                    </svg>
-                    {errors.email}
-                  </p>
-                )}
-              </div>
-            </div>
-
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <Label htmlFor="password">Password</Label>
-                <Input
-                  id="password"
-                  name="password"
-                  type="password"
-                  placeholder="••••••••"
-                  value={formData.password}
-                  onChange={handleChange}
-                  disabled={loading || success}
-                  className={errors.password ? "border-red-500" : ""}
-                />
-                {errors.password && <p className="text-sm text-red-500">{errors.password}</p>}
               </div>
 
-              <div className="space-y-2">
-                <Label htmlFor="confirmPassword">Confirm Password</Label>
-                <Input
-                  id="confirmPassword"
-                  name="confirmPassword"
-                  type="password"
-                  placeholder="••••••••"
-                  value={formData.confirmPassword}
-                  onChange={handleChange}
-                  disabled={loading || success}
-                  className={errors.confirmPassword ? "border-red-500" : ""}
-                />
-                {errors.confirmPassword && <p className="text-sm text-red-500">{errors.confirmPassword}</p>}
-              </div>
-            </div>
-
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <Label htmlFor="role">Role</Label>
-                <Select value={formData.role} onValueChange={handleRoleChange} disabled={loading || success}>
-                  <SelectTrigger
-                    className={`bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-700 rounded-md shadow-sm focus:ring-2 focus:ring-primary focus:border-primary transition-colors ${errors.role ? "border-red-500" : ""}`}
-                  >
-                    <SelectValue placeholder="Select a role" />
-                  </SelectTrigger>
-                  <SelectContent className="bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-700 rounded-md shadow-lg max-h-60 overflow-y-auto">
-                    <SelectItem
-                      value="Admin"
-                      className="hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 transition-colors"
-                    >
-                      Admin
-                    </SelectItem>
-                    <SelectItem
-                      value="Manager"
-                      className="hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 transition-colors"
+              {/* Only the first account of a new installation picks its role */}
+              {registration?.bootstrap && (
+                <div className="space-y-2">
+                  <Label htmlFor="role">Role</Label>
+                  <Select value={formData.role} onValueChange={handleRoleChange} disabled={loading || success}>
+                    <SelectTrigger
+                      className={`bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-700 rounded-md shadow-sm focus:ring-2 focus:ring-primary focus:border-primary transition-colors ${errors.role ? "border-red-500" : ""}`}
                     >
-                      Manager
-                    </SelectItem>
-                    <SelectItem
-                      value="User"
-                      className="hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 transition-colors"
-                    >
-                      User
-                    </SelectItem>
-                  </SelectContent>
-                </Select>
-                {errors.role && <p className="text-sm text-red-500">{errors.role}</p>}
-                {formData.role && (
-                  <p className="text-xs text-muted-foreground mt-1">{getRoleDescription(formData.role)}</p>
-                )}
-              </div>
-
-              {/* <div className="space-y-2">
-                <Label htmlFor="department">Department</Label>
-                <Select
-                  value={formData.department}
-                  onValueChange={handleDepartmentChange}
-                  disabled={loading || success || formData.role !== "User"}
-                >
-                  <SelectTrigger
-                    className={`bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-700 rounded-md shadow-sm focus:ring-2 focus:ring-primary focus:border-primary transition-colors ${errors.department ? "border-red-500" : ""}`}
-                  >
-                    <SelectValue placeholder="Select a department" />
-                  </SelectTrigger>
-                  <SelectContent className="bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-700 rounded-md shadow-lg max-h-60 overflow-y-auto">
-                    {departments.map((dept) => (
+                      <SelectValue placeholder="Select a role" />
+                    </SelectTrigger>
+                    <SelectContent className="bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-700 rounded-md shadow-lg max-h-60 overflow-y-auto">
+                      <SelectItem
+                        value="Admin"
+                        className="hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 transition-colors"
+                      >
+                        Admin
+                      </SelectItem>
                       <SelectItem
-                        key={dept.id}
-                        value={dept.id}
+                        value="Manager"
                         className="hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 transition-colors"
                       >
-                        {dept.name}
+                        Manager
                       </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
-                {errors.department && <p className="text-sm text-red-500">{errors.department}</p>}
-                {formData.role === "User" && (
-                  <p className="text-xs text-muted-foreground mt-1">
-                    You'll receive tasks from this department's manager.
-                  </p>
-                )}
-              </div> */}
-              <div className="space-y-2">
-                <Label htmlFor="department">Department</Label>
-                <Select
-                  value={formData.department}
-                  onValueChange={handleDepartmentChange}
-                  disabled={loading || formData.role !== "User"}
-                >
-                  <SelectTrigger
-                    className={`bg-white border border-gray-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors ${errors.department ? "border-red-500" : ""}`}
-                  >
-                    <SelectValue placeholder="Select a department" />
-                  </SelectTrigger>
-                  <SelectContent className="bg-white border border-gray-300 rounded-md shadow-lg max-h-60 overflow-y-auto">
-                    {departments.map((dept) => (
                       <SelectItem
-                        key={dept._id}
-                        value={dept._id}
-                        className="hover:bg-gray-100 focus:bg-gray-100 transition-colors"
+                        value="User"
+                        className="hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 transition-colors"
                       >
-                        {dept.name}
+                        User
                       </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
-                {errors.department && (
-                  <p className="text-sm text-red-500">{errors.department}</p>
-                )}
-                {formData.role === "User" && (
-                  <p className="text-xs text-muted-foreground mt-1">
-                    You'll receive tasks from this department's manager.
-                  </p>
-                )}
-              </div>
-            </div>
-          </CardContent>
-          <CardFooter className="flex flex-col space-y-4">
-            {!success && (
-              <Button type="submit" className="w-full" disabled={loading}>
-                {loading ? (
-                  <>
-                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                    Creating account...
-                  </>
-                ) : (
-                  "Register"
-                )}
-              </Button>
-            )}
-            {success && (
-              <Button asChild className="w-full">
-                <Link to="/login">Continue to Login</Link>
-              </Button>
-            )}
-            <p className="text-center text-sm">
-              Already have an account?{" "}
-              <Link to="/login" className="text-primary hover:underline">
-                Login
-              </Link>
-            </p>
-          </CardFooter>
-        </form>
+                    </SelectContent>
+                  </Select>
+                  {errors.role && <p className="text-sm text-red-500">{errors.role}</p>}
+                  {formData.role && (
+                    <p className="text-xs text-muted-foreground mt-1">{getRoleDescription(formData.role)}</p>
+                  )}
+                </div>
+              )}
+            </CardContent>
+            <CardFooter className="flex flex-col space-y-4">
+              {!success && (
+                <Button type="submit" className="w-full" disabled={loading}>
+                  {loading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Creating account...
+                    </>
+                  ) : (
+                    "Register"
+                  )}
+                </Button>
+              )}
+              {success && (
+                <Button asChild className="w-full">
+                  <Link to="/login">Continue to Login</Link>
+                </Button>
+              )}
+              <p className="text-center text-sm">
+                Already have an account?{" "}
+                <Link to="/login" className="text-primary hover:underline">
+                  Login
+                </Link>
+              </p>
+            </CardFooter>
+          </form>
+        )}
       </Card>
     </div>
   )
@@ -0,0 +1,115 @@
+"use client"
+
+import { useState } from "react"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
+import { Loader2 } from "lucide-react"
+import { useToast } from "../hooks/use-toast"
+import { api } from "../lib/api"
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token")
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" })
+  const [error, setError] = useState("")
+  const [loading, setLoading] = useState(false)
+  const navigate = useNavigate()
+  const { toast } = useToast()
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value })
+    setError("")
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (formData.password !== formData.confirmPassword) {
+      setError("Passwords do not match")
+      return
+    }
+
+    setLoading(true)
+    try {
+      await api.auth.resetPassword(token, formData.password)
+      toast({
+        title: "Password reset",
+        description: "Your password has been changed. Please log in.",
+        variant: "success",
+      })
+      navigate("/login")
+    } catch (err) {
+      setError(err.message || "Could not reset your password")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 relative overflow-hidden bg-background">
+      <div className="absolute inset-0 bg-gradient-to-br from-primary/20 via-background to-accent/20"></div>
+      <div className="absolute inset-0 bg-cyber-grid opacity-30"></div>
+
+      <Card className="w-full max-w-md relative z-10 neo-card animate-scale-in">
+        <CardHeader className="space-y-1 text-center">
+          <CardTitle className="text-3xl font-bold text-foreground">Choose a New Password</CardTitle>
+          <CardDescription className="text-muted-foreground">
+            At least 8 characters with upper and lower case letters and a number
+          </CardDescription>
+        </CardHeader>
+
+        {!token ? (
+          <CardContent className="space-y-4 text-center">
+            <p className="text-sm text-red-500">This reset link is missing its token.</p>
+            <Link to="/forgot-password" className="text-sm text-primary hover:underline">
+              Request a new link
+            </Link>
+          </CardContent>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <CardContent className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="password">New Password</Label>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  disabled={loading}
+                  required
+                  minLength={8}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword">Confirm Password</Label>
+                <Input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  disabled={loading}
+                  required
+                />
+              </div>
+              {error && <p className="text-sm text-red-500">{error}</p>}
+            </CardContent>
+            <CardFooter className="flex flex-col space-y-4 pt-6">
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Reset Password
+              </Button>
+              <Link to="/forgot-password" className="text-sm text-muted-foreground hover:text-primary">
+                Link expired? Request a new one
+              </Link>
+            </CardFooter>
+          </form>
+        )}
+      </Card>
+    </div>
+  )
+}
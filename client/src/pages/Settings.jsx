@@ -1,11 +1,19 @@
+import { useSearchParams } from "react-router-dom"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../components/ui/card"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "../components/ui/tabs"
+import { Separator } from "../components/ui/separator"
 import { ProfileSettings } from "../components/settings/profile-settings"
 import { WorkspaceSettings } from "../components/settings/workspace-settings"
 import { NotificationSettings } from "../components/settings/notification-settings"
+import { SessionSettings } from "../components/settings/session-settings"
+import { ApiTokenSettings } from "../components/settings/api-token-settings"
+import { TwoFactorSettings } from "../components/settings/two-factor-settings"
 import { PrivacySettings } from "../components/monitoring/PrivacySettings"
 
 function Settings() {
+  // Links such as the two-factor setup banner open a given tab via ?tab=
+  const [searchParams] = useSearchParams()
+
   return (
     <div className="space-y-6">
       <div>
@@ -19,12 +27,13 @@ function Settings() {
           <CardDescription>Manage your preferences and account settings</CardDescription>
         </CardHeader>
         <CardContent>
-          <Tabs defaultValue="profile" className="w-full">
-            <TabsList className="grid w-full grid-cols-4">
+          <Tabs defaultValue={searchParams.get("tab") || "profile"} className="w-full">
+            <TabsList className="grid w-full grid-cols-5">
               <TabsTrigger value="profile">Profile</TabsTrigger>
               <TabsTrigger value="workspace">Workspace</TabsTrigger>
               <TabsTrigger value="notifications">Notifications</TabsTrigger>
               <TabsTrigger value="privacy">Privacy</TabsTrigger>
+              <TabsTrigger value="security">Security</TabsTrigger>
             </TabsList>
             <TabsContent value="profile">
               <ProfileSettings />
@@ -38,6 +47,13 @@ function Settings() {
             <TabsContent value="privacy">
               <PrivacySettings />
             </TabsContent>
+            <TabsContent value="security" className="space-y-6">
+              <TwoFactorSettings />
+              <Separator />
+              <SessionSettings />
+              <Separator />
+              <ApiTokenSettings />
+            </TabsContent>
           </Tabs>
         </CardContent>
       </Card>
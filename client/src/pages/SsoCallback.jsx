@@ -0,0 +1,51 @@
+"use client"
+
+import { useEffect, useRef } from "react"
+import { useNavigate, useSearchParams } from "react-router-dom"
+import { Card, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Loader2 } from "lucide-react"
+import { useAuth } from "../context/auth-context"
+
+// The server sends the browser here after the identity provider signs the user
+// in, with a one-time code to swap for a session
+export default function SsoCallback() {
+  const [searchParams] = useSearchParams()
+  const code = searchParams.get("code")
+  const { completeSso } = useAuth()
+  const navigate = useNavigate()
+  // Codes are single use, so only send it once even if the effect runs twice
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (submitted.current) return
+    submitted.current = true
+
+    const failed = (message) => navigate(`/login?ssoError=${encodeURIComponent(message)}`, { replace: true })
+    if (!code) {
+      failed("Single sign-on did not return a sign-in code")
+      return
+    }
+
+    completeSso(code)
+      .then((challenge) => {
+        // The login page asks for the two-factor code
+        if (challenge) navigate("/login", { replace: true, state: { challenge } })
+      })
+      .catch((error) => failed(error.response?.data?.error || "Single sign-on failed. Please try again."))
+  }, [code, completeSso, navigate])
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 relative overflow-hidden bg-background">
+      <div className="absolute inset-0 bg-gradient-to-br from-primary/20 via-background to-accent/20"></div>
+      <div className="absolute inset-0 bg-cyber-grid opacity-30"></div>
+
+      <Card className="w-full max-w-md relative z-10 neo-card animate-scale-in">
+        <CardHeader className="space-y-4 text-center">
+          <CardTitle className="text-3xl font-bold text-foreground">Signing you in</CardTitle>
+          <CardDescription className="text-muted-foreground">Finishing single sign-on...</CardDescription>
+          <Loader2 className="mx-auto h-12 w-12 animate-spin text-primary" />
+        </CardHeader>
+      </Card>
+    </div>
+  )
+}
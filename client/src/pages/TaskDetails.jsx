@@ -568,6 +568,7 @@ import { useParams, useNavigate } from "react-router-dom"
 import axios from "axios"
 import { useToast } from "../hooks/use-toast"
 import { useAuth } from "../context/auth-context"
+import { useSocketContext } from "../context/socket-context"
 import {
   Calendar,
   Clock,
@@ -582,6 +583,9 @@ import {
   BarChart3,
   FileCode,
   Layers,
+  Lock,
+  CornerLeftUp,
+  Repeat,
 } from "lucide-react"
 import { Button } from "../components/ui/button"
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "../components/ui/card"
@@ -590,14 +594,21 @@ import { Progress } from "../components/ui/progress"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "../components/ui/tabs"
 import { Avatar, AvatarFallback, AvatarImage } from "../components/ui/avatar"
 import { TaskSubmissionDialog } from "../components/tasks/task-submission-dialog"
+import { SubtaskTree } from "../components/tasks/subtask-tree"
+import { TaskChecklist } from "../components/tasks/task-checklist"
+import { CommentThread } from "../components/comments/comment-thread"
+import { TaskHistory } from "../components/tasks/task-history"
+import { LabelBadge } from "../components/tasks/task-labels"
 import { Skeleton } from "../components/ui/skeleton"
 import { API_URL } from "@/lib/api"
+import { getBlockingDependencies } from "@/lib/utils"
 
 function TaskDetails() {
   const { id } = useParams()
   const navigate = useNavigate()
   const { toast } = useToast()
   const { user } = useAuth()
+  const { socket, isConnected } = useSocketContext()
   const [task, setTask] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [isSubmissionDialogOpen, setIsSubmissionDialogOpen] = useState(false)
@@ -640,6 +651,28 @@ function TaskDetails() {
     }
   }, [id, toast])
 
+  // Receive live comments for this task while it is open
+  useEffect(() => {
+    if (!socket || !isConnected || !id) return
+    socket.emit("join", [`task:${id}`])
+    return () => {
+      socket.emit("leave", [`task:${id}`])
+    }
+  }, [socket, isConnected, id])
+
+  // Re-read the task after subtask changes, since its progress is rolled up from them
+  const refreshTask = async () => {
+    try {
+      const token = localStorage.getItem("WorkflowToken")
+      const taskResponse = await axios.get(`${API_URL}/tasks/${id}`, {
+        headers: { "x-auth-token": token },
+      })
+      setTask(taskResponse.data)
+    } catch (error) {
+      console.error("Error refreshing task:", error)
+    }
+  }
+
   const getStatusColor = (status) => {
     switch (status) {
       case "Completed":
@@ -833,6 +866,7 @@ function TaskDetails() {
   const storedUser = JSON.parse(localStorage.getItem("WorkflowUser"))
   const isAssignedToCurrentUser = storedUser?.id === task.assignee?._id
   const documents = getDocumentDetails(task.notes, task.fileType)
+  const blockingDependencies = getBlockingDependencies(task)
 
   return (
     <div className="space-y-6 p-4 md:p-6">
@@ -841,19 +875,59 @@ function TaskDetails() {
           <Button variant="ghost" size="icon" onClick={() => navigate(-1)} className="h-9 w-9">
             <ArrowLeft className="h-5 w-5" />
           </Button>
-          <h1 className="text-2xl font-bold tracking-tight">{task.title}</h1>
+          <div>
+            {task.parent && (
+              <button
+                type="button"
+                onClick={() => navigate(`/tasks/${task.parent._id}`)}
+                className="flex items-center gap-1 text-sm text-muted-foreground hover:underline"
+              >
+                <CornerLeftUp className="h-3 w-3" />
+                {task.parent.title}
+              </button>
+            )}
+            <h1 className="text-2xl font-bold tracking-tight">{task.title}</h1>
+          </div>
         </div>
         <div className="flex items-center gap-2">
           <Badge className={getStatusColor(task.status)}>{task.status}</Badge>
+          {blockingDependencies.length > 0 && (
+            <Badge className="bg-red-500/10 text-red-500 hover:bg-red-500/20">
+              <Lock className="mr-1 h-3 w-3" />
+              Blocked
+            </Badge>
+          )}
           <Badge className={getPriorityColor(task.priority)}>{task.priority}</Badge>
+          {task.template && (
+            <Badge variant="outline" className="border-[1px] border-muted-foreground/20">
+              <Repeat className="mr-1 h-3 w-3" />
+              Recurring
+            </Badge>
+          )}
           {task.department && (
             <Badge variant="outline" className="border-[1px] border-muted-foreground/20">
               {task.department.name}
             </Badge>
           )}
+          {task.labels?.map((label) => (
+            <LabelBadge key={label._id} label={label} />
+          ))}
         </div>
       </div>
 
+      {blockingDependencies.length > 0 && (
+        <div className="flex items-start gap-3 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-700">
+          <Lock className="h-5 w-5 shrink-0" />
+          <div>
+            <p className="font-medium">This task is blocked</p>
+            <p>
+              {task.department?.name} requires dependencies to be completed first. Waiting on:{" "}
+              {blockingDependencies.map((dep) => dep.title).join(", ")}
+            </p>
+          </div>
+        </div>
+      )}
+
       <div className="grid gap-6 md:grid-cols-3">
         <Card className="md:col-span-2">
           <CardHeader>
@@ -862,10 +936,12 @@ function TaskDetails() {
           </CardHeader>
           <CardContent className="space-y-6">
             <Tabs defaultValue="description">
-              <TabsList className="grid w-full grid-cols-3">
+              <TabsList className="grid w-full grid-cols-5">
                 <TabsTrigger value="description">Description</TabsTrigger>
+                <TabsTrigger value="subtasks">Subtasks</TabsTrigger>
                 <TabsTrigger value="dependencies">Dependencies</TabsTrigger>
                 <TabsTrigger value="submission">Submission</TabsTrigger>
+                <TabsTrigger value="history">History</TabsTrigger>
               </TabsList>
               <TabsContent value="description" className="space-y-4 pt-4">
                 <div className="prose max-w-none dark:prose-invert">
@@ -909,6 +985,10 @@ function TaskDetails() {
                   </div>
                 )}
               </TabsContent>
+              <TabsContent value="subtasks" className="space-y-6 pt-4">
+                <SubtaskTree key={task._id} taskId={task._id} onChange={refreshTask} />
+                <TaskChecklist key={`checklist-${task._id}`} taskId={task._id} items={task.checklist} />
+              </TabsContent>
               <TabsContent value="dependencies" className="pt-4">
                 {task.dependencies && task.dependencies.length > 0 ? (
                   <div className="space-y-4">
@@ -920,7 +1000,12 @@ function TaskDetails() {
                         </CardHeader>
                         <CardContent className="p-4 pt-0">
                           <div className="flex items-center justify-between">
-                            <Badge className={getStatusColor(dependency.status)}>{dependency.status}</Badge>
+                            <div className="flex items-center gap-1">
+                              <Badge className={getStatusColor(dependency.status)}>{dependency.status}</Badge>
+                              {blockingDependencies.some((dep) => dep._id === dependency._id) && (
+                                <Badge className="bg-red-500/10 text-red-500 hover:bg-red-500/20">Blocking</Badge>
+                              )}
+                            </div>
                             <Button variant="ghost" size="sm" onClick={() => navigate(`/tasks/${dependency._id}`)}>
                               View Task
                             </Button>
@@ -1018,6 +1103,7 @@ function TaskDetails() {
                         </CardContent>
                       </Card>
                     )}
+                    <CommentThread taskId={task._id} submissionId={submission._id} title="Submission discussion" />
                   </div>
                 ) : (
                   <div className="flex flex-col items-center justify-center py-8 text-center">
@@ -1029,6 +1115,9 @@ function TaskDetails() {
                   </div>
                 )}
               </TabsContent>
+              <TabsContent value="history" className="pt-4">
+                <TaskHistory taskId={task._id} />
+              </TabsContent>
             </Tabs>
           </CardContent>
           <CardFooter className="flex justify-between border-t px-6 py-4">
@@ -1127,6 +1216,12 @@ function TaskDetails() {
         </div>
       </div>
 
+      <Card>
+        <CardContent className="pt-6">
+          <CommentThread taskId={task._id} />
+        </CardContent>
+      </Card>
+
       <TaskSubmissionDialog
         open={isSubmissionDialogOpen}
         onOpenChange={setIsSubmissionDialogOpen}
@@ -4,27 +4,38 @@ import { useState } from "react"
 import { TasksHeader } from "../components/tasks/tasks-header"
 import { TasksList } from "../components/tasks/tasks-list"
 import { TaskFilters } from "../components/tasks/task-filters"
+import { SavedViews } from "../components/tasks/saved-views"
+import { RecurringTemplates } from "../components/tasks/recurring-templates"
+import { useAuth } from "../context/auth-context"
+import { EMPTY_FILTERS, normalizeFilters } from "../lib/utils"
 
 function Tasks() {
-  const [filters, setFilters] = useState({
-    status: [],
-    department: [],
-    priority: undefined,
-  })
+  const { user } = useAuth()
+  const canManageTemplates = user?.role === "Admin" || user?.role === "Manager"
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [activeViewId, setActiveViewId] = useState(null)
 
   const handleFilterChange = (newFilters) => {
     setFilters(newFilters)
+    setActiveViewId(null)
+  }
+
+  const handleApplyView = (view) => {
+    setFilters(normalizeFilters(view.filters))
+    setActiveViewId(view._id)
   }
 
   return (
     <div className="h-screen flex flex-col space-y-6 overflow-y-auto">
       <TasksHeader />
       <div className="flex flex-col md:flex-row gap-6 flex-1 px-4 md:px-6 pb-6">
-        <div className="md:w-1/4">
-          <TaskFilters onFilterChange={handleFilterChange} />
+        <div className="md:w-1/4 space-y-6">
+          <SavedViews filters={filters} activeViewId={activeViewId} onApply={handleApplyView} />
+          <TaskFilters filters={filters} onFilterChange={handleFilterChange} />
         </div>
-        <div className="flex-1">
+        <div className="flex-1 space-y-6">
           <TasksList filters={filters} />
+          {canManageTemplates && <RecurringTemplates />}
         </div>
       </div>
     </div>
@@ -42,6 +42,8 @@ import { SubmissionFeedbackCard } from "../components/dashboard/SubmissionFeedba
 import { DashboardProvider } from "../context/DashboardContext" // New import
 import { API_URL } from "@/lib/api"
 import { WorkHoursManager } from "../components/monitoring/WorkHoursManager"
+import { SiteAccessRequests } from "../components/monitoring/SiteAccessRequests"
+import { OnboardingChecklist } from "../components/dashboard/onboarding-checklist"
 
 function UserDashboard() {
   const navigate = useNavigate()
@@ -279,6 +281,8 @@ function UserDashboard() {
           </div>
         </div>
 
+        <OnboardingChecklist />
+
         {hasNewReviews && (
           <Alert className="bg-blue-50 dark:bg-blue-900/20 border-blue-200 dark:border-blue-800">
             <Bell className="h-4 w-4 text-blue-600 dark:text-blue-400" />
@@ -354,6 +358,9 @@ function UserDashboard() {
         {/* Work Hours Manager */}
         <WorkHoursManager />
 
+        {/* Ask for a blocked or flagged site to be whitelisted */}
+        <SiteAccessRequests />
+
         <Tabs defaultValue="tasks" className="w-full">
           <TabsList className="grid w-full max-w-md grid-cols-2 mx-auto">
             <TabsTrigger value="tasks">My Tasks</TabsTrigger>
@@ -0,0 +1,70 @@
+"use client"
+
+import { useEffect, useRef, useState } from "react"
+import { Link, useSearchParams } from "react-router-dom"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { CheckCircle2, Loader2, XCircle } from "lucide-react"
+import { useAuth } from "../context/auth-context"
+import { api } from "../lib/api"
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token")
+  const [status, setStatus] = useState(token ? "verifying" : "error")
+  const [message, setMessage] = useState(token ? "" : "This verification link is missing its token.")
+  const { user, updateUser } = useAuth()
+  // Tokens are single use, so only send it once even if the effect runs twice
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (!token || submitted.current) return
+    submitted.current = true
+
+    api.auth
+      .verifyEmail(token)
+      .then((data) => {
+        setStatus("success")
+        updateUser({ emailVerified: true, email: data.email })
+      })
+      .catch((error) => {
+        setStatus("error")
+        setMessage(error.message || "This verification link is invalid or has expired")
+      })
+  }, [token, updateUser])
+
+  const homePath = user ? (user.role === "User" ? "/userdashboard" : "/dashboard") : "/login"
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 relative overflow-hidden bg-background">
+      <div className="absolute inset-0 bg-gradient-to-br from-primary/20 via-background to-accent/20"></div>
+      <div className="absolute inset-0 bg-cyber-grid opacity-30"></div>
+
+      <Card className="w-full max-w-md relative z-10 neo-card animate-scale-in">
+        <CardHeader className="space-y-1 text-center">
+          <CardTitle className="text-3xl font-bold text-foreground">Email Verification</CardTitle>
+          <CardDescription className="text-muted-foreground">
+            {status === "verifying" && "Confirming your email address..."}
+            {status === "success" && "Your email address has been confirmed"}
+            {status === "error" && "We could not verify your email"}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 text-center">
+          {status === "verifying" && <Loader2 className="mx-auto h-12 w-12 animate-spin text-primary" />}
+          {status === "success" && <CheckCircle2 className="mx-auto h-12 w-12 text-green-500" />}
+          {status === "error" && (
+            <>
+              <XCircle className="mx-auto h-12 w-12 text-red-500" />
+              <p className="text-sm text-muted-foreground">{message}</p>
+              {user && <p className="text-sm text-muted-foreground">You can request a new link from your dashboard.</p>}
+            </>
+          )}
+          {status !== "verifying" && (
+            <Link to={homePath} className="text-sm text-primary hover:underline">
+              {user ? "Go to dashboard" : "Go to login"}
+            </Link>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,41 @@
+/**
+ * Who hears about monitoring alerts, see services/alertRoutingService.js.
+ * An alert is sent to the first level of people its rule names; if nobody
+ * acknowledges it in time it goes to the next level, up to the admins.
+ */
+const LEVELS = ['manager', 'department_lead', 'admins'];
+
+// Delivery channels, as listed in MonitoringAlert.notification_channels
+const CHANNELS = ['dashboard', 'email', 'webhook', 'sms'];
+
+// Used until an admin saves routing settings. High-severity alerts are also
+// emailed and escalate if nobody acknowledges them within half an hour.
+const DEFAULT_ROUTING = {
+  rules: [
+    {
+      name: 'High and critical alerts',
+      alert_types: [],
+      severities: ['high', 'critical'],
+      recipients: 'manager',
+      channels: ['dashboard', 'email'],
+      escalate_after_minutes: 30
+    },
+    {
+      name: 'Other alerts',
+      alert_types: [],
+      severities: [],
+      recipients: 'manager',
+      channels: ['dashboard'],
+      escalate_after_minutes: 0
+    }
+  ],
+  quiet_hours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    timezone: 'UTC',
+    override_severities: ['critical']
+  }
+};
+
+module.exports = { LEVELS, CHANNELS, DEFAULT_ROUTING };
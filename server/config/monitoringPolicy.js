@@ -0,0 +1,33 @@
+/**
+ * Starting monitoring policy, created by services/monitoringPolicyService.js
+ * the first time no policy exists. Admins edit and republish it from the
+ * whitelist screen like any other policy.
+ *
+ * Only well-known sites are listed. Anything else is allowed, so ordinary work
+ * sites are not reported because a word like "play" or "video" appears in them.
+ */
+
+const domains = (list, action, severity, description) =>
+  list.map((pattern) => ({ type: 'domain', pattern, action, severity, description }));
+
+const DEFAULT_POLICY = {
+  name: 'Default',
+  description: 'Company-wide rules for websites and applications',
+  default_action: 'allow',
+  rules: [
+    ...domains(['pornhub.com', 'xvideos.com', 'xhamster.com', 'redtube.com', 'youporn.com'], 'alert', 'critical',
+      'Adult content'),
+    ...domains(['facebook.com', 'instagram.com', 'tiktok.com', 'snapchat.com'], 'alert', 'high', 'Social media'),
+    ...domains(['steampowered.com', 'steamcommunity.com', 'epicgames.com', 'roblox.com', 'battle.net'], 'alert',
+      'high', 'Gaming platform'),
+    ...domains(['netflix.com', 'hulu.com', 'disneyplus.com', 'twitch.tv'], 'alert', 'medium', 'Streaming'),
+    { type: 'url_glob', pattern: '*youtube.com/shorts*', action: 'alert', severity: 'medium', description: 'Streaming' },
+    // Videos are often tutorials and talks, so they are only flagged for review
+    { type: 'url_glob', pattern: '*youtube.com/watch*', action: 'flag', severity: 'low', description: 'Video' },
+    ...domains(['tinder.com', 'bumble.com', 'okcupid.com'], 'alert', 'high', 'Dating'),
+    ...domains(['ebay.com', 'etsy.com', 'aliexpress.com'], 'flag', 'low', 'Shopping'),
+    { type: 'title_keyword', pattern: 'online casino', action: 'alert', severity: 'high', description: 'Gambling' },
+  ],
+};
+
+module.exports = { DEFAULT_POLICY };
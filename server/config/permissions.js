@@ -0,0 +1,137 @@
+/**
+ * Permission matrix for the API.
+ *
+ * Every route declares one permission with middleware/permit.js. A permission
+ * lists the roles that hold it. "Lead" is not a stored role: it applies to anyone
+ * set as the lead of a department, on top of their own role.
+ *
+ * Holding a permission is not the whole check. Outside Admin, records are limited
+ * to the caller's departments (their own plus any they lead) and to records they
+ * own; see middleware/permit.js for the exact rule.
+ *
+ * `npm test` (scripts/checkRouteProtection.js) fails when a route has no permission.
+ */
+
+const ROLES = ['Admin', 'Manager', 'Lead', 'User'];
+
+const EVERYONE = ['Admin', 'Manager', 'Lead', 'User'];
+const STAFF = ['Admin', 'Manager', 'Lead'];
+const MANAGERS = ['Admin', 'Manager'];
+const ADMIN = ['Admin'];
+
+const PERMISSIONS = {
+  // Own account: profile, password, sessions, notifications, saved views
+  'account:self': EVERYONE,
+
+  'users:read': EVERYONE,
+  'users:manage': MANAGERS,
+  // Managers may invite Users into the departments they run
+  'users:invite': MANAGERS,
+  'users:admin': ADMIN,
+
+  'departments:read': EVERYONE,
+  'departments:members': STAFF,
+  'departments:manage': ADMIN,
+
+  'tasks:read': EVERYONE,
+  'tasks:create': STAFF,
+  'tasks:update': EVERYONE,
+  'tasks:delete': STAFF,
+  'tasks:schedule': STAFF,
+
+  'templates:read': EVERYONE,
+  'templates:manage': MANAGERS,
+
+  'comments:read': EVERYONE,
+  'comments:write': EVERYONE,
+
+  'labels:read': EVERYONE,
+  'labels:write': EVERYONE,
+
+  'submissions:read': EVERYONE,
+  'submissions:write': EVERYONE,
+  'submissions:review': STAFF,
+
+  'progress:read': EVERYONE,
+  'progress:write': EVERYONE,
+
+  'aims:read': EVERYONE,
+  'aims:write': EVERYONE,
+
+  'dashboard:read': EVERYONE,
+  'reports:read': STAFF,
+
+  'ai:use': STAFF,
+
+  'notifications:broadcast': STAFF,
+  'push:subscribe': EVERYONE,
+  'push:admin': ADMIN,
+
+  // An employee's own monitoring session and work hours
+  'monitoring:self': EVERYONE,
+  'monitoring:view': MANAGERS,
+  'monitoring:manage': MANAGERS,
+  'monitoring:admin': ADMIN,
+
+  'system:diagnostics': ADMIN,
+  'security:manage': ADMIN,
+};
+
+/**
+ * Scopes for API tokens (services/apiTokenService.js). A token reaches a route
+ * only when one of its scopes lists the route's permission and its owner's role
+ * holds that permission too. No scope grants 'account:self', so a token cannot
+ * manage the account or mint further tokens.
+ */
+const TOKEN_SCOPES = {
+  'read:tasks': {
+    description: 'Read tasks, templates, comments and labels',
+    permissions: ['tasks:read', 'templates:read', 'comments:read', 'labels:read'],
+  },
+  'write:tasks': {
+    description: 'Create, update and delete tasks; comment and label them',
+    permissions: ['tasks:create', 'tasks:update', 'tasks:delete', 'comments:write', 'labels:write'],
+  },
+  'read:progress': {
+    description: 'Read progress updates, aims and submissions',
+    permissions: ['progress:read', 'aims:read', 'submissions:read'],
+  },
+  'write:progress': {
+    description: 'Post progress updates, aims and submissions',
+    permissions: ['progress:write', 'aims:write', 'submissions:write'],
+  },
+  'read:users': {
+    description: 'Read users and departments',
+    permissions: ['users:read', 'departments:read'],
+  },
+  'read:monitoring': {
+    description: 'Read monitoring data and work hours',
+    permissions: ['monitoring:view'],
+  },
+  'read:reports': {
+    description: 'Read dashboards and reports',
+    permissions: ['dashboard:read', 'reports:read'],
+  },
+};
+
+/**
+ * Whether any of the given roles holds a permission
+ */
+function roleAllows(permission, roles) {
+  return (PERMISSIONS[permission] || []).some(role => roles.includes(role));
+}
+
+/**
+ * Whether any of a token's scopes covers a permission
+ */
+function scopeAllows(permission, scopes) {
+  return scopes.some(scope => TOKEN_SCOPES[scope] && TOKEN_SCOPES[scope].permissions.includes(permission));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  TOKEN_SCOPES,
+  roleAllows,
+  scopeAllows,
+};
@@ -0,0 +1,34 @@
+/**
+ * Rate limit policies, applied with middleware/rateLimit.js.
+ *
+ * A policy allows `max` requests per `windowMs`, counted per signed-in user, or
+ * per client IP for anonymous requests and for policies with `by: 'ip'`. Any
+ * policy can be overridden with RATE_LIMIT_<NAME>=<max>/<seconds>, for example
+ * RATE_LIMIT_AI=20/60. The general `api` policy also reads the older
+ * RATE_LIMIT_MAX_REQUESTS and RATE_LIMIT_WINDOW_MS settings.
+ *
+ * Failed sign-ins are handled separately by services/loginLockout.js.
+ */
+
+const MINUTE = 60 * 1000;
+
+function fromEnv(name, policy) {
+  const match = /^(\d+)\/(\d+)$/.exec(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '');
+  return match ? { ...policy, max: Number(match[1]), windowMs: Number(match[2]) * 1000 } : policy;
+}
+
+const RATE_LIMITS = {
+  // Every API request
+  api: fromEnv('api', {
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000,
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * MINUTE,
+  }),
+  // Sign-in, registration and password reset, before anyone is signed in
+  auth: fromEnv('auth', { max: 30, windowMs: 15 * MINUTE, by: 'ip' }),
+  // Endpoints that call a language model over the caller's tasks
+  ai: fromEnv('ai', { max: 10, windowMs: MINUTE }),
+  // PDF and CSV report generation
+  reports: fromEnv('reports', { max: 5, windowMs: MINUTE }),
+};
+
+module.exports = RATE_LIMITS;
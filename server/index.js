@@ -1,4 +1,5 @@
-
+// Loaded before anything else, since services read their settings when first required
+require("dotenv").config();
 
 const express = require("express");
 const mongoose = require("mongoose");
@@ -7,6 +8,11 @@ const http = require("http");
 const socketIo = require("socket.io");
 const jwt = require("jsonwebtoken");
 const path = require("path");
+const { PAGINATION_HEADERS } = require("./utils/pagination");
+const requireVerifiedEmail = require("./middleware/requireVerifiedEmail");
+const permit = require("./middleware/permit");
+const rateLimit = require("./middleware/rateLimit");
+const socketAuth = require("./middleware/socketAuth");
 const userNotificationRoutes = require('./routes/user-notifications');
 const taskRoutes = require("./routes/tasks");
 const departmentRoutes = require("./routes/departments");
@@ -21,12 +27,30 @@ const progressRoutes = require('./routes/progress'); // Add this line
 const notificationRoutes = require('./routes/notifications'); // Add this line
 const aimRoutes = require('./routes/aim');
 const pushRoutes = require('./routes/push'); // Add this line
+const taskTemplateRoutes = require('./routes/taskTemplates');
+const commentRoutes = require('./routes/comments');
+const labelRoutes = require('./routes/labels');
+const taskViewRoutes = require('./routes/taskViews');
+const apiTokenRoutes = require('./routes/apiTokens');
+const invitationRoutes = require('./routes/invitations');
+const monitoringPolicyRoutes = require('./routes/monitoringPolicies');
+const alertRoutingRoutes = require('./routes/alertRouting');
 const clientMonitoringHandler = require('./services/clientMonitoringHandler'); // Add client monitoring handler
 const websiteMonitor = require('./services/websiteMonitor'); // Add website monitor
+const recurringTasks = require('./services/recurringTasks');
+const alertRouting = require('./services/alertRoutingService');
 // const aiRoutePy = require('./routes/aiRoutePy')
 // Create Express app
 const app = express();
 
+// Behind a proxy (Render, Heroku, nginx) set TRUST_PROXY so req.ip is the client's
+// address rather than the proxy's; rate limits and login lockouts count by it
+// (a hop count such as 1, "true", or addresses as Express accepts them)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== "false") {
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" ? true : trustProxy);
+}
+
 // Create HTTP server and initialize Socket.IO
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -42,14 +66,12 @@ const corsOptions = {
   origin: ['http://localhost:5173','http://192.168.1.2:5173','https://main-workflow.vercel.app','https://workflowmanager.vercel.app','https://infiverse-bhl.vercel.app','https://infiver3.vercel.app'],  // Replace with your frontend's URL
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
   credentials: true,  // Allow credentials (cookies, HTTP authentication)
+  exposedHeaders: [...PAGINATION_HEADERS, ...rateLimit.RATE_LIMIT_HEADERS], // Let the client read list totals and limits
 };
 app.use(cors(corsOptions));
 
 app.use(express.json());
 
-// Connect to MongoDB
-require('dotenv').config();  // Add this line at the top
-
 // Initialize environment configuration
 const environmentConfig = require('./config/environment');
 environmentConfig.logEnvironmentStatus();
@@ -57,17 +79,34 @@ environmentConfig.logEnvironmentStatus();
 // Connect to MongoDB
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    recurringTasks.start();
+    alertRouting.start();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 
-// Socket.IO connection
+// Socket.IO connection. Sockets sign in with the same token as the API and may
+// only join rooms for records they can read.
+io.use(socketAuth.authenticate);
+
 io.on("connection", (socket) => {
   console.log("New client connected");
 
-  socket.on("join", (rooms) => {
+  socket.on("join", async (rooms, ack) => {
+    if (!Array.isArray(rooms)) return;
+    try {
+      const result = await socketAuth.joinRooms(socket, rooms);
+      if (typeof ack === "function") ack(result);
+    } catch (error) {
+      console.error("Error joining socket rooms:", error);
+    }
+  });
+
+  socket.on("leave", (rooms) => {
     if (Array.isArray(rooms)) {
-      rooms.forEach((room) => socket.join(room));
+      rooms.forEach((room) => socket.leave(room));
     }
   });
 
@@ -91,12 +130,12 @@ app.use((req, res, next) => {
 // Make io globally available for client monitoring handler
 global.io = io;
 
-app.get('/api/ping', (req, res) => {
+app.get('/api/ping', permit.public('Health check'), (req, res) => {
   res.json({ message: 'Pong!' });
 });
 
 // Test Linux browser detection endpoint
-app.get('/api/test-browser-detection', async (req, res) => {
+app.get('/api/test-browser-detection', permit('system:diagnostics'), async (req, res) => {
   try {
     const { exec } = require('child_process');
     const util = require('util');
@@ -180,6 +219,8 @@ app.get(/^\/(?!api).*/, (req, res) => {
 
 
 // Routes
+app.use("/api", rateLimit("api")); // Per user, or per IP before signing in
+app.use("/api", requireVerifiedEmail); // Unverified accounts are read-only
 app.use("/api/tasks", taskRoutes);
 app.use("/api/departments", departmentRoutes);
 app.use("/api/users", userRoutes);
@@ -194,6 +235,14 @@ app.use('/api/notifications', notificationRoutes); // Add this line
 app.use('/api/aims', aimRoutes);
 app.use('/api/user-notifications', userNotificationRoutes);
 app.use("/api/push", pushRoutes) // Added push routes use
+app.use("/api/task-templates", taskTemplateRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/labels", labelRoutes);
+app.use("/api/task-views", taskViewRoutes);
+app.use("/api/tokens", apiTokenRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/monitoring/policies", monitoringPolicyRoutes);
+app.use("/api/monitoring/alert-routing", alertRoutingRoutes);
 app.use("/api/monitoring", require("./routes/monitoring")); // Employee monitoring routes
 
 // app.use('/api/new/ai',aiRoutePy)
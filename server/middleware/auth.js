@@ -1,18 +1,56 @@
 const jwt = require("jsonwebtoken");
+const sessionService = require("../services/sessionService");
+const apiTokenService = require("../services/apiTokenService");
 
-module.exports = (req, res, next) => {
-  const token = req.header("x-auth-token");
+/**
+ * The caller a token belongs to, as { user }, or { error, code } when the token
+ * is not valid. Shared by HTTP requests and Socket.IO connections.
+ */
+async function verify(token, ip) {
+  // API tokens from scripts and integrations; permit() holds them to their scopes
+  if (apiTokenService.isApiToken(token)) {
+    const caller = await apiTokenService.authenticate(token, ip);
+    return caller ? { user: caller } : { error: "API token is not valid", code: "TOKEN_INVALID" };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || "jwtSecret");
+  } catch (error) {
+    const code = error.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID";
+    return { error: "Token is not valid", code };
+  }
+
+  // Tokens issued before sessions existed carry no session id and run out on their own
+  if (decoded.sid && !(await sessionService.isActive(decoded.sid))) {
+    return { error: "Session has been revoked", code: "SESSION_REVOKED" };
+  }
+
+  return { user: decoded };
+}
+
+const authenticate = async (req, res, next) => {
+  const token = req.header("x-auth-token") || apiTokenService.bearerToken(req);
 
   if (!token) {
     return res.status(401).json({ error: "No token, authorization denied" });
   }
 
+  let result;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || "jwtSecret");
-
-    req.user = decoded; // ✅ This ensures req.user.id will be accessible
-    next();
+    result = await verify(token, req.ip);
   } catch (error) {
-    res.status(401).json({ error: "Token is not valid" });
+    console.error("Error checking token:", error);
+    return res.status(500).json({ error: "Server error" });
   }
+
+  if (result.error) {
+    return res.status(401).json({ error: result.error, code: result.code });
+  }
+
+  req.user = result.user; // ✅ This ensures req.user.id will be accessible
+  next();
 };
+
+module.exports = authenticate;
+module.exports.verify = verify;
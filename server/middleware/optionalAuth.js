@@ -0,0 +1,22 @@
+const jwt = require("jsonwebtoken");
+const sessionService = require("../services/sessionService");
+
+// Like auth, but lets anonymous requests through. Sets req.user when a valid
+// token is present so routes that do not require a login can still tell who
+// made a change.
+module.exports = async (req, res, next) => {
+  const token = req.header("x-auth-token");
+
+  if (token && !req.user) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || "jwtSecret");
+      if (!decoded.sid || (await sessionService.isActive(decoded.sid))) {
+        req.user = decoded;
+      }
+    } catch (error) {
+      // An invalid token or revoked session is treated like no token at all
+    }
+  }
+
+  next();
+};
@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const authenticate = require("./auth");
+const User = require("../models/User");
+const twoFactorService = require("../services/twoFactorService");
+const Department = require("../models/Department");
+const { PERMISSIONS, roleAllows, scopeAllows } = require("../config/permissions");
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+// Still allowed while the security policy makes a user set up two-factor
+// authentication, so they can reach their account settings to do it
+const SETUP_PERMISSIONS = ["account:self"];
+
+const toId = (value) => (value && value._id ? String(value._id) : value ? String(value) : null);
+
+/**
+ * What the caller may reach, loaded once per request. The role is read from the
+ * database so role changes apply without waiting for a new token.
+ */
+async function loadAccess(req) {
+  if (req.access) return req.access;
+
+  const [user, led] = await Promise.all([
+    User.findById(req.user.id).select("role department twoFactorEnabled serviceAccount deactivatedAt"),
+    Department.find({ lead: req.user.id }).select("_id"),
+  ]);
+  if (!user) return null;
+
+  const userId = String(user._id);
+  const ledIds = led.map((department) => String(department._id));
+  const departments = [...new Set([toId(user.department), ...ledIds].filter(Boolean))];
+  // Managers run their own department; anyone else only the departments they lead
+  const managed = user.role === "Manager" ? departments : ledIds;
+  const isAdmin = user.role === "Admin";
+
+  req.access = {
+    userId,
+    role: user.role,
+    deactivated: Boolean(user.deactivatedAt),
+    roles: ledIds.length > 0 ? [user.role, "Lead"] : [user.role],
+    isAdmin,
+    departments,
+    managed,
+    twoFactorSetupRequired: await twoFactorService.setupRequired(user),
+
+    /**
+     * Filter for list queries: records in the caller's departments, or owned by
+     * them through one of `ownerFields`. Private records are limited to the
+     * departments the caller runs, as in canAccess(). Admins get an empty filter.
+     */
+    scopeFilter({ department = "department", ownerFields = [], private: isPrivate = false } = {}) {
+      if (isAdmin) return {};
+      const ids = (isPrivate ? managed : departments).map((id) => new mongoose.Types.ObjectId(id));
+      const clauses = [
+        ...(department ? [{ [department]: { $in: ids } }] : []),
+        ...ownerFields.map((field) => ({ [field]: user._id })),
+      ];
+      return clauses.length === 1 ? clauses[0] : { $or: clauses };
+    },
+
+    /**
+     * Whether the caller runs a department (always true for admins)
+     */
+    manages(departmentId) {
+      return isAdmin || managed.includes(toId(departmentId));
+    },
+
+    /**
+     * Whether the caller may act on a record described as
+     * { department, owners, private }. Owners always may; managers and leads may
+     * within the departments they run; other department members may read it
+     * unless it is private.
+     */
+    canAccess(record, { write = false } = {}) {
+      if (isAdmin) return true;
+      if ((record.owners || []).map(toId).includes(userId)) return true;
+
+      const department = toId(record.department);
+      if (!department) return false;
+      if (managed.includes(department)) return true;
+      return !write && !record.private && departments.includes(department);
+    },
+  };
+  return req.access;
+}
+
+/**
+ * Route guard: authenticates the request and requires `permission` from
+ * config/permissions.js. With `resource`, the record the route acts on is loaded
+ * through `resource(req)` (resolving to { department, owners, private } or null)
+ * and must be within the caller's reach: read access for GET requests, write
+ * access otherwise unless `write` says so. Missing records are left to the
+ * route so it can answer 404 as before; malformed ids are answered 404 here.
+ */
+function permit(permission, { resource, write } = {}) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission '${permission}'`);
+  }
+
+  const check = async (req, res, next) => {
+    try {
+      const access = await loadAccess(req);
+      if (!access) {
+        return res.status(401).json({ error: "User no longer exists" });
+      }
+      // Access tokens from before sessions existed outlive the revoked sessions
+      if (access.deactivated) {
+        return res.status(401).json({ error: "This account has been deactivated", code: "ACCOUNT_DEACTIVATED" });
+      }
+
+      if (access.twoFactorSetupRequired && !SETUP_PERMISSIONS.includes(permission)) {
+        return res.status(403).json({
+          error: "Set up two-factor authentication to continue",
+          code: "TWO_FACTOR_SETUP_REQUIRED",
+        });
+      }
+
+      if (!roleAllows(permission, access.roles)) {
+        return res.status(403).json({ error: "Access denied", permission });
+      }
+
+      // API tokens only reach what their scopes cover
+      if (req.user.scopes && !scopeAllows(permission, req.user.scopes)) {
+        return res.status(403).json({
+          error: "This API token does not have the scope for this request",
+          code: "INSUFFICIENT_SCOPE",
+          permission,
+        });
+      }
+
+      if (resource && !access.isAdmin) {
+        const record = await resource(req);
+        const needsWrite = write === undefined ? !READ_METHODS.includes(req.method) : write;
+        if (record && !access.canAccess(record, { write: needsWrite })) {
+          return res.status(403).json({ error: "Access denied. This record is outside your department." });
+        }
+      }
+
+      next();
+    } catch (error) {
+      // A malformed id names no record, and the route must not run unchecked
+      if (error.name === "CastError") return res.status(404).json({ error: "Not found" });
+      console.error("Error checking permissions:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+  check.permission = permission;
+
+  return [authenticate, check];
+}
+
+/**
+ * Marks a route as deliberately open to anonymous requests, e.g. login
+ */
+permit.public = (reason) => {
+  const open = (req, res, next) => next();
+  open.permission = "public";
+  open.reason = reason;
+  return open;
+};
+
+// What a caller may reach, for checks outside HTTP routes such as socket rooms
+permit.loadAccess = loadAccess;
+
+module.exports = permit;
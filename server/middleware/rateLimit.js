@@ -0,0 +1,85 @@
+const jwt = require("jsonwebtoken");
+const RATE_LIMITS = require("../config/rateLimits");
+const apiTokenService = require("../services/apiTokenService");
+const { hashToken } = require("../utils/tokens");
+
+// Fixed-window counters kept in memory, so each server process counts on its own
+const windows = new Map();
+
+const RATE_LIMIT_HEADERS = ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After"];
+
+// Forget finished windows now and then so one-off clients do not pile up
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of windows) {
+    if (window.resetAt <= now) windows.delete(key);
+  }
+}, 60 * 1000).unref();
+
+/**
+ * Who a request counts against: the signed-in user when the token is valid, the
+ * API token when one is sent, otherwise the client IP. Runs before the route's
+ * own authentication, so the token is checked here.
+ */
+function requester(req, by) {
+  if (by !== "ip") {
+    if (req.user && req.user.id) return `user:${req.user.id}`;
+    const token = req.header("x-auth-token") || apiTokenService.bearerToken(req);
+    if (apiTokenService.isApiToken(token)) return `token:${hashToken(token)}`;
+    if (token) {
+      try {
+        return `user:${jwt.verify(token, process.env.JWT_SECRET || "jwtSecret").id}`;
+      } catch (error) {
+        // Counted by IP like any anonymous request
+      }
+    }
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Limits requests under a policy from config/rateLimits.js. Responses carry the
+ * standard RateLimit-* headers; over the limit the request is answered with 429
+ * and Retry-After.
+ */
+function rateLimit(name) {
+  const policy = RATE_LIMITS[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit '${name}'`);
+  }
+
+  const limiter = (req, res, next) => {
+    const now = Date.now();
+    const key = `${name}:${requester(req, policy.by)}`;
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + policy.windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      "RateLimit-Limit": String(policy.max),
+      "RateLimit-Remaining": String(Math.max(0, policy.max - window.count)),
+      "RateLimit-Reset": String(resetSeconds),
+      "RateLimit-Policy": `${policy.max};w=${Math.round(policy.windowMs / 1000)}`,
+    });
+
+    if (window.count > policy.max) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        error: "Too many requests. Please try again later.",
+        code: "RATE_LIMITED",
+        retryAfter: resetSeconds,
+      });
+    }
+    next();
+  };
+  limiter.rateLimit = name;
+  return limiter;
+}
+
+rateLimit.RATE_LIMIT_HEADERS = RATE_LIMIT_HEADERS;
+
+module.exports = rateLimit;
@@ -0,0 +1,47 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Accounts that have not confirmed their email get read-only access. Mounted on
+// /api ahead of the routers; auth endpoints stay open so users can verify, reset
+// their password or ask for a new link. Missing or invalid tokens are left for
+// the route's own auth checks.
+module.exports = async (req, res, next) => {
+  if (READ_ONLY_METHODS.includes(req.method) || req.path.startsWith("/auth/")) {
+    return next();
+  }
+
+  const token = req.header("x-auth-token");
+  if (!token) {
+    return next();
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || "jwtSecret");
+  } catch (error) {
+    return next();
+  }
+
+  // Tokens issued before verification existed have no flag and are trusted
+  if (decoded.emailVerified !== false) {
+    return next();
+  }
+
+  try {
+    // The token may predate the user following their verification link
+    const user = await User.findById(decoded.id).select("emailVerified");
+    if (!user || user.emailVerified) {
+      return next();
+    }
+
+    res.status(403).json({
+      error: "Please verify your email address to continue",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  } catch (error) {
+    console.error("Error checking email verification:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,134 @@
+const Task = require("../models/Task");
+const User = require("../models/User");
+const TaskSubmission = require("../models/TaskSubmission");
+const Progress = require("../models/Progress");
+const Aim = require("../models/Aim");
+const Comment = require("../models/Comment");
+const TaskTemplate = require("../models/TaskTemplate");
+const WebsiteWhitelist = require("../models/WebsiteWhitelist");
+
+// Resolvers for permit(..., { resource }). Each reads the record a route acts on
+// and describes it as { department, owners, private }, or null when it does not
+// exist. See middleware/permit.js.
+
+const fromParams = (params, names) => names.map((name) => params[name]).find(Boolean);
+
+const describeTask = (task) =>
+  task && { department: task.department, owners: [task.assignee, task.createdBy, task.reviewer] };
+
+/**
+ * Task from a route parameter (default :id)
+ */
+const task = (param = "id") => async (req) =>
+  describeTask(await Task.findById(req.params[param]).select("department assignee createdBy reviewer"));
+
+/**
+ * Task given in the request body, e.g. when creating a subtask or submission
+ */
+const taskInBody = (field = "task") => async (req) =>
+  req.body && req.body[field]
+    ? describeTask(await Task.findById(req.body[field]).select("department assignee createdBy reviewer"))
+    : null;
+
+/**
+ * A user's own records (monitoring, notifications, profile). Other users in the
+ * department cannot read them; their managers can.
+ */
+const describeEmployee = async (id) => {
+  const user = await User.findById(id).select("department");
+  return user && { department: user.department, owners: [user._id], private: true };
+};
+
+const employee = (...params) => async (req) => {
+  const id = fromParams(req.params, params.length ? params : ["id"]) || (req.body && req.body.employeeId);
+  return id ? describeEmployee(id) : null;
+};
+
+/**
+ * A record about one employee, such as a screenshot or monitoring alert, whose
+ * `employee` field says whose it is
+ */
+const employeeRecord = (Model, param = "id") => async (req) => {
+  const record = await Model.findById(req.params[param]).select("employee");
+  return record && describeEmployee(record.employee);
+};
+
+/**
+ * A whitelist entry, judged by the employee who requested or added it. Lets
+ * managers review access requests from their own departments only.
+ */
+const whitelistRequest = (param = "id") => async (req) => {
+  const entry = await WebsiteWhitelist.findById(req.params[param]).select("added_by requested_by");
+  return entry && describeEmployee(entry.requested_by || entry.added_by);
+};
+
+/**
+ * A department itself, from :id
+ */
+const department = (param = "id") => async (req) => ({ department: req.params[param] });
+
+const submission = (param = "id") => async (req) => {
+  const record = await TaskSubmission.findById(req.params[param]).select("task user");
+  if (!record) return null;
+  const parent = await Task.findById(record.task).select("department");
+  return { department: parent && parent.department, owners: [record.user] };
+};
+
+const progress = (param = "id") => async (req) => {
+  const record = await Progress.findById(req.params[param]).select("task user");
+  if (!record) return null;
+  const parent = await Task.findById(record.task).select("department");
+  return { department: parent && parent.department, owners: [record.user] };
+};
+
+/**
+ * Task or submission a discussion belongs to, from ?task= / ?submission= on
+ * reads and from the body otherwise
+ */
+const discussion = () => async (req) => {
+  const source = (req.method === "GET" ? req.query : req.body) || {};
+  if (source.submission) {
+    const record = await TaskSubmission.findById(source.submission).select("task user");
+    if (!record) return null;
+    const parent = await Task.findById(record.task).select("department");
+    return { department: parent && parent.department, owners: [record.user] };
+  }
+  return source.task
+    ? describeTask(await Task.findById(source.task).select("department assignee createdBy reviewer"))
+    : null;
+};
+
+/**
+ * Comment from :id, judged by the task it was left on
+ */
+const comment = (param = "id") => async (req) => {
+  const record = await Comment.findById(req.params[param]).select("task author");
+  if (!record) return null;
+  const parent = await Task.findById(record.task).select("department");
+  return { department: parent && parent.department, owners: [record.author] };
+};
+
+const template = (param = "id") => async (req) => {
+  const record = await TaskTemplate.findById(req.params[param]).select("department createdBy");
+  return record && { department: record.department, owners: [record.createdBy] };
+};
+
+const aim = (param = "id") => async (req) => {
+  const record = await Aim.findById(req.params[param]).select("user department");
+  return record && { department: record.department, owners: [record.user], private: true };
+};
+
+module.exports = {
+  task,
+  taskInBody,
+  employee,
+  employeeRecord,
+  whitelistRequest,
+  department,
+  submission,
+  progress,
+  discussion,
+  comment,
+  template,
+  aim,
+};
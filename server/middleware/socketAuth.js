@@ -0,0 +1,73 @@
+const { verify } = require("./auth");
+const permit = require("./permit");
+const resources = require("./resources");
+
+// Rooms clients may ask to join: their own user and employee rooms, their
+// departments, and tasks they can read (comments use task:<id>, progress
+// updates task-<id>)
+const ROOM_PATTERN = /^(user|employee|department|task)[:-]([a-f\d]{24})$/;
+
+const socketError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Socket.IO middleware: the handshake must carry a valid token in `auth.token`
+ * (or an x-auth-token header), checked the same way as HTTP requests. The
+ * caller is kept on `socket.user`.
+ */
+async function authenticate(socket, next) {
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || socket.handshake.headers["x-auth-token"];
+  if (!token) {
+    return next(socketError("No token, authorization denied"));
+  }
+
+  try {
+    const result = await verify(token, socket.handshake.address);
+    if (result.error) {
+      return next(socketError(result.error, result.code));
+    }
+    socket.user = result.user;
+    next();
+  } catch (error) {
+    console.error("Error authenticating socket:", error);
+    next(socketError("Server error"));
+  }
+}
+
+async function canJoin(room, access) {
+  const match = ROOM_PATTERN.exec(String(room));
+  if (!match) return false;
+
+  const [, kind, id] = match;
+  if (kind === "user" || kind === "employee") return id === access.userId;
+  if (kind === "department") return access.isAdmin || access.departments.includes(id);
+
+  const record = await resources.task()({ params: { id } });
+  return Boolean(record) && access.canAccess(record);
+}
+
+/**
+ * Join the rooms the socket's user may receive events for and skip the rest.
+ * Access is read afresh on every join, so role changes apply at once. Resolves
+ * to { joined, rejected }.
+ */
+async function joinRooms(socket, rooms) {
+  const access = await permit.loadAccess({ user: socket.user });
+  const joined = [];
+  const rejected = [];
+
+  for (const room of rooms) {
+    if (access && !access.deactivated && (await canJoin(room, access))) {
+      socket.join(room);
+      joined.push(room);
+    } else {
+      rejected.push(room);
+    }
+  }
+  return { joined, rejected };
+}
+
+module.exports = { authenticate, joinRooms };
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose")
+
+// Append-only change log for tasks and the records hanging off them
+const ActivityLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ["Task", "TaskSubmission", "Progress", "Aim"],
+    required: true,
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "entityType",
+    required: true,
+  },
+  // Task the change belongs to, so a task's timeline includes its submissions
+  // and progress entries. Title is kept in case the task is deleted later.
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+  },
+  taskTitle: {
+    type: String,
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+  },
+  action: {
+    type: String,
+    enum: ["created", "updated", "deleted", "reviewed"],
+    required: true,
+  },
+  changes: [
+    {
+      _id: false,
+      field: {
+        type: String,
+        required: true,
+      },
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  // Null for changes made by the server itself, e.g. the recurring task scheduler
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  actorName: {
+    type: String,
+    default: "System",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ActivityLogSchema.index({ task: 1, createdAt: -1 })
+ActivityLogSchema.index({ entityType: 1, entity: 1, createdAt: -1 })
+ActivityLogSchema.index({ createdAt: -1 })
+
+// Entries are never changed once written
+ActivityLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Activity log entries are append-only"))
+  }
+  next()
+})
+
+const rejectChange = function (next) {
+  next(new Error("Activity log entries are append-only"))
+}
+ActivityLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "findOneAndDelete", "deleteMany"],
+  rejectChange
+)
+ActivityLogSchema.pre("deleteOne", { document: true, query: true }, rejectChange)
+
+module.exports = mongoose.model("ActivityLog", ActivityLogSchema)
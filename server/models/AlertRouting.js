@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const MonitoringAlert = require('./MonitoringAlert');
+const { LEVELS, CHANNELS, DEFAULT_ROUTING } = require('../config/alertRouting');
+
+const ALERT_TYPES = MonitoringAlert.schema.path('alert_type').enumValues;
+const SEVERITIES = MonitoringAlert.schema.path('severity').enumValues;
+
+// Which alerts a rule covers (an empty list covers all), who is told first and
+// over which channels. Rules are checked in order and the first enabled match
+// is used.
+const routingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  alert_types: [{
+    type: String,
+    enum: ALERT_TYPES
+  }],
+  severities: [{
+    type: String,
+    enum: SEVERITIES
+  }],
+  recipients: {
+    type: String,
+    enum: LEVELS,
+    default: 'manager'
+  },
+  channels: [{
+    type: String,
+    enum: CHANNELS
+  }],
+  // Minutes an alert may stay unacknowledged before the next level is told;
+  // 0 never escalates
+  escalate_after_minutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 7 * 24 * 60
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Alert routing set by admins. There is a single document, read through
+// AlertRouting.current().
+const alertRoutingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  rules: [routingRuleSchema],
+  // Alerts raised in this window are held until it ends, except for the
+  // listed severities. A start later than the end spans midnight.
+  quiet_hours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: String, // "22:00"
+    end: String,   // "07:00"
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    override_severities: [{
+      type: String,
+      enum: SEVERITIES
+    }]
+  },
+  // Receives a JSON POST for alerts routed to the webhook channel
+  webhook_url: {
+    type: String,
+    trim: true
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'alert_routing'
+});
+
+alertRoutingSchema.statics.current = async function() {
+  return (await this.findOne({ key: 'global' })) || new this({ key: 'global', ...DEFAULT_ROUTING });
+};
+
+module.exports = mongoose.model('AlertRouting', alertRoutingSchema);
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose")
+
+// Token for scripts and integrations, sent instead of a login token. Personal
+// tokens act as the user who made them; service account tokens act as an
+// account an admin set up for the integration. See services/apiTokenService.js.
+const ApiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // SHA-256 of the token, see utils/tokens.js
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Start of the token, shown so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // Keys of TOKEN_SCOPES in config/permissions.js
+  scopes: {
+    type: [String],
+    default: [],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ApiTokenSchema.index({ user: 1, revokedAt: 1 })
+
+ApiTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+})
+
+// Update the updatedAt field before saving
+ApiTokenSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("ApiToken", ApiTokenSchema)
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose")
+
+const CommentSchema = new mongoose.Schema({
+  // What the comment is attached to: a task or one of its submissions
+  targetType: {
+    type: String,
+    enum: ["Task", "TaskSubmission"],
+    required: true,
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "targetType",
+    required: true,
+  },
+  // The task the discussion belongs to, also for submission comments
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    required: true,
+  },
+  // Reply to another comment; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Markdown source
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 10000,
+  },
+  mentions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+  reactions: [
+    {
+      emoji: {
+        type: String,
+        required: true,
+      },
+      users: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+    },
+  ],
+  // Previous versions of the body, oldest first
+  editHistory: [
+    {
+      body: String,
+      editedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  editedAt: {
+    type: Date,
+  },
+  // Deleted comments with replies keep their place in the thread
+  deleted: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+CommentSchema.index({ targetType: 1, target: 1, createdAt: 1 })
+
+module.exports = mongoose.model("Comment", CommentSchema)
@@ -24,6 +24,11 @@ const DepartmentSchema = new mongoose.Schema({
       ref: "User",
     },
   ],
+  // When enabled, tasks cannot start or complete until every dependency is completed
+  strictDependencies: {
+    type: Boolean,
+    default: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
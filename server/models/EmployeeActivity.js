@@ -46,6 +46,20 @@ const employeeActivitySchema = new mongoose.Schema({
     start: Date,
     end: Date
   },
+  // Set when a monitoring policy flagged or alerted on this activity
+  policy_decision: {
+    action: {
+      type: String,
+      enum: ['flag', 'alert']
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical']
+    },
+    policy_name: String,
+    policy_version: Number,
+    rule_description: String
+  },
   metadata: {
     screen_resolution: String,
     os_info: String,
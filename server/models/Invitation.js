@@ -0,0 +1,79 @@
+const mongoose = require("mongoose")
+
+// Emailed invitation to create an account. The role and department are set by
+// whoever sent it; the invitee only picks their name and password.
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ["Admin", "Manager", "User"],
+    default: "User",
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+  },
+  // SHA-256 of the token in the emailed link, see utils/tokens.js
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+InvitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 })
+
+InvitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted"
+  if (this.revokedAt) return "revoked"
+  return this.expiresAt > new Date() ? "pending" : "expired"
+})
+
+// Update the updatedAt field before saving
+InvitationSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("Invitation", InvitationSchema)
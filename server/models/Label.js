@@ -0,0 +1,46 @@
+const mongoose = require("mongoose")
+
+// Free-form, color-coded tag shared by every task
+const LabelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40,
+  },
+  // Lower-cased name, so "Bug" and "bug" are the same label
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  color: {
+    type: String,
+    default: "bg-slate-500",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+LabelSchema.pre("validate", function (next) {
+  if (this.name) this.key = this.name.trim().toLowerCase()
+  next()
+})
+
+// Update the updatedAt field before saving
+LabelSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("Label", LabelSchema)
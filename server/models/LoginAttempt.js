@@ -0,0 +1,58 @@
+const mongoose = require("mongoose")
+
+// Failed sign-ins for one account (by email) or one client IP, and the lockout
+// they led to. See services/loginLockout.js.
+const LoginAttemptSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ["account", "ip"],
+    required: true,
+  },
+  // Lower-cased email for accounts, the address for IPs
+  identifier: {
+    type: String,
+    required: true,
+  },
+  // The account, when the email belongs to one
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  lastIp: {
+    type: String,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  // Removed by MongoDB a day after the last failure
+  expiresAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+LoginAttemptSchema.index({ kind: 1, identifier: 1 }, { unique: true })
+LoginAttemptSchema.index({ lockedUntil: 1 })
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Update the updatedAt field before saving
+LoginAttemptSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("LoginAttempt", LoginAttemptSchema)
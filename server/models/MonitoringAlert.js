@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LEVELS, CHANNELS } = require('../config/alertRouting');
 
 const monitoringAlertSchema = new mongoose.Schema({
   employee: {
@@ -83,7 +84,54 @@ const monitoringAlertSchema = new mongoose.Schema({
   },
   notification_channels: [{
     type: String,
-    enum: ['email', 'webhook', 'dashboard', 'sms']
+    enum: CHANNELS
+  }],
+  // Where routing stands, see services/alertRoutingService.js: waiting to be
+  // routed, held for quiet hours, sent to `level` (and possibly escalating at
+  // next_escalation_at), or unrouted because no rule or recipient applied
+  routing: {
+    status: {
+      type: String,
+      enum: ['pending', 'deferred', 'notified', 'unrouted'],
+      default: 'pending'
+    },
+    rule: String,
+    level: {
+      type: String,
+      enum: LEVELS
+    },
+    escalations: {
+      type: Number,
+      default: 0
+    },
+    notified_at: Date,
+    next_escalation_at: Date,
+    deferred_until: Date,
+    note: String
+  },
+  // Every attempt to tell someone about the alert
+  deliveries: [{
+    level: {
+      type: String,
+      enum: LEVELS
+    },
+    channel: {
+      type: String,
+      enum: CHANNELS
+    },
+    recipients: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped']
+    },
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
   }],
   session_id: {
     type: String,
@@ -103,6 +151,7 @@ monitoringAlertSchema.index({ employee: 1, timestamp: -1 });
 monitoringAlertSchema.index({ employee: 1, status: 1 });
 monitoringAlertSchema.index({ alert_type: 1, severity: 1 });
 monitoringAlertSchema.index({ status: 1, timestamp: -1 });
+monitoringAlertSchema.index({ status: 1, 'routing.status': 1 });
 monitoringAlertSchema.index({ timestamp: 1 }, { expireAfterSeconds: 15552000 }); // 180 days retention
 
 // Virtual for alert age
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// One rule of a monitoring policy. Rules are checked in order and the first
+// enabled match decides what happens to the activity.
+const policyRuleSchema = new mongoose.Schema({
+  // domain: the site or any subdomain of it; url_glob / url_regex: the full URL;
+  // title_keyword: a whole word or phrase in the page or window title;
+  // application: the desktop application name
+  type: {
+    type: String,
+    enum: ['domain', 'url_glob', 'url_regex', 'title_keyword', 'application'],
+    required: true
+  },
+  pattern: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  action: {
+    type: String,
+    enum: ['allow', 'flag', 'alert'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// The rules and the action for activity no rule matches, as edited (draft) or
+// as enforced (published)
+const policyContent = () => ({
+  rules: [policyRuleSchema],
+  default_action: {
+    type: String,
+    enum: ['allow', 'flag', 'alert'],
+    default: 'allow'
+  }
+});
+
+// A published version, kept so changes can be reviewed and rolled back
+const policyVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  ...policyContent(),
+  notes: {
+    type: String,
+    trim: true
+  },
+  published_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  published_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const monitoringPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Departments the policy applies to; empty means everyone. Department
+  // policies are checked before company-wide ones.
+  departments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  }],
+  is_active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  draft: {
+    ...policyContent(),
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updated_at: Date,
+    // Set when the draft was run against sample activity; editing clears it,
+    // and only a tested draft can be published
+    tested_at: Date
+  },
+  published: {
+    ...policyContent(),
+    version: {
+      type: Number,
+      default: 0
+    },
+    published_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    published_at: Date
+  },
+  versions: {
+    type: [policyVersionSchema],
+    select: false
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'monitoring_policies'
+});
+
+module.exports = mongoose.model('MonitoringPolicy', monitoringPolicySchema);
@@ -8,7 +8,7 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["task_assigned", "task_submitted", "submission_approved", "submission_rejected","submission_reviewed"],
+    enum: ["task_assigned", "task_submitted", "submission_approved", "submission_rejected","submission_reviewed", "task_unblocked", "task_rescheduled", "comment_mention", "access_requested", "access_request_reviewed", "monitoring_alert"],
     required: true,
   },
   title: {
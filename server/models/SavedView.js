@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+
+// Named set of task list filters. Shared views are visible to the owner's department.
+const SavedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  filters: {
+    status: [String],
+    department: [{ type: mongoose.Schema.Types.ObjectId, ref: "Department" }],
+    assignee: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    priority: [String],
+    labels: [{ type: mongoose.Schema.Types.ObjectId, ref: "Label" }],
+    createdBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    dueFrom: Date,
+    dueTo: Date,
+    overdue: Boolean,
+    search: String,
+  },
+  shared: {
+    type: Boolean,
+    default: false,
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+  },
+  // Users who pinned the view to their task sidebar
+  pinnedBy: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+SavedViewSchema.index({ owner: 1 })
+SavedViewSchema.index({ department: 1, shared: 1 })
+
+// Update the updatedAt field before saving
+SavedViewSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("SavedView", SavedViewSchema)
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose")
+
+// Security policy set by admins. There is a single document, read through
+// SecuritySettings.current().
+const SecuritySettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: "global",
+    unique: true,
+  },
+  // Accounts with these roles must set up two-factor authentication before they
+  // can use anything but their own account settings
+  twoFactorRequiredRoles: [
+    {
+      type: String,
+      enum: ["Admin", "Manager", "User"],
+    },
+  ],
+  // Password sign-in for everyone but admins, who keep it in case the identity
+  // provider is unreachable. Can only be turned off while single sign-on is set up.
+  localLoginEnabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Identity provider groups that grant a role or department on single sign-on.
+  // The highest role among the matching groups wins.
+  ssoRoleMappings: [
+    {
+      group: { type: String, required: true, trim: true },
+      role: { type: String, enum: ["Admin", "Manager", "User"], required: true },
+    },
+  ],
+  ssoDepartmentMappings: [
+    {
+      group: { type: String, required: true, trim: true },
+      department: { type: mongoose.Schema.Types.ObjectId, ref: "Department", required: true },
+    },
+  ],
+  // Who may create an account without an invitation: nobody ("closed"), people
+  // with an email at one of registrationDomains ("domain"), or anyone ("open")
+  registrationMode: {
+    type: String,
+    enum: ["closed", "domain", "open"],
+    default: "closed",
+  },
+  registrationDomains: [
+    {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+  ],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Update the updatedAt field before saving
+SecuritySettingsSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+SecuritySettingsSchema.statics.current = async function () {
+  return (await this.findOne({ key: "global" })) || new this({ key: "global" })
+}
+
+module.exports = mongoose.model("SecuritySettings", SecuritySettingsSchema)
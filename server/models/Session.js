@@ -0,0 +1,78 @@
+const mongoose = require("mongoose")
+
+// One signed-in device. Access tokens carry the session id and are rejected once
+// the session is revoked; the refresh token is rotated on every use.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // SHA-256 of the current refresh token, see utils/tokens.js
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // The token it replaced. Seeing it again means a refresh token was copied.
+  previousTokenHash: {
+    type: String,
+    select: false,
+  },
+  rotatedAt: {
+    type: Date,
+  },
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  device: {
+    type: String,
+    default: "Unknown device",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    enum: ["logout", "user", "admin", "reuse", "password", "two-factor", "deactivated"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+SessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 })
+SessionSchema.index({ refreshTokenHash: 1 })
+SessionSchema.index({ previousTokenHash: 1 })
+// Expired sessions are removed by MongoDB a week after they lapse
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+SessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+})
+
+// Update the updatedAt field before saving
+SessionSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("Session", SessionSchema)
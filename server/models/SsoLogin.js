@@ -0,0 +1,53 @@
+const mongoose = require("mongoose")
+
+// A single sign-on attempt in progress (services/ssoService.js). Created when
+// the browser is sent to the identity provider; once the callback succeeds it
+// holds a one-time handoff code the client exchanges for a session.
+const SsoLoginSchema = new mongoose.Schema({
+  // SHA-256 of the OAuth state, which is also kept in a cookie by the browser
+  // that started. Removed once the callback uses it.
+  stateHash: {
+    type: String,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  // PKCE verifier, never sent through the browser
+  codeVerifier: {
+    type: String,
+    select: false,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  handoffHash: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+SsoLoginSchema.index({ stateHash: 1 })
+SsoLoginSchema.index({ handoffHash: 1 })
+// Abandoned attempts are removed by MongoDB once they lapse
+SsoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Update the updatedAt field before saving
+SsoLoginSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("SsoLogin", SsoLoginSchema)
@@ -95,6 +95,10 @@ const TaskSchema = new mongoose.Schema({
     ref: "User",
     required: true,
   },
+  // Planned start; falls back to createdAt when not set
+  startDate: {
+    type: Date,
+  },
   dueDate: {
     type: Date,
     required: true,
@@ -130,8 +134,74 @@ const TaskSchema = new mongoose.Schema({
       type: String,
     },
   ],
+  labels: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Label",
+    },
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Follows up on submissions in place of the creator, e.g. after the creator
+  // was deactivated and their reviews handed over
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Subtasks are full tasks pointing at their parent
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    default: null,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  checklist: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    completedAt: {
+      type: Date,
+    },
+  }],
+  // Set on tasks generated from a recurring task template
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TaskTemplate",
+    default: null,
+  },
+  occurrenceDate: {
+    type: Date,
+  },
 });
 
+TaskSchema.index({ parent: 1, order: 1 });
+TaskSchema.index({ labels: 1 });
+// A template produces at most one task per occurrence
+TaskSchema.index(
+  { template: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $type: "objectId" } } }
+);
+
 // Update the updatedAt field before saving
 TaskSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,124 @@
+const mongoose = require("mongoose")
+
+// A recurring task definition. The recurring task scheduler turns each
+// occurrence of the schedule into a concrete Task that links back here.
+const TaskTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  priority: {
+    type: String,
+    enum: ["Low", "Medium", "High"],
+    default: "Medium",
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    required: true,
+  },
+  links: [
+    {
+      type: String,
+    },
+  ],
+  // RRULE-style schedule, evaluated on calendar days (UTC)
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekdays", "weekly", "monthly"],
+      required: true,
+    },
+    // Every N days / weeks / months
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Weekly: days of the week, 0 = Sunday ... 6 = Saturday
+    byWeekday: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    // Monthly: day of the month, -1 for the last day
+    byMonthDay: {
+      type: Number,
+      min: -1,
+      max: 31,
+    },
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+  },
+  // Days between an occurrence and the generated task's due date
+  durationDays: {
+    type: Number,
+    min: 0,
+    default: 1,
+  },
+  // How many days ahead of an occurrence its task is created
+  leadDays: {
+    type: Number,
+    min: 0,
+    default: 7,
+  },
+  assignmentMode: {
+    type: String,
+    enum: ["fixed", "roundRobin"],
+    default: "fixed",
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Round-robin rotation; empty means every member of the department
+  rotation: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+  rotationIndex: {
+    type: Number,
+    default: 0,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  // Latest occurrence a task has been generated for
+  lastOccurrence: {
+    type: Date,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Update the updatedAt field before saving
+TaskTemplateSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("TaskTemplate", TaskTemplateSchema)
@@ -1,4 +1,12 @@
 const mongoose = require("mongoose")
+const { isHashed, hashPassword, verifyPassword } = require("../utils/password")
+const { hashToken, generateToken } = require("../utils/tokens")
+
+// How long emailed links stay valid
+const TOKEN_TTL = {
+  emailVerification: 24 * 60 * 60 * 1000,
+  passwordReset: 60 * 60 * 1000,
+}
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -29,6 +37,93 @@ const UserSchema = new mongoose.Schema({
   avatar: {
     type: String,
   },
+  // Self-registered accounts start unverified; accounts created by an admin or
+  // before verification existed are trusted
+  emailVerified: {
+    type: Boolean,
+    default: true,
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  // A new address the user asked to switch to; it replaces email once the link
+  // sent to it is followed, so reset links keep going to the confirmed address
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
+  // Two-factor authentication. The secret is stored encrypted and recovery codes
+  // only as hashes, see services/twoFactorService.js
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret shown during enrollment, kept until the first code confirms it
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  // Last time step a code was accepted for, so codes cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // Identity provider subject for accounts created or linked through single
+  // sign-on (services/ssoService.js)
+  ssoSubject: {
+    type: String,
+    index: { unique: true, sparse: true },
+  },
+  // Set when the user hides the getting-started checklist
+  onboardingDismissedAt: {
+    type: Date,
+  },
+  // Non-person account an admin made for an integration. It signs in only
+  // with API tokens and is left out of user lists.
+  serviceAccount: {
+    type: Boolean,
+    default: false,
+  },
+  // Set while the account is deactivated. It cannot sign in, but its tasks,
+  // submissions and history are kept (services/offboardingService.js).
+  deactivatedAt: {
+    type: Date,
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  deactivationReason: {
+    type: String,
+    trim: true,
+  },
+  // Department the account rejoins if it is reactivated
+  departmentBeforeDeactivation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -45,4 +140,55 @@ UserSchema.pre("save", function (next) {
   next()
 })
 
+// Hash the password whenever it is set in plain text
+UserSchema.pre("save", async function () {
+  if (this.isModified("password") && !isHashed(this.password)) {
+    this.password = await hashPassword(this.password)
+  }
+})
+
+/**
+ * Check a candidate password. Plain-text passwords left from before hashing and
+ * hashes made with older settings are re-hashed on the next save.
+ */
+UserSchema.methods.comparePassword = async function (candidate) {
+  const { valid, needsRehash } = await verifyPassword(candidate, this.password)
+  if (needsRehash) {
+    this.password = candidate
+    this.markModified("password")
+    await this.save()
+  }
+  return valid
+}
+
+/**
+ * Start a new emailed token ("emailVerification" or "passwordReset"), replacing
+ * any earlier one. Returns the raw token for the link; only its hash is saved.
+ */
+UserSchema.methods.createAuthToken = function (purpose) {
+  const { token, hash } = generateToken()
+  this[`${purpose}Token`] = hash
+  this[`${purpose}Expires`] = new Date(Date.now() + TOKEN_TTL[purpose])
+  return token
+}
+
+/**
+ * Use up the token for a purpose so the link cannot be followed twice
+ */
+UserSchema.methods.clearAuthToken = function (purpose) {
+  this[`${purpose}Token`] = undefined
+  this[`${purpose}Expires`] = undefined
+}
+
+/**
+ * User holding an unexpired token for a purpose, or null
+ */
+UserSchema.statics.findByAuthToken = function (purpose, token) {
+  if (!token || typeof token !== "string") return Promise.resolve(null)
+  return this.findOne({
+    [`${purpose}Token`]: hashToken(token),
+    [`${purpose}Expires`]: { $gt: new Date() },
+  })
+}
+
 module.exports = mongoose.model("User", UserSchema)
@@ -84,6 +84,13 @@ const websiteWhitelistSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Employee who last asked for access. Reopening a request sets this and
+  // leaves added_by as whoever first added the entry.
+  requested_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   approved_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -96,6 +103,11 @@ const websiteWhitelistSchema = new mongoose.Schema({
   },
   approval_date: Date,
   rejection_reason: String,
+  // Time-boxed approvals stop applying after this date
+  expires_at: {
+    type: Date,
+    index: true
+  },
   usage_stats: {
     total_visits: { type: Number, default: 0 },
     unique_users: { type: Number, default: 0 },
@@ -141,94 +153,8 @@ websiteWhitelistSchema.virtual('full_domain').get(function() {
   return this.domain.startsWith('http') ? this.domain : `https://${this.domain}`;
 });
 
-// Static method to check if URL is whitelisted
-websiteWhitelistSchema.statics.isWhitelisted = async function(url, userId = null) {
-  try {
-    const urlObj = new URL(url);
-    const domain = urlObj.hostname.toLowerCase();
-    const path = urlObj.pathname;
-    
-    // Find matching whitelist entry
-    const whitelistEntry = await this.findOne({
-      $or: [
-        { domain: domain },
-        { domain: { $regex: domain.replace(/\./g, '\\.'), $options: 'i' } },
-        { regex_patterns: { $in: [new RegExp(domain, 'i')] } }
-      ],
-      is_active: true,
-      approval_status: 'approved'
-    }).populate('department_restrictions');
-    
-    if (!whitelistEntry) {
-      return { allowed: false, reason: 'Domain not in whitelist' };
-    }
-    
-    // Check path restrictions
-    if (whitelistEntry.blocked_paths.length > 0) {
-      const blockedPath = whitelistEntry.blocked_paths.find(bp => 
-        path.startsWith(bp.path)
-      );
-      if (blockedPath) {
-        return { 
-          allowed: false, 
-          reason: `Path blocked: ${blockedPath.reason}`,
-          entry: whitelistEntry
-        };
-      }
-    }
-    
-    if (whitelistEntry.allowed_paths.length > 0) {
-      const allowedPath = whitelistEntry.allowed_paths.find(ap => 
-        path.startsWith(ap.path)
-      );
-      if (!allowedPath) {
-        return { 
-          allowed: false, 
-          reason: 'Path not in allowed paths',
-          entry: whitelistEntry
-        };
-      }
-    }
-    
-    // Check time restrictions
-    if (whitelistEntry.time_restrictions.allowed_hours) {
-      const now = new Date();
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      const currentTime = currentHour * 60 + currentMinute;
-      
-      const startTime = this.parseTime(whitelistEntry.time_restrictions.allowed_hours.start);
-      const endTime = this.parseTime(whitelistEntry.time_restrictions.allowed_hours.end);
-      
-      if (currentTime < startTime || currentTime > endTime) {
-        return { 
-          allowed: false, 
-          reason: 'Outside allowed hours',
-          entry: whitelistEntry
-        };
-      }
-    }
-    
-    // Update usage stats
-    await this.updateUsageStats(whitelistEntry._id, userId);
-    
-    return { 
-      allowed: true, 
-      entry: whitelistEntry,
-      monitoring_level: whitelistEntry.monitoring_level,
-      auto_screenshot: whitelistEntry.auto_screenshot
-    };
-    
-  } catch (error) {
-    return { allowed: false, reason: 'Invalid URL format' };
-  }
-};
-
-// Static method to parse time string
-websiteWhitelistSchema.statics.parseTime = function(timeString) {
-  const [hours, minutes] = timeString.split(':').map(Number);
-  return hours * 60 + minutes;
-};
+// Whether a visit is allowed, including time, usage and department/role
+// restrictions, is decided by services/whitelistService.js
 
 // Static method to update usage statistics
 websiteWhitelistSchema.statics.updateUsageStats = async function(entryId, userId) {
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Time an employee spent on a whitelisted site or application on one day,
+// counted in the whitelist entry's timezone. Used to enforce usage_limits.
+const whitelistUsageSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebsiteWhitelist',
+    required: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  date: {
+    type: String, // "2024-05-31"
+    required: true
+  },
+  seconds: {
+    type: Number,
+    default: 0
+  },
+  // Current uninterrupted visit, for max_session_minutes
+  stretch_started_at: Date,
+  stretch_seconds: {
+    type: Number,
+    default: 0
+  },
+  last_seen_at: Date,
+  warning_sent_at: Date,
+  limit_reached_at: Date,
+  session_limit_alerted_at: Date
+}, {
+  timestamps: true,
+  collection: 'whitelist_usage'
+});
+
+whitelistUsageSchema.index({ entry: 1, employee: 1, date: 1 }, { unique: true });
+whitelistUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 }); // 30 days retention
+
+module.exports = mongoose.model('WhitelistUsage', whitelistUsageSchema);
@@ -706,7 +706,16 @@ const router = express.Router()
 const User = require("../models/User")
 const Department = require("../models/Department")
 const Task = require("../models/Task")
-const auth = require("../middleware/auth")
+const permit = require("../middleware/permit")
+const resources = require("../middleware/resources")
+const sessionService = require("../services/sessionService")
+const twoFactorService = require("../services/twoFactorService")
+const ssoService = require("../services/ssoService")
+const loginLockout = require("../services/loginLockout")
+const apiTokenService = require("../services/apiTokenService")
+const invitationService = require("../services/invitationService")
+const offboardingService = require("../services/offboardingService")
+const { checkPasswordStrength } = require("../utils/password")
 // const { isAdmin, isAdminOrManager } = require("../middleware/roleCheck")
 
 // ===== USER ROUTES =====
@@ -714,7 +723,7 @@ const auth = require("../middleware/auth")
 // @route   GET api/admin/users
 // @desc    Get all users
 // @access  Admin or Manager
-router.get("/users", async (req, res) => {
+router.get("/users", permit("users:manage"), async (req, res) => {
   try {
     // If manager, only return users from their department
     if (req.user?.role === "Manager") {
@@ -723,13 +732,15 @@ router.get("/users", async (req, res) => {
         return res.json([])
       }
 
-      const users = await User.find({ department: manager.department }).select("-password").sort({ name: 1 })
+      const users = await User.find({ department: manager.department, serviceAccount: { $ne: true } })
+        .select("-password")
+        .sort({ name: 1 })
 
       return res.json(users)
     }
 
     // For admins, return all users
-    const users = await User.find().select("-password").sort({ name: 1 })
+    const users = await User.find({ serviceAccount: { $ne: true } }).select("-password").sort({ name: 1 })
 
     res.json(users)
   } catch (error) {
@@ -741,34 +752,10 @@ router.get("/users", async (req, res) => {
 // @route   GET api/admin/users/:id
 // @desc    Get user by ID
 // @access  Admin or Manager (of user's department) or Self
-router.get("/users/:id", async (req, res) => {
+router.get("/users/:id", permit("account:self", { resource: resources.employee() }), async (req, res) => {
   try {
     const userId = req.params.id
 
-    // Allow users to access their own data
-    if (userId !== req.user.id) {
-      // Check if admin
-      if (req.user.role !== "Admin") {
-        // Check if manager of user's department
-        if (req.user.role === "Manager") {
-          const user = await User.findById(userId)
-          const manager = await User.findById(req.user.id)
-
-          if (
-            !user ||
-            !manager ||
-            !user.department ||
-            !manager.department ||
-            user.department.toString() !== manager.department.toString()
-          ) {
-            return res.status(403).json({ error: "Not authorized to access this user" })
-          }
-        } else {
-          return res.status(403).json({ error: "Not authorized to access this user" })
-        }
-      }
-    }
-
     const user = await User.findById(userId).select("-password").populate("department", "name color")
 
     if (!user) {
@@ -788,7 +775,7 @@ router.get("/users/:id", async (req, res) => {
 // @route   POST api/admin/users
 // @desc    Create a new user
 // @access  Admin only
-router.post("/users", async (req, res) => {
+router.post("/users", permit("users:admin"), async (req, res) => {
   try {
     const { name, email, password, role, department, avatar } = req.body
 
@@ -797,17 +784,22 @@ router.post("/users", async (req, res) => {
       return res.status(400).json({ error: "Name, email, and password are required" })
     }
 
+    const passwordError = checkPasswordStrength(password, { email, name })
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError })
+    }
+
     // Check if user with the same email already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() })
     if (existingUser) {
       return res.status(400).json({ error: "User with this email already exists" })
     }
 
-    // Create new user (without bcrypt)
+    // Create new user, the model hashes the password on save
     const newUser = new User({
       name,
       email: email.toLowerCase(),
-      password, // Store password directly without hashing
+      password,
       role: role || "User",
       department: department || null,
       avatar: avatar || null,
@@ -841,7 +833,7 @@ router.post("/users", async (req, res) => {
 // @route   PUT api/admin/users/:id
 // @desc    Update a user
 // @access  Admin or Self (limited fields)
-router.put("/users/:id", async (req, res) => {
+router.put("/users/:id", permit("account:self", { resource: resources.employee() }), async (req, res) => {
   try {
     const userId = req.params.id
     const { name, email, password, role, department, avatar } = req.body
@@ -879,9 +871,13 @@ router.put("/users/:id", async (req, res) => {
     if (name) user.name = name
     if (avatar !== undefined) user.avatar = avatar
 
-    // Handle password update (without bcrypt)
+    // Handle password update, hashed by the model on save
     if (password) {
-      user.password = password // Store password directly without hashing
+      const passwordError = checkPasswordStrength(password, user)
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError })
+      }
+      user.password = password
     }
 
     // Handle role update (admin only)
@@ -942,7 +938,7 @@ router.put("/users/:id", async (req, res) => {
 // @route   DELETE api/admin/users/:id
 // @desc    Delete a user
 // @access  Admin only
-router.delete("/users/:id",  async (req, res) => {
+router.delete("/users/:id", permit("users:admin"), async (req, res) => {
   try {
     const userId = req.params.id
 
@@ -957,11 +953,14 @@ router.delete("/users/:id",  async (req, res) => {
       return res.status(404).json({ error: "User not found" })
     }
 
-    // Check if there are tasks assigned to this user
-    const tasksCount = await Task.countDocuments({ assignee: userId })
-    if (tasksCount > 0) {
-      return res.status(400).json({
-        error: "Cannot delete user with assigned tasks",
+    // Records naming the user would be left without an owner
+    const history = await offboardingService.history(user._id)
+    if (history.length > 0) {
+      return res.status(409).json({
+        error: `${user.name} has ${history.join(", ")} on record. ` +
+          (user.serviceAccount ? "Revoke its API tokens instead." : "Deactivate the account instead to keep them."),
+        code: "USER_HAS_HISTORY",
+        history,
       })
     }
 
@@ -980,6 +979,7 @@ router.delete("/users/:id",  async (req, res) => {
 
     // Delete the user
     await User.findByIdAndDelete(userId)
+    await sessionService.revokeAll(userId, { reason: "admin" })
 
     // Notify connected clients about the deleted user
     if (req.io) {
@@ -996,10 +996,150 @@ router.delete("/users/:id",  async (req, res) => {
   }
 })
 
+// @route   GET api/admin/users/:id/offboarding
+// @desc    Open work and monitoring that deactivating a user would hand over or stop
+// @access  Admin only
+router.get("/users/:id/offboarding", permit("users:admin"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id")
+    if (!user) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    res.json(await offboardingService.preview(user._id))
+  } catch (error) {
+    console.error("Error fetching offboarding summary:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "User not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   POST api/admin/users/:id/deactivate
+// @desc    Deactivate a user, keeping their history. Open tasks and pending
+//          reviews move to `reassignTo` when it is given.
+// @access  Admin only
+router.post("/users/:id/deactivate", permit("users:admin"), async (req, res) => {
+  try {
+    const { reassignTo, reason } = req.body
+    const result = await offboardingService.deactivate(req.params.id, { reassignTo, reason }, req.user)
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error })
+    }
+
+    const { user, reassigned, workSessionsEnded } = result
+    if (req.io) {
+      req.io.emit("user:deactivated", { _id: user._id })
+    }
+
+    res.json({
+      message: `${user.name} has been deactivated`,
+      user: await User.findById(user._id).select("-password"),
+      reassigned,
+      workSessionsEnded,
+    })
+  } catch (error) {
+    console.error("Error deactivating user:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "User not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   POST api/admin/users/:id/reactivate
+// @desc    Let a deactivated user sign in again
+// @access  Admin only
+router.post("/users/:id/reactivate", permit("users:admin"), async (req, res) => {
+  try {
+    const result = await offboardingService.reactivate(req.params.id)
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error })
+    }
+
+    res.json({
+      message: `${result.user.name} can sign in again`,
+      user: await User.findById(result.user._id).select("-password"),
+    })
+  } catch (error) {
+    console.error("Error reactivating user:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "User not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   GET api/admin/users/:id/sessions
+// @desc    List a user's active sessions
+// @access  Admin only
+router.get("/users/:id/sessions", permit("users:admin"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id")
+    if (!user) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    res.json(await sessionService.listActive(user._id))
+  } catch (error) {
+    console.error("Error fetching user sessions:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "User not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   POST api/admin/users/:id/logout
+// @desc    Force-logout a user by revoking all of their sessions
+// @access  Admin only
+router.post("/users/:id/logout", permit("users:admin"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id name")
+    if (!user) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    const revoked = await sessionService.revokeAll(user._id, { reason: "admin" })
+
+    res.json({ message: `${user.name} has been logged out of ${revoked} session(s)`, revoked })
+  } catch (error) {
+    console.error("Error forcing logout:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "User not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   POST api/admin/users/:id/reset-2fa
+// @desc    Turn off a user's two-factor authentication, e.g. after a lost phone
+// @access  Admin only
+router.post("/users/:id/reset-2fa", permit("users:admin"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id name")
+    if (!user) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    await twoFactorService.disable(user._id)
+    await sessionService.revokeAll(user._id, { reason: "admin" })
+
+    res.json({ message: `Two-factor authentication has been reset for ${user.name}` })
+  } catch (error) {
+    console.error("Error resetting two-factor authentication:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "User not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
 // @route   GET api/admin/users/role/:role
 // @desc    Get users by role
 // @access  Admin or Manager
-router.get("/users/role/:role",  async (req, res) => {
+router.get("/users/role/:role", permit("users:manage"), async (req, res) => {
   try {
     const { role } = req.params
 
@@ -1018,6 +1158,7 @@ router.get("/users/role/:role",  async (req, res) => {
       const users = await User.find({
         role,
         department: manager.department,
+        deactivatedAt: null,
       })
         .select("-password")
         .sort({ name: 1 })
@@ -1026,7 +1167,7 @@ router.get("/users/role/:role",  async (req, res) => {
     }
 
     // For admins, return all users with the specified role
-    const users = await User.find({ role }).select("-password").sort({ name: 1 })
+    const users = await User.find({ role, deactivatedAt: null }).select("-password").sort({ name: 1 })
 
     res.json(users)
   } catch (error) {
@@ -1038,7 +1179,7 @@ router.get("/users/role/:role",  async (req, res) => {
 // @route   GET api/admin/users/search
 // @desc    Search users by name or email
 // @access  Admin or Manager
-router.get("/users/search",  async (req, res) => {
+router.get("/users/search", permit("users:manage"), async (req, res) => {
   try {
     const { query } = req.query
 
@@ -1057,6 +1198,7 @@ router.get("/users/search",  async (req, res) => {
 
       const users = await User.find({
         department: manager.department,
+        deactivatedAt: null,
         $or: [{ name: searchRegex }, { email: searchRegex }],
       })
         .select("-password")
@@ -1067,6 +1209,7 @@ router.get("/users/search",  async (req, res) => {
 
     // For admins, search all users
     const users = await User.find({
+      deactivatedAt: null,
       $or: [{ name: searchRegex }, { email: searchRegex }],
     })
       .select("-password")
@@ -1084,7 +1227,7 @@ router.get("/users/search",  async (req, res) => {
 // @route   GET api/admin/departments
 // @desc    Get all departments
 // @access  Private
-router.get("/departments",  async (req, res) => {
+router.get("/departments", permit("departments:read"), async (req, res) => {
   try {
     const departments = await Department.find()
       .populate("lead", "name email role")
@@ -1101,7 +1244,7 @@ router.get("/departments",  async (req, res) => {
 // @route   GET api/admin/departments/:id
 // @desc    Get department by ID
 // @access  Private
-router.get("/departments/:id", async (req, res) => {
+router.get("/departments/:id", permit("departments:read"), async (req, res) => {
   try {
     const department = await Department.findById(req.params.id)
       .populate("lead", "name email role")
@@ -1124,9 +1267,9 @@ router.get("/departments/:id", async (req, res) => {
 // @route   POST api/admin/departments
 // @desc    Create a new department
 // @access  Admin only
-router.post("/departments",  async (req, res) => {
+router.post("/departments", permit("departments:manage"), async (req, res) => {
   try {
-    const { name, description, color, lead } = req.body
+    const { name, description, color, lead, strictDependencies } = req.body
 
     // Check if department with the same name already exists
     const existingDepartment = await Department.findOne({ name })
@@ -1141,6 +1284,7 @@ router.post("/departments",  async (req, res) => {
       color: color || "bg-blue-500",
       lead: lead || null,
       members: lead ? [lead] : [],
+      strictDependencies: Boolean(strictDependencies),
     })
 
     const department = await newDepartment.save()
@@ -1165,9 +1309,9 @@ router.post("/departments",  async (req, res) => {
 // @route   PUT api/admin/departments/:id
 // @desc    Update a department
 // @access  Admin only
-router.put("/departments/:id",  async (req, res) => {
+router.put("/departments/:id", permit("departments:manage"), async (req, res) => {
   try {
-    const { name, description, color, lead } = req.body
+    const { name, description, color, lead, strictDependencies } = req.body
     const departmentId = req.params.id
 
     // Check if department exists
@@ -1192,6 +1336,9 @@ router.put("/departments/:id",  async (req, res) => {
     department.description = description !== undefined ? description : department.description
     department.color = color || department.color
     department.lead = lead || department.lead
+    if (strictDependencies !== undefined) {
+      department.strictDependencies = Boolean(strictDependencies)
+    }
     department.updatedAt = Date.now()
 
     // If lead is added, make sure they're in the members array
@@ -1235,7 +1382,7 @@ router.put("/departments/:id",  async (req, res) => {
 // @route   DELETE api/admin/departments/:id
 // @desc    Delete a department
 // @access  Admin only
-router.delete("/departments/:id",  async (req, res) => {
+router.delete("/departments/:id", permit("departments:manage"), async (req, res) => {
   try {
     const departmentId = req.params.id
 
@@ -1276,8 +1423,8 @@ router.delete("/departments/:id",  async (req, res) => {
 
 // @route   PUT api/admin/departments/:id/members
 // @desc    Add members to a department
-// @access  Admin or Manager
-router.put("/departments/:id/members", async (req, res) => {
+// @access  Admin, or the department's manager or lead
+router.put("/departments/:id/members", permit("departments:members", { resource: resources.department() }), async (req, res) => {
   try {
     const { userIds } = req.body
     const departmentId = req.params.id
@@ -1292,11 +1439,6 @@ router.put("/departments/:id/members", async (req, res) => {
       return res.status(404).json({ error: "Department not found" })
     }
 
-    // If user is a manager, they can only modify their own department
-    if (req.user.role === "Manager" && department.lead.toString() !== req.user.id) {
-      return res.status(403).json({ error: "Not authorized to modify this department" })
-    }
-
     // Add users to department members
     department.members = [...new Set([...department.members, ...userIds])]
     await department.save()
@@ -1321,8 +1463,11 @@ router.put("/departments/:id/members", async (req, res) => {
 
 // @route   DELETE api/admin/departments/:id/members/:userId
 // @desc    Remove a member from a department
-// @access  Admin or Manager
-router.delete("/departments/:id/members/:userId",  async (req, res) => {
+// @access  Admin, or the department's manager or lead
+router.delete(
+  "/departments/:id/members/:userId",
+  permit("departments:members", { resource: resources.department() }),
+  async (req, res) => {
   try {
     const departmentId = req.params.id
     const userId = req.params.userId
@@ -1333,11 +1478,6 @@ router.delete("/departments/:id/members/:userId",  async (req, res) => {
       return res.status(404).json({ error: "Department not found" })
     }
 
-    // If user is a manager, they can only modify their own department
-    if (req.user.role === "Manager" && department.lead.toString() !== req.user.id) {
-      return res.status(403).json({ error: "Not authorized to modify this department" })
-    }
-
     // Cannot remove the lead from members
     if (department.lead && department.lead.toString() === userId) {
       return res.status(400).json({ error: "Cannot remove department lead from members" })
@@ -1368,20 +1508,12 @@ router.delete("/departments/:id/members/:userId",  async (req, res) => {
 
 // @route   GET api/admin/departments/:id/tasks
 // @desc    Get tasks by department
-// @access  Admin or Manager
-router.get("/departments/:id/tasks",  async (req, res) => {
+// @access  Members of the department
+router.get("/departments/:id/tasks", permit("tasks:read", { resource: resources.department() }), async (req, res) => {
   try {
     const { status } = req.query
     const departmentId = req.params.id
 
-    // If manager, check if they belong to the requested department
-    if (req.user.role === "Manager") {
-      const manager = await User.findById(req.user.id)
-      if (!manager.department || manager.department.toString() !== departmentId) {
-        return res.status(403).json({ error: "Not authorized to access this department's tasks" })
-      }
-    }
-
     // Build filter object
     const filter = { department: departmentId }
     if (status) filter.status = status
@@ -1398,16 +1530,251 @@ router.get("/departments/:id/tasks",  async (req, res) => {
   }
 })
 
+// ===== SECURITY ROUTES =====
+
+// @route   GET api/admin/security/two-factor
+// @desc    Roles that must use two-factor authentication
+// @access  Admin only
+router.get("/security/two-factor", permit("security:manage"), async (req, res) => {
+  try {
+    const [requiredRoles, enrolled] = await Promise.all([
+      twoFactorService.requiredRoles(),
+      User.aggregate([
+        {
+          $group: {
+            _id: "$role",
+            total: { $sum: 1 },
+            enabled: { $sum: { $cond: ["$twoFactorEnabled", 1, 0] } },
+          },
+        },
+      ]),
+    ])
+
+    res.json({
+      requiredRoles,
+      enrollment: enrolled.map(({ _id, total, enabled }) => ({ role: _id, total, enabled })),
+    })
+  } catch (error) {
+    console.error("Error fetching two-factor policy:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   PUT api/admin/security/two-factor
+// @desc    Set the roles that must use two-factor authentication
+// @access  Admin only
+router.put("/security/two-factor", permit("security:manage"), async (req, res) => {
+  const { requiredRoles } = req.body
+  const validRoles = ["Admin", "Manager", "User"]
+
+  try {
+    if (!Array.isArray(requiredRoles) || requiredRoles.some((role) => !validRoles.includes(role))) {
+      return res.status(400).json({ error: `requiredRoles must be a list of: ${validRoles.join(", ")}` })
+    }
+
+    res.json({ requiredRoles: await twoFactorService.setRequiredRoles(requiredRoles, req.user.id) })
+  } catch (error) {
+    console.error("Error updating two-factor policy:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   GET api/admin/security/sso
+// @desc    Single sign-on provider, group mappings and whether password sign-in is open
+// @access  Admin only
+router.get("/security/sso", permit("security:manage"), async (req, res) => {
+  try {
+    res.json(await ssoService.describeSettings())
+  } catch (error) {
+    console.error("Error fetching SSO settings:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   PUT api/admin/security/sso
+// @desc    Update the group mappings or turn password sign-in on or off
+// @access  Admin only
+router.put("/security/sso", permit("security:manage"), async (req, res) => {
+  const { localLoginEnabled, roleMappings, departmentMappings } = req.body
+
+  try {
+    if ([roleMappings, departmentMappings].some((list) => list !== undefined && !Array.isArray(list))) {
+      return res.status(400).json({ error: "Mappings must be lists of { group, role } or { group, department }" })
+    }
+
+    const result = await ssoService.updateSettings({ localLoginEnabled, roleMappings, departmentMappings }, req.user.id)
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+    res.json(result)
+  } catch (error) {
+    console.error("Error updating SSO settings:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   GET api/admin/security/registration
+// @desc    Who may register without an invitation
+// @access  Admin only
+router.get("/security/registration", permit("security:manage"), async (req, res) => {
+  try {
+    res.json(await invitationService.describeRegistration())
+  } catch (error) {
+    console.error("Error fetching registration policy:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   PUT api/admin/security/registration
+// @desc    Close registration, limit it to email domains, or open it to anyone
+// @access  Admin only
+router.put("/security/registration", permit("security:manage"), async (req, res) => {
+  try {
+    const result = await invitationService.updateRegistration(
+      { mode: req.body.mode, domains: req.body.domains },
+      req.user.id
+    )
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+    res.json(result)
+  } catch (error) {
+    console.error("Error updating registration policy:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   GET api/admin/security/lockouts
+// @desc    Accounts and IPs locked out after repeated failed sign-ins
+// @access  Admin only
+router.get("/security/lockouts", permit("security:manage"), async (req, res) => {
+  try {
+    res.json(await loginLockout.listLocked())
+  } catch (error) {
+    console.error("Error fetching login lockouts:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   DELETE api/admin/security/lockouts/:id
+// @desc    Lift a lockout before it runs out
+// @access  Admin only
+router.delete("/security/lockouts/:id", permit("security:manage"), async (req, res) => {
+  try {
+    const lockout = await loginLockout.unlock(req.params.id)
+    if (!lockout) {
+      return res.status(404).json({ error: "Lockout not found" })
+    }
+
+    res.json({ message: `${lockout.identifier} can sign in again` })
+  } catch (error) {
+    console.error("Error lifting login lockout:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "Lockout not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   GET api/admin/service-accounts
+// @desc    Service accounts for integrations, with their active tokens
+// @access  Admin only
+router.get("/service-accounts", permit("security:manage"), async (req, res) => {
+  try {
+    res.json(await apiTokenService.listServiceAccounts())
+  } catch (error) {
+    console.error("Error fetching service accounts:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   POST api/admin/service-accounts
+// @desc    Create a service account
+// @access  Admin only
+router.post("/service-accounts", permit("security:manage"), async (req, res) => {
+  try {
+    const account = await apiTokenService.createServiceAccount(req.body)
+    if (account.error) {
+      return res.status(400).json({ error: account.error })
+    }
+
+    res.status(201).json(account)
+  } catch (error) {
+    console.error("Error creating service account:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   DELETE api/admin/service-accounts/:id
+// @desc    Delete a service account and revoke its tokens
+// @access  Admin only
+router.delete("/service-accounts/:id", permit("security:manage"), async (req, res) => {
+  try {
+    const account = await apiTokenService.deleteServiceAccount(req.params.id, req.user.id)
+    if (!account) {
+      return res.status(404).json({ error: "Service account not found" })
+    }
+
+    res.json({ message: `Service account ${account.name} deleted` })
+  } catch (error) {
+    console.error("Error deleting service account:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "Service account not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   POST api/admin/service-accounts/:id/tokens
+// @desc    Issue a token for a service account
+// @access  Admin only
+router.post("/service-accounts/:id/tokens", permit("security:manage"), async (req, res) => {
+  try {
+    const account = await apiTokenService.findServiceAccount(req.params.id)
+    if (!account) {
+      return res.status(404).json({ error: "Service account not found" })
+    }
+
+    const result = await apiTokenService.create(account._id, req.body, req.user.id)
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+
+    res.status(201).json(result)
+  } catch (error) {
+    console.error("Error creating service account token:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "Service account not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// @route   DELETE api/admin/service-accounts/:id/tokens/:tokenId
+// @desc    Revoke a service account token
+// @access  Admin only
+router.delete("/service-accounts/:id/tokens/:tokenId", permit("security:manage"), async (req, res) => {
+  try {
+    const apiToken = await apiTokenService.revoke(req.params.tokenId, req.params.id, req.user.id)
+    if (!apiToken) {
+      return res.status(404).json({ error: "Token not found" })
+    }
+
+    res.json({ message: `Token "${apiToken.name}" revoked` })
+  } catch (error) {
+    console.error("Error revoking service account token:", error)
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ error: "Token not found" })
+    }
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
 // @route   POST api/admin/migrate-users-to-departments
 // @desc    Migrate existing users to their respective departments
 
-router.post("/migrate-users-to-departments", async (req, res) => {
+router.post("/migrate-users-to-departments", permit("users:admin"), async (req, res) => {
   try {
-    // // Check if the user is an Admin
-    // if (req.user.role !== "Admin") {
-    //   return res.status(403).json({ error: "Not authorized to perform this action" });
-    // }
-
     // Find all users who have a department assigned but are not in the department's members list
     const usersToMigrate = await User.find({ department: { $exists: true, $ne: null } });
 
@@ -166,7 +166,9 @@ const express = require("express");
 const router = express.Router();
 const Task = require("../models/Task");
 const Department = require("../models/Department");
-const auth = require("../middleware/auth");
+const permit = require("../middleware/permit");
+const rateLimit = require("../middleware/rateLimit");
+const dependencyAnalyzer = require("../services/dependencyAnalyzer");
 const { v4: uuidv4 } = require("uuid");
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 require("dotenv").config();
@@ -190,10 +192,10 @@ const cleanAIResponse = (text) => {
 };
 
 // Get AI insights
-router.get("/insights", async (req, res) => {
+router.get("/insights", permit("ai:use"), rateLimit("ai"), async (req, res) => {
   try {
-    // Fetch tasks and departments from the database
-    const tasks = await Task.find()
+    // Fetch the caller's tasks and departments from the database
+    const tasks = await Task.find(req.access.scopeFilter())
       .populate("department", "name")
       .populate("assignee", "name")
       .populate("dependencies", "title");
@@ -283,10 +285,10 @@ router.get("/insights", async (req, res) => {
 });
 
 // Optimize workflow using Gemini AI
-router.post("/optimize", auth, async (req, res) => {
+router.post("/optimize", permit("ai:use"), rateLimit("ai"), async (req, res) => {
   try {
-    // Fetch tasks and departments from the database
-    const tasks = await Task.find()
+    // Fetch the caller's tasks and departments from the database
+    const tasks = await Task.find(req.access.scopeFilter())
       .populate("department", "name")
       .populate("assignee", "name")
       .populate("dependencies", "title");
@@ -381,16 +383,18 @@ router.post("/optimize", auth, async (req, res) => {
 });
 
 // Get dependency analysis
-router.get("/dependencies", auth, async (req, res) => {
+router.get("/dependencies", permit("tasks:read"), async (req, res) => {
   try {
-    const analysis = {
-      criticalPath: ["TASK-1001", "TASK-1002", "TASK-1003", "TASK-1005"],
-      bottlenecks: ["TASK-1003"],
-      suggestions: [
-        "Prioritize 'Inventory Management System Update' to unblock dependent tasks",
-        "Consider parallel execution of 'Customer Feedback Analysis' and 'Sales Presentation'",
-      ],
-    };
+    const { department } = req.query;
+
+    const filter = {};
+    if (department) filter.department = department;
+
+    const tasks = await Task.find({ $and: [filter, req.access.scopeFilter({ ownerFields: ["assignee", "createdBy", "reviewer"] })] })
+      .select("title status progress startDate dueDate createdAt dependencies department assignee")
+      .lean();
+
+    const analysis = dependencyAnalyzer.analyze(tasks);
 
     res.json(analysis);
   } catch (error) {
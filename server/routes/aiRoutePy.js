@@ -1,11 +1,12 @@
 const express = require("express");
 const router = express.Router();
-const auth = require("../middleware/auth");
+const permit = require("../middleware/permit");
+const rateLimit = require("../middleware/rateLimit");
 const { PythonShell } = require("python-shell");
 const path = require("path");
 
 // Get AI insights
-router.get("/insights", async (req, res) => {
+router.get("/insights", permit("ai:use"), rateLimit("ai"), async (req, res) => {
   try {
     console.log("Fetching AI insights");
     const options = {
@@ -38,7 +39,7 @@ router.get("/insights", async (req, res) => {
 });
 
 // Optimize workflow
-router.post("/optimize", auth, async (req, res) => {
+router.post("/optimize", permit("ai:use"), rateLimit("ai"), async (req, res) => {
   try {
     console.log("Generating optimization suggestions");
     const options = {
@@ -78,9 +79,9 @@ router.post("/optimize", auth, async (req, res) => {
 });
 
 // Get dependency analysis
-router.get("/dependencies", auth, async (req, res) => {
+router.get("/dependencies", permit("ai:use"), async (req, res) => {
   try {
-    const tasks = await Task.find()
+    const tasks = await Task.find(req.access.scopeFilter())
       .populate("department", "name")
       .populate("assignee", "name")
       .populate("dependencies", "title");
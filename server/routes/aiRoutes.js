@@ -2,13 +2,14 @@ const express = require("express");
 const router = express.Router();
 const Task = require("../models/Task");
 const Department = require("../models/Department");
-const auth = require("../middleware/auth");
+const permit = require("../middleware/permit");
+const rateLimit = require("../middleware/rateLimit");
 const { analyzeTasks } = require("./aiAgents"); // NEW: import your AI logic
 
 // Get AI insights (analyzed suggestions)
-router.get("/insights", async (req, res) => {
+router.get("/insights", permit("ai:use"), rateLimit("ai"), async (req, res) => {
   try {
-    const tasks = await Task.find()
+    const tasks = await Task.find(req.access.scopeFilter())
       .populate("department", "name")
       .populate("assignee", "name")
       .populate("dependencies", "title");
@@ -23,9 +24,9 @@ router.get("/insights", async (req, res) => {
 });
 
 // Optimize workflow (same as insights in this version)
-router.post("/optimize", async (req, res) => {
+router.post("/optimize", permit("ai:use"), rateLimit("ai"), async (req, res) => {
   try {
-    const tasks = await Task.find()
+    const tasks = await Task.find(req.access.scopeFilter())
       .populate("department", "name")
       .populate("assignee", "name")
       .populate("dependencies", "title");
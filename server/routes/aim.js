@@ -2,20 +2,36 @@ const express = require("express");
 const router = express.Router();
 const Aim = require("../models/Aim");
 const User = require("../models/User");
-const auth = require("../middleware/auth");
 const { sendAimReminder } = require("../utils/emailService");
+const auditLog = require("../services/auditLog");
+const permit = require("../middleware/permit");
+const resources = require("../middleware/resources");
+const { parseListQuery, findPage, setPageHeaders } = require("../utils/pagination");
+
+// Sort keys and fields the aim list accepts, see utils/pagination.js
+const AIM_LIST_OPTIONS = {
+  sortable: ["date", "completed", "createdAt", "updatedAt"],
+  defaultSort: { date: -1 },
+  fields: ["user", "department", "date", "aims", "completed", "createdAt", "updatedAt"],
+};
 
 // @route   GET api/aims
 // @desc    Get all aims (with filters)
-// @access  Private (Admin/Manager)
-router.get("/", async (req, res) => {
+// @access  Private (own aims, or the departments the caller runs)
+router.get("/", permit("aims:read"), async (req, res) => {
   try {
+    const options = parseListQuery(req.query, AIM_LIST_OPTIONS);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
     const { department, date, user } = req.query;
 
     // Build filter object
     const filter = {};
     if (department) filter.department = department;
     if (user) filter.user = user;
+    filter.$and = [req.access.scopeFilter({ ownerFields: ["user"], private: true })];
     
     if (date) {
       const queryDate = new Date(date);
@@ -25,11 +41,13 @@ router.get("/", async (req, res) => {
       };
     }
 
-    const aims = await Aim.find(filter)
-      .populate("user", "name email")
-      .populate("department", "name color")
-      .sort({ date: -1 });
+    const { items: aims, total } = await findPage(Aim, filter, options, (query) =>
+      query
+        .populate("user", "name email")
+        .populate("department", "name color")
+    );
 
+    setPageHeaders(res, options, total);
     res.json(aims);
   } catch (error) {
     console.error("Error fetching aims:", error);
@@ -40,7 +58,7 @@ router.get("/", async (req, res) => {
 // @route   GET api/aims/today
 // @desc    Get user's aim for today
 // @access  Private
-router.get("/today/:id", async (req, res) => {
+router.get("/today/:id", permit("aims:read", { resource: resources.employee("id") }), async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -66,7 +84,7 @@ router.get("/today/:id", async (req, res) => {
 // @route   GET api/aims/user/:userId
 // @desc    Get aims for a specific user
 // @access  Private
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", permit("aims:read", { resource: resources.employee("userId") }), async (req, res) => {
   try {
     const { from, to } = req.query;
     const filter = { user: req.params.userId };
@@ -92,7 +110,7 @@ router.get("/user/:userId", async (req, res) => {
 // @route   POST api/aims/postaim/:id
 // @desc    Create or update today's aim
 // @access  Private
-router.post("/postaim/:id", async (req, res) => {
+router.post("/postaim/:id", permit("aims:write", { resource: resources.employee("id") }), async (req, res) => {
     try {
       const { aims } = req.body
       const userId = req.params.id
@@ -126,6 +144,7 @@ router.post("/postaim/:id", async (req, res) => {
         return res.status(404).json({ error: "User not found" })
       }
   
+      const before = aim ? aim.toObject() : null
       if (aim) {
         // Update existing aim
         aim.aims = aims
@@ -141,6 +160,15 @@ router.post("/postaim/:id", async (req, res) => {
       }
   
       await aim.save()
+
+      await auditLog.record({
+        entityType: "Aim",
+        entity: aim,
+        action: before ? "updated" : "created",
+        changes: auditLog.diff("Aim", before, aim),
+        actor: auditLog.actorFrom(req),
+        department: user.department,
+      })
   
       // Notify via Socket.IO
       if (req.io) {
@@ -166,7 +194,7 @@ router.post("/postaim/:id", async (req, res) => {
 // @route   PUT api/aims/:id
 // @desc    Update an aim
 // @access  Private
-router.put("/:id", async (req, res) => {
+router.put("/:id", permit("aims:write", { resource: resources.aim() }), async (req, res) => {
   try {
     const { aims, completed } = req.body;
     
@@ -183,11 +211,21 @@ router.put("/:id", async (req, res) => {
     }
     
     // Update fields
+    const before = aim.toObject();
     if (aims !== undefined) aim.aims = aims;
     if (completed !== undefined) aim.completed = completed;
     aim.updatedAt = Date.now();
     
     await aim.save();
+
+    await auditLog.record({
+      entityType: "Aim",
+      entity: aim,
+      action: "updated",
+      changes: auditLog.diff("Aim", before, aim),
+      actor: req.user,
+      department: aim.department,
+    });
     
     // Notify via Socket.IO
     if (req.io) {
@@ -204,7 +242,7 @@ router.put("/:id", async (req, res) => {
 // @route   DELETE api/aims/:id
 // @desc    Delete an aim
 // @access  Private
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", permit("aims:write", { resource: resources.aim() }), async (req, res) => {
   try {
     const aim = await Aim.findById(req.params.id);
     
@@ -218,6 +256,14 @@ router.delete("/:id", async (req, res) => {
     }
     
     await aim.remove();
+
+    await auditLog.record({
+      entityType: "Aim",
+      entity: aim,
+      action: "deleted",
+      actor: req.user,
+      department: aim.department,
+    });
     
     // Notify via Socket.IO
     if (req.io) {
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const permit = require('../middleware/permit');
+const AlertRouting = require('../models/AlertRouting');
+const alertRoutingService = require('../services/alertRoutingService');
+
+// Who is told about monitoring alerts, over which channels, during which
+// hours, and when unacknowledged alerts escalate. See
+// services/alertRoutingService.js.
+
+// Current routing settings
+router.get('/', permit('monitoring:view'), async (req, res) => {
+  try {
+    const settings = await AlertRouting.current();
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Error fetching alert routing:', error);
+    res.status(500).json({ error: 'Failed to fetch alert routing' });
+  }
+});
+
+// Replace the routing rules, quiet hours or webhook URL
+router.put('/', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const result = await alertRoutingService.update(req.body, req.user.id);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, settings: result.settings });
+  } catch (error) {
+    console.error('Error updating alert routing:', error);
+    res.status(500).json({ error: 'Failed to update alert routing' });
+  }
+});
+
+module.exports = router;
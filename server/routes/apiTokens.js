@@ -0,0 +1,58 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const router = express.Router()
+const permit = require("../middleware/permit")
+const apiTokenService = require("../services/apiTokenService")
+
+// Personal API tokens of the logged-in user. The routes need 'account:self',
+// which no token scope grants, so tokens cannot be used to mint more tokens.
+
+// Scopes a token can be given
+router.get("/scopes", permit("account:self"), (req, res) => {
+  res.json(apiTokenService.scopes())
+})
+
+// The logged-in user's tokens
+router.get("/", permit("account:self"), async (req, res) => {
+  try {
+    res.json(await apiTokenService.list(req.user.id))
+  } catch (error) {
+    console.error("Error fetching API tokens:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Create a token. The token itself is only in this response.
+router.post("/", permit("account:self"), async (req, res) => {
+  try {
+    const result = await apiTokenService.create(req.user.id, req.body, req.user.id)
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+
+    res.status(201).json(result)
+  } catch (error) {
+    console.error("Error creating API token:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Revoke one of the logged-in user's tokens
+router.delete("/:id", permit("account:self"), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: "Token not found" })
+    }
+    const apiToken = await apiTokenService.revoke(req.params.id, req.user.id, req.user.id)
+    if (!apiToken) {
+      return res.status(404).json({ error: "Token not found" })
+    }
+
+    res.json({ message: `Token "${apiToken.name}" revoked` })
+  } catch (error) {
+    console.error("Error revoking API token:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+module.exports = router
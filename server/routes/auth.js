@@ -265,10 +265,21 @@
 
 const express = require("express")
 const router = express.Router()
-const jwt = require("jsonwebtoken")
 const User = require("../models/User")
-const authMiddleware = require("../middleware/auth")
+const permit = require("../middleware/permit")
+const optionalAuth = require("../middleware/optionalAuth")
+const sessionService = require("../services/sessionService")
+const twoFactorService = require("../services/twoFactorService")
+const ssoService = require("../services/ssoService")
+const loginLockout = require("../services/loginLockout")
+const invitationService = require("../services/invitationService")
+const onboardingService = require("../services/onboardingService")
+const rateLimit = require("../middleware/rateLimit")
 const mongoose = require("mongoose")
+const Session = require("../models/Session")
+const { checkPasswordStrength } = require("../utils/password")
+const { hashToken } = require("../utils/tokens")
+const { sendVerificationEmail, sendEmailChangeEmail, sendPasswordResetEmail } = require("../utils/emailService")
 const nodemailer = require("nodemailer")
 require('dotenv').config()
 
@@ -406,119 +417,642 @@ const sendWelcomeEmail = async (user) => {
   }
 }
 
-// Register route
-router.post("/register", async (req, res) => {
-  const { name, email, password, role, department } = req.body
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173"
+const LOCAL_LOGIN_DISABLED = "Password sign-in is disabled. Use single sign-on."
+const ACCOUNT_DEACTIVATED = "This account has been deactivated. Contact your administrator."
+const SSO_STATE_COOKIE = "workflow_sso_state"
+
+// Short-lived access token plus a refresh token for this device. With two-factor
+// authentication on, the caller only gets a challenge that /login/2fa exchanges
+// for the session.
+const startSignIn = async (user, req) =>
+  user.twoFactorEnabled
+    ? { twoFactorRequired: true, challengeToken: twoFactorService.createChallenge(user) }
+    : sessionService.start(user, req)
+
+const lockedOut = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter))
+  return res.status(429).json({
+    error: `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    code: "LOGIN_LOCKED",
+    retryAfter,
+  })
+}
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .find(([key]) => key === name)
+  return pair ? decodeURIComponent(pair.slice(1).join("=")) : undefined
+}
+
+// Register route. Without an invitation this follows the registration policy,
+// and departments are left for an invitation or an administrator to set.
+router.post("/register", permit.public("Self-registration"), rateLimit("auth"), async (req, res) => {
+  const { name, email, password, role = "User" } = req.body
 
   try {
+    if (!(await ssoService.localLoginAllowed())) {
+      return res.status(403).json({
+        error: "Accounts are created through single sign-on",
+        code: "LOCAL_LOGIN_DISABLED",
+      })
+    }
+
+    if (!(await invitationService.selfRegistrationAllowed(email))) {
+      const { domains } = await invitationService.describeRegistration()
+      return res.status(403).json({
+        error:
+          domains.length > 0
+            ? `Registration is limited to ${domains.map((domain) => `@${domain}`).join(", ")} email addresses`
+            : "Registration is by invitation only",
+        code: "REGISTRATION_CLOSED",
+      })
+    }
+
     // Check if user already exists
     const userExists = await User.findOne({ email })
     if (userExists) {
       return res.status(400).json({ error: "User already exists" })
     }
 
+    const passwordError = checkPasswordStrength(password, { email, name })
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError })
+    }
+
     // Validate role
     const validRoles = ["Admin", "Manager", "User"]
     if (!validRoles.includes(role)) {
       return res.status(400).json({ error: "Invalid role" })
     }
 
-    // Validate and convert department if provided
-    let departmentId = undefined
-    if (department) {
-      if (mongoose.Types.ObjectId.isValid(department)) {
-        departmentId = new mongoose.Types.ObjectId(department)
-      } else {
-        return res.status(400).json({ error: "Invalid department ID" })
-      }
+    // Elevated accounts are created by an admin; self-registration may only
+    // create the very first admin of a new installation
+    if (role !== "User" && (await User.exists({ role: "Admin" }))) {
+      return res.status(403).json({ error: "Only an administrator can create Admin or Manager accounts" })
     }
 
     // Create new user
     const newUser = new User({
       name,
       email,
-      password: password,
+      password,
       role,
-      ...(departmentId && { department: departmentId }),
+      emailVerified: false,
     })
 
+    const verificationToken = newUser.createAuthToken("emailVerification")
     await newUser.save()
 
-    // Add the new user to the department's members array if a department is specified
-    if (departmentId) {
-      await Department.findByIdAndUpdate(
-        departmentId,
-        { $push: { members: newUser._id } },
-        { new: true }
-      )
-    }
-
-    // JWT payload
-    const payload = {
-      id: newUser.id,
-      name: newUser.name,
-      email: newUser.email,
-      role: newUser.role,
-      department: newUser.department,
-    }
-
-    // Generate JWT token
-    const token = jwt.sign(payload, process.env.JWT_SECRET || "jwtSecret", {
-      expiresIn: "1h",
-    })
+    // Short-lived access token plus a refresh token for this device
+    const session = await sessionService.start(newUser, req)
 
     // Send welcome email based on role
     sendWelcomeEmail(newUser).catch((err) => {
       console.error("Failed to send welcome email:", err)
       // Continue with registration even if email fails
     })
+    sendVerificationEmail(newUser, verificationToken).catch((err) => {
+      console.error("Failed to send verification email:", err)
+    })
 
-    res.status(201).json({ token, user: payload })
+    res.status(201).json(session)
   } catch (error) {
     console.error("Registration error:", error)
     res.status(500).json({ error: "Server error" })
   }
 })
 
+// Whether the register page is open, for the login and register pages
+router.get("/registration", permit.public("Read by the register page"), async (req, res) => {
+  try {
+    res.json(await invitationService.describeRegistration())
+  } catch (error) {
+    console.error("Error fetching registration policy:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Details of an invitation, shown on the accept page
+router.get("/invitations/:token", permit.public("Authenticated by the emailed token"), rateLimit("auth"), async (req, res) => {
+  try {
+    const invitation = await invitationService.findByToken(req.params.token)
+    if (!invitation) {
+      return res.status(404).json({ error: "This invitation is invalid or has expired" })
+    }
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      department: invitation.department && invitation.department.name,
+      invitedBy: invitation.invitedBy && invitation.invitedBy.name,
+      expiresAt: invitation.expiresAt,
+    })
+  } catch (error) {
+    console.error("Error fetching invitation:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Accept an invitation: create the account and sign in
+router.post("/invitations/accept", permit.public("Authenticated by the emailed token"), rateLimit("auth"), async (req, res) => {
+  const { token, name, password } = req.body
+
+  try {
+    const invitation = await invitationService.findByToken(token)
+    if (invitation && !(await ssoService.localLoginAllowed(invitation.role))) {
+      return res.status(403).json({
+        error: "Sign in with single sign-on instead; your access is set up from your organization's account",
+        code: "LOCAL_LOGIN_DISABLED",
+      })
+    }
+
+    const result = await invitationService.accept(token, { name, password })
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+
+    sendWelcomeEmail(result.user).catch((err) => {
+      console.error("Failed to send welcome email:", err)
+    })
+    res.status(201).json(await startSignIn(result.user, req))
+  } catch (error) {
+    console.error("Error accepting invitation:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
 // Login route
-router.post("/login", async (req, res) => {
+router.post("/login", permit.public("Signs in"), rateLimit("auth"), async (req, res) => {
   const { email, password } = req.body
 
   try {
-    // Find the user by email
+    // Repeated failures lock the account and the IP for a growing time
+    const lock = await loginLockout.check(email, req.ip)
+    if (lock.locked) {
+      return lockedOut(res, lock.retryAfter)
+    }
+
+    // Find the user by email. Service accounts only use API tokens.
     const user = await User.findOne({ email })
-    if (!user) {
+    if (!user || user.serviceAccount) {
+      await loginLockout.recordFailure(email, req.ip)
       return res.status(400).json({ error: "Invalid credentials" })
     }
 
-    // Check password directly
-    if (password !== user.password) {
+    // Accounts still holding a plain-text password are upgraded on a successful match
+    const isMatch = await user.comparePassword(password)
+    if (!isMatch) {
+      await loginLockout.recordFailure(email, req.ip, user)
       return res.status(400).json({ error: "Invalid credentials" })
     }
 
-    // Create JWT payload
-    const payload = {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      department: user.department,
+    if (user.deactivatedAt) {
+      return res.status(403).json({ error: ACCOUNT_DEACTIVATED, code: "ACCOUNT_DEACTIVATED" })
     }
 
-    // Generate JWT token
-    const token = jwt.sign(payload, process.env.JWT_SECRET || "jwtSecret", {
-      expiresIn: "1h",
-    })
+    if (!(await ssoService.localLoginAllowed(user.role))) {
+      return res.status(403).json({ error: LOCAL_LOGIN_DISABLED, code: "LOCAL_LOGIN_DISABLED" })
+    }
 
-    res.json({ token, user: payload })
+    // With two-factor authentication on, failures are only forgotten once the
+    // code is right too, so wrong codes keep counting
+    if (!user.twoFactorEnabled) {
+      await loginLockout.recordSuccess(email)
+    }
+    res.json(await startSignIn(user, req))
   } catch (error) {
     console.error("Login error:", error)
     res.status(500).json({ error: "Server error" })
   }
 })
 
+// Second login step: a code from the authenticator app or a recovery code
+router.post("/login/2fa", permit.public("Authenticated by the login challenge"), rateLimit("auth"), async (req, res) => {
+  const { challengeToken, code } = req.body
+
+  try {
+    const userId = twoFactorService.readChallenge(challengeToken)
+    const user = userId && (await User.findById(userId))
+    if (!user) {
+      return res.status(401).json({ error: "Login has expired, please sign in again", code: "CHALLENGE_INVALID" })
+    }
+    if (user.deactivatedAt) {
+      return res.status(403).json({ error: ACCOUNT_DEACTIVATED, code: "ACCOUNT_DEACTIVATED" })
+    }
+
+    const lock = await loginLockout.check(user.email, req.ip)
+    if (lock.locked) {
+      return lockedOut(res, lock.retryAfter)
+    }
+
+    const method = await twoFactorService.verify(userId, code)
+    if (!method) {
+      await loginLockout.recordFailure(user.email, req.ip, user)
+      return res.status(400).json({ error: "Invalid authentication code" })
+    }
+
+    await loginLockout.recordSuccess(user.email)
+    const session = await sessionService.start(user, req)
+    if (method === "recovery") {
+      session.recoveryCodesRemaining = (await twoFactorService.status(userId)).recoveryCodesRemaining
+    }
+    res.json(session)
+  } catch (error) {
+    console.error("Two-factor login error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Two-factor status of the current user
+router.get("/2fa", permit("account:self"), async (req, res) => {
+  try {
+    res.json(await twoFactorService.status(req.user.id))
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Start enrolling an authenticator app. Returns the secret and a QR code.
+router.post("/2fa/setup", permit("account:self"), async (req, res) => {
+  try {
+    const { enabled } = await twoFactorService.status(req.user.id)
+    if (enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" })
+    }
+    res.json(await twoFactorService.beginSetup(req.user.id))
+  } catch (error) {
+    console.error("Two-factor setup error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Finish enrolling with a code from the app. Returns the recovery codes once.
+router.post("/2fa/enable", permit("account:self"), async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.user.id, req.body.code)
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: "Invalid authentication code" })
+    }
+    // Other devices signed in with the password alone
+    await sessionService.revokeAll(req.user.id, { reason: "two-factor", except: req.user.sid })
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes })
+  } catch (error) {
+    console.error("Two-factor enable error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Turn two-factor authentication off. Needs the password and a current code,
+// and is refused while the policy requires it for the user's role.
+router.post("/2fa/disable", permit("account:self"), async (req, res) => {
+  const { password, code } = req.body
+
+  try {
+    const user = await User.findById(req.user.id)
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" })
+    }
+    if (await twoFactorService.isRequiredFor(user.role)) {
+      return res.status(403).json({ error: `Two-factor authentication is required for ${user.role} accounts` })
+    }
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({ error: "Password is incorrect" })
+    }
+    if (!(await twoFactorService.verify(user._id, code))) {
+      return res.status(400).json({ error: "Invalid authentication code" })
+    }
+
+    await twoFactorService.disable(user._id)
+    res.json({ message: "Two-factor authentication disabled" })
+  } catch (error) {
+    console.error("Two-factor disable error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Replace the recovery codes, e.g. after using some. Needs a current code.
+router.post("/2fa/recovery-codes", permit("account:self"), async (req, res) => {
+  try {
+    if (!(await twoFactorService.verify(req.user.id, req.body.code))) {
+      return res.status(400).json({ error: "Invalid authentication code" })
+    }
+    res.json({ recoveryCodes: await twoFactorService.regenerateRecoveryCodes(req.user.id) })
+  } catch (error) {
+    console.error("Recovery code error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Login page options: whether single sign-on is available and password sign-in
+// is still open
+router.get("/sso", permit.public("Read by the login page"), async (req, res) => {
+  try {
+    res.json({
+      enabled: ssoService.isConfigured(),
+      providerName: ssoService.config.providerName,
+      localLoginEnabled: await ssoService.localLoginAllowed(),
+    })
+  } catch (error) {
+    console.error("Error fetching SSO options:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Send the browser to the identity provider. The state is kept in a cookie so
+// the callback only completes in the browser that started.
+router.get("/sso/start", permit.public("Starts single sign-on"), async (req, res) => {
+  try {
+    if (!ssoService.isConfigured()) {
+      return res.redirect(`${FRONTEND_URL}/login?ssoError=${encodeURIComponent("Single sign-on is not set up")}`)
+    }
+
+    const { url, state } = await ssoService.beginLogin()
+    res.cookie(SSO_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: 10 * 60 * 1000,
+      path: "/api/auth/sso",
+    })
+    res.redirect(url)
+  } catch (error) {
+    console.error("SSO start error:", error)
+    res.redirect(`${FRONTEND_URL}/login?ssoError=${encodeURIComponent("The identity provider is unavailable")}`)
+  }
+})
+
+// The identity provider redirects here. On success the browser goes on to the
+// client with a one-time code it swaps for a session at /sso/exchange.
+router.get("/sso/callback", permit.public("Authenticated by the identity provider"), async (req, res) => {
+  const failed = (message) => res.redirect(`${FRONTEND_URL}/login?ssoError=${encodeURIComponent(message)}`)
+  res.clearCookie(SSO_STATE_COOKIE, { path: "/api/auth/sso" })
+
+  try {
+    if (req.query.error) {
+      return failed(req.query.error_description || "Sign-in was cancelled")
+    }
+
+    const { handoffCode, error } = await ssoService.completeLogin({
+      code: req.query.code,
+      state: req.query.state,
+      cookieState: readCookie(req, SSO_STATE_COOKIE),
+    })
+    if (error) {
+      return failed(error)
+    }
+
+    res.redirect(`${FRONTEND_URL}/sso/callback?code=${encodeURIComponent(handoffCode)}`)
+  } catch (error) {
+    console.error("SSO callback error:", error)
+    failed("Single sign-on failed. Please try again.")
+  }
+})
+
+// Swap the one-time code from the callback for a session, or a two-factor
+// challenge when the account has it enabled
+router.post("/sso/exchange", permit.public("Authenticated by the single sign-on code"), rateLimit("auth"), async (req, res) => {
+  try {
+    const user = await ssoService.redeemHandoff(req.body.code)
+    if (!user) {
+      return res.status(400).json({ error: "Sign-in has expired. Please try again." })
+    }
+    if (user.deactivatedAt) {
+      return res.status(403).json({ error: ACCOUNT_DEACTIVATED, code: "ACCOUNT_DEACTIVATED" })
+    }
+
+    res.json(await startSignIn(user, req))
+  } catch (error) {
+    console.error("SSO exchange error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Swap a refresh token for a new access token. The refresh token is rotated, so
+// the client must store the one returned.
+router.post("/refresh", permit.public("Authenticated by the refresh token"), async (req, res) => {
+  try {
+    const session = await sessionService.refresh(req.body.refreshToken, req)
+    if (!session) {
+      return res.status(401).json({ error: "Session has expired, please log in again", code: "REFRESH_INVALID" })
+    }
+    res.json(session)
+  } catch (error) {
+    console.error("Token refresh error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// End the current session. Works with an expired access token as long as the
+// refresh token is sent.
+router.post("/logout", permit.public("Works with an expired access token"), optionalAuth, async (req, res) => {
+  try {
+    if (req.user?.sid) {
+      await sessionService.revoke(req.user.sid, "logout")
+    } else if (req.body.refreshToken) {
+      const session = await Session.findOne({ refreshTokenHash: hashToken(req.body.refreshToken) })
+      if (session) await sessionService.revoke(session._id, "logout")
+    }
+    res.json({ message: "Logged out" })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Active sessions of the logged-in user
+router.get("/sessions", permit("account:self"), async (req, res) => {
+  try {
+    const sessions = await sessionService.listActive(req.user.id)
+    res.json(sessions.map((session) => ({ ...session, current: String(session._id) === req.user.sid })))
+  } catch (error) {
+    console.error("Error fetching sessions:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Revoke every session, or every other session with ?keepCurrent=true
+router.delete("/sessions", permit("account:self"), async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true" && req.user.sid
+    const revoked = await sessionService.revokeAll(req.user.id, {
+      reason: "user",
+      ...(keepCurrent && { except: req.user.sid }),
+    })
+    res.json({ message: `Revoked ${revoked} session(s)`, revoked })
+  } catch (error) {
+    console.error("Error revoking sessions:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Revoke one of the logged-in user's sessions
+router.delete("/sessions/:id", permit("account:self"), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: "Session not found" })
+    }
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id })
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" })
+    }
+
+    await sessionService.revoke(session._id, "user")
+    res.json({ message: "Session revoked" })
+  } catch (error) {
+    console.error("Error revoking session:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Email verification link from the registration email
+router.post("/verify-email", permit.public("Authenticated by the emailed token"), rateLimit("auth"), async (req, res) => {
+  try {
+    const user = await User.findByAuthToken("emailVerification", req.body.token)
+    if (!user) {
+      return res.status(400).json({ error: "This verification link is invalid or has expired" })
+    }
+
+    // The link for a changed address went to that address, so following it
+    // confirms the switch
+    if (user.pendingEmail) {
+      if (await User.exists({ _id: { $ne: user._id }, email: user.pendingEmail })) {
+        return res.status(400).json({ error: "Another account now uses this email address" })
+      }
+      user.email = user.pendingEmail
+      user.pendingEmail = undefined
+    }
+
+    user.emailVerified = true
+    user.clearAuthToken("emailVerification")
+    await user.save()
+
+    res.json({ message: "Email verified successfully", email: user.email })
+  } catch (error) {
+    console.error("Email verification error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Send a fresh verification link to the logged-in user
+router.post("/resend-verification", permit("account:self"), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      return res.status(404).json({ error: "User not found" })
+    }
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({ error: "Email is already verified" })
+    }
+
+    const token = user.createAuthToken("emailVerification")
+    await user.save()
+    await (user.pendingEmail ? sendEmailChangeEmail(user, token) : sendVerificationEmail(user, token))
+
+    res.json({ message: "Verification email sent" })
+  } catch (error) {
+    console.error("Resend verification error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Start a password reset. The response is the same whether or not the email is
+// registered, so the form cannot be used to discover accounts.
+router.post("/forgot-password", permit.public("Starts a password reset"), rateLimit("auth"), async (req, res) => {
+  const { email } = req.body
+
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" })
+  }
+
+  try {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+    // Same answer either way, so this does not reveal who signs in with SSO only
+    // or has been deactivated
+    if (user && !user.deactivatedAt && (await ssoService.localLoginAllowed(user.role))) {
+      const token = user.createAuthToken("passwordReset")
+      await user.save()
+      sendPasswordResetEmail(user, token).catch((err) => {
+        console.error("Failed to send password reset email:", err)
+      })
+    }
+
+    res.json({ message: "If an account exists for that email, a reset link has been sent" })
+  } catch (error) {
+    console.error("Forgot password error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Finish a password reset with the emailed token
+router.post("/reset-password", permit.public("Authenticated by the emailed token"), rateLimit("auth"), async (req, res) => {
+  const { token, password } = req.body
+
+  try {
+    const user = await User.findByAuthToken("passwordReset", token)
+    if (!user) {
+      return res.status(400).json({ error: "This reset link is invalid or has expired" })
+    }
+    if (!(await ssoService.localLoginAllowed(user.role))) {
+      return res.status(403).json({ error: LOCAL_LOGIN_DISABLED, code: "LOCAL_LOGIN_DISABLED" })
+    }
+
+    const passwordError = checkPasswordStrength(password, user)
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError })
+    }
+
+    user.password = password
+    user.clearAuthToken("passwordReset")
+    // Following the emailed link proves the address belongs to the user. A link
+    // confirming a changed address stays valid.
+    if (!user.emailVerified) {
+      user.emailVerified = true
+      if (!user.pendingEmail) user.clearAuthToken("emailVerification")
+    }
+    await user.save()
+    // Anyone holding the old password is signed out everywhere
+    await sessionService.revokeAll(user._id, { reason: "password" })
+
+    res.json({ message: "Password has been reset. You can now log in." })
+  } catch (error) {
+    console.error("Reset password error:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Getting-started checklist of the logged-in user
+router.get("/onboarding", permit("account:self"), async (req, res) => {
+  try {
+    const checklist = await onboardingService.checklist(req.user.id)
+    if (!checklist) {
+      return res.status(404).json({ error: "User not found" })
+    }
+    res.json(checklist)
+  } catch (error) {
+    console.error("Error fetching onboarding checklist:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Hide the checklist for good
+router.post("/onboarding/dismiss", permit("account:self"), async (req, res) => {
+  try {
+    await onboardingService.dismiss(req.user.id)
+    res.json({ message: "Checklist dismissed" })
+  } catch (error) {
+    console.error("Error dismissing onboarding checklist:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
 // Protected route to get user data
-router.get("/me", authMiddleware, async (req, res) => {
+router.get("/me", permit("account:self"), async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select("-password")
     if (!user) {
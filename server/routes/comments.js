@@ -0,0 +1,243 @@
+const express = require("express")
+const router = express.Router()
+const Comment = require("../models/Comment")
+const Task = require("../models/Task")
+const TaskSubmission = require("../models/TaskSubmission")
+const permit = require("../middleware/permit")
+const resources = require("../middleware/resources")
+const mentionService = require("../services/mentionService")
+
+const REACTION_EMOJIS = ["👍", "👎", "🎉", "❤️", "😄", "👀"]
+
+const populateComment = (query) =>
+  query
+    .populate("author", "name avatar")
+    .populate("mentions", "name")
+    .select("-editHistory")
+
+// Resolve what a new comment is attached to, from ?task= or ?submission=
+const resolveTarget = async ({ task, submission }) => {
+  if (submission) {
+    const found = await TaskSubmission.findById(submission).select("task")
+    if (!found) return null
+    const parentTask = await Task.findById(found.task).select("title")
+    return parentTask && { targetType: "TaskSubmission", target: found._id, task: parentTask }
+  }
+  if (task) {
+    const found = await Task.findById(task).select("title")
+    return found && { targetType: "Task", target: found._id, task: found }
+  }
+  return null
+}
+
+// Everyone looking at a task joins its room
+const emitToTask = (req, taskId, event, payload) => {
+  if (req.io) {
+    req.io.to(`task:${taskId}`).emit(event, payload)
+  }
+}
+
+// Get the comments on a task or submission, oldest first. Replies reference
+// their parent; the client assembles the threads.
+router.get("/", permit("comments:read", { resource: resources.discussion() }), async (req, res) => {
+  try {
+    const { task, submission } = req.query
+    if (!task && !submission) {
+      return res.status(400).json({ error: "A task or submission ID is required" })
+    }
+
+    const filter = submission
+      ? { targetType: "TaskSubmission", target: submission }
+      : { targetType: "Task", target: task }
+
+    const comments = await populateComment(Comment.find(filter).sort({ createdAt: 1 }))
+    res.json(comments)
+  } catch (error) {
+    console.error("Error fetching comments:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Add a comment or a reply
+// Anyone who can read the task can join its discussion
+router.post("/", permit("comments:write", { resource: resources.discussion(), write: false }), async (req, res) => {
+  try {
+    const { task, submission, parent, body } = req.body
+    if (!body || !body.trim()) {
+      return res.status(400).json({ error: "Comment text is required" })
+    }
+
+    const target = await resolveTarget({ task, submission })
+    if (!target) {
+      return res.status(404).json({ error: "Task or submission not found" })
+    }
+
+    if (parent) {
+      const parentComment = await Comment.findById(parent).select("target")
+      if (!parentComment || String(parentComment.target) !== String(target.target)) {
+        return res.status(400).json({ error: "Parent comment not found in this discussion" })
+      }
+    }
+
+    const mentions = await mentionService.extractMentions(body)
+    const comment = await Comment.create({
+      targetType: target.targetType,
+      target: target.target,
+      task: target.task._id,
+      parent: parent || null,
+      author: req.user.id,
+      body,
+      mentions: mentions.map((user) => user._id),
+    })
+
+    await mentionService.notifyMentions({ comment, task: target.task, author: req.user, mentions })
+
+    const populatedComment = await populateComment(Comment.findById(comment._id))
+    emitToTask(req, target.task._id, "comment:created", populatedComment)
+
+    res.status(201).json(populatedComment)
+  } catch (error) {
+    console.error("Error creating comment:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Edit a comment, keeping the previous text in its history
+router.put("/:id", permit("comments:write", { resource: resources.comment() }), async (req, res) => {
+  try {
+    const { body } = req.body
+    if (!body || !body.trim()) {
+      return res.status(400).json({ error: "Comment text is required" })
+    }
+
+    const comment = await Comment.findById(req.params.id)
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ error: "Comment not found" })
+    }
+    if (String(comment.author) !== String(req.user.id)) {
+      return res.status(403).json({ error: "You can only edit your own comments" })
+    }
+
+    if (body !== comment.body) {
+      const previousMentions = comment.mentions.map(String)
+      const mentions = await mentionService.extractMentions(body)
+
+      comment.editHistory.push({ body: comment.body, editedAt: new Date() })
+      comment.body = body
+      comment.editedAt = new Date()
+      comment.mentions = mentions.map((user) => user._id)
+      await comment.save()
+
+      const task = await Task.findById(comment.task).select("title")
+      if (task) {
+        await mentionService.notifyMentions({
+          comment,
+          task,
+          author: req.user,
+          mentions,
+          alreadyNotified: previousMentions,
+        })
+      }
+    }
+
+    const populatedComment = await populateComment(Comment.findById(comment._id))
+    emitToTask(req, comment.task, "comment:updated", populatedComment)
+
+    res.json(populatedComment)
+  } catch (error) {
+    console.error("Error updating comment:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Get the edit history of a comment
+router.get("/:id/history", permit("comments:read", { resource: resources.comment() }), async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id).select("body editHistory editedAt createdAt")
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" })
+    }
+
+    res.json({
+      current: { body: comment.body, editedAt: comment.editedAt || comment.createdAt },
+      history: comment.editHistory,
+    })
+  } catch (error) {
+    console.error("Error fetching comment history:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Toggle the current user's reaction on a comment
+router.post("/:id/reactions", permit("comments:write", { resource: resources.comment(), write: false }), async (req, res) => {
+  try {
+    const { emoji } = req.body
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      return res.status(400).json({ error: `Reaction must be one of: ${REACTION_EMOJIS.join(" ")}` })
+    }
+
+    const comment = await Comment.findById(req.params.id)
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ error: "Comment not found" })
+    }
+
+    let reaction = comment.reactions.find((r) => r.emoji === emoji)
+    if (!reaction) {
+      comment.reactions.push({ emoji, users: [] })
+      reaction = comment.reactions[comment.reactions.length - 1]
+    }
+
+    const index = reaction.users.findIndex((user) => String(user) === String(req.user.id))
+    if (index === -1) {
+      reaction.users.push(req.user.id)
+    } else {
+      reaction.users.splice(index, 1)
+    }
+    comment.reactions = comment.reactions.filter((r) => r.users.length > 0)
+    await comment.save()
+
+    const populatedComment = await populateComment(Comment.findById(comment._id))
+    emitToTask(req, comment.task, "comment:updated", populatedComment)
+
+    res.json(populatedComment)
+  } catch (error) {
+    console.error("Error updating reaction:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Delete a comment. Comments with replies are blanked so the thread stays intact.
+router.delete("/:id", permit("comments:write", { resource: resources.comment() }), async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id)
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" })
+    }
+    if (String(comment.author) !== String(req.user.id) && req.user.role !== "Admin") {
+      return res.status(403).json({ error: "You can only delete your own comments" })
+    }
+
+    const hasReplies = await Comment.exists({ parent: comment._id })
+    if (hasReplies) {
+      comment.deleted = true
+      comment.body = ""
+      comment.mentions = []
+      comment.reactions = []
+      comment.editHistory = []
+      await comment.save()
+
+      const populatedComment = await populateComment(Comment.findById(comment._id))
+      emitToTask(req, comment.task, "comment:updated", populatedComment)
+    } else {
+      await comment.deleteOne()
+      emitToTask(req, comment.task, "comment:deleted", { _id: comment._id, target: comment.target })
+    }
+
+    res.json({ message: "Comment deleted successfully" })
+  } catch (error) {
+    console.error("Error deleting comment:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+module.exports = router
@@ -3,16 +3,24 @@ const router = express.Router()
 const Task = require("../models/Task")
 const User = require("../models/User")
 const Department = require("../models/Department")
-const auth = require("../middleware/auth")
+const permit = require("../middleware/permit")
+const resources = require("../middleware/resources")
+const auditLog = require("../services/auditLog")
+
+// Tasks the dashboard counts: everything for admins, otherwise the caller's
+// departments and their own tasks
+const taskScope = (req) => req.access.scopeFilter({ ownerFields: ["assignee", "createdBy", "reviewer"] })
 
 // Get dashboard stats
-router.get("/stats",async (req, res) => {
+router.get("/stats", permit("dashboard:read"), async (req, res) => {
   try {
+    const scope = taskScope(req)
+
     // Get task counts by status
-    const totalTasks = await Task.countDocuments()
-    const completedTasks = await Task.countDocuments({ status: "Completed" })
-    const inProgressTasks = await Task.countDocuments({ status: "In Progress" })
-    const pendingTasks = await Task.countDocuments({ status: "Pending" })
+    const totalTasks = await Task.countDocuments(scope)
+    const completedTasks = await Task.countDocuments({ ...scope, status: "Completed" })
+    const inProgressTasks = await Task.countDocuments({ ...scope, status: "In Progress" })
+    const pendingTasks = await Task.countDocuments({ ...scope, status: "Pending" })
  
  
     // Get change percentages (mock data - in a real app, you'd compare with historical data)
@@ -38,9 +46,10 @@ router.get("/stats",async (req, res) => {
 })
 
 // Get department stats
-router.get("/departments", async (req, res) => {
+router.get("/departments", permit("dashboard:read"), async (req, res) => {
   try {
-    const departments = await Department.find().sort({ name: 1 })
+    const filter = req.access.isAdmin ? {} : { _id: { $in: req.access.departments } }
+    const departments = await Department.find(filter).sort({ name: 1 })
 
     // For each department, get task counts
     const departmentStats = await Promise.all(
@@ -69,17 +78,19 @@ router.get("/departments", async (req, res) => {
 })
 
 // Get tasks overview
-router.get("/tasks-overview", async (req, res) => {
+router.get("/tasks-overview", permit("dashboard:read"), async (req, res) => {
   try {
+    const scope = taskScope(req)
+
     // Get task counts by status
-    const completedCount = await Task.countDocuments({ status: "Completed" })
-    const inProgressCount = await Task.countDocuments({ status: "In Progress" })
-    const pendingCount = await Task.countDocuments({ status: "Pending" })
+    const completedCount = await Task.countDocuments({ ...scope, status: "Completed" })
+    const inProgressCount = await Task.countDocuments({ ...scope, status: "In Progress" })
+    const pendingCount = await Task.countDocuments({ ...scope, status: "Pending" })
 
     // Get task counts by priority
-    const highPriorityCount = await Task.countDocuments({ priority: "High" })
-    const mediumPriorityCount = await Task.countDocuments({ priority: "Medium" })
-    const lowPriorityCount = await Task.countDocuments({ priority: "Low" })
+    const highPriorityCount = await Task.countDocuments({ ...scope, priority: "High" })
+    const mediumPriorityCount = await Task.countDocuments({ ...scope, priority: "Medium" })
+    const lowPriorityCount = await Task.countDocuments({ ...scope, priority: "Low" })
 
     const statusData = [
       { name: "Completed", value: completedCount, color: "#22c55e" },
@@ -104,72 +115,20 @@ router.get("/tasks-overview", async (req, res) => {
 })
 
 // Get recent activity
-router.get("/activity", async (req, res) => {
+router.get("/activity", permit("dashboard:read"), async (req, res) => {
   try {
-    // In a real app, you'd have an Activity model to track user actions
-    // For this example, we'll return mock data
-    const activities = [
-      {
-        id: 1,
-        user: {
-          name: "John Doe",
-          avatar: "/placeholder.svg?height=40&width=40",
-          initials: "JD",
-        },
-        action: "completed",
-        task: "Q1 Marketing Campaign Planning",
-        department: "Marketing",
-        time: "2 hours ago",
-      },
-      {
-        id: 2,
-        user: {
-          name: "Jane Smith",
-          avatar: "/placeholder.svg?height=40&width=40",
-          initials: "JS",
-        },
-        action: "updated",
-        task: "Sales Presentation for Client XYZ",
-        department: "Sales",
-        time: "3 hours ago",
-      },
-      {
-        id: 3,
-        user: {
-          name: "Mike Johnson",
-          avatar: "/placeholder.svg?height=40&width=40",
-          initials: "MJ",
-        },
-        action: "created",
-        task: "Inventory Management System Update",
-        department: "Operations",
-        time: "5 hours ago",
-      },
-      {
-        id: 4,
-        user: {
-          name: "Sarah Williams",
-          avatar: "/placeholder.svg?height=40&width=40",
-          initials: "SW",
-        },
-        action: "assigned",
-        task: "Customer Feedback Analysis",
-        department: "Marketing",
-        time: "6 hours ago",
-      },
-      {
-        id: 5,
-        user: {
-          name: "Alex Brown",
-          avatar: "/placeholder.svg?height=40&width=40",
-          initials: "AB",
-        },
-        action: "commented on",
-        task: "Supply Chain Optimization",
-        department: "Operations",
-        time: "8 hours ago",
-      },
-    ]
+    let { department } = req.query
+    if (!req.access.isAdmin) {
+      if (department && !req.access.departments.includes(department)) {
+        return res.status(403).json({ error: "Access denied. This department is not yours." })
+      }
+      department = department || req.access.departments
+    }
+
+    const activities = await auditLog.getRecentActivity({
+      limit: Math.min(parseInt(req.query.limit) || 10, 50),
+      department,
+    })
 
     res.json(activities)
   } catch (error) {
@@ -179,7 +138,7 @@ router.get("/activity", async (req, res) => {
 })
 
 // Get user stats
-router.get("/user-stats/:userId", async (req, res) => {
+router.get("/user-stats/:userId", permit("dashboard:read", { resource: resources.employee("userId") }), async (req, res) => {
     try {
       let userId = req.params.userId.trim(); // 👉 remove spaces/newlines
       console.log('user id in backend for userstats', userId);
@@ -221,11 +180,12 @@ router.get("/user-stats/:userId", async (req, res) => {
 // @route   GET api/dashboard/progress-stats
 // @desc    Get progress statistics
 // @access  Private
-router.get("/progress-stats", auth, async (req, res) => {
+router.get("/progress-stats", permit("dashboard:read"), async (req, res) => {
   try {
     // Get tasks with due dates in the future
     const now = new Date();
     const upcomingTasks = await Task.find({
+      ...taskScope(req),
       dueDate: { $gt: now },
       status: { $ne: "Completed" },
     }).populate("assignee", "name");
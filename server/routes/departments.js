@@ -2,10 +2,11 @@ const express = require("express")
 const router = express.Router()
 const Department = require("../models/Department")
 const Task = require("../models/Task")
-const auth = require("../middleware/auth")
+const permit = require("../middleware/permit")
+const resources = require("../middleware/resources")
 
 // Get all departments
-router.get("/", async (req, res) => {
+router.get("/", permit("departments:read"), async (req, res) => {
   try {
     const departments = await Department.find().populate("lead", "name avatar").populate("members", "name avatar")
     res.json(departments)
@@ -16,7 +17,7 @@ router.get("/", async (req, res) => {
 })
 
 // Get department by ID
-router.get("/:id", auth, async (req, res) => {
+router.get("/:id", permit("departments:read"), async (req, res) => {
   try {
     const department = await Department.findById(req.params.id)
       .populate("lead", "name avatar")
@@ -34,7 +35,7 @@ router.get("/:id", auth, async (req, res) => {
 })
 
 // Create new department
-router.post("/", async (req, res) => {
+router.post("/", permit("departments:manage"), async (req, res) => {
   try {
     const newDepartment = new Department(req.body)
     const department = await newDepartment.save()
@@ -55,7 +56,7 @@ router.post("/", async (req, res) => {
 })
 
 // Update department
-router.put("/:id", auth, async (req, res) => {
+router.put("/:id", permit("departments:manage"), async (req, res) => {
   try {
     const { id } = req.params
     const updates = req.body
@@ -79,7 +80,7 @@ router.put("/:id", auth, async (req, res) => {
 })
 
 // Delete department
-router.delete("/:id", auth, async (req, res) => {
+router.delete("/:id", permit("departments:manage"), async (req, res) => {
   try {
     // Check if there are tasks assigned to this department
     const tasksCount = await Task.countDocuments({ department: req.params.id })
@@ -107,7 +108,7 @@ router.delete("/:id", auth, async (req, res) => {
 })
 
 // Get tasks by department
-router.get("/:id/tasks", async (req, res) => {
+router.get("/:id/tasks", permit("tasks:read", { resource: resources.department() }), async (req, res) => {
   try {
     const { status } = req.query
 
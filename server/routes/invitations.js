@@ -0,0 +1,72 @@
+const express = require("express")
+const router = express.Router()
+const permit = require("../middleware/permit")
+const invitationService = require("../services/invitationService")
+
+// Invitations sent by admins and managers. The invitee accepts through
+// /api/auth/invitations; see services/invitationService.js for who may invite whom.
+
+// Open invitations the caller can manage
+router.get("/", permit("users:invite"), async (req, res) => {
+  try {
+    res.json(await invitationService.listOpen(req.access))
+  } catch (error) {
+    console.error("Error fetching invitations:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Invite someone by email with a fixed role and department
+router.post("/", permit("users:invite"), async (req, res) => {
+  try {
+    const result = await invitationService.create(req.body, req.access)
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+
+    const { invitation, emailSent } = result
+    const { tokenHash, ...visible } = invitation.toObject()
+    res.status(201).json({ ...visible, status: "pending", emailSent })
+  } catch (error) {
+    console.error("Error creating invitation:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Send an invitation again with a new link and expiry
+router.post("/:id/resend", permit("users:invite"), async (req, res) => {
+  try {
+    const invitation = await invitationService.findManageable(req.params.id, req.access)
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" })
+    }
+
+    const emailSent = await invitationService.resend(invitation)
+    res.json({
+      message: emailSent ? `Invitation sent again to ${invitation.email}` : "The invitation email could not be sent",
+      expiresAt: invitation.expiresAt,
+      emailSent,
+    })
+  } catch (error) {
+    console.error("Error resending invitation:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Revoke an invitation so its link stops working
+router.delete("/:id", permit("users:invite"), async (req, res) => {
+  try {
+    const invitation = await invitationService.findManageable(req.params.id, req.access)
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" })
+    }
+
+    await invitationService.revoke(invitation)
+    res.json({ message: `Invitation for ${invitation.email} revoked` })
+  } catch (error) {
+    console.error("Error revoking invitation:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+module.exports = router
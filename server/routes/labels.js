@@ -0,0 +1,121 @@
+const express = require("express")
+const router = express.Router()
+const Label = require("../models/Label")
+const Task = require("../models/Task")
+const SavedView = require("../models/SavedView")
+const permit = require("../middleware/permit")
+
+// Tailwind background classes, as used for department colors
+const COLOR_PATTERN = /^bg-[a-z]+-\d{3}$/
+
+const canManage = (req, label) =>
+  ["Admin", "Manager"].includes(req.user.role) || String(label.createdBy) === String(req.user.id)
+
+// Get all labels, with how many tasks use each
+router.get("/", permit("labels:read"), async (req, res) => {
+  try {
+    const [labels, usage] = await Promise.all([
+      Label.find().sort({ name: 1 }).lean(),
+      Task.aggregate([{ $unwind: "$labels" }, { $group: { _id: "$labels", count: { $sum: 1 } } }]),
+    ])
+
+    const counts = new Map(usage.map((entry) => [String(entry._id), entry.count]))
+    res.json(labels.map((label) => ({ ...label, taskCount: counts.get(String(label._id)) || 0 })))
+  } catch (error) {
+    console.error("Error fetching labels:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Create a label. Creating a name that already exists returns the existing label.
+router.post("/", permit("labels:write"), async (req, res) => {
+  try {
+    const { name, color } = req.body
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: "Label name is required" })
+    }
+    if (color && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ error: "Invalid label color" })
+    }
+
+    const existing = await Label.findOne({ key: name.trim().toLowerCase() })
+    if (existing) {
+      return res.json(existing)
+    }
+
+    const label = await Label.create({ name, color, createdBy: req.user.id })
+
+    if (req.io) {
+      req.io.emit("label:created", label)
+    }
+
+    res.status(201).json(label)
+  } catch (error) {
+    console.error("Error creating label:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Rename or recolor a label
+router.put("/:id", permit("labels:write"), async (req, res) => {
+  try {
+    const { name, color } = req.body
+    const label = await Label.findById(req.params.id)
+    if (!label) {
+      return res.status(404).json({ error: "Label not found" })
+    }
+    if (!canManage(req, label)) {
+      return res.status(403).json({ error: "Only the label's creator or a manager can change it" })
+    }
+    if (color && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ error: "Invalid label color" })
+    }
+
+    if (name && name.trim()) {
+      const duplicate = await Label.findOne({ key: name.trim().toLowerCase(), _id: { $ne: label._id } })
+      if (duplicate) {
+        return res.status(400).json({ error: `A label named '${duplicate.name}' already exists` })
+      }
+      label.name = name
+    }
+    if (color) label.color = color
+    await label.save()
+
+    if (req.io) {
+      req.io.emit("label:updated", label)
+    }
+
+    res.json(label)
+  } catch (error) {
+    console.error("Error updating label:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Delete a label and remove it from tasks and saved views
+router.delete("/:id", permit("labels:write"), async (req, res) => {
+  try {
+    const label = await Label.findById(req.params.id)
+    if (!label) {
+      return res.status(404).json({ error: "Label not found" })
+    }
+    if (!canManage(req, label)) {
+      return res.status(403).json({ error: "Only the label's creator or a manager can delete it" })
+    }
+
+    await label.deleteOne()
+    await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } })
+    await SavedView.updateMany({ "filters.labels": label._id }, { $pull: { "filters.labels": label._id } })
+
+    if (req.io) {
+      req.io.emit("label:deleted", { _id: label._id })
+    }
+
+    res.json({ message: "Label deleted successfully" })
+  } catch (error) {
+    console.error("Error deleting label:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+module.exports = router
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const resources = require('../middleware/resources');
+const { roleAllows } = require('../config/permissions');
+const rateLimit = require('../middleware/rateLimit');
+const User = require('../models/User');
 const EmployeeActivity = require('../models/EmployeeActivity');
 const ScreenCapture = require('../models/ScreenCapture');
 const MonitoringAlert = require('../models/MonitoringAlert');
@@ -18,9 +22,40 @@ const reportGenerator = require('../services/reportGenerator');
 const fs = require('fs').promises;
 const { getViolationScreenshots, generateOptimizedScreenshotUrl } = require('../utils/cloudinary');
 const clientMonitoringHandler = require('../services/clientMonitoringHandler');
+const whitelistService = require('../services/whitelistService');
+const whitelistTransferService = require('../services/whitelistTransferService');
+const { parseListQuery, findPage, setPageHeaders } = require('../utils/pagination');
+
+// Sort keys and fields the alert list accepts, see utils/pagination.js.
+// Alerts have always been capped, so they page by default.
+const ALERT_LIST_OPTIONS = {
+  sortable: ['timestamp', 'severity', 'status', 'alert_type', 'createdAt'],
+  defaultSort: { timestamp: -1 },
+  defaultLimit: 100,
+  fields: [
+    'employee', 'alert_type', 'severity', 'title', 'description', 'timestamp', 'status', 'data',
+    'threshold_config', 'acknowledged_by', 'acknowledged_at', 'resolved_by', 'resolved_at',
+    'resolution_notes', 'auto_generated', 'notification_sent', 'notification_channels',
+    'routing', 'deliveries', 'session_id', 'related_task', 'createdAt', 'updatedAt',
+  ],
+};
+
+// Whitelist entries an employee (or any of { $in: [...] }) asked for; requests
+// from before requested_by existed only name added_by
+const requestedBy = (employee) => ({
+  $or: [{ requested_by: employee }, { requested_by: null, added_by: employee }]
+});
+
+// Employees whose monitoring data the caller may see, as a filter on the
+// `employee` field. Empty for admins, who see everyone.
+const employeeScope = async (req) => {
+  if (req.access.isAdmin) return {};
+  const ids = await User.find({ department: { $in: req.access.managed } }).distinct('_id');
+  return { employee: { $in: ids } };
+};
 
 // Start monitoring session for an employee
-router.post('/start/:employeeId', async (req, res) => {
+router.post('/start/:employeeId', permit('monitoring:manage', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { workHours, intelligentMode = true } = req.body;
@@ -65,7 +100,7 @@ router.post('/start/:employeeId', async (req, res) => {
 });
 
 // Stop monitoring session for an employee
-router.post('/stop/:employeeId', async (req, res) => {
+router.post('/stop/:employeeId', permit('monitoring:manage', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
 
@@ -87,16 +122,20 @@ router.post('/stop/:employeeId', async (req, res) => {
 });
 
 // Start monitoring for all employees
-router.post('/start-all', async (req, res) => {
+router.post('/start-all', permit('monitoring:manage'), async (req, res) => {
   try {
     const { intelligentMode = true, departmentFilter } = req.body;
 
     // Get all employees (filter by department if specified)
-    const User = require('../models/User');
-    let query = { role: { $ne: 'Admin' } }; // Don't monitor admins
+    let query = { role: { $ne: 'Admin' }, deactivatedAt: null }; // Don't monitor admins or deactivated accounts
 
+    if (departmentFilter && !req.access.manages(departmentFilter)) {
+      return res.status(403).json({ error: 'You can only monitor departments you manage' });
+    }
     if (departmentFilter) {
       query.department = departmentFilter;
+    } else if (!req.access.isAdmin) {
+      query.department = { $in: req.access.managed };
     }
 
     const employees = await User.find(query).select('_id name email department');
@@ -149,7 +188,7 @@ router.post('/start-all', async (req, res) => {
 });
 
 // Stop monitoring for all employees
-router.post('/stop-all', async (req, res) => {
+router.post('/stop-all', permit('monitoring:admin'), async (req, res) => {
   try {
     // Stop all active monitoring sessions
     activityTracker.stopAllTracking();
@@ -170,7 +209,7 @@ router.post('/stop-all', async (req, res) => {
 });
 
 // Get employee activity data
-router.get('/employees/:id/activity', async (req, res) => {
+router.get('/employees/:id/activity', permit('monitoring:view', { resource: resources.employee('id') }), async (req, res) => {
   try {
     const { id: employeeId } = req.params;
     const { date, startDate, endDate, limit = 1000 } = req.query;
@@ -226,7 +265,7 @@ router.get('/employees/:id/activity', async (req, res) => {
 });
 
 // Get employee screenshots (only violation screenshots)
-router.get('/employees/:id/screenshots', async (req, res) => {
+router.get('/employees/:id/screenshots', permit('monitoring:view', { resource: resources.employee('id') }), async (req, res) => {
   // Add CORS headers
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
@@ -317,7 +356,7 @@ router.get('/employees/:id/screenshots', async (req, res) => {
 });
 
 // Get specific screenshot file (supports both Cloudinary and local storage)
-router.get('/screenshots/:screenshotId', async (req, res) => {
+router.get('/screenshots/:screenshotId', permit('monitoring:view', { resource: resources.employeeRecord(ScreenCapture, 'screenshotId') }), async (req, res) => {
   try {
     const { screenshotId } = req.params;
     const { width, height, quality } = req.query;
@@ -371,7 +410,7 @@ router.get('/screenshots/:screenshotId', async (req, res) => {
 });
 
 // Get violation screenshots from Cloudinary (optimized endpoint)
-router.get('/cloudinary-screenshots/:employeeId', async (req, res) => {
+router.get('/cloudinary-screenshots/:employeeId', permit('monitoring:view', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { date, limit = 50 } = req.query;
@@ -454,26 +493,33 @@ router.get('/cloudinary-screenshots/:employeeId', async (req, res) => {
 });
 
 // Get monitoring alerts
-router.get('/alerts', async (req, res) => {
+router.get('/alerts', permit('monitoring:view'), async (req, res) => {
   try {
-    const { employeeId, severity, status = 'active', limit = 100 } = req.query;
+    const { employeeId, severity, status = 'active' } = req.query;
+    const options = parseListQuery(req.query, ALERT_LIST_OPTIONS);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
 
-    const query = {};
+    const query = { $and: [await employeeScope(req)] };
     if (employeeId) query.employee = employeeId;
     if (severity) query.severity = severity;
     if (status) query.status = status;
 
-    const alerts = await MonitoringAlert.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .populate('employee', 'name email department')
-      .populate('acknowledged_by', 'name email')
-      .populate('resolved_by', 'name email')
-      .populate('data.screenshot_id');
+    const { items: alerts, total } = await findPage(MonitoringAlert, query, options, (alertQuery) =>
+      alertQuery
+        .populate('employee', 'name email department')
+        .populate('acknowledged_by', 'name email')
+        .populate('resolved_by', 'name email')
+        .populate('data.screenshot_id')
+    );
 
+    setPageHeaders(res, options, total);
     res.json({
       alerts,
-      totalCount: alerts.length
+      totalCount: total,
+      page: options.page,
+      limit: options.limit
     });
   } catch (error) {
     console.error('Error fetching alerts:', error);
@@ -482,7 +528,7 @@ router.get('/alerts', async (req, res) => {
 });
 
 // Acknowledge alert
-router.put('/alerts/:alertId/acknowledge', async (req, res) => {
+router.put('/alerts/:alertId/acknowledge', permit('monitoring:manage', { resource: resources.employeeRecord(MonitoringAlert, 'alertId') }), async (req, res) => {
   try {
     const { alertId } = req.params;
     const { notes } = req.body;
@@ -492,7 +538,7 @@ router.put('/alerts/:alertId/acknowledge', async (req, res) => {
       return res.status(404).json({ error: 'Alert not found' });
     }
 
-    await alert.acknowledge(null, notes);
+    await alert.acknowledge(req.user.id, notes);
 
     res.json({
       success: true,
@@ -506,7 +552,7 @@ router.put('/alerts/:alertId/acknowledge', async (req, res) => {
 });
 
 // Resolve alert
-router.put('/alerts/:alertId/resolve', async (req, res) => {
+router.put('/alerts/:alertId/resolve', permit('monitoring:manage', { resource: resources.employeeRecord(MonitoringAlert, 'alertId') }), async (req, res) => {
   try {
     const { alertId } = req.params;
     const { notes } = req.body;
@@ -516,7 +562,7 @@ router.put('/alerts/:alertId/resolve', async (req, res) => {
       return res.status(404).json({ error: 'Alert not found' });
     }
 
-    await alert.resolve(null, notes);
+    await alert.resolve(req.user.id, notes);
 
     res.json({
       success: true,
@@ -530,9 +576,11 @@ router.put('/alerts/:alertId/resolve', async (req, res) => {
 });
 
 // Get website whitelist
-router.get('/whitelist', async (req, res) => {
+router.get('/whitelist', permit('monitoring:self'), async (req, res) => {
   try {
-    const { category, status = 'approved', limit = 100 } = req.query;
+    const { category, limit = 100 } = req.query;
+    // Pending and rejected entries carry employees' access requests
+    const status = roleAllows('monitoring:view', req.access.roles) ? req.query.status || 'approved' : 'approved';
 
     const query = { approval_status: status };
     if (category) query.category = category;
@@ -553,32 +601,23 @@ router.get('/whitelist', async (req, res) => {
   }
 });
 
-// Add website to whitelist
-router.post('/whitelist', async (req, res) => {
+// Add website to whitelist. Entries apply company-wide, so only admins edit them;
+// managers allow sites for their departments through access requests.
+router.post('/whitelist', permit('monitoring:admin'), async (req, res) => {
   try {
-    const {
-      domain,
-      category,
-      description,
-      allowedPaths,
-      timeRestrictions,
-      usageLimits,
-      monitoringLevel
-    } = req.body;
+    const fields = whitelistService.entryFields(req.body);
+    if (!fields.domain) {
+      return res.status(400).json({ error: 'Domain is required' });
+    }
 
     const whitelistEntry = new WebsiteWhitelist({
-      domain: domain.toLowerCase(),
-      category,
-      description,
-      allowed_paths: allowedPaths || [],
-      time_restrictions: timeRestrictions || {},
-      usage_limits: usageLimits || {},
-      monitoring_level: monitoringLevel || 'basic',
-      added_by: null,
+      monitoring_level: 'basic',
+      ...fields,
+      added_by: req.user.id,
       approval_status: 'approved'
     });
 
-    whitelistEntry.approved_by = null;
+    whitelistEntry.approved_by = req.user.id;
     whitelistEntry.approval_date = new Date();
 
     await whitelistEntry.save();
@@ -589,13 +628,200 @@ router.post('/whitelist', async (req, res) => {
       whitelistEntry
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'This domain is already in the whitelist' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error adding to whitelist:', error);
     res.status(500).json({ error: 'Failed to add website to whitelist' });
   }
 });
 
+// Update a whitelist entry, including its time, usage and department/role restrictions
+router.put('/whitelist/:id', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const whitelistEntry = await WebsiteWhitelist.findById(req.params.id).catch(() => null);
+    if (!whitelistEntry) {
+      return res.status(404).json({ error: 'Whitelist entry not found' });
+    }
+
+    const fields = whitelistService.entryFields(req.body);
+    if (fields.domain === '') {
+      return res.status(400).json({ error: 'Domain is required' });
+    }
+    whitelistEntry.set(fields);
+    await whitelistEntry.save();
+
+    res.json({
+      success: true,
+      message: 'Whitelist entry updated successfully',
+      whitelistEntry
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'This domain is already in the whitelist' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating whitelist entry:', error);
+    res.status(500).json({ error: 'Failed to update whitelist entry' });
+  }
+});
+
+// Remove a whitelist entry
+router.delete('/whitelist/:id', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const whitelistEntry = await WebsiteWhitelist.findByIdAndDelete(req.params.id).catch(() => null);
+    if (!whitelistEntry) {
+      return res.status(404).json({ error: 'Whitelist entry not found' });
+    }
+
+    res.json({ success: true, message: 'Whitelist entry deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting whitelist entry:', error);
+    res.status(500).json({ error: 'Failed to delete whitelist entry' });
+  }
+});
+
+// Download the approved whitelist as CSV, or the whitelist and monitoring
+// policies as JSON, to import into another environment
+router.get('/whitelist/export', permit('monitoring:view'), async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const file = await whitelistTransferService.export(format);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error exporting whitelist:', error);
+    res.status(500).json({ error: 'Failed to export whitelist' });
+  }
+});
+
+// Import a CSV or JSON export, sent as the request body (text). Entries are
+// matched by domain and policies by name. ?dryRun=false applies the import;
+// otherwise only the added, changed and conflicting entries are reported.
+router.post(
+  '/whitelist/import',
+  permit('monitoring:admin'),
+  express.text({ type: 'text/*', limit: '2mb' }),
+  async (req, res) => {
+    try {
+      const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+      const result = await whitelistTransferService.import(format, req.body, req.user.id, {
+        dryRun: req.query.dryRun !== 'false'
+      });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error importing whitelist:', error);
+      res.status(500).json({ error: 'Failed to import whitelist' });
+    }
+  }
+);
+
+// Ask for a website to be whitelisted. Goes to the requester's managers for review.
+router.post('/whitelist/requests', permit('monitoring:self'), async (req, res) => {
+  try {
+    const result = await whitelistService.requestAccess(req.user.id, req.body);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Access requested. Your manager will review it.',
+      request: result.entry
+    });
+  } catch (error) {
+    console.error('Error requesting website access:', error);
+    res.status(500).json({ error: 'Failed to request access' });
+  }
+});
+
+// The caller's own access requests, newest first
+router.get('/whitelist/requests/mine', permit('monitoring:self'), async (req, res) => {
+  try {
+    const requests = await WebsiteWhitelist.find(requestedBy(req.user.id))
+      .sort({ updatedAt: -1 })
+      .limit(50)
+      .select('domain description approval_status approval_date rejection_reason expires_at createdAt updatedAt');
+
+    res.json({ requests });
+  } catch (error) {
+    console.error('Error fetching access requests:', error);
+    res.status(500).json({ error: 'Failed to fetch access requests' });
+  }
+});
+
+// Pending access requests from employees the caller manages
+router.get('/whitelist/requests', permit('monitoring:view'), async (req, res) => {
+  try {
+    const scope = await employeeScope(req);
+    const requests = await WebsiteWhitelist.find({
+      approval_status: 'pending',
+      ...(scope.employee && requestedBy(scope.employee))
+    })
+      .sort({ updatedAt: 1 })
+      .populate('added_by', 'name email department')
+      .populate('requested_by', 'name email department');
+
+    res.json({ requests, totalCount: requests.length });
+  } catch (error) {
+    console.error('Error fetching access request queue:', error);
+    res.status(500).json({ error: 'Failed to fetch access requests' });
+  }
+});
+
+// Approve an access request, optionally until a date or for the requester's department only
+router.post('/whitelist/:id/approve', permit('monitoring:manage', { resource: resources.whitelistRequest() }), async (req, res) => {
+  try {
+    const entry = await WebsiteWhitelist.findById(req.params.id).catch(() => null);
+    if (!entry) {
+      return res.status(404).json({ error: 'Access request not found' });
+    }
+
+    const result = await whitelistService.approve(entry, req.user.id, req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: `${entry.domain} approved`, request: result.entry });
+  } catch (error) {
+    console.error('Error approving access request:', error);
+    res.status(500).json({ error: 'Failed to approve access request' });
+  }
+});
+
+// Reject an access request with an optional reason for the requester
+router.post('/whitelist/:id/reject', permit('monitoring:manage', { resource: resources.whitelistRequest() }), async (req, res) => {
+  try {
+    const entry = await WebsiteWhitelist.findById(req.params.id).catch(() => null);
+    if (!entry) {
+      return res.status(404).json({ error: 'Access request not found' });
+    }
+
+    const result = await whitelistService.reject(entry, req.user.id, req.body.reason);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: `${entry.domain} rejected`, request: result.entry });
+  } catch (error) {
+    console.error('Error rejecting access request:', error);
+    res.status(500).json({ error: 'Failed to reject access request' });
+  }
+});
+
 // Get monitoring reports
-router.get('/reports/:employeeId', async (req, res) => {
+router.get('/reports/:employeeId', permit('monitoring:view', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { startDate, endDate } = req.query;
@@ -649,7 +875,7 @@ router.get('/reports/:employeeId', async (req, res) => {
 });
 
 // Get real-time monitoring status
-router.get('/status/:employeeId', async (req, res) => {
+router.get('/status/:employeeId', permit('monitoring:self', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
 
@@ -677,10 +903,12 @@ router.get('/status/:employeeId', async (req, res) => {
 });
 
 // Get all employees monitoring status
-router.get('/status/all', async (req, res) => {
+router.get('/status/all', permit('monitoring:view'), async (req, res) => {
   try {
-    const User = require('../models/User');
-    const employees = await User.find({ role: { $ne: 'Admin' } })
+    const query = { role: { $ne: 'Admin' }, deactivatedAt: null };
+    if (!req.access.isAdmin) query.department = { $in: req.access.managed };
+
+    const employees = await User.find(query)
       .select('_id name email department')
       .populate('department', 'name');
 
@@ -726,7 +954,7 @@ router.get('/status/all', async (req, res) => {
 });
 
 // Test AI service connectivity
-router.get('/ai/test', async (req, res) => {
+router.get('/ai/test', permit('monitoring:admin'), async (req, res) => {
   try {
     const testResult = await groqAIService.testConnection();
     res.json(testResult);
@@ -741,12 +969,13 @@ router.get('/ai/test', async (req, res) => {
 });
 
 // Get intelligent monitoring statistics
-router.get('/intelligent/stats', async (req, res) => {
+router.get('/intelligent/stats', permit('monitoring:view'), async (req, res) => {
   try {
     const { employeeId, startDate, endDate } = req.query;
 
     // Get violation sessions and AI analysis data
     const query = {
+      $and: [await employeeScope(req)],
       capture_trigger: 'unauthorized_access',
       'metadata.intelligent_capture': true
     };
@@ -820,7 +1049,7 @@ router.get('/intelligent/stats', async (req, res) => {
 });
 
 // Record keystroke event
-router.post('/keystroke/:employeeId', async (req, res) => {
+router.post('/keystroke/:employeeId', permit('monitoring:self', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const keystrokeData = req.body;
@@ -836,7 +1065,7 @@ router.post('/keystroke/:employeeId', async (req, res) => {
 });
 
 // Get keystroke analytics
-router.get('/keystroke/:employeeId', async (req, res) => {
+router.get('/keystroke/:employeeId', permit('monitoring:view', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { startDate, endDate } = req.query;
@@ -856,7 +1085,7 @@ router.get('/keystroke/:employeeId', async (req, res) => {
 });
 
 // Get productivity summary
-router.get('/productivity/:employeeId', async (req, res) => {
+router.get('/productivity/:employeeId', permit('monitoring:view', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { startDate, endDate } = req.query;
@@ -876,7 +1105,7 @@ router.get('/productivity/:employeeId', async (req, res) => {
 });
 
 // Generate PDF report
-router.post('/report/pdf/:employeeId', async (req, res) => {
+router.post('/report/pdf/:employeeId', permit('monitoring:view', { resource: resources.employee('employeeId') }), rateLimit('reports'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { startDate, endDate, options } = req.body;
@@ -904,10 +1133,18 @@ router.post('/report/pdf/:employeeId', async (req, res) => {
 });
 
 // Generate bulk reports
-router.post('/report/bulk', async (req, res) => {
+router.post('/report/bulk', permit('monitoring:view'), rateLimit('reports'), async (req, res) => {
   try {
     const { employeeIds, startDate, endDate } = req.body;
 
+    const scope = await employeeScope(req);
+    if (scope.employee) {
+      const allowed = scope.employee.$in.map(String);
+      if (!Array.isArray(employeeIds) || employeeIds.some(id => !allowed.includes(String(id)))) {
+        return res.status(403).json({ error: 'Reports can only cover employees in departments you manage' });
+      }
+    }
+
     const reports = await reportGenerator.generateBulkReport(
       employeeIds,
       startDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
@@ -930,7 +1167,7 @@ router.post('/report/bulk', async (req, res) => {
 });
 
 // Export data to CSV
-router.post('/export/csv/:employeeId', async (req, res) => {
+router.post('/export/csv/:employeeId', permit('monitoring:view', { resource: resources.employee('employeeId') }), rateLimit('reports'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { startDate, endDate, dataType } = req.body;
@@ -957,7 +1194,7 @@ router.post('/export/csv/:employeeId', async (req, res) => {
 });
 
 // Download generated files
-router.get('/download/:filename', async (req, res) => {
+router.get('/download/:filename', permit('monitoring:view'), async (req, res) => {
   try {
     const { filename } = req.params;
     const reportsDir = process.env.REPORTS_STORAGE_PATH || './uploads/reports';
@@ -985,7 +1222,7 @@ router.get('/download/:filename', async (req, res) => {
 });
 
 // Test OCR analysis
-router.post('/ocr/test', async (req, res) => {
+router.post('/ocr/test', permit('monitoring:admin'), async (req, res) => {
   try {
     const { imagePath, employeeId } = req.body;
 
@@ -1002,7 +1239,7 @@ router.post('/ocr/test', async (req, res) => {
 });
 
 // Get OCR service status
-router.get('/ocr/status', async (req, res) => {
+router.get('/ocr/status', permit('monitoring:view'), async (req, res) => {
   try {
     const stats = ocrAnalysisService.getOCRStats();
     res.json({ stats });
@@ -1015,7 +1252,7 @@ router.get('/ocr/status', async (req, res) => {
 // Work Session Management Routes
 
 // Get current work session
-router.get('/work-session/:employeeId', async (req, res) => {
+router.get('/work-session/:employeeId', permit('monitoring:self', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const today = new Date();
@@ -1038,7 +1275,7 @@ router.get('/work-session/:employeeId', async (req, res) => {
 });
 
 // Start work session
-router.post('/work-session/start', async (req, res) => {
+router.post('/work-session/start', permit('monitoring:self', { resource: resources.employee() }), async (req, res) => {
   try {
     const { employeeId, startTime, targetHours = 8 } = req.body;
     const today = new Date();
@@ -1083,7 +1320,7 @@ router.post('/work-session/start', async (req, res) => {
 });
 
 // Pause work session
-router.post('/work-session/pause', async (req, res) => {
+router.post('/work-session/pause', permit('monitoring:self', { resource: resources.employee() }), async (req, res) => {
   try {
     const { employeeId } = req.body;
     const today = new Date();
@@ -1113,7 +1350,7 @@ router.post('/work-session/pause', async (req, res) => {
 });
 
 // Resume work session
-router.post('/work-session/resume', async (req, res) => {
+router.post('/work-session/resume', permit('monitoring:self', { resource: resources.employee() }), async (req, res) => {
   try {
     const { employeeId } = req.body;
     const today = new Date();
@@ -1143,7 +1380,7 @@ router.post('/work-session/resume', async (req, res) => {
 });
 
 // End work session
-router.post('/work-session/end', async (req, res) => {
+router.post('/work-session/end', permit('monitoring:self', { resource: resources.employee() }), async (req, res) => {
   try {
     const { employeeId } = req.body;
     const today = new Date();
@@ -1173,7 +1410,7 @@ router.post('/work-session/end', async (req, res) => {
 });
 
 // Get client monitoring status
-router.get('/client-monitoring/status', async (req, res) => {
+router.get('/client-monitoring/status', permit('monitoring:view'), async (req, res) => {
   try {
     const activeSessions = clientMonitoringHandler.getActiveSessions();
     const statistics = clientMonitoringHandler.getStatistics();
@@ -1191,7 +1428,7 @@ router.get('/client-monitoring/status', async (req, res) => {
 });
 
 // Send monitoring request to specific employee
-router.post('/client-monitoring/request/:employeeId', async (req, res) => {
+router.post('/client-monitoring/request/:employeeId', permit('monitoring:manage', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { action, ...data } = req.body;
@@ -1217,7 +1454,7 @@ router.post('/client-monitoring/request/:employeeId', async (req, res) => {
 });
 
 // Get client monitoring session details for specific employee
-router.get('/client-monitoring/session/:employeeId', async (req, res) => {
+router.get('/client-monitoring/session/:employeeId', permit('monitoring:view', { resource: resources.employee('employeeId') }), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const activeSessions = clientMonitoringHandler.getActiveSessions();
@@ -1243,7 +1480,7 @@ router.get('/client-monitoring/session/:employeeId', async (req, res) => {
 });
 
 // 🗑️ CLEANUP ENDPOINT - Delete all monitoring data (NO AUTH REQUIRED)
-router.delete('/cleanup/all', async (req, res) => {
+router.delete('/cleanup/all', permit('monitoring:admin'), async (req, res) => {
   try {
     console.log('🧹 Starting comprehensive monitoring data cleanup...');
 
@@ -1351,7 +1588,7 @@ router.delete('/cleanup/all', async (req, res) => {
 });
 
 // 🗑️ CLEANUP ENDPOINT - Delete monitoring data for specific employee (NO AUTH REQUIRED)
-router.delete('/cleanup/employee/:employeeId', async (req, res) => {
+router.delete('/cleanup/employee/:employeeId', permit('monitoring:admin'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     console.log(`🧹 Starting monitoring data cleanup for employee ${employeeId}...`);
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const permit = require('../middleware/permit');
+const MonitoringPolicy = require('../models/MonitoringPolicy');
+const monitoringPolicyService = require('../services/monitoringPolicyService');
+
+// Monitoring policies: ordered rules that decide whether website and
+// application activity is allowed, flagged or alerted on. Rule changes are
+// saved as a draft, tested against sample URLs and then published as a new
+// version. See services/monitoringPolicyService.js.
+
+const findPolicy = async (req, res) => {
+  const policy = await MonitoringPolicy.findById(req.params.id).catch(() => null);
+  if (!policy) {
+    res.status(404).json({ error: 'Policy not found' });
+  }
+  return policy;
+};
+
+// List policies with their draft and published rules
+router.get('/', permit('monitoring:view'), async (req, res) => {
+  try {
+    res.json({ success: true, policies: await monitoringPolicyService.list() });
+  } catch (error) {
+    console.error('Error fetching monitoring policies:', error);
+    res.status(500).json({ error: 'Failed to fetch monitoring policies' });
+  }
+});
+
+// Test rules that have not been saved, e.g. a single rule from the editor
+router.post('/test', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const { rules, default_action, samples } = req.body;
+    const result = monitoringPolicyService.test({ rules, default_action }, samples);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, results: result.results });
+  } catch (error) {
+    console.error('Error testing monitoring rules:', error);
+    res.status(500).json({ error: 'Failed to test rules' });
+  }
+});
+
+// Create a policy. Its rules start as an unpublished draft.
+router.post('/', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const result = await monitoringPolicyService.create(req.body, req.user.id);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({ success: true, policy: result.policy });
+  } catch (error) {
+    console.error('Error creating monitoring policy:', error);
+    res.status(500).json({ error: 'Failed to create monitoring policy' });
+  }
+});
+
+// Update a policy's settings or draft rules
+router.put('/:id', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const policy = await findPolicy(req, res);
+    if (!policy) return;
+
+    const result = await monitoringPolicyService.save(policy, req.body, req.user.id);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, policy: result.policy });
+  } catch (error) {
+    console.error('Error updating monitoring policy:', error);
+    res.status(500).json({ error: 'Failed to update monitoring policy' });
+  }
+});
+
+// Delete a policy and its version history
+router.delete('/:id', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const policy = await findPolicy(req, res);
+    if (!policy) return;
+
+    await monitoringPolicyService.remove(policy);
+    res.json({ success: true, message: 'Policy deleted' });
+  } catch (error) {
+    console.error('Error deleting monitoring policy:', error);
+    res.status(500).json({ error: 'Failed to delete monitoring policy' });
+  }
+});
+
+// Test the saved draft against sample URLs; required before publishing
+router.post('/:id/test', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const policy = await findPolicy(req, res);
+    if (!policy) return;
+
+    const result = await monitoringPolicyService.testDraft(policy, req.body.samples);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, results: result.results, tested_at: policy.draft.tested_at });
+  } catch (error) {
+    console.error('Error testing monitoring policy:', error);
+    res.status(500).json({ error: 'Failed to test monitoring policy' });
+  }
+});
+
+// Publish the tested draft as the next version
+router.post('/:id/publish', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const result = await monitoringPolicyService.publish(req.params.id, req.user.id, req.body.notes);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json({
+      success: true,
+      message: `Published version ${result.policy.published.version}`,
+      policy: await MonitoringPolicy.findById(result.policy._id).populate('published.published_by', 'name'),
+    });
+  } catch (error) {
+    console.error('Error publishing monitoring policy:', error);
+    res.status(500).json({ error: 'Failed to publish monitoring policy' });
+  }
+});
+
+// Published versions, newest first
+router.get('/:id/versions', permit('monitoring:view'), async (req, res) => {
+  try {
+    const versions = await monitoringPolicyService.versions(req.params.id).catch(() => null);
+    if (!versions) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+    res.json({ success: true, versions });
+  } catch (error) {
+    console.error('Error fetching monitoring policy versions:', error);
+    res.status(500).json({ error: 'Failed to fetch policy versions' });
+  }
+});
+
+// Load an earlier version into the draft so it can be tested and republished
+router.post('/:id/versions/:version/restore', permit('monitoring:admin'), async (req, res) => {
+  try {
+    const result = await monitoringPolicyService.restore(req.params.id, req.params.version, req.user.id);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json({ success: true, policy: result.policy });
+  } catch (error) {
+    console.error('Error restoring monitoring policy version:', error);
+    res.status(500).json({ error: 'Failed to restore policy version' });
+  }
+});
+
+module.exports = router;
@@ -196,6 +196,12 @@ const Task = require("../models/Task")
 const User = require("../models/User")
 const Aim = require("../models/Aim")
 const { sendPushNotificationToUsers, broadcastPushNotification } = require("../utils/pushNotificationService")
+const permit = require("../middleware/permit")
+
+// Push a reminder to everyone for admins; managers and leads reach only the
+// users picked from their departments
+const pushReminder = (req, userIds, ...message) =>
+  req.access.isAdmin ? broadcastPushNotification(...message) : sendPushNotificationToUsers(userIds, ...message)
 
 // Nodemailer transporter setup (replace with your email service details)
 const transporter = nodemailer.createTransport({
@@ -207,12 +213,13 @@ const transporter = nodemailer.createTransport({
 })
 
 // Route to broadcast task reminders
-router.post("/broadcast-reminders", async (req, res) => {
+router.post("/broadcast-reminders", permit("notifications:broadcast"), async (req, res) => {
   try {
     // Find tasks due today or overdue
     const today = new Date()
     today.setHours(0, 0, 0, 0)
     const tasks = await Task.find({
+      ...req.access.scopeFilter(),
       dueDate: { $lte: today },
       status: { $ne: "completed" },
     }).populate("assignee", "email")
@@ -243,8 +250,10 @@ router.post("/broadcast-reminders", async (req, res) => {
 
     // Send push notifications
     try {
-      const userIds = tasks.map((task) => task.assignee._id).filter(Boolean)
-      const pushResult = await broadcastPushNotification(
+      const userIds = tasks.map((task) => task.assignee?._id).filter(Boolean)
+      const pushResult = await pushReminder(
+        req,
+        userIds,
         "Task Progress Reminder",
         "Please update your task progress in the WorkflowAI system.",
         "/progress",
@@ -264,10 +273,12 @@ router.post("/broadcast-reminders", async (req, res) => {
 })
 
 // Route to broadcast daily aims reminders
-router.post("/broadcast-aim-reminders", async (req, res) => {
+router.post("/broadcast-aim-reminders", permit("notifications:broadcast"), async (req, res) => {
   try {
-    // Fetch all users
-    const users = await User.find({})
+    // Fetch all users the caller may remind
+    const users = await User.find(
+      req.access.isAdmin ? { deactivatedAt: null } : { department: { $in: req.access.managed }, deactivatedAt: null }
+    )
 
     if (!users || users.length === 0) {
       return res.status(200).send({ message: "No users found." })
@@ -294,7 +305,9 @@ router.post("/broadcast-aim-reminders", async (req, res) => {
     // Send push notifications
     try {
       const userIds = users.map((user) => user._id)
-      const pushResult = await broadcastPushNotification(
+      const pushResult = await pushReminder(
+        req,
+        userIds,
         "Daily Aims Reminder",
         "Don't forget to set your aims for today!",
         "/aims",
@@ -1,15 +1,17 @@
 const express = require("express");
 const router = express.Router();
-const auth = require("../middleware/auth");
 const Progress = require("../models/Progress");
 const Task = require("../models/Task");
 const User = require("../models/User");
 const { check, validationResult } = require("express-validator");
+const auditLog = require("../services/auditLog");
+const permit = require("../middleware/permit");
+const resources = require("../middleware/resources");
 
 // @route   GET api/progress/task/:taskId
 // @desc    Get all progress updates for a task
 // @access  Private
-router.get("/task/:taskId", async (req, res) => {
+router.get("/task/:taskId", permit("progress:read", { resource: resources.task("taskId") }), async (req, res) => {
   try {
     const progress = await Progress.find({ task: req.params.taskId })
       .sort({ date: -1 })
@@ -25,7 +27,7 @@ router.get("/task/:taskId", async (req, res) => {
 // @route   GET api/progress/user/:userId
 // @desc    Get all progress updates by a user
 // @access  Private
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", permit("progress:read", { resource: resources.employee("userId") }), async (req, res) => {
   try {
     const progress = await Progress.find({ user: req.params.userId })
       .sort({ date: -1 })
@@ -43,6 +45,7 @@ router.get("/user/:userId", async (req, res) => {
 // @access  Private
 router.post(
   "/",
+  permit("progress:write", { resource: resources.taskInBody() }),
   [
     
     [
@@ -77,11 +80,31 @@ router.post(
       });
 
       const progress = await newProgress.save();
+      const actor = auditLog.actorFrom(req);
+
+      await auditLog.record({
+        entityType: "Progress",
+        entity: progress,
+        task: taskDoc,
+        action: "created",
+        changes: auditLog.diff("Progress", null, progress),
+        actor,
+      });
 
       // Update task progress
+      const taskBefore = taskDoc.toObject();
       taskDoc.progress = progressPercentage;
       await taskDoc.save();
 
+      await auditLog.record({
+        entityType: "Task",
+        entity: taskDoc,
+        task: taskDoc,
+        action: "updated",
+        changes: auditLog.diff("Task", taskBefore, taskDoc),
+        actor,
+      });
+
       // Notify via Socket.IO
       if (req.io) {
         req.io.to(`task-${task}`).emit("progress-update", {
@@ -102,7 +125,7 @@ router.post(
 // @route   PUT api/progress/:id
 // @desc    Update a progress entry
 // @access  Private
-router.put("/:id", async (req, res) => {
+router.put("/:id", permit("progress:write", { resource: resources.progress() }), async (req, res) => {
   try {
     const { progressPercentage, notes, blockers, achievements } = req.body;
 
@@ -118,6 +141,7 @@ router.put("/:id", async (req, res) => {
     }
 
     // Update fields
+    const before = progress.toObject();
     if (progressPercentage) progress.progressPercentage = progressPercentage;
     if (notes) progress.notes = notes;
     if (blockers !== undefined) progress.blockers = blockers;
@@ -126,12 +150,31 @@ router.put("/:id", async (req, res) => {
 
     await progress.save();
 
+    await auditLog.record({
+      entityType: "Progress",
+      entity: progress,
+      task: progress.task,
+      action: "updated",
+      changes: auditLog.diff("Progress", before, progress),
+      actor: req.user,
+    });
+
     // Update task progress
     const task = await Task.findById(progress.task);
     if (task) {
+      const taskBefore = task.toObject();
       task.progress = progressPercentage;
       await task.save();
 
+      await auditLog.record({
+        entityType: "Task",
+        entity: task,
+        task,
+        action: "updated",
+        changes: auditLog.diff("Task", taskBefore, task),
+        actor: req.user,
+      });
+
       // Notify via Socket.IO
       if (req.io) {
         req.io.to(`task-${task._id}`).emit("progress-update", {
@@ -152,7 +195,7 @@ router.put("/:id", async (req, res) => {
 // @route   DELETE api/progress/:id
 // @desc    Delete a progress entry
 // @access  Private
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", permit("progress:write", { resource: resources.progress() }), async (req, res) => {
   try {
     const progress = await Progress.findById(req.params.id);
     if (!progress) {
@@ -165,6 +208,14 @@ router.delete("/:id", async (req, res) => {
     }
 
     await progress.remove();
+
+    await auditLog.record({
+      entityType: "Progress",
+      entity: progress,
+      task: progress.task,
+      action: "deleted",
+      actor: req.user,
+    });
     res.json({ msg: "Progress entry removed" });
   } catch (err) {
     console.error(err.message);
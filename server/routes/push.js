@@ -190,7 +190,7 @@ const express = require("express")
 const router = express.Router()
 const webpush = require("web-push")
 const PushSubscription = require("../models/PushSubscription")
-const auth = require("../middleware/auth")
+const permit = require("../middleware/permit")
 
 // Configure web-push with VAPID keys from environment variables
 webpush.setVapidDetails(
@@ -229,7 +229,7 @@ function fixFCMEndpoint(endpoint) {
 // @route   POST api/push/subscribe
 // @desc    Subscribe user to push notifications
 // @access  Private
-router.post("/subscribe", async (req, res) => {
+router.post("/subscribe", permit("push:subscribe"), async (req, res) => {
   try {
     const { subscription, userId } = req.body
 
@@ -237,6 +237,10 @@ router.post("/subscribe", async (req, res) => {
       return res.status(400).json({ error: "Subscription and userId are required" })
     }
 
+    if (String(userId) !== req.user.id) {
+      return res.status(403).json({ error: "You can only subscribe your own account" })
+    }
+
     console.log("Received subscription for user:", userId)
     console.log("Original endpoint:", subscription.endpoint)
 
@@ -291,7 +295,7 @@ router.post("/subscribe", async (req, res) => {
 // @route   POST api/push/cleanup
 // @desc    Clean up invalid subscriptions
 // @access  Private (Admin only)
-router.post("/cleanup", async (req, res) => {
+router.post("/cleanup", permit("push:admin"), async (req, res) => {
   try {
     console.log("Starting subscription cleanup...")
 
@@ -342,7 +346,7 @@ router.post("/cleanup", async (req, res) => {
 // @route   POST api/push/send
 // @desc    Send push notification to specific users with better error handling
 // @access  Private (Admin only)
-router.post("/send", async (req, res) => {
+router.post("/send", permit("push:admin"), async (req, res) => {
   try {
     const { userIds, title, body, url, tag } = req.body
 
@@ -413,7 +417,7 @@ router.post("/send", async (req, res) => {
 // @route   POST api/push/broadcast
 // @desc    Send push notification to all subscribed users with better error handling
 // @access  Private (Admin only)
-router.post("/broadcast", async (req, res) => {
+router.post("/broadcast", permit("push:admin"), async (req, res) => {
   try {
     const { title, body, url, tag, excludeUserIds = [] } = req.body
 
@@ -484,7 +488,7 @@ router.post("/broadcast", async (req, res) => {
 // @route   GET api/push/subscriptions
 // @desc    Get all subscriptions (for admin debugging)
 // @access  Private (Admin only)
-router.get("/subscriptions", async (req, res) => {
+router.get("/subscriptions", permit("push:admin"), async (req, res) => {
   try {
     const subscriptions = await PushSubscription.find({}, { userId: 1, endpoint: 1, createdAt: 1 })
 
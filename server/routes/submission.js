@@ -7,6 +7,22 @@ const multer = require("multer")
 const { uploadToCloudinary } = require("../utils/cloudinary")
 const Notification = require("../models/Notification")
 const User = require("../models/User")
+const dependencyAnalyzer = require("../services/dependencyAnalyzer")
+const taskHierarchy = require("../services/taskHierarchy")
+const auditLog = require("../services/auditLog")
+const permit = require("../middleware/permit")
+const resources = require("../middleware/resources")
+const { parseListQuery, findPage, setPageHeaders } = require("../utils/pagination")
+
+// Sort keys and fields the submission list accepts, see utils/pagination.js
+const SUBMISSION_LIST_OPTIONS = {
+  sortable: ["status", "createdAt", "updatedAt"],
+  defaultSort: { createdAt: 1 },
+  fields: [
+    "task", "user", "githubLink", "additionalLinks", "notes", "documentLink", "fileType",
+    "status", "feedback", "reviewHistory", "createdAt", "updatedAt",
+  ],
+}
 
 // Configure multer for memory storage
 const upload = multer({
@@ -38,13 +54,34 @@ const upload = multer({
 })
 
 // Get all submissions
-router.get("/", async (req, res) => {
+router.get("/", permit("submissions:read"), async (req, res) => {
   try {
-    const submissions = await TaskSubmission.find()
-      .populate("task", "title status")
-      .populate("user", "name email")
-      .populate("reviewHistory.reviewedBy", "name email")
+    const options = parseListQuery(req.query, SUBMISSION_LIST_OPTIONS)
+    if (options.error) {
+      return res.status(400).json({ error: options.error })
+    }
 
+    // ?task= accepts several comma separated ids, e.g. the tasks on the current page
+    const { task, user, status } = req.query
+    const filter = {}
+    if (task) filter.task = { $in: String(task).split(",") }
+    if (user) filter.user = user
+    if (status) filter.status = status
+
+    // Outside Admin, submissions on tasks the caller can see, plus their own
+    if (!req.access.isAdmin) {
+      const visibleTasks = await Task.find(req.access.scopeFilter({ ownerFields: ["assignee", "createdBy", "reviewer"] })).distinct("_id")
+      filter.$or = [{ task: { $in: visibleTasks } }, { user: req.access.userId }]
+    }
+
+    const { items: submissions, total } = await findPage(TaskSubmission, filter, options, (query) =>
+      query
+        .populate("task", "title status")
+        .populate("user", "name email")
+        .populate("reviewHistory.reviewedBy", "name email")
+    )
+
+    setPageHeaders(res, options, total)
     res.json(submissions)
   } catch (error) {
     console.error("Error fetching submissions:", error)
@@ -53,7 +90,7 @@ router.get("/", async (req, res) => {
 })
 
 // Get submission by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", permit("submissions:read", { resource: resources.submission() }), async (req, res) => {
   try {
     const submission = await TaskSubmission.findById(req.params.id)
       .populate("task", "title status department assignee")
@@ -72,7 +109,7 @@ router.get("/:id", async (req, res) => {
 })
 
 // Get submission by task ID
-router.get("/task/:taskId", async (req, res) => {
+router.get("/task/:taskId", permit("submissions:read", { resource: resources.task("taskId") }), async (req, res) => {
   try {
     const submission = await TaskSubmission.findOne({ task: req.params.taskId })
       .populate("task", "title status")
@@ -91,7 +128,9 @@ router.get("/task/:taskId", async (req, res) => {
 })
 
 // Create new submission
-router.post("/", upload.single("document"), async (req, res) => {
+// The task is only known once multer has read the form, so access to it is
+// checked here rather than by permit()
+router.post("/", permit("submissions:write"), upload.single("document"), async (req, res) => {
   try {
     const { task: taskId, githubLink, notes, originalSubmission, userId } = req.body
 
@@ -101,6 +140,10 @@ router.post("/", upload.single("document"), async (req, res) => {
       return res.status(404).json({ error: "Task not found" })
     }
 
+    if (!req.access.canAccess({ department: task.department, owners: [task.assignee, task.createdBy, task.reviewer] }, { write: true })) {
+      return res.status(403).json({ error: "Access denied. This record is outside your department." })
+    }
+
     // If it's an original submission (not a revision)
     if (!originalSubmission) {
       const existingSubmission = await TaskSubmission.findOne({
@@ -111,6 +154,15 @@ router.post("/", upload.single("document"), async (req, res) => {
       if (existingSubmission) {
         return res.status(400).json({ error: "A submission already exists for this task" })
       }
+
+      // Submitting completes the task, which strict dependencies mode forbids while blocked
+      const blockers = await dependencyAnalyzer.findStrictBlockers(task)
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          error: `Task is blocked by incomplete dependencies: ${blockers.map(b => `'${b.title}'`).join(", ")}`,
+          blockedBy: blockers,
+        })
+      }
     }
 
     let documentLink = ""
@@ -139,15 +191,36 @@ router.post("/", upload.single("document"), async (req, res) => {
     })
 
     const submission = await newSubmission.save()
+    const actor = auditLog.actorFrom(req)
+
+    await auditLog.record({
+      entityType: "TaskSubmission",
+      entity: submission,
+      task,
+      action: "created",
+      changes: auditLog.diff("TaskSubmission", null, submission),
+      actor,
+    })
 
     // Populate user information
     await submission.populate("user", "name")
 
     // Update task status to "Completed" only for original submission
     if (!originalSubmission && task.status !== "Completed") {
+      const before = task.toObject()
       task.status = "Completed"
       task.progress = 100
       await task.save()
+      await auditLog.record({
+        entityType: "Task",
+        entity: task,
+        task,
+        action: "updated",
+        changes: auditLog.diff("Task", before, task),
+        actor,
+      })
+      await dependencyAnalyzer.notifyUnblockedDependents(task)
+      if (task.parent) await taskHierarchy.rollUpProgress(task.parent)
     }
 
     // Emit socket event for real-time updates
@@ -157,7 +230,7 @@ router.post("/", upload.single("document"), async (req, res) => {
     })
 
     // Find admin user(s) to notify
-    const admins = await User.find({ role: "Admin" })
+    const admins = await User.find({ role: "Admin", deactivatedAt: null })
     for (const admin of admins) {
       await Notification.create({
         recipient: admin._id,
@@ -176,7 +249,7 @@ router.post("/", upload.single("document"), async (req, res) => {
 })
 
 // Update submission
-router.put("/:id", upload.single("document"), async (req, res) => {
+router.put("/:id", permit("submissions:write", { resource: resources.submission() }), upload.single("document"), async (req, res) => {
   try {
     const { githubLink, notes } = req.body
     const submission = await TaskSubmission.findById(req.params.id)
@@ -217,6 +290,15 @@ router.put("/:id", upload.single("document"), async (req, res) => {
       .populate("user", "name email")
       .populate("reviewHistory.reviewedBy", "name email")
 
+    await auditLog.record({
+      entityType: "TaskSubmission",
+      entity: updatedSubmission,
+      task: submission.task,
+      action: "updated",
+      changes: auditLog.diff("TaskSubmission", submission, updatedSubmission),
+      actor: auditLog.actorFrom(req),
+    })
+
     // Emit socket event for real-time updates
     req.io.emit("submission-updated", updatedSubmission)
 
@@ -228,7 +310,7 @@ router.put("/:id", upload.single("document"), async (req, res) => {
 })
 
 // Review submission
-router.put("/:id/review", async (req, res) => {
+router.put("/:id/review", permit("submissions:review", { resource: resources.submission() }), async (req, res) => {
   try {
     const { status, feedback, reviewedBy } = req.body
 
@@ -241,8 +323,12 @@ router.put("/:id/review", async (req, res) => {
       return res.status(404).json({ error: "Submission not found" })
     }
 
+    if (String(submission.user) === req.access.userId && !req.access.isAdmin) {
+      return res.status(403).json({ error: "You cannot review your own submission" })
+    }
+
     // Use reviewedBy from request body, or fall back to user ID from token
-    const reviewerId = reviewedBy
+    const reviewerId = reviewedBy || req.user.id
     if (!reviewerId) {
       return res.status(400).json({ error: "Reviewer ID is required" })
     }
@@ -258,17 +344,39 @@ router.put("/:id/review", async (req, res) => {
     }
 
     // Update current status and feedback
+    const before = submission.toObject()
     submission.status = status
     submission.feedback = feedback || ""
     await submission.save()
 
+    const actor = auditLog.actorFrom(req)
+    await auditLog.record({
+      entityType: "TaskSubmission",
+      entity: submission,
+      task: submission.task,
+      action: "reviewed",
+      changes: auditLog.diff("TaskSubmission", before, submission),
+      actor,
+    })
+
     // If approved, ensure task is marked as completed
     if (status === "Approved") {
       const task = await Task.findById(submission.task)
       if (task && task.status !== "Completed") {
+        const taskBefore = task.toObject()
         task.status = "Completed"
         task.progress = 100
         await task.save()
+        await auditLog.record({
+          entityType: "Task",
+          entity: task,
+          task,
+          action: "updated",
+          changes: auditLog.diff("Task", taskBefore, task),
+          actor,
+        })
+        await dependencyAnalyzer.notifyUnblockedDependents(task)
+        if (task.parent) await taskHierarchy.rollUpProgress(task.parent)
       }
     }
 
@@ -292,7 +400,7 @@ router.put("/:id/review", async (req, res) => {
 })
 
 // Delete submission
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", permit("submissions:write", { resource: resources.submission() }), async (req, res) => {
   try {
     const submission = await TaskSubmission.findById(req.params.id)
 
@@ -302,6 +410,14 @@ router.delete("/:id", async (req, res) => {
 
     await TaskSubmission.findByIdAndDelete(req.params.id)
 
+    await auditLog.record({
+      entityType: "TaskSubmission",
+      entity: submission,
+      task: submission.task,
+      action: "deleted",
+      actor: auditLog.actorFrom(req),
+    })
+
     // Emit socket event for real-time updates
     req.io.emit("submission-deleted", req.params.id)
 
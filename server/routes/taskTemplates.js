@@ -0,0 +1,218 @@
+const express = require("express")
+const router = express.Router()
+const TaskTemplate = require("../models/TaskTemplate")
+const Task = require("../models/Task")
+const permit = require("../middleware/permit")
+const resources = require("../middleware/resources")
+const recurringTasks = require("../services/recurringTasks")
+
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "department",
+  "links",
+  "recurrence",
+  "startDate",
+  "endDate",
+  "durationDays",
+  "leadDays",
+  "assignmentMode",
+  "assignee",
+  "rotation",
+  "active",
+]
+
+// Template as JSON with its RRULE and upcoming occurrences
+const withSchedule = (template) => ({
+  ...template.toObject(),
+  rrule: recurringTasks.toRRule(template.recurrence),
+  nextOccurrences: template.active ? recurringTasks.previewOccurrences(template) : [],
+})
+
+const pickEditable = (body) => {
+  const updates = {}
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) updates[field] = body[field]
+  })
+  if (typeof updates.links === "string") {
+    updates.links = updates.links.split(",").map((link) => link.trim()).filter(Boolean)
+  }
+  return updates
+}
+
+// Returns an error message when the template cannot produce tasks
+const validateTemplate = (template) => {
+  const recurrenceError = recurringTasks.validateRecurrence(template.recurrence)
+  if (recurrenceError) return recurrenceError
+  if (template.endDate && new Date(template.endDate) < new Date(template.startDate)) {
+    return "End date must be after the start date"
+  }
+  if (template.assignmentMode === "roundRobin") return null
+  if (!template.assignee) return "An assignee is required unless the template uses round-robin assignment"
+  return null
+}
+
+const populateTemplate = (query) =>
+  query
+    .populate("department", "name color")
+    .populate("assignee", "name avatar")
+    .populate("rotation", "name avatar")
+
+// Get all recurring task templates
+router.get("/", permit("templates:read"), async (req, res) => {
+  try {
+    const filter = { $and: [req.access.scopeFilter({ ownerFields: ["createdBy"] })] }
+    if (req.query.department) filter.department = req.query.department
+    if (req.query.active !== undefined) filter.active = req.query.active === "true"
+
+    const templates = await populateTemplate(TaskTemplate.find(filter).sort({ createdAt: -1 }))
+    res.json(templates.map(withSchedule))
+  } catch (error) {
+    console.error("Error fetching task templates:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Preview the occurrences of a schedule before saving it
+router.post("/preview", permit("templates:read"), async (req, res) => {
+  try {
+    const { recurrence, startDate, endDate, count } = req.body
+    const error = recurringTasks.validateRecurrence(recurrence)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const template = { recurrence, startDate: startDate || new Date(), endDate }
+    res.json({
+      rrule: recurringTasks.toRRule(recurrence),
+      occurrences: recurringTasks.previewOccurrences(template, Math.min(parseInt(count) || 5, 20)),
+    })
+  } catch (error) {
+    console.error("Error previewing recurrence:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Get a template with the tasks generated from it
+router.get("/:id", permit("templates:read", { resource: resources.template() }), async (req, res) => {
+  try {
+    const template = await populateTemplate(TaskTemplate.findById(req.params.id))
+    if (!template) {
+      return res.status(404).json({ error: "Task template not found" })
+    }
+
+    const tasks = await Task.find({ template: template._id })
+      .sort({ occurrenceDate: -1 })
+      .limit(50)
+      .populate("assignee", "name avatar")
+      .select("title status progress assignee dueDate occurrenceDate")
+
+    res.json({ ...withSchedule(template), tasks })
+  } catch (error) {
+    console.error("Error fetching task template:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Create a recurring task template
+router.post("/", permit("templates:manage"), async (req, res) => {
+  try {
+    if (!req.access.manages(req.body.department)) {
+      return res.status(403).json({ error: "You can only create templates for departments you manage" })
+    }
+
+    const template = new TaskTemplate({
+      ...pickEditable(req.body),
+      startDate: req.body.startDate || new Date(),
+      createdBy: req.user.id,
+    })
+
+    const error = validateTemplate(template)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    await template.save()
+
+    // Generate the first occurrences right away instead of waiting for the next run
+    const tasks = await recurringTasks.generateForTemplate(template)
+    await recurringTasks.announce(tasks)
+
+    const populatedTemplate = await populateTemplate(TaskTemplate.findById(template._id))
+    res.status(201).json({ ...withSchedule(populatedTemplate), generated: tasks.length })
+  } catch (error) {
+    console.error("Error creating task template:", error)
+    res.status(500).json({ error: error.message || "Server error" })
+  }
+})
+
+// Update a template. Already generated tasks are left as they are.
+router.put("/:id", permit("templates:manage", { resource: resources.template() }), async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id)
+    if (!template) {
+      return res.status(404).json({ error: "Task template not found" })
+    }
+
+    const updates = pickEditable(req.body)
+    if (updates.department && !req.access.manages(updates.department)) {
+      return res.status(403).json({ error: "You can only move templates to departments you manage" })
+    }
+    template.set(updates)
+    if (updates.rotation || updates.assignmentMode) template.rotationIndex = 0
+
+    const error = validateTemplate(template)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    await template.save()
+
+    const populatedTemplate = await populateTemplate(TaskTemplate.findById(template._id))
+    res.json(withSchedule(populatedTemplate))
+  } catch (error) {
+    console.error("Error updating task template:", error)
+    res.status(500).json({ error: error.message || "Server error" })
+  }
+})
+
+// Generate upcoming tasks for a template now
+router.post("/:id/generate", permit("templates:manage", { resource: resources.template() }), async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id)
+    if (!template) {
+      return res.status(404).json({ error: "Task template not found" })
+    }
+    if (!template.active) {
+      return res.status(400).json({ error: "Task template is paused" })
+    }
+
+    const tasks = await recurringTasks.generateForTemplate(template)
+    await recurringTasks.announce(tasks)
+
+    res.json({ generated: tasks.length, tasks })
+  } catch (error) {
+    console.error("Error generating tasks from template:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Delete a template. Generated tasks are kept but no longer linked to it.
+router.delete("/:id", permit("templates:manage", { resource: resources.template() }), async (req, res) => {
+  try {
+    const template = await TaskTemplate.findByIdAndDelete(req.params.id)
+    if (!template) {
+      return res.status(404).json({ error: "Task template not found" })
+    }
+
+    await Task.updateMany({ template: template._id }, { $set: { template: null } })
+
+    res.json({ message: "Task template deleted successfully" })
+  } catch (error) {
+    console.error("Error deleting task template:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,177 @@
+const express = require("express")
+const router = express.Router()
+const SavedView = require("../models/SavedView")
+const User = require("../models/User")
+const permit = require("../middleware/permit")
+
+const LIST_FILTERS = ["status", "department", "assignee", "priority", "labels", "createdBy"]
+
+// Keep only known filter keys, with list filters as arrays
+const sanitizeFilters = (filters = {}) => {
+  const clean = {}
+  LIST_FILTERS.forEach((key) => {
+    const value = filters[key]
+    if (value === undefined || value === null || value === "") return
+    clean[key] = [].concat(value).filter(Boolean)
+  })
+  if (filters.dueFrom) clean.dueFrom = filters.dueFrom
+  if (filters.dueTo) clean.dueTo = filters.dueTo
+  if (filters.overdue) clean.overdue = true
+  if (filters.search && String(filters.search).trim()) clean.search = String(filters.search).trim()
+  return clean
+}
+
+// Views read by the client carry `pinned` for the current user instead of the pinner list
+const toResponse = (view, userId) => {
+  const { pinnedBy, ...rest } = view.toObject ? view.toObject() : view
+  return {
+    ...rest,
+    pinned: pinnedBy.some((id) => String(id) === String(userId)),
+    isOwner: String(rest.owner._id || rest.owner) === String(userId),
+  }
+}
+
+// Get the current user's views and the views shared with their department
+router.get("/", permit("account:self"), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("department")
+    const visibility = [{ owner: req.user.id }]
+    if (user && user.department) {
+      visibility.push({ shared: true, department: user.department })
+    }
+
+    const views = await SavedView.find({ $or: visibility })
+      .populate("owner", "name")
+      .sort({ name: 1 })
+      .lean()
+
+    res.json(views.map((view) => toResponse(view, req.user.id)))
+  } catch (error) {
+    console.error("Error fetching saved views:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Save the current filters as a named view
+router.post("/", permit("account:self"), async (req, res) => {
+  try {
+    const { name, filters, shared, pinned } = req.body
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: "View name is required" })
+    }
+
+    const user = await User.findById(req.user.id).select("department")
+    if (shared && !(user && user.department)) {
+      return res.status(400).json({ error: "You need a department to share views" })
+    }
+
+    const view = await SavedView.create({
+      name,
+      owner: req.user.id,
+      filters: sanitizeFilters(filters),
+      shared: Boolean(shared),
+      department: user ? user.department : undefined,
+      pinnedBy: pinned ? [req.user.id] : [],
+    })
+    await view.populate("owner", "name")
+
+    res.status(201).json(toResponse(view, req.user.id))
+  } catch (error) {
+    console.error("Error creating saved view:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Rename a view, replace its filters or change sharing. Owner only.
+router.put("/:id", permit("account:self"), async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id)
+    if (!view) {
+      return res.status(404).json({ error: "View not found" })
+    }
+    if (String(view.owner) !== String(req.user.id)) {
+      return res.status(403).json({ error: "You can only change your own views" })
+    }
+
+    const { name, filters, shared } = req.body
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ error: "View name is required" })
+      }
+      view.name = name
+    }
+    if (filters !== undefined) view.filters = sanitizeFilters(filters)
+    if (shared !== undefined) {
+      const user = await User.findById(req.user.id).select("department")
+      if (shared && !(user && user.department)) {
+        return res.status(400).json({ error: "You need a department to share views" })
+      }
+      view.shared = Boolean(shared)
+      view.department = user ? user.department : undefined
+      // Other people's pins go away with the share
+      if (!view.shared) {
+        view.pinnedBy = view.pinnedBy.filter((id) => String(id) === String(req.user.id))
+      }
+    }
+    await view.save()
+    await view.populate("owner", "name")
+
+    res.json(toResponse(view, req.user.id))
+  } catch (error) {
+    console.error("Error updating saved view:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Pin or unpin a view in the current user's sidebar
+router.post("/:id/pin", permit("account:self"), async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id)
+    if (!view) {
+      return res.status(404).json({ error: "View not found" })
+    }
+
+    const isOwner = String(view.owner) === String(req.user.id)
+    if (!isOwner) {
+      const user = await User.findById(req.user.id).select("department")
+      if (!view.shared || !user || String(user.department) !== String(view.department)) {
+        return res.status(404).json({ error: "View not found" })
+      }
+    }
+
+    const index = view.pinnedBy.findIndex((id) => String(id) === String(req.user.id))
+    if (index === -1) {
+      view.pinnedBy.push(req.user.id)
+    } else {
+      view.pinnedBy.splice(index, 1)
+    }
+    await view.save()
+    await view.populate("owner", "name")
+
+    res.json(toResponse(view, req.user.id))
+  } catch (error) {
+    console.error("Error pinning saved view:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Delete a view. Owner or Admin.
+router.delete("/:id", permit("account:self"), async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id)
+    if (!view) {
+      return res.status(404).json({ error: "View not found" })
+    }
+    if (String(view.owner) !== String(req.user.id) && req.user.role !== "Admin") {
+      return res.status(403).json({ error: "You can only delete your own views" })
+    }
+
+    await view.deleteOne()
+    res.json({ message: "View deleted successfully" })
+  } catch (error) {
+    console.error("Error deleting saved view:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+module.exports = router
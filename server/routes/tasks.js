@@ -247,13 +247,109 @@
 
 // module.exports = router
 const express = require("express")
+const mongoose = require("mongoose")
 const router = express.Router()
 const Task = require("../models/Task")
-const auth = require("../middleware/auth")
+const User = require("../models/User")
+const Department = require("../models/Department")
 const multer = require("multer")
 const { uploadToCloudinary } = require("../utils/cloudinary")
 const Notification = require("../models/Notification")
+const dependencyAnalyzer = require("../services/dependencyAnalyzer")
+const taskScheduler = require("../services/taskScheduler")
+const taskHierarchy = require("../services/taskHierarchy")
+const auditLog = require("../services/auditLog")
+const permit = require("../middleware/permit")
+const resources = require("../middleware/resources")
+const { parseListQuery, findPage, setPageHeaders } = require("../utils/pagination")
+
+// Accept a list of ids as an array, a JSON encoded array (multipart forms) or a comma separated list
+const parseIdList = (raw) => {
+  if (raw === undefined || raw === null || raw === "") return []
+  if (Array.isArray(raw)) return raw
+  try {
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : [parsed]
+  } catch (error) {
+    return String(raw).split(",").map(id => id.trim()).filter(Boolean)
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Build the task list query. List filters accept repeated query params
+// (?status=Pending&status=In+Progress) or comma separated values.
+const buildTaskFilter = async (query) => {
+  const filter = {}
+  const list = (value) => (value === undefined || value === "" ? [] : parseIdList(value))
+
+  const lists = {
+    department: query.department,
+    status: query.status,
+    priority: query.priority,
+    assignee: query.assignee,
+    createdBy: query.createdBy,
+    labels: query.labels !== undefined ? query.labels : query.label,
+  }
+  Object.entries(lists).forEach(([field, value]) => {
+    const values = list(value)
+    if (values.length > 0) filter[field] = { $in: values }
+  })
+
+  if (query.dueDate) {
+    const date = new Date(query.dueDate)
+    filter.dueDate = {
+      $gte: new Date(date.setHours(0, 0, 0, 0)),
+      $lt: new Date(date.setHours(23, 59, 59, 999)),
+    }
+  } else if (query.dueFrom || query.dueTo) {
+    filter.dueDate = {}
+    if (query.dueFrom) filter.dueDate.$gte = new Date(new Date(query.dueFrom).setHours(0, 0, 0, 0))
+    if (query.dueTo) filter.dueDate.$lte = new Date(new Date(query.dueTo).setHours(23, 59, 59, 999))
+  }
 
+  if (query.overdue === "true") {
+    filter.dueDate = { ...filter.dueDate, $lt: new Date() }
+    if (!filter.status) filter.status = { $ne: "Completed" }
+    else filter.status.$in = filter.status.$in.filter(status => status !== "Completed")
+  }
+
+  // Text search over title, description and the assignee's name
+  const search = query.search ? String(query.search).trim() : ""
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i")
+    const matchingUsers = await User.find({ name: pattern }).select("_id")
+    filter.$or = [{ title: pattern }, { description: pattern }, { assignee: { $in: matchingUsers.map(user => user._id) } }]
+  }
+
+  return filter
+}
+
+
+// Why a user cannot be given a subtask in a department, or null. Assignees must
+// be active members or the lead of the department.
+const subtaskAssigneeError = async (assigneeId, departmentId) => {
+  const user = await User.findById(assigneeId).select("department deactivatedAt").catch(() => null)
+  if (!user || user.deactivatedAt) {
+    return "Assignee not found"
+  }
+  if (String(user.department) === String(departmentId)) {
+    return null
+  }
+  const leads = await Department.exists({ _id: departmentId, lead: user._id })
+  return leads ? null : "The assignee must be in the task's department"
+}
+
+// Sort keys and fields the task list accepts, see utils/pagination.js
+const TASK_LIST_OPTIONS = {
+  sortable: ["title", "status", "priority", "dueDate", "startDate", "progress", "createdAt", "updatedAt"],
+  defaultSort: { createdAt: 1 },
+  fields: [
+    "title", "description", "status", "priority", "department", "assignee", "startDate", "dueDate",
+    "dependencies", "progress", "links", "labels", "createdBy", "parent", "order", "checklist",
+    "template", "occurrenceDate", "notes", "fileType", "createdAt", "updatedAt",
+  ],
+}
 
 // Configure multer for memory storage
 const upload = multer({
@@ -299,27 +395,26 @@ const upload = multer({
 })
 
 // Get all tasks
-router.get("/", async (req, res) => {
+router.get("/", permit("tasks:read"), async (req, res) => {
   try {
-    const { department, status, dueDate } = req.query
-
-    // Build filter object
-    const filter = {}
-    if (department) filter.department = department
-    if (status) filter.status = status
-    if (dueDate) {
-      const date = new Date(dueDate)
-      filter.dueDate = {
-        $gte: new Date(date.setHours(0, 0, 0, 0)),
-        $lt: new Date(date.setHours(23, 59, 59, 999)),
-      }
+    const options = parseListQuery(req.query, TASK_LIST_OPTIONS)
+    if (options.error) {
+      return res.status(400).json({ error: options.error })
     }
 
-    const tasks = await Task.find(filter)
-      .populate("department", "name color")
-      .populate("assignee", "name avatar")
-      .populate("dependencies", "title status")
-
+    // Outside Admin, only tasks in the caller's departments or their own
+    const filter = {
+      $and: [await buildTaskFilter(req.query), req.access.scopeFilter({ ownerFields: ["assignee", "createdBy", "reviewer"] })],
+    }
+    const { items: tasks, total } = await findPage(Task, filter, options, (query) =>
+      query
+        .populate("department", "name color strictDependencies")
+        .populate("assignee", "name avatar")
+        .populate("dependencies", "title status")
+        .populate("labels", "name color")
+    )
+
+    setPageHeaders(res, options, total)
     res.json(tasks)
   } catch (error) {
     console.error("Error fetching tasks:", error)
@@ -327,24 +422,98 @@ router.get("/", async (req, res) => {
   }
 })
 
+// Propose new due dates for tasks whose dependencies have slipped
+router.get("/schedule/proposals", permit("tasks:schedule"), async (req, res) => {
+  try {
+    const { department, task } = req.query
+    if (!req.access.isAdmin && (!department || !req.access.manages(department))) {
+      return res.status(403).json({ error: "Choose a department you manage" })
+    }
+    const changes = await taskScheduler.proposeReschedule({ department, rootTaskId: task })
+
+    res.json({ generatedAt: new Date().toISOString(), changes })
+  } catch (error) {
+    console.error("Error generating schedule proposals:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Apply a reviewed batch of schedule changes
+router.post("/schedule/apply", permit("tasks:schedule"), async (req, res) => {
+  try {
+    const { changes, department } = req.body
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({ error: "No schedule changes provided" })
+    }
+    // Only the selected task ids (and the due date that was reviewed) are
+    // taken from the client; the new dates are recomputed
+    const invalid = changes.find(
+      change =>
+        !change ||
+        !mongoose.Types.ObjectId.isValid(change.task) ||
+        (change.newDueDate !== undefined && isNaN(new Date(change.newDueDate).getTime()))
+    )
+    if (invalid) {
+      return res.status(400).json({ error: "Each change needs a valid task id and, if given, a valid due date" })
+    }
+    if (department !== undefined && !mongoose.Types.ObjectId.isValid(department)) {
+      return res.status(400).json({ error: "Invalid department" })
+    }
+
+    if (!req.access.isAdmin) {
+      const tasks = await Task.find({ _id: { $in: changes.map(change => change.task) } }).select("department")
+      if (tasks.some(t => !req.access.manages(t.department))) {
+        return res.status(403).json({ error: "Access denied. Some tasks are outside your department." })
+      }
+    }
+
+    const selection = [...new Map(changes.map(change => [String(change.task), change])).values()]
+    const result = await taskScheduler.applyReschedule(selection, req.user.id, { department })
+
+    for (const change of result.applied) {
+      await auditLog.record({
+        entityType: "Task",
+        entity: change.task,
+        task: change.task,
+        action: "updated",
+        changes: [
+          { field: "startDate", from: change.oldStartDate, to: change.newStartDate },
+          { field: "dueDate", from: change.oldDueDate, to: change.newDueDate },
+        ],
+        actor: req.user,
+      })
+    }
+
+    if (req.io && result.applied.length > 0) {
+      const updatedTasks = await Task.find({ _id: { $in: result.applied.map(change => change.task) } })
+        .populate("department", "name color strictDependencies")
+        .populate("assignee", "name avatar")
+        .populate("dependencies", "title status")
+      updatedTasks.forEach(t => req.io.emit("task:updated", t))
+    }
+
+    res.json(result)
+  } catch (error) {
+    console.error("Error applying schedule changes:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
 // Get task by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', permit("tasks:read", { resource: resources.task() }), async (req, res) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate('assignee', 'name avatar email')
-      .populate('department', 'name')
+      .populate('department', 'name strictDependencies')
+      .populate('parent', 'title')
+      .populate('labels', 'name color')
       .populate('dependencies', 'title status'); // Populate dependencies with title and status
 
     if (!task) {
       return res.status(404).json({ msg: 'Task not found' });
     }
 
-    // Check if the user is authorized to view the task
-    // Check if the user is authorized to view the task
-        // Check if the user is authorized to view the task
-
-    // This could involve checking if the user is the assignee, in the same department, or has a specific role
-    // For now, let's assume any authenticated user can view any task
+    // Department access was checked by permit() before the task was loaded
 
     res.json(task); // Include the links field which is already part of the task object
   } catch (err) {
@@ -358,9 +527,9 @@ router.get('/:id', async (req, res) => {
 
 // Create new task
 // Create new task
-router.post("/", upload.single("document"), async (req, res) => {
+router.post("/", permit("tasks:create"), upload.single("document"), async (req, res) => {
   try {
-    const { title, description, department, assignee, priority, status, dependencies, dueDate, user, links } = req.body;
+    const { title, description, department, assignee, priority, status, dependencies, dueDate, links, labels } = req.body;
     console.log("Received links",links);
 
     // Validate required fields
@@ -368,6 +537,10 @@ router.post("/", upload.single("document"), async (req, res) => {
       return res.status(400).json({ error: "Title, department, and assignee are required" });
     }
 
+    if (!req.access.manages(department)) {
+      return res.status(403).json({ error: "You can only create tasks in departments you manage" });
+    }
+
     let notes = "";
     let fileType = "";
     if (req.file) {
@@ -384,6 +557,8 @@ router.post("/", upload.single("document"), async (req, res) => {
       fileType = req.file.mimetype; // Store MIME type
     }
 
+    const dependencyCheck = await dependencyAnalyzer.validateDependencies(null, parseIdList(dependencies));
+
     // Create task
     const task = new Task({
       title,
@@ -392,15 +567,25 @@ router.post("/", upload.single("document"), async (req, res) => {
       assignee,
       priority: priority || "Medium",
       status: status || "Pending",
-      dependencies: dependencies ? JSON.parse(dependencies) : [],
+      dependencies: dependencyCheck.dependencies,
       links: links ? links.split(',').map(link => link.trim()) : [],
       dueDate: dueDate || null,
-      createdBy: user,
+      labels: parseIdList(labels),
+      createdBy: req.user.id,
       notes,
       fileType, // New field to store MIME type
     });
     const savedTask = await task.save();
 
+    await auditLog.record({
+      entityType: "Task",
+      entity: savedTask,
+      task: savedTask,
+      action: "created",
+      changes: auditLog.diff("Task", null, savedTask),
+      actor: auditLog.actorFrom(req),
+    });
+
     // Create notification for the assignee
     await Notification.create({
       recipient: assignee,
@@ -414,7 +599,8 @@ router.post("/", upload.single("document"), async (req, res) => {
     const populatedTask = await Task.findById(savedTask._id)
       .populate("department", "name color")
       .populate("assignee", "name avatar")
-      .populate("dependencies", "title status");
+      .populate("dependencies", "title status")
+      .populate("labels", "name color");
 
     // Emit socket event for real-time updates
     if (req.io) {
@@ -428,24 +614,96 @@ router.post("/", upload.single("document"), async (req, res) => {
   }
 });
 // Update task
-router.put("/:id", async (req, res) => {
+router.put("/:id", permit("tasks:update", { resource: resources.task() }), async (req, res) => {
   try {
     const { id } = req.params
-    const updates = req.body
+    const updates = { ...req.body }
+
+    if (updates.department && !req.access.manages(updates.department)) {
+      return res.status(403).json({ error: "You can only move tasks to departments you manage" })
+    }
+
+    // Hierarchy and checklist have dedicated endpoints that keep them consistent
+    delete updates.parent
+    delete updates.checklist
+    delete updates.createdBy
+    delete updates.reviewer
+
+    if (updates.labels !== undefined) {
+      updates.labels = parseIdList(updates.labels)
+    }
+
+    if (updates.dependencies !== undefined) {
+      const dependencyCheck = await dependencyAnalyzer.validateDependencies(id, parseIdList(updates.dependencies))
+      if (dependencyCheck.error) {
+        return res.status(400).json({ error: dependencyCheck.error, cycle: dependencyCheck.cycle })
+      }
+      updates.dependencies = dependencyCheck.dependencies
+    }
+
+    const existingTask = await Task.findById(id)
+    if (!existingTask) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    // A parent's progress is rolled up from its subtasks
+    if (updates.progress !== undefined && (await Task.exists({ parent: id }))) {
+      delete updates.progress
+    }
+
+    // In strict dependencies mode a task cannot start or finish before its dependencies
+    if (["In Progress", "Completed"].includes(updates.status) && updates.status !== existingTask.status) {
+      const blockers = await dependencyAnalyzer.findStrictBlockers({
+        department: updates.department || existingTask.department,
+        dependencies: updates.dependencies || existingTask.dependencies,
+      })
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          error: `Task is blocked by incomplete dependencies: ${blockers.map(b => `'${b.title}'`).join(", ")}`,
+          blockedBy: blockers,
+        })
+      }
+    }
 
     // Find and update the task
     const task = await Task.findByIdAndUpdate(id, { $set: updates }, { new: true })
-      .populate("department", "name color")
+      .populate("department", "name color strictDependencies")
       .populate("assignee", "name avatar")
       .populate("dependencies", "title status")
+      .populate("labels", "name color")
 
     if (!task) {
       return res.status(404).json({ error: "Task not found" })
     }
 
+    await auditLog.record({
+      entityType: "Task",
+      entity: task,
+      task,
+      action: "updated",
+      changes: auditLog.diff("Task", existingTask, task),
+      actor: auditLog.actorFrom(req),
+    })
+
+    if (task.status === "Completed" && existingTask.status !== "Completed") {
+      await dependencyAnalyzer.notifyUnblockedDependents(task)
+    }
+
+    if (task.parent && (task.progress !== existingTask.progress || task.status !== existingTask.status)) {
+      await taskHierarchy.rollUpProgress(task.parent)
+    }
+
     // Emit socket event for real-time updates
     if (req.io) {
       req.io.emit("task:updated", task)
+
+      // A later due date may push out everything downstream; let managers review it
+      if (updates.dueDate && new Date(task.dueDate) > new Date(existingTask.dueDate)) {
+        const changes = await taskScheduler.proposeReschedule({ rootTaskId: task._id })
+        if (changes.length > 0) {
+          req.io.emit("task:reschedule-proposed", { task: task._id, changes })
+        }
+      }
     }
 
     res.json(task)
@@ -456,7 +714,7 @@ router.put("/:id", async (req, res) => {
 })
 
 // Delete task
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", permit("tasks:delete", { resource: resources.task() }), async (req, res) => {
   try {
     const task = await Task.findByIdAndDelete(req.params.id)
 
@@ -464,12 +722,39 @@ router.delete("/:id", async (req, res) => {
       return res.status(404).json({ error: "Task not found" })
     }
 
+    await auditLog.record({
+      entityType: "Task",
+      entity: task,
+      task,
+      action: "deleted",
+      actor: auditLog.actorFrom(req),
+    })
+
+    // Subtasks move up to the deleted task's parent
+    await Task.updateMany({ parent: task._id }, { $set: { parent: task.parent || null } })
+    if (task.parent) {
+      await taskHierarchy.rollUpProgress(task.parent)
+    }
+
+    // Unlink the deleted task from anything that still depends on it
+    const dependents = await Task.find({ dependencies: task._id }).select("_id title")
+    if (dependents.length > 0) {
+      await Task.updateMany({ dependencies: task._id }, { $pull: { dependencies: task._id } })
+    }
+
     // Emit socket event for real-time updates
     if (req.io) {
       req.io.emit("task:deleted", req.params.id)
+      if (dependents.length > 0) {
+        const updatedDependents = await Task.find({ _id: { $in: dependents.map(t => t._id) } })
+          .populate("department", "name color")
+          .populate("assignee", "name avatar")
+          .populate("dependencies", "title status")
+        updatedDependents.forEach(t => req.io.emit("task:updated", t))
+      }
     }
 
-    res.json({ message: "Task deleted successfully" })
+    res.json({ message: "Task deleted successfully", unlinkedTasks: dependents })
   } catch (error) {
     console.error("Error deleting task:", error)
     res.status(500).json({ error: "Server error" })
@@ -477,7 +762,7 @@ router.delete("/:id", async (req, res) => {
 })
 
 // Get task dependencies
-router.get("/:id/dependencies", async (req, res) => {
+router.get("/:id/dependencies", permit("tasks:read", { resource: resources.task() }), async (req, res) => {
   try {
     const task = await Task.findById(req.params.id).populate({
       path: "dependencies",
@@ -498,4 +783,314 @@ router.get("/:id/dependencies", async (req, res) => {
   }
 })
 
+// Get the change history of a task, its submissions and progress updates
+router.get("/:id/history", permit("tasks:read", { resource: resources.task() }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500)
+    const history = await auditLog.getTaskHistory(req.params.id, { limit, before: req.query.before })
+
+    res.json(history)
+  } catch (error) {
+    console.error("Error fetching task history:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Get the subtask tree of a task
+router.get("/:id/subtasks", permit("tasks:read", { resource: resources.task() }), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select("_id")
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    const subtasks = await taskHierarchy.getTree(task._id)
+    res.json(subtasks)
+  } catch (error) {
+    console.error("Error fetching subtasks:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Create a subtask
+router.post("/:id/subtasks", permit("tasks:create", { resource: resources.task() }), async (req, res) => {
+  try {
+    const parent = await Task.findById(req.params.id)
+    if (!parent) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    const { title, description, assignee, priority, dueDate } = req.body
+    if (!title) {
+      return res.status(400).json({ error: "Title is required" })
+    }
+
+    if (assignee) {
+      const assigneeError = await subtaskAssigneeError(assignee, parent.department)
+      if (assigneeError) {
+        return res.status(400).json({ error: assigneeError })
+      }
+    }
+
+    // Subtasks inherit department, assignee, priority and due date from the parent
+    const subtask = await Task.create({
+      title,
+      description: description || title,
+      department: parent.department,
+      assignee: assignee || parent.assignee,
+      priority: priority || parent.priority,
+      dueDate: dueDate || parent.dueDate,
+      parent: parent._id,
+      order: await taskHierarchy.nextOrder(parent._id),
+      createdBy: req.user.id,
+    })
+
+    await auditLog.record({
+      entityType: "Task",
+      entity: subtask,
+      task: subtask,
+      action: "created",
+      changes: auditLog.diff("Task", null, subtask),
+      actor: auditLog.actorFrom(req),
+    })
+
+    if (String(subtask.assignee) !== String(parent.assignee)) {
+      await Notification.create({
+        recipient: subtask.assignee,
+        type: "task_assigned",
+        title: "New Task Assigned",
+        message: `You have been assigned a new subtask of '${parent.title}': '${title}'.`,
+        task: subtask._id,
+      })
+    }
+
+    await taskHierarchy.rollUpProgress(parent._id)
+
+    const populatedSubtask = await Task.findById(subtask._id)
+      .populate("department", "name color strictDependencies")
+      .populate("assignee", "name avatar")
+
+    if (req.io) {
+      req.io.emit("task:created", populatedSubtask)
+    }
+
+    res.status(201).json(populatedSubtask)
+  } catch (error) {
+    console.error("Error creating subtask:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Reorder the direct subtasks of a task
+router.put("/:id/subtasks/reorder", permit("tasks:update", { resource: resources.task() }), async (req, res) => {
+  try {
+    const { order } = req.body
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ error: "order must be an array of subtask IDs" })
+    }
+
+    await taskHierarchy.reorderChildren(req.params.id, order)
+    const subtasks = await taskHierarchy.getTree(req.params.id)
+
+    res.json(subtasks)
+  } catch (error) {
+    console.error("Error reordering subtasks:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Move a task under a new parent, or to the top level with parent: null
+router.put("/:id/parent", permit("tasks:update", { resource: resources.task() }), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    const newParentId = req.body.parent || null
+    if (newParentId) {
+      const newParent = await Task.findById(newParentId).select("department assignee createdBy").catch(() => null)
+      if (!newParent) {
+        return res.status(404).json({ error: "Parent task not found" })
+      }
+      // The new parent's progress changes with its subtasks
+      if (!req.access.canAccess({ department: newParent.department, owners: [newParent.assignee, newParent.createdBy] }, { write: true })) {
+        return res.status(403).json({ error: "You cannot add subtasks to that task" })
+      }
+      if (String(newParent.department) !== String(task.department)) {
+        return res.status(400).json({ error: "A subtask must be in the same department as its parent" })
+      }
+      if (await taskHierarchy.wouldCreateCycle(task._id, newParentId)) {
+        return res.status(400).json({ error: "A task cannot be moved underneath itself or its own subtasks" })
+      }
+    }
+
+    const oldParentId = task.parent
+    task.parent = newParentId
+    task.order = newParentId ? await taskHierarchy.nextOrder(newParentId) : 0
+    await task.save()
+
+    await auditLog.record({
+      entityType: "Task",
+      entity: task,
+      task,
+      action: "updated",
+      changes: [{ field: "parent", from: auditLog.normalize(oldParentId), to: auditLog.normalize(newParentId) }],
+      actor: auditLog.actorFrom(req),
+    })
+
+    if (oldParentId) await taskHierarchy.rollUpProgress(oldParentId)
+    if (newParentId) await taskHierarchy.rollUpProgress(newParentId)
+
+    const populatedTask = await Task.findById(task._id)
+      .populate("department", "name color strictDependencies")
+      .populate("assignee", "name avatar")
+      .populate("dependencies", "title status")
+
+    if (req.io) {
+      req.io.emit("task:updated", populatedTask)
+    }
+
+    res.json(populatedTask)
+  } catch (error) {
+    console.error("Error moving task:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Add a checklist item
+router.post("/:id/checklist", permit("tasks:update", { resource: resources.task() }), async (req, res) => {
+  try {
+    const { text } = req.body
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: "Checklist item text is required" })
+    }
+
+    const task = await Task.findById(req.params.id)
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    const lastOrder = task.checklist.reduce((max, item) => Math.max(max, item.order), -1)
+    task.checklist.push({ text, order: lastOrder + 1 })
+    await task.save()
+
+    await auditLog.record({
+      entityType: "Task",
+      entity: task,
+      task,
+      action: "updated",
+      changes: [{ field: "checklist", from: null, to: text }],
+      actor: auditLog.actorFrom(req),
+    })
+
+    res.status(201).json(task.checklist)
+  } catch (error) {
+    console.error("Error adding checklist item:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Reorder checklist items
+router.put("/:id/checklist/reorder", permit("tasks:update", { resource: resources.task() }), async (req, res) => {
+  try {
+    const { order } = req.body
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ error: "order must be an array of checklist item IDs" })
+    }
+
+    const task = await Task.findById(req.params.id)
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    order.forEach((itemId, index) => {
+      const item = task.checklist.id(itemId)
+      if (item) item.order = index
+    })
+    task.checklist.sort((a, b) => a.order - b.order)
+    await task.save()
+
+    res.json(task.checklist)
+  } catch (error) {
+    console.error("Error reordering checklist:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Update a checklist item (text or done state)
+router.put("/:id/checklist/:itemId", permit("tasks:update", { resource: resources.task() }), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    const item = task.checklist.id(req.params.itemId)
+    if (!item) {
+      return res.status(404).json({ error: "Checklist item not found" })
+    }
+
+    const { text, done } = req.body
+    const changes = []
+    if (text !== undefined && text !== item.text) {
+      changes.push({ field: "checklist", from: item.text, to: text })
+      item.text = text
+    }
+    if (done !== undefined && Boolean(done) !== item.done) {
+      changes.push({ field: `checklist: ${item.text}`, from: item.done ? "done" : "open", to: done ? "done" : "open" })
+      item.done = Boolean(done)
+      item.completedAt = item.done ? new Date() : undefined
+      item.completedBy = item.done ? req.user.id : undefined
+    }
+    await task.save()
+
+    await auditLog.record({
+      entityType: "Task",
+      entity: task,
+      task,
+      action: "updated",
+      changes,
+      actor: auditLog.actorFrom(req),
+    })
+
+    res.json(task.checklist)
+  } catch (error) {
+    console.error("Error updating checklist item:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
+// Remove a checklist item
+router.delete("/:id/checklist/:itemId", permit("tasks:update", { resource: resources.task() }), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    const item = task.checklist.id(req.params.itemId)
+    if (!item) {
+      return res.status(404).json({ error: "Checklist item not found" })
+    }
+
+    item.deleteOne()
+    await task.save()
+
+    await auditLog.record({
+      entityType: "Task",
+      entity: task,
+      task,
+      action: "updated",
+      changes: [{ field: "checklist", from: item.text, to: null }],
+      actor: auditLog.actorFrom(req),
+    })
+
+    res.json(task.checklist)
+  } catch (error) {
+    console.error("Error deleting checklist item:", error)
+    res.status(500).json({ error: "Server error" })
+  }
+})
+
 module.exports = router
@@ -1,13 +1,19 @@
 const express = require("express")
 const router = express.Router()
 const Notification = require("../models/Notification")
-const auth = require("../middleware/auth")
+const permit = require("../middleware/permit")
 
-router.get('/:userId', async (req, res) => {
+// Notifications are only ever read or changed by their recipient
+const isRecipient = (req, userId) => String(userId) === String(req.user.id);
+
+router.get('/:userId', permit('account:self'), async (req, res) => {
   const userId = req.params.userId; // Assuming you pass the userId in the URL paramete
   if (!userId) {
     return res.status(400).json({ error: 'User ID is required' });
   }
+  if (!isRecipient(req, userId)) {
+    return res.status(403).json({ error: 'You can only manage your own notifications' });
+  }
 
   try {
     const notifications = await Notification.find({ recipient: userId }).sort({ createdAt: -1 });
@@ -18,11 +24,14 @@ router.get('/:userId', async (req, res) => {
   }
 });
 
-router.put('/:id/read', async (req, res) => {
+router.put('/:id/read', permit('account:self'), async (req, res) => {
   const userId = req.query.userId;
   if (!userId) {
     return res.status(400).json({ error: 'User ID is required' });
   }
+  if (!isRecipient(req, userId)) {
+    return res.status(403).json({ error: 'You can only manage your own notifications' });
+  }
 
   try {
     const notification = await Notification.findOneAndUpdate(
@@ -40,11 +49,14 @@ router.put('/:id/read', async (req, res) => {
   }
 });
 
-router.put('/read-all', async (req, res) => {
+router.put('/read-all', permit('account:self'), async (req, res) => {
   const userId = req.query.userId;
   if (!userId) {
     return res.status(400).json({ error: 'User ID is required' });
   }
+  if (!isRecipient(req, userId)) {
+    return res.status(403).json({ error: 'You can only manage your own notifications' });
+  }
 
   try {
     await Notification.updateMany(
@@ -58,11 +70,14 @@ router.put('/read-all', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', permit('account:self'), async (req, res) => {
   const userId = req.query.userId;
   if (!userId) {
     return res.status(400).json({ error: 'User ID is required' });
   }
+  if (!isRecipient(req, userId)) {
+    return res.status(403).json({ error: 'You can only manage your own notifications' });
+  }
 
   try {
     const notification = await Notification.findOneAndDelete({ _id: req.params.id, recipient: userId });
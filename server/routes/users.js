@@ -3,11 +3,27 @@ const router = express.Router()
 const User = require("../models/User")
 const Task = require("../models/Task")
 const TaskSubmission = require("../models/TaskSubmission")
-const auth = require("../middleware/auth")
-const adminAuth = require("../middleware/adminAuth")
+const Department = require("../models/Department")
+const permit = require("../middleware/permit")
+const resources = require("../middleware/resources")
+const { parseListQuery, findPage, setPageHeaders } = require("../utils/pagination")
+const { checkPasswordStrength } = require("../utils/password")
+const sessionService = require("../services/sessionService")
+const offboardingService = require("../services/offboardingService")
+const { sendEmailChangeEmail } = require("../utils/emailService")
+
+// Sort keys and fields the user list accepts, see utils/pagination.js
+const USER_LIST_OPTIONS = {
+  sortable: ["name", "email", "role", "createdAt"],
+  defaultSort: { createdAt: 1 },
+  fields: ["name", "email", "role", "department", "avatar", "createdAt", "updatedAt"],
+}
+
+// Fields anyone allowed to edit an account may change through PUT /:id
+const PROFILE_FIELDS = ["name", "avatar"]
 
 // Search users
-router.get("/search", async (req, res) => {
+router.get("/search", permit("users:read"), async (req, res) => {
   try {
     const { q } = req.query;
 
@@ -16,6 +32,8 @@ router.get("/search", async (req, res) => {
     }
 
     const searchQuery = {
+      serviceAccount: { $ne: true },
+      deactivatedAt: null,
       $or: [
         { name: { $regex: q, $options: 'i' } },
         { email: { $regex: q, $options: 'i' } },
@@ -74,10 +92,24 @@ router.get("/search", async (req, res) => {
   }
 });
 
-// Get all users (admin only)
-router.get("/",async (req, res) => {
+// Get all users
+router.get("/", permit("users:read"), async (req, res) => {
   try {
-    const users = await User.find().select("-password").populate("department", "name")
+    const options = parseListQuery(req.query, USER_LIST_OPTIONS)
+    if (options.error) {
+      return res.status(400).json({ error: options.error })
+    }
+
+    const { department, role } = req.query
+    const filter = { serviceAccount: { $ne: true }, deactivatedAt: null }
+    if (department) filter.department = department
+    if (role) filter.role = role
+
+    const { items: users, total } = await findPage(User, filter, options, (query) =>
+      (options.projection ? query : query.select("-password")).populate("department", "name")
+    )
+
+    setPageHeaders(res, options, total)
     res.json(users)
   } catch (error) {
     console.error("Error fetching users:", error)
@@ -86,13 +118,8 @@ router.get("/",async (req, res) => {
 })
 
 // Get user by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", permit("users:read"), async (req, res) => {
   try {
-    // Regular users can only access their own profile
-    // if (req.user.role !== "Admin" && req.user.id !== req.params.id) {
-    //   return res.status(403).json({ error: "Not authorized" })
-    // }
-
     const user = await User.findById(req.params.id).select("-password").populate("department", "name")
 
     if (!user) {
@@ -107,56 +134,84 @@ router.get("/:id", async (req, res) => {
 })
 
 // Update user
-router.put("/:id", async (req, res) => {
+router.put("/:id", permit("account:self", { resource: resources.employee() }), async (req, res) => {
   try {
-    // Regular users can only update their own profile
-    // if (req.user.role !== "Admin" && req.user.id !== req.params.id) {
-    //   return res.status(403).json({ error: "Not authorized" })
-    // }
-
     const { id } = req.params
-    const updates = req.body
+    const { email } = req.body
 
-    // Don't allow role updates unless admin
-    // if (req.user.role !== "Admin" && updates.role) {
-    //   delete updates.role
-    // }
-
-    // Remove password from updates (use separate endpoint for password changes)
-    if (updates.password) {
-      delete updates.password
+    // Only profile fields change here. Roles, departments and passwords have their
+    // own routes, and sign-in and two-factor settings only change through the auth routes.
+    const updates = {}
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field]
     }
 
-    const user = await User.findByIdAndUpdate(id, { $set: updates }, { new: true }).select("-password")
-
+    const user = await User.findById(id)
     if (!user) {
       return res.status(404).json({ error: "User not found" })
     }
 
-    res.json(user)
+    // A new address only replaces the current one once its owner follows the link
+    // sent to it, so nobody can point password resets at an address they hold
+    const newEmail = typeof email === "string" ? email.toLowerCase().trim() : ""
+    const emailChanged = newEmail && newEmail !== user.email
+    if (emailChanged) {
+      if (req.user.id !== id) {
+        return res.status(403).json({ error: "Only the account holder can change its email address" })
+      }
+      if (await User.exists({ _id: { $ne: id }, $or: [{ email: newEmail }, { pendingEmail: newEmail }] })) {
+        return res.status(400).json({ error: "User with this email already exists" })
+      }
+      updates.pendingEmail = newEmail
+    }
+
+    user.set(updates)
+    const token = emailChanged ? user.createAuthToken("emailVerification") : null
+    await user.save()
+
+    if (token) {
+      await sendEmailChangeEmail(user, token)
+    }
+
+    const userResponse = user.toObject()
+    delete userResponse.password
+    delete userResponse.emailVerificationToken
+    delete userResponse.emailVerificationExpires
+    res.json(userResponse)
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message })
+    }
     console.error("Error updating user:", error)
     res.status(500).json({ error: "Server error" })
   }
 })
 
 // Delete user (admin only)
-router.delete("/:id", adminAuth, async (req, res) => {
+router.delete("/:id", permit("users:admin"), async (req, res) => {
   try {
-    // Check if there are tasks assigned to this user
-    const tasksCount = await Task.countDocuments({ assignee: req.params.id })
+    const user = await User.findById(req.params.id).select("name serviceAccount")
+    if (!user) {
+      return res.status(404).json({ error: "User not found" })
+    }
 
-    if (tasksCount > 0) {
-      return res.status(400).json({
-        error: "Cannot delete user with assigned tasks",
+    // Records naming the user would be left without an owner
+    const history = await offboardingService.history(user._id)
+    if (history.length > 0) {
+      return res.status(409).json({
+        error: `${user.name} has ${history.join(", ")} on record. ` +
+          (user.serviceAccount ? "Revoke its API tokens instead." : "Deactivate the account instead to keep them."),
+        code: "USER_HAS_HISTORY",
+        history,
       })
     }
 
-    const user = await User.findByIdAndDelete(req.params.id)
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" })
-    }
+    await Promise.all([
+      Department.updateMany({ members: user._id }, { $pull: { members: user._id } }),
+      Department.updateMany({ lead: user._id }, { $unset: { lead: "" } }),
+    ])
+    await User.findByIdAndDelete(user._id)
+    await sessionService.revokeAll(user._id, { reason: "admin" })
 
     res.json({ message: "User deleted successfully" })
   } catch (error) {
@@ -166,13 +221,8 @@ router.delete("/:id", adminAuth, async (req, res) => {
 })
 
 // Get tasks assigned to user
-router.get("/:id/tasks", async (req, res) => {
+router.get("/:id/tasks", permit("tasks:read", { resource: resources.employee() }), async (req, res) => {
   try {
-    // Regular users can only access their own tasks
-    // if (req.user.role !== "Admin" && req.user.id !== req.params.id) {
-    //   return res.status(403).json({ error: "Not authorized" })
-    // }
-
     const { status } = req.query
 
     // Build filter object
@@ -189,12 +239,12 @@ router.get("/:id/tasks", async (req, res) => {
 })
 
 // Change password
-router.put("/:id/password", async (req, res) => {
+router.put("/:id/password", permit("account:self"), async (req, res) => {
   try {
-    // // Users can only change their own password
-    // if (req.user.id !== req.params.id) {
-    //   return res.status(403).json({ error: "Not authorized" })
-    // }
+    // Users can only change their own password
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({ error: "Not authorized" })
+    }
 
     const { currentPassword, newPassword } = req.body
 
@@ -217,10 +267,18 @@ router.put("/:id/password", async (req, res) => {
       return res.status(400).json({ error: "Current password is incorrect" })
     }
 
+    const passwordError = checkPasswordStrength(newPassword, user)
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError })
+    }
+
     // Update password
     user.password = newPassword
     await user.save()
 
+    // Sign out every other device that knew the old password
+    await sessionService.revokeAll(user._id, { reason: "password", except: req.user.sid })
+
     res.json({ message: "Password updated successfully" })
   } catch (error) {
     console.error("Error changing password:", error)
@@ -229,7 +287,7 @@ router.put("/:id/password", async (req, res) => {
 })
 
 // Get user's tasks
-router.get("/:id/tasks", async (req, res) => {
+router.get("/:id/tasks", permit("tasks:read", { resource: resources.employee() }), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -261,7 +319,7 @@ router.get("/:id/tasks", async (req, res) => {
 });
 
 // / Get submissions by a user
-router.get("/:id/submissions", async (req, res) => {
+router.get("/:id/submissions", permit("submissions:read", { resource: resources.employee() }), async (req, res) => {
   try {
     const submissions = await TaskSubmission.find({ user: req.params.id })
       .populate("task", "title status")
@@ -275,7 +333,7 @@ router.get("/:id/submissions", async (req, res) => {
 })
 
 // Get user notifications
-router.get("/:id/notifications", async (req, res) => {
+router.get("/:id/notifications", permit("account:self", { resource: resources.employee() }), async (req, res) => {
   try {
     // In a real app, you would fetch notifications from a database
     // For now, we'll return mock data
@@ -317,7 +375,7 @@ router.get("/:id/notifications", async (req, res) => {
 })
 
 // Mark all notifications as read
-router.put("/:id/notifications/read-all", async (req, res) => {
+router.put("/:id/notifications/read-all", permit("account:self", { resource: resources.employee() }), async (req, res) => {
   try {
     // In a real app, you would update notifications in the database
     // For now, we'll just return a success message
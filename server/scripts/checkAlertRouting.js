@@ -0,0 +1,62 @@
+/**
+ * Checks monitoring alert routing (services/alertRoutingService.js): when
+ * quiet hours hold an alert back, across midnight and in the policy's
+ * timezone, and which severities still get through.
+ *
+ * Usage: node scripts/checkAlertRouting.js   (npm test)
+ */
+require('dotenv').config();
+const assert = require('assert');
+const webpush = require('web-push');
+
+// Alert routing loads the push service, which needs VAPID keys to load
+if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+  const keys = webpush.generateVAPIDKeys();
+  process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+  process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+}
+
+const alertRouting = require('../services/alertRoutingService');
+const { createChecks } = require('./checks');
+
+const { check, runAll, run } = createChecks('alert routing');
+
+const quiet = (overrides = {}) => ({
+  quiet_hours: {
+    enabled: true,
+    start: '22:00',
+    end: '07:00',
+    timezone: 'UTC',
+    override_severities: ['critical'],
+    ...overrides
+  }
+});
+
+check('alerts in quiet hours are held until they end, across midnight', () => {
+  const high = { severity: 'high' };
+  assert.strictEqual(
+    alertRouting.quietUntil(quiet(), high, new Date('2026-01-01T23:30:00Z')).toISOString(),
+    '2026-01-02T07:00:00.000Z'
+  );
+  assert.strictEqual(
+    alertRouting.quietUntil(quiet(), high, new Date('2026-01-02T06:59:00Z')).toISOString(),
+    '2026-01-02T07:00:00.000Z'
+  );
+  assert.strictEqual(alertRouting.quietUntil(quiet(), high, new Date('2026-01-02T07:00:00Z')), null);
+  assert.strictEqual(alertRouting.quietUntil(quiet(), high, new Date('2026-01-02T12:00:00Z')), null);
+});
+
+check('quiet hours follow their timezone and let override severities through', () => {
+  // 22:30 in London during summer time is 21:30 UTC; quiet hours end at 06:00 UTC
+  assert.strictEqual(
+    alertRouting.quietUntil(quiet({ timezone: 'Europe/London' }), { severity: 'low' }, new Date('2026-07-01T21:30:00Z'))
+      .toISOString(),
+    '2026-07-02T06:00:00.000Z'
+  );
+  assert.strictEqual(alertRouting.quietUntil(quiet(), { severity: 'critical' }, new Date('2026-01-01T23:30:00Z')), null);
+  assert.strictEqual(alertRouting.quietUntil(quiet({ enabled: false }), { severity: 'low' }, new Date('2026-01-01T23:30:00Z')), null);
+});
+
+if (require.main === module) run('✅ Quiet hours hold and release alerts as expected');
+
+module.exports = { checkAlertRouting: runAll };
@@ -0,0 +1,141 @@
+/**
+ * Checks the dependency analysis behind GET /api/ai/dependencies
+ * (services/dependencyAnalyzer.js) against worked examples: the critical path,
+ * slack, bottlenecks and projected finish, and the cycle checks run when a
+ * task's dependencies are saved.
+ *
+ * Saving a task reads the tasks its new dependencies lead to; those queries
+ * are answered from fixtures here, so nothing connects to MongoDB.
+ *
+ * Usage: node scripts/checkDependencyAnalysis.js   (npm test)
+ */
+const assert = require('assert');
+const mongoose = require('mongoose');
+const dependencyAnalyzer = require('../services/dependencyAnalyzer');
+const Task = require('../models/Task');
+const { createChecks } = require('./checks');
+
+const { check, runAll, run } = createChecks('dependency analysis');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-02T00:00:00Z');
+const at = (offsetDays) => new Date(NOW.getTime() + offsetDays * DAY_MS).toISOString();
+
+// Without due dates every task takes a day. A feeds B and C, B feeds B2, and D
+// waits on B2 and C. A, B, B2, D is the critical path and C has a day of slack.
+const projectTasks = () => [
+  { _id: 'A', title: 'A', status: 'In Progress', dependencies: [] },
+  { _id: 'B', title: 'B', status: 'Pending', dependencies: ['A'] },
+  { _id: 'B2', title: 'B2', status: 'Pending', dependencies: ['B'] },
+  { _id: 'C', title: 'C', status: 'Pending', dependencies: ['A'] },
+  { _id: 'D', title: 'D', status: 'Pending', dependencies: ['B2', 'C'] }
+];
+
+check('critical path follows the longest chain', () => {
+  const analysis = dependencyAnalyzer.analyze(projectTasks(), NOW);
+  assert.deepStrictEqual(analysis.criticalPath, ['A', 'B', 'B2', 'D']);
+  assert.strictEqual(analysis.projectedFinish, at(4));
+  assert.deepStrictEqual(analysis.slack, { A: 0, B: 0, B2: 0, C: 1, D: 0 });
+});
+
+check('bottlenecks count open tasks downstream', () => {
+  const analysis = dependencyAnalyzer.analyze(projectTasks(), NOW);
+  assert.deepStrictEqual(analysis.bottlenecks.map((b) => [b.task, b.blockedCount]), [['A', 4], ['B', 2]]);
+});
+
+check('reported progress shortens the work left', () => {
+  const tasks = projectTasks();
+  tasks[0].progress = 50;
+  const analysis = dependencyAnalyzer.analyze(tasks, NOW);
+  assert.strictEqual(analysis.projectedFinish, new Date(NOW.getTime() + 3.5 * DAY_MS).toISOString());
+});
+
+check('completed work drops off the critical path', () => {
+  const tasks = projectTasks();
+  tasks[0].status = 'Completed';
+  const analysis = dependencyAnalyzer.analyze(tasks, NOW);
+  assert.deepStrictEqual(analysis.criticalPath, ['B', 'B2', 'D']);
+  assert.strictEqual(analysis.projectedFinish, at(3));
+});
+
+check('due dates set how late a task may finish', () => {
+  const tasks = projectTasks();
+  tasks[3].createdAt = at(0.5);
+  tasks[3].dueDate = at(1.5);
+  const analysis = dependencyAnalyzer.analyze(tasks, NOW);
+  assert.strictEqual(analysis.slack.C, -0.5);
+  assert.deepStrictEqual(analysis.criticalPath, ['A', 'C']);
+});
+
+check('cycles are found and reported once', () => {
+  const tasks = [
+    { _id: 'X', title: 'X', dependencies: ['Y'] },
+    { _id: 'Y', title: 'Y', dependencies: ['Z'] },
+    { _id: 'Z', title: 'Z', dependencies: ['X'] },
+    { _id: 'W', title: 'W', dependencies: [] }
+  ];
+  const cycles = dependencyAnalyzer.findCycles(dependencyAnalyzer.buildGraph(tasks));
+  assert.strictEqual(cycles.length, 1);
+  assert.deepStrictEqual([...cycles[0]].sort(), ['X', 'Y', 'Z']);
+  assert.strictEqual(dependencyAnalyzer.analyze(tasks, NOW).cycles.length, 1);
+});
+
+check('missing dependencies are listed, not followed', () => {
+  const { missing } = dependencyAnalyzer.buildGraph([{ _id: 'A', dependencies: ['gone'] }]);
+  assert.deepStrictEqual(missing, [{ task: 'A', dependency: 'gone' }]);
+});
+
+// Saved tasks: first depends on second, second on third; other stands apart
+const ids = Object.fromEntries(
+  ['first', 'second', 'third', 'other'].map((name) => [name, String(new mongoose.Types.ObjectId())])
+);
+const savedTasks = [
+  { _id: ids.first, title: 'First', dependencies: [ids.second] },
+  { _id: ids.second, title: 'Second', dependencies: [ids.third] },
+  { _id: ids.third, title: 'Third', dependencies: [] },
+  { _id: ids.other, title: 'Other', dependencies: [] }
+];
+
+// Run `fn` with Task.find answered from savedTasks; resolves to its result and the ids read
+const withSavedTasks = async (fn) => {
+  const read = [];
+  const find = Task.find;
+  Task.find = ({ _id }) => ({
+    select: () => ({
+      lean: async () => {
+        const wanted = _id.$in.map(String);
+        read.push(...wanted);
+        return savedTasks.filter((task) => wanted.includes(task._id));
+      }
+    })
+  });
+  try {
+    return { result: await fn(), read };
+  } finally {
+    Task.find = find;
+  }
+};
+
+check('a dependency that leads back to the task is refused', async () => {
+  const { result, read } = await withSavedTasks(() => dependencyAnalyzer.validateDependencies(ids.third, [ids.first]));
+  assert.deepStrictEqual(result.cycle, [ids.third, ids.first, ids.second, ids.third]);
+  assert.strictEqual(result.error, "Dependency cycle detected: 'Third' -> 'First' -> 'Second' -> 'Third'");
+  assert.ok(!read.includes(ids.other), 'read a task the new dependencies do not lead to');
+});
+
+check('a task cannot depend on itself', async () => {
+  const { result } = await withSavedTasks(() => dependencyAnalyzer.validateDependencies(ids.first, [ids.first]));
+  assert.deepStrictEqual(result, { error: 'A task cannot depend on itself', cycle: [ids.first] });
+});
+
+check('unknown dependencies are stripped and the rest kept', async () => {
+  const gone = String(new mongoose.Types.ObjectId());
+  const { result } = await withSavedTasks(() =>
+    dependencyAnalyzer.validateDependencies(ids.first, [ids.second, gone, 'not-an-id', ids.second])
+  );
+  assert.deepStrictEqual(result, { dependencies: [ids.second], removed: [gone, 'not-an-id'] });
+});
+
+if (require.main === module) run('✅ Critical path, slack, bottlenecks and cycle checks match the worked examples');
+
+module.exports = { checkDependencyAnalysis: runAll };
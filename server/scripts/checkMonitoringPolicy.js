@@ -0,0 +1,78 @@
+/**
+ * Checks monitoring policy rules (services/monitoringPolicyService.js): which
+ * url_regex patterns are refused for heavy backtracking, that the rest still
+ * run under a time limit, and that the first matching rule decides.
+ *
+ * Usage: node scripts/checkMonitoringPolicy.js   (npm test)
+ */
+const assert = require('assert');
+const monitoringPolicyService = require('../services/monitoringPolicyService');
+const { createChecks } = require('./checks');
+
+const { check, runAll, run } = createChecks('monitoring policy');
+
+const regexRule = (pattern) => ({ type: 'url_regex', pattern, action: 'flag' });
+
+check('patterns that can backtrack for ever are refused', () => {
+  const refused = {
+    '(a|a)+$': /alternatives inside a repeated group/,
+    '(\\w|\\d)+$': /alternatives inside a repeated group/,
+    '(.*a){12}$': /nested repetition/,
+    '(a+)+': /nested repetition/,
+    '(a{1,3})+': /nested repetition/,
+    '(\\w*\\.)*x': /nested repetition/,
+    '(a)\\1': /backreferences are not allowed/,
+  };
+  for (const [pattern, message] of Object.entries(refused)) {
+    const { error } = monitoringPolicyService.validateRules([regexRule(pattern)]);
+    assert.match(error || '', /^Rule 1: /, `${pattern} was accepted`);
+    assert.match(error, message, pattern);
+  }
+});
+
+check('ordinary patterns are accepted', () => {
+  for (const pattern of ['(https?|ftp)://', '^https?://(www\\.)?youtube\\.com/.*', '(ab){2}c']) {
+    const { error } = monitoringPolicyService.validateRules([regexRule(pattern)]);
+    assert.strictEqual(error, undefined, `${pattern}: ${error}`);
+  }
+  assert.match(monitoringPolicyService.validateRules([regexRule('(')]).error, /invalid regular expression/);
+});
+
+check('a pattern that runs out of time does not match', () => {
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (message) => errors.push(message);
+  try {
+    const matches = monitoringPolicyService.compileRule(regexRule('.*.*.*x'));
+    const url = `https://example.com/${'a'.repeat(2000)}`;
+    const started = Date.now();
+    assert.strictEqual(matches({ url }), false);
+    assert.ok(Date.now() - started < 5000, 'the time limit was not applied');
+    assert.strictEqual(matches({ url }), false);
+  } finally {
+    console.error = consoleError;
+  }
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /ran out of time/);
+});
+
+check('the first matching rule decides', () => {
+  const rules = [
+    { type: 'domain', pattern: 'https://www.youtube.com/', action: 'allow' },
+    { type: 'url_regex', pattern: 'youtube\\.com/shorts', action: 'alert', severity: 'high' },
+    { type: 'title_keyword', pattern: 'poker', action: 'flag' },
+  ];
+  const { results } = monitoringPolicyService.test({ rules, default_action: 'flag' }, [
+    'https://m.youtube.com/shorts/abc',
+    { url: 'https://games.example.com/', title: 'Online Poker Night' },
+    'https://docs.example.com/',
+  ]);
+  assert.deepStrictEqual(
+    results.map((result) => [result.action, result.ruleIndex]),
+    [['allow', 0], ['flag', 2], ['flag', null]]
+  );
+});
+
+if (require.main === module) run('✅ Monitoring policy rules are checked and matched as expected');
+
+module.exports = { checkMonitoringPolicy: runAll };
@@ -0,0 +1,76 @@
+/**
+ * Checks recurring task schedules (services/recurringTasks.js) against known
+ * calendars: which days a template falls on, how definitions are validated
+ * and shown as RRULEs, and who a round-robin template assigns next.
+ *
+ * Usage: node scripts/checkRecurrence.js   (npm test)
+ */
+const assert = require('assert');
+const recurringTasks = require('../services/recurringTasks');
+const { createChecks } = require('./checks');
+
+const { check, runAll, run } = createChecks('recurrence');
+
+const days = (list) => list.map((date) => date.toISOString().slice(0, 10));
+
+// 1 January 2026 is a Thursday
+const template = (recurrence, extra = {}) => ({ startDate: new Date('2026-01-01T09:00:00Z'), recurrence, ...extra });
+
+check('every other week on Monday and Thursday', () => {
+  const occurrences = recurringTasks.occurrencesBetween(
+    template({ frequency: 'weekly', interval: 2, byWeekday: [1, 4] }),
+    new Date('2026-01-01'), new Date('2026-01-31')
+  );
+  assert.deepStrictEqual(days(occurrences), ['2026-01-01', '2026-01-12', '2026-01-15', '2026-01-26', '2026-01-29']);
+});
+
+check('monthly days past the end of a month fall on its last day', () => {
+  for (const byMonthDay of [31, -1]) {
+    const occurrences = recurringTasks.occurrencesBetween(
+      template({ frequency: 'monthly', byMonthDay }),
+      new Date('2026-01-01'), new Date('2026-04-30')
+    );
+    assert.deepStrictEqual(days(occurrences), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  }
+});
+
+check('daily intervals count from the start date and stop at the end date', () => {
+  const occurrences = recurringTasks.occurrencesBetween(
+    template({ frequency: 'daily', interval: 3 }, { endDate: new Date('2026-01-08') }),
+    new Date('2025-12-01'), new Date('2026-01-31')
+  );
+  assert.deepStrictEqual(days(occurrences), ['2026-01-01', '2026-01-04', '2026-01-07']);
+});
+
+check('weekdays skip the weekend', () => {
+  const weekdays = template({ frequency: 'weekdays' });
+  assert.strictEqual(recurringTasks.occursOn(weekdays, Date.UTC(2026, 0, 2)), true); // Friday
+  assert.strictEqual(recurringTasks.occursOn(weekdays, Date.UTC(2026, 0, 3)), false); // Saturday
+  assert.strictEqual(recurringTasks.occursOn(weekdays, Date.UTC(2026, 0, 5)), true); // Monday
+});
+
+check('definitions are validated', () => {
+  assert.strictEqual(recurringTasks.validateRecurrence({ frequency: 'weekly', interval: 2, byWeekday: [1, 4] }), null);
+  assert.match(recurringTasks.validateRecurrence({ frequency: 'hourly' }), /frequency must be one of/);
+  assert.match(recurringTasks.validateRecurrence({ frequency: 'daily', interval: 0 }), /positive whole number/);
+  assert.match(recurringTasks.validateRecurrence({ frequency: 'weekly', byWeekday: [7] }), /0 \(Sunday\) to 6/);
+  assert.match(recurringTasks.validateRecurrence({ frequency: 'monthly', byMonthDay: 0 }), /between 1 and 31/);
+});
+
+check('schedules are shown as RRULEs', () => {
+  assert.strictEqual(recurringTasks.toRRule({ frequency: 'weekly', interval: 2, byWeekday: [4, 1] }), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+  assert.strictEqual(recurringTasks.toRRule({ frequency: 'monthly', byMonthDay: -1 }), 'FREQ=MONTHLY;BYMONTHDAY=-1');
+  assert.strictEqual(recurringTasks.toRRule({ frequency: 'weekdays' }), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+});
+
+check('round-robin templates rotate through their list', async () => {
+  const rotating = { assignmentMode: 'roundRobin', rotation: ['ann', 'bob', 'cy'], rotationIndex: 1, assignee: 'ann' };
+  const picked = [];
+  for (let i = 0; i < 4; i++) picked.push(await recurringTasks.nextAssignee(rotating));
+  assert.deepStrictEqual(picked, ['bob', 'cy', 'ann', 'bob']);
+  assert.strictEqual(await recurringTasks.nextAssignee({ assignmentMode: 'fixed', assignee: 'ann' }), 'ann');
+});
+
+if (require.main === module) run('✅ Recurring tasks fall on the right days');
+
+module.exports = { checkRecurrence: runAll };
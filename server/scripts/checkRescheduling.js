@@ -0,0 +1,78 @@
+/**
+ * Checks the reschedule proposals made when a predecessor slips
+ * (services/taskScheduler.js) against a worked example: who moves, by how
+ * much, and which changes follow from a given task.
+ *
+ * Proposals read the department's tasks; that query is answered from fixtures
+ * here, so nothing connects to MongoDB.
+ *
+ * Usage: node scripts/checkRescheduling.js   (npm test)
+ */
+const assert = require('assert');
+const taskScheduler = require('../services/taskScheduler');
+const dependencyAnalyzer = require('../services/dependencyAnalyzer');
+const Task = require('../models/Task');
+const { createChecks } = require('./checks');
+
+const { check, runAll, run } = createChecks('rescheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-02T00:00:00Z');
+const at = (offsetDays) => new Date(NOW.getTime() + offsetDays * DAY_MS).toISOString();
+
+// A is a day overdue, so B (three days, due in two) can only start now and C
+// (two days after B) moves with it. D is done and E only waits on D.
+const plan = () => [
+  { _id: 'A', title: 'A', status: 'In Progress', startDate: at(-5), dueDate: at(-1), dependencies: [] },
+  { _id: 'B', title: 'B', status: 'Pending', startDate: at(-1), dueDate: at(2), dependencies: ['A'] },
+  { _id: 'C', title: 'C', status: 'Pending', startDate: at(2), dueDate: at(4), dependencies: ['B'] },
+  { _id: 'D', title: 'D', status: 'Completed', startDate: at(-5), dueDate: at(-2), dependencies: ['A'] },
+  { _id: 'E', title: 'E', status: 'Pending', startDate: at(1), dueDate: at(3), dependencies: ['D'] }
+];
+
+// Run `fn` with Task.find answered from `tasks`
+const withTasks = async (tasks, fn) => {
+  const find = Task.find;
+  const query = { select: () => query, populate: () => query, lean: async () => tasks };
+  Task.find = () => query;
+  try {
+    return await fn();
+  } finally {
+    Task.find = find;
+  }
+};
+
+check('durations run from the start date when there is one', () => {
+  assert.strictEqual(dependencyAnalyzer.plannedDuration({ createdAt: at(-3), startDate: at(0), dueDate: at(2) }), 2 * DAY_MS);
+  assert.strictEqual(dependencyAnalyzer.plannedDuration({ createdAt: at(-3), dueDate: at(2) }), 5 * DAY_MS);
+  assert.strictEqual(dependencyAnalyzer.plannedDuration({ startDate: at(0) }), DAY_MS);
+});
+
+check('a slipped predecessor pushes everything downstream, keeping durations', async () => {
+  const changes = await withTasks(plan(), () => taskScheduler.proposeReschedule({ now: NOW }));
+  assert.deepStrictEqual(
+    changes.map((change) => [change.task, change.newStartDate, change.newDueDate, change.shiftDays]),
+    [
+      ['B', at(0), at(3), 1],
+      ['C', at(3), at(5), 1]
+    ]
+  );
+  assert.deepStrictEqual(changes[0].causedBy, [{ task: 'A', title: 'A' }]);
+  assert.deepStrictEqual(changes[1].causedBy, [{ task: 'B', title: 'B' }]);
+});
+
+check('completed predecessors never delay anything', async () => {
+  const tasks = plan();
+  tasks[0].status = 'Completed';
+  const changes = await withTasks(tasks, () => taskScheduler.proposeReschedule({ now: NOW }));
+  assert.deepStrictEqual(changes, []);
+});
+
+check('proposals for one task only cover what follows from it', async () => {
+  const changes = await withTasks(plan(), () => taskScheduler.proposeReschedule({ rootTaskId: 'B', now: NOW }));
+  assert.deepStrictEqual(changes.map((change) => change.task), ['C']);
+});
+
+if (require.main === module) run('✅ Reschedule proposals match the worked example');
+
+module.exports = { checkRescheduling: runAll };
@@ -0,0 +1,94 @@
+/**
+ * Fails when an API route does not declare a permission.
+ *
+ * Loads every router in routes/ and checks that each route runs a guard from
+ * middleware/permit.js: permit('<permission>') or permit.public('<reason>') for
+ * routes that are open on purpose. Permissions themselves live in
+ * config/permissions.js.
+ *
+ * Routers read their settings when loaded (see .env.example). Keys that only
+ * matter when a request is served get placeholders here if they are not set, so
+ * the check runs without secrets; a router that still cannot be loaded counts
+ * as a failure, since it was not checked.
+ *
+ * Usage: node scripts/checkRouteProtection.js   (npm test)
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+
+if (!process.env.GEMINI_API_KEY) process.env.GEMINI_API_KEY = 'route-check';
+if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+  const keys = webpush.generateVAPIDKeys();
+  process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+  process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+}
+
+const ROUTES_DIR = path.join(__dirname, '..', 'routes');
+
+const isRouter = (value) => typeof value === 'function' && Array.isArray(value.stack);
+
+/**
+ * Every route of a router as { method, path, permission }, where permission is
+ * undefined for unprotected routes. A guard added with router.use() covers the
+ * routes registered after it.
+ */
+function listRoutes(router, prefix = '') {
+  const routes = [];
+  let inherited;
+
+  for (const layer of router.stack) {
+    if (layer.route) {
+      const guard = layer.route.stack.find((entry) => entry.handle.permission);
+      const permission = guard ? guard.handle.permission : inherited;
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method: method.toUpperCase(), path: prefix + layer.route.path, permission });
+      }
+    } else if (isRouter(layer.handle)) {
+      routes.push(...listRoutes(layer.handle, prefix));
+    } else if (layer.handle.permission) {
+      inherited = layer.handle.permission;
+    }
+  }
+  return routes;
+}
+
+function checkRouteProtection() {
+  const unprotected = [];
+  const unchecked = [];
+  let total = 0;
+
+  for (const file of fs.readdirSync(ROUTES_DIR).filter((name) => name.endsWith('.js')).sort()) {
+    let exported;
+    try {
+      exported = require(path.join(ROUTES_DIR, file));
+    } catch (error) {
+      unchecked.push({ file, error: error.message.split('\n')[0] });
+      continue;
+    }
+    // Helpers such as aiAgents.js live next to the routers
+    if (!isRouter(exported)) continue;
+
+    for (const route of listRoutes(exported)) {
+      total++;
+      if (!route.permission) unprotected.push(`${route.method} ${route.path} (routes/${file})`);
+    }
+  }
+
+  console.log(`🔍 Checked ${total} route(s)`);
+  unprotected.forEach((route) => console.error(`❌ No permission: ${route}`));
+  unchecked.forEach(({ file, error }) => console.error(`❌ Could not load routes/${file}: ${error}`));
+
+  return unprotected.length === 0 && unchecked.length === 0;
+}
+
+if (require.main === module) {
+  if (checkRouteProtection()) {
+    console.log('✅ Every route declares a permission');
+    process.exit(0);
+  }
+  process.exit(1);
+}
+
+module.exports = { listRoutes, checkRouteProtection };
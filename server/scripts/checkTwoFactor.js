@@ -0,0 +1,118 @@
+/**
+ * Checks TOTP two-factor authentication (utils/totp.js and
+ * services/twoFactorService.js): codes against the RFC 6238 test vectors, the
+ * one-step drift window, replays, recovery codes, stored secrets and login
+ * challenges.
+ *
+ * The service reads and claims codes on the user record; those queries are
+ * answered from an in-memory user here, so nothing connects to MongoDB.
+ *
+ * Usage: node scripts/checkTwoFactor.js   (npm test)
+ */
+const assert = require('assert');
+const totp = require('../utils/totp');
+const twoFactorService = require('../services/twoFactorService');
+const User = require('../models/User');
+const { createChecks } = require('./checks');
+
+const { check, runAll, run } = createChecks('two-factor');
+
+// RFC 6238 test secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+check('codes match the RFC 6238 test vectors', () => {
+  assert.strictEqual(totp.codeAt(RFC_SECRET, totp.currentStep(59 * 1000)), '287082');
+  assert.strictEqual(totp.codeAt(RFC_SECRET, totp.currentStep(1111111109 * 1000)), '081804');
+  assert.strictEqual(totp.codeAt(RFC_SECRET, totp.currentStep(2000000000 * 1000)), '279037');
+});
+
+check('codes one step either side are accepted, further ones are not', () => {
+  const secret = totp.generateSecret();
+  const now = totp.currentStep();
+  assert.strictEqual(totp.verifyCode(secret, totp.codeAt(secret, now - 1)), now - 1);
+  assert.strictEqual(totp.verifyCode(secret, totp.codeAt(secret, now + 1)), now + 1);
+  assert.strictEqual(totp.verifyCode(secret, totp.codeAt(secret, now + 3)), null);
+  assert.strictEqual(totp.verifyCode(secret, totp.codeAt(secret, now - 3)), null);
+  assert.strictEqual(totp.verifyCode(secret, 'abc123'), null);
+});
+
+check('a used code cannot be replayed', () => {
+  const secret = totp.generateSecret();
+  const code = totp.codeAt(secret, totp.currentStep());
+  const step = totp.verifyCode(secret, code);
+  assert.notStrictEqual(step, null);
+  assert.strictEqual(totp.verifyCode(secret, code, { afterStep: step }), null);
+});
+
+check('enrollment URIs name the issuer and account', () => {
+  const uri = new URL(totp.keyUri({ secret: RFC_SECRET, account: 'ann@example.com', issuer: 'Acme Tasks' }));
+  assert.strictEqual(uri.protocol, 'otpauth:');
+  assert.strictEqual(uri.host, 'totp');
+  assert.strictEqual(decodeURIComponent(uri.pathname), '/Acme Tasks:ann@example.com');
+  assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.strictEqual(uri.searchParams.get('issuer'), 'Acme Tasks');
+  assert.strictEqual(uri.searchParams.get('digits'), '6');
+  assert.strictEqual(uri.searchParams.get('period'), '30');
+});
+
+check('secrets are stored encrypted and cannot be altered', () => {
+  const secret = totp.generateSecret();
+  const stored = twoFactorService.encrypt(secret);
+  assert.ok(!stored.includes(secret));
+  assert.strictEqual(twoFactorService.decrypt(stored), secret);
+
+  const [iv, tag, data] = stored.split('.');
+  const altered = Buffer.from(data, 'base64');
+  altered[0] ^= 1;
+  assert.throws(() => twoFactorService.decrypt([iv, tag, altered.toString('base64')].join('.')));
+});
+
+check('login challenges only carry two-factor logins', () => {
+  const challenge = twoFactorService.createChallenge({ _id: 'user-1' });
+  assert.strictEqual(twoFactorService.readChallenge(challenge), 'user-1');
+  assert.strictEqual(twoFactorService.readChallenge(`${challenge}x`), null);
+  assert.strictEqual(twoFactorService.readChallenge(undefined), null);
+});
+
+// Run `fn` against one user kept in memory. updateOne applies the claim
+// filters verify() uses, so a second claim of the same code finds nothing.
+const withUser = async (user, fn) => {
+  const { findById, updateOne } = User;
+  User.findById = () => ({ select: async () => user });
+  User.updateOne = async (filter, update) => {
+    if (filter.twoFactorRecoveryCodes) {
+      const index = user.twoFactorRecoveryCodes.indexOf(filter.twoFactorRecoveryCodes);
+      if (index === -1) return { modifiedCount: 0 };
+      user.twoFactorRecoveryCodes.splice(index, 1);
+      return { modifiedCount: 1 };
+    }
+    const step = update.$set.twoFactorLastStep;
+    if (user.twoFactorLastStep !== undefined && user.twoFactorLastStep >= step) return { modifiedCount: 0 };
+    user.twoFactorLastStep = step;
+    return { modifiedCount: 1 };
+  };
+  try {
+    return await fn();
+  } finally {
+    Object.assign(User, { findById, updateOne });
+  }
+};
+
+check('each code and recovery code signs in once', async () => {
+  const secret = totp.generateSecret();
+  const user = { _id: 'user-1', twoFactorEnabled: true, twoFactorSecret: twoFactorService.encrypt(secret) };
+  const [recoveryCode] = twoFactorService.issueRecoveryCodes(user);
+  const code = totp.codeAt(secret, totp.currentStep());
+
+  await withUser(user, async () => {
+    assert.strictEqual(await twoFactorService.verify(user._id, code), 'totp');
+    assert.strictEqual(await twoFactorService.verify(user._id, code), null);
+    assert.strictEqual(await twoFactorService.verify(user._id, recoveryCode.toUpperCase()), 'recovery');
+    assert.strictEqual(await twoFactorService.verify(user._id, recoveryCode), null);
+  });
+  assert.strictEqual(user.twoFactorRecoveryCodes.length, 9);
+});
+
+if (require.main === module) run('✅ Two-factor codes, recovery codes and challenges behave as expected');
+
+module.exports = { checkTwoFactor: runAll };
@@ -0,0 +1,91 @@
+/**
+ * Checks whitelist export and import (utils/csv.js and
+ * services/whitelistTransferService.js): CSV round trips, formula
+ * neutralising, and how an import dry run sorts its rows.
+ *
+ * The import plan reads departments and existing entries; those queries are
+ * answered from fixtures here, so nothing connects to MongoDB.
+ *
+ * Usage: node scripts/checkWhitelistTransfer.js   (npm test)
+ */
+require('dotenv').config();
+const assert = require('assert');
+const mongoose = require('mongoose');
+const webpush = require('web-push');
+
+// The whitelist service loads the push service, which needs VAPID keys to load
+if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+  const keys = webpush.generateVAPIDKeys();
+  process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+  process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+}
+
+const { toCsv, parseCsv } = require('../utils/csv');
+const whitelistTransfer = require('../services/whitelistTransferService');
+const WebsiteWhitelist = require('../models/WebsiteWhitelist');
+const Department = require('../models/Department');
+const { createChecks } = require('./checks');
+
+const { check, runAll, run } = createChecks('whitelist transfer');
+
+check('CSV survives a round trip, formulas are neutralised and rows keep their line', () => {
+  const rows = [
+    { domain: 'a.com', description: 'Says "hi", twice' },
+    { domain: 'b.com', description: 'First line\nsecond line' },
+    { domain: 'c.com', description: '=HYPERLINK("http://x")' }
+  ];
+  const text = toCsv(['domain', 'description'], rows);
+  assert.ok(text.includes(`"'=HYPERLINK(""http://x"")"`));
+
+  const parsed = parseCsv(text);
+  assert.deepStrictEqual(parsed.headers, ['domain', 'description']);
+  assert.deepStrictEqual(parsed.rows.map(({ _row, ...row }) => row), rows);
+  assert.deepStrictEqual(parsed.rows.map((row) => row._row), [2, 3, 5]);
+  assert.deepStrictEqual(parseCsv('domain\n"a.com'), { error: 'Unterminated quoted field' });
+});
+
+check('import dry run sorts rows into added, changed, unchanged, conflicts and errors', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const engineering = new mongoose.Types.ObjectId();
+  const existing = [
+    { domain: 'changed.com', category: 'productivity', approval_status: 'approved' },
+    { domain: 'same.com', category: 'productivity', approval_status: 'approved' },
+    { domain: 'pending.com', category: 'other', approval_status: 'pending' }
+  ].map((fields) => new WebsiteWhitelist({ ...fields, description: 'Fixture', added_by: userId }));
+
+  const find = { whitelist: WebsiteWhitelist.find, departments: Department.find };
+  WebsiteWhitelist.find = async () => existing;
+  Department.find = () => ({ select: () => ({ lean: async () => [{ _id: engineering, name: 'Engineering' }] }) });
+  try {
+    const csv = [
+      'domain,category,description,departments',
+      'new.com,learning,Fixture,Engineering',
+      'changed.com,development_tools,Fixture,',
+      'same.com,productivity,Fixture,',
+      'pending.com,other,Fixture,',
+      'new.com,other,Fixture,',
+      'bad.com,other,Fixture,Nowhere'
+    ].join('\n');
+    const plan = await whitelistTransfer.plan('csv', csv, userId);
+
+    assert.deepStrictEqual(plan.whitelist.added.map((item) => item.domain), ['new.com']);
+    assert.deepStrictEqual(plan.whitelist.added[0].doc.department_restrictions.map(String), [String(engineering)]);
+    assert.deepStrictEqual(plan.whitelist.changed.map((item) => [item.domain, item.changes.map((c) => c.field)]), [
+      ['changed.com', ['category']]
+    ]);
+    assert.strictEqual(plan.whitelist.unchanged, 1);
+    assert.deepStrictEqual(plan.whitelist.conflicts.map((item) => [item.domain, item.row]), [
+      ['pending.com', 5],
+      ['new.com', 6]
+    ]);
+    assert.deepStrictEqual(plan.whitelist.errors, [{ row: 7, error: "Unknown department 'Nowhere'" }]);
+    assert.deepStrictEqual(plan.policies.added, []);
+  } finally {
+    WebsiteWhitelist.find = find.whitelist;
+    Department.find = find.departments;
+  }
+});
+
+if (require.main === module) run('✅ Whitelist CSV and import dry runs behave as expected');
+
+module.exports = { checkWhitelistTransfer: runAll };
@@ -0,0 +1,45 @@
+/**
+ * Runner shared by the check scripts in this folder. A script registers named
+ * checks, each a function that throws (usually through assert) when the code
+ * under test misbehaves, then runs them:
+ *
+ *   const { check, runAll, run } = createChecks('recurrence');
+ *   check('weekdays skip the weekend', () => { ... });
+ *   if (require.main === module) run('✅ Recurring tasks fall on the right days');
+ *   module.exports = { checkRecurrence: runAll };
+ */
+function createChecks(subject) {
+  const checks = [];
+
+  const check = (name, fn) => checks.push({ name, fn });
+
+  // Resolves to whether every check passed
+  const runAll = async () => {
+    const failed = [];
+    for (const { name, fn } of checks) {
+      try {
+        await fn();
+      } catch (error) {
+        failed.push({ name, error: error.message });
+      }
+    }
+
+    console.log(`🔍 Ran ${checks.length} ${subject} check(s)`);
+    failed.forEach(({ name, error }) => console.error(`❌ ${name}: ${error}`));
+    return failed.length === 0;
+  };
+
+  // Run from the command line: report and exit with the result
+  const run = (successMessage) =>
+    runAll().then((passed) => {
+      if (passed) {
+        console.log(successMessage);
+        process.exit(0);
+      }
+      process.exit(1);
+    });
+
+  return { check, runAll, run };
+}
+
+module.exports = { createChecks };
@@ -0,0 +1,64 @@
+/**
+ * One-off migration: hash every password that is still stored in plain text.
+ *
+ * Accounts are also upgraded on their next successful login, so this only needs
+ * to run once to cover users who have not signed in since hashing was added.
+ *
+ * Usage: node scripts/hashPlaintextPasswords.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { isHashed, hashPassword } = require('../utils/password');
+
+async function hashPlaintextPasswords({ dryRun = false } = {}) {
+  try {
+    console.log(`🔐 Hashing plain-text passwords${dryRun ? ' (dry run)' : ''}...`);
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/workflow-management');
+    console.log('✅ Connected to MongoDB');
+
+    const users = await User.find({ password: { $not: /^scrypt\$/ } }).select('email password').lean();
+    console.log(`📊 Found ${users.length} account(s) with a plain-text password`);
+
+    let updated = 0;
+    let errors = 0;
+
+    for (const user of users) {
+      if (isHashed(user.password)) continue;
+
+      try {
+        if (!dryRun) {
+          // updateOne skips the save hooks, so updatedAt is left alone
+          await User.updateOne({ _id: user._id }, { $set: { password: await hashPassword(user.password) } });
+        }
+        updated++;
+        console.log(`🔑 ${dryRun ? 'Would hash' : 'Hashed'} password for ${user.email}`);
+      } catch (error) {
+        console.error(`❌ Error updating ${user.email}:`, error.message);
+        errors++;
+      }
+    }
+
+    console.log('\n📋 Migration Summary:');
+    console.log(`✅ ${dryRun ? 'Would update' : 'Updated'} ${updated} account(s)`);
+    console.log(`❌ Errors: ${errors}`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  hashPlaintextPasswords({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = hashPlaintextPasswords;
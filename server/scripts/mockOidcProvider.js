@@ -0,0 +1,164 @@
+/**
+ * Local OpenID Connect provider for trying single sign-on without a real one.
+ *
+ * Serves discovery, authorization (a form where you choose who to sign in as
+ * and their groups), token, userinfo and JWKS endpoints. Authorization codes
+ * require PKCE (S256), as services/ssoService.js sends. Signing keys are made at
+ * startup, so restart the server after restarting this.
+ *
+ * Point the server at it with:
+ *   OIDC_ISSUER=http://localhost:5055
+ *   OIDC_CLIENT_ID=workflow-local
+ *   OIDC_CLIENT_SECRET=workflow-local-secret
+ *
+ * Usage: node scripts/mockOidcProvider.js   (npm run mock-oidc)
+ *        MOCK_OIDC_PORT=5055 to change the port
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 5055;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'workflow-local';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'workflow-local-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes and access tokens, kept in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) =>
+  String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+function createMockOidcProvider() {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Sign-in form. The request parameters ride along as hidden fields.
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, response_type: responseType, code_challenge_method: method } = req.query;
+    if (clientId !== CLIENT_ID || responseType !== 'code' || method !== 'S256') {
+      return res.status(400).send('Expected client_id, response_type=code and a S256 code challenge');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+      .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('');
+    res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:24rem;margin:3rem auto;display:grid;gap:.75rem">
+  <h2>Mock identity provider</h2>
+  ${hidden}
+  <label>Email <input name="email" value="jane.doe@example.com" required style="width:100%"></label>
+  <label>Name <input name="name" value="Jane Doe" style="width:100%"></label>
+  <label>Groups (comma separated) <input name="groups" value="engineering" style="width:100%"></label>
+  <label><input type="checkbox" name="email_verified" checked> Email verified</label>
+  <button type="submit">Sign in</button>
+  <button type="submit" name="deny" value="1">Cancel</button>
+</form>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state } = req.body;
+    const target = new URL(redirectUri);
+    if (state) target.searchParams.set('state', state);
+
+    if (req.body.deny) {
+      target.searchParams.set('error', 'access_denied');
+      target.searchParams.set('error_description', 'Sign-in was cancelled');
+      return res.redirect(target.toString());
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+    const code = crypto.randomBytes(24).toString('hex');
+    codes.set(code, {
+      clientId: req.body.client_id,
+      redirectUri,
+      nonce: req.body.nonce,
+      codeChallenge: req.body.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+        email,
+        email_verified: req.body.email_verified === 'on',
+        name: req.body.name,
+        groups: req.body.groups.split(',').map((group) => group.trim()).filter(Boolean),
+      },
+    });
+
+    target.searchParams.set('code', code);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (req.body.client_id !== CLIENT_ID || req.body.client_secret !== CLIENT_SECRET) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    }
+    if (grant.redirectUri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+    }
+    const challenge = crypto.createHash('sha256').update(String(verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    accessTokens.set(accessToken, grant.claims);
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m',
+    });
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.header('authorization') || '').replace(/^Bearer /, '');
+    const claims = accessTokens.get(token);
+    if (!claims) return res.status(401).json({ error: 'invalid_token' });
+    res.json(claims);
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockOidcProvider().listen(PORT, () => {
+    console.log(`🔑 Mock OIDC provider on ${ISSUER} (client ${CLIENT_ID})`);
+  });
+}
+
+module.exports = { createMockOidcProvider };
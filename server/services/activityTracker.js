@@ -1,9 +1,9 @@
 const EmployeeActivity = require('../models/EmployeeActivity');
 const MonitoringAlert = require('../models/MonitoringAlert');
-const WebsiteWhitelist = require('../models/WebsiteWhitelist');
 const screenCaptureService = require('./screenCapture');
 const intelligentScreenCapture = require('./intelligentScreenCapture');
 const { KeystrokeAnalyticsService } = require('./keystrokeAnalytics');
+const whitelistService = require('./whitelistService');
 
 class ActivityTracker {
   constructor() {
@@ -158,10 +158,7 @@ class ActivityTracker {
   async handleLegacyApplicationChange(employeeId, applicationData, session) {
     // Check if website is whitelisted
     if (applicationData.url) {
-      const whitelistCheck = await WebsiteWhitelist.isWhitelisted(
-        applicationData.url,
-        employeeId
-      );
+      const whitelistCheck = await whitelistService.check({ url: applicationData.url }, employeeId);
 
       if (!whitelistCheck.allowed) {
         // Create alert for unauthorized website
@@ -0,0 +1,322 @@
+const MonitoringAlert = require('../models/MonitoringAlert');
+const AlertRouting = require('../models/AlertRouting');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const Notification = require('../models/Notification');
+const whitelistService = require('./whitelistService');
+const { sendPushNotificationToUsers } = require('../utils/pushNotificationService');
+const { sendMonitoringAlertEmail } = require('../utils/emailService');
+const { LEVELS } = require('../config/alertRouting');
+
+const RUN_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+// Alerts older than this when routing first sees them (e.g. raised before
+// routing existed) are left alone rather than sent late
+const MAX_PENDING_AGE_MS = 24 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const LEVEL_LABELS = { manager: 'managers', department_lead: 'department lead', admins: 'admins' };
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Sends monitoring alerts to the people and channels their routing rule names,
+ * holds them during quiet hours, and escalates alerts nobody acknowledges to
+ * the next level: the employee's managers, then the department lead, then the
+ * admins. Alerts are picked up once a minute, so every place that raises one
+ * gets routing without calling this service. Routing state and each delivery
+ * are recorded on the alert.
+ */
+class AlertRoutingService {
+  constructor() {
+    this.runInterval = RUN_INTERVAL_MS;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * The first enabled rule covering the alert's type and severity
+   */
+  ruleFor(settings, alert) {
+    return settings.rules.find((rule) => rule.enabled &&
+      (rule.alert_types.length === 0 || rule.alert_types.includes(alert.alert_type)) &&
+      (rule.severities.length === 0 || rule.severities.includes(alert.severity)));
+  }
+
+  /**
+   * When quiet hours covering `at` end, or null if the alert may be sent now
+   */
+  quietUntil(settings, alert, at = new Date()) {
+    const quiet = settings.quiet_hours || {};
+    if (!quiet.enabled || !TIME_PATTERN.test(quiet.start || '') || !TIME_PATTERN.test(quiet.end || '')) return null;
+    if ((quiet.override_severities || []).includes(alert.severity)) return null;
+
+    const local = whitelistService.localTime(quiet.timezone, at);
+    if (!whitelistService.withinHours({ start: quiet.start, end: quiet.end }, local.minutes)) return null;
+
+    const minutesLeft = (minutesOf(quiet.end) - local.minutes + 24 * 60) % (24 * 60) || 24 * 60;
+    return new Date(Math.floor(at.getTime() / 60000) * 60000 + minutesLeft * 60 * 1000);
+  }
+
+  /**
+   * Active accounts at a level for an employee, never the employee themself
+   */
+  async recipients(level, employee) {
+    const available = { deactivatedAt: null, serviceAccount: { $ne: true } };
+    let ids = [];
+
+    if (level === 'manager' && employee.department) {
+      ids = await User.find({ ...available, role: 'Manager', department: employee.department }).distinct('_id');
+    } else if (level === 'department_lead' && employee.department) {
+      const department = await Department.findById(employee.department).select('lead');
+      if (department?.lead) ids = await User.find({ ...available, _id: department.lead }).distinct('_id');
+    } else if (level === 'admins') {
+      ids = await User.find({ ...available, role: 'Admin' }).distinct('_id');
+    }
+    return ids.map(String).filter((id) => id !== String(employee._id));
+  }
+
+  /**
+   * The first level from `index` up that has anyone to tell, as
+   * { level, recipients }, or null
+   */
+  async nextLevel(index, employee) {
+    for (const level of LEVELS.slice(Math.max(index, 0))) {
+      const recipients = await this.recipients(level, employee);
+      if (recipients.length > 0) return { level, recipients };
+    }
+    return null;
+  }
+
+  /**
+   * Send over one channel. Resolves to { status, error? } for the delivery log.
+   */
+  async send(channel, { alert, employee, recipients, settings, escalated, level }) {
+    const title = `${escalated ? 'Escalated: ' : ''}${alert.title}`;
+    const message = `${employee.name}: ${alert.description}`;
+
+    if (channel === 'dashboard') {
+      await Notification.insertMany(recipients.map((recipient) => ({
+        recipient,
+        type: 'monitoring_alert',
+        title,
+        message
+      })));
+      try {
+        await sendPushNotificationToUsers(recipients, title, message, '/monitoring', `monitoring-alert-${alert._id}`);
+      } catch (error) {
+        // Push delivery is best effort; the in-app notification is already stored
+        console.error('Error sending alert push notifications:', error);
+      }
+      return { status: 'sent' };
+    }
+
+    if (channel === 'email') {
+      const users = await User.find({ _id: { $in: recipients }, email: { $exists: true, $ne: '' } }).select('name email');
+      if (users.length === 0) return { status: 'skipped', error: 'No recipient has an email address' };
+      await sendMonitoringAlertEmail(users, { alert, employeeName: employee.name, escalated });
+      return { status: 'sent' };
+    }
+
+    if (channel === 'webhook') {
+      if (!settings.webhook_url) return { status: 'skipped', error: 'No webhook URL is configured' };
+      const response = await fetch(settings.webhook_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          alert_id: String(alert._id),
+          alert_type: alert.alert_type,
+          severity: alert.severity,
+          title: alert.title,
+          description: alert.description,
+          timestamp: alert.timestamp,
+          employee: { id: String(employee._id), name: employee.name },
+          level,
+          escalated
+        }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      return response.ok ? { status: 'sent' } : { status: 'failed', error: `Webhook answered ${response.status}` };
+    }
+
+    return { status: 'skipped', error: 'SMS delivery is not configured' };
+  }
+
+  async deliver(alert, { level, recipients }, rule, employee, settings) {
+    const escalated = alert.routing.escalations > 0;
+    for (const channel of rule.channels) {
+      let result;
+      try {
+        result = await this.send(channel, { alert, employee, recipients, settings, escalated, level });
+      } catch (error) {
+        result = { status: 'failed', error: error.message };
+      }
+      alert.deliveries.push({ level, channel, recipients, ...result, at: new Date() });
+
+      if (result.status === 'sent') {
+        alert.notification_sent = true;
+        if (!alert.notification_channels.includes(channel)) alert.notification_channels.push(channel);
+      }
+    }
+  }
+
+  /**
+   * Route a new alert, release one held for quiet hours, or escalate one that
+   * is still unacknowledged
+   */
+  async route(alert, settings, now = new Date()) {
+    const routing = alert.routing;
+    const escalating = Boolean(routing.level);
+    const stop = (status, note) => {
+      routing.status = status;
+      routing.next_escalation_at = undefined;
+      routing.deferred_until = undefined;
+      routing.note = note;
+      return alert.save();
+    };
+
+    const employee = await User.findById(alert.employee).select('name department').lean();
+    if (!employee) return stop(escalating ? 'notified' : 'unrouted', 'The employee no longer exists');
+
+    // Escalation follows the rule the alert was first routed by
+    const rule = escalating
+      ? settings.rules.find((item) => item.enabled && item.name === routing.rule)
+      : this.ruleFor(settings, alert);
+    if (!rule) {
+      return escalating
+        ? stop('notified', `Routing rule "${routing.rule}" no longer exists, so the alert was not escalated`)
+        : stop('unrouted', 'No routing rule covers this alert');
+    }
+
+    const deferredUntil = this.quietUntil(settings, alert, now);
+    if (deferredUntil) {
+      routing.status = 'deferred';
+      routing.rule = rule.name;
+      routing.deferred_until = deferredUntil;
+      routing.note = 'Held for quiet hours';
+      return alert.save();
+    }
+
+    const start = escalating ? LEVELS.indexOf(routing.level) + 1 : LEVELS.indexOf(rule.recipients);
+    const target = await this.nextLevel(start, employee);
+    if (!target) {
+      return escalating
+        ? stop('notified', 'Nobody above this level to escalate to')
+        : stop('unrouted', 'Nobody to notify for this employee');
+    }
+
+    if (escalating) routing.escalations += 1;
+    routing.status = 'notified';
+    routing.rule = rule.name;
+    routing.level = target.level;
+    routing.notified_at = now;
+    routing.deferred_until = undefined;
+    routing.note = escalating ? `Escalated to ${LEVEL_LABELS[target.level]}: not acknowledged in time` : undefined;
+    routing.next_escalation_at = rule.escalate_after_minutes > 0 && target.level !== LEVELS[LEVELS.length - 1]
+      ? new Date(now.getTime() + rule.escalate_after_minutes * 60 * 1000)
+      : undefined;
+
+    await this.deliver(alert, target, rule, employee, settings);
+    return alert.save();
+  }
+
+  /**
+   * Route every active alert that is new, released from quiet hours or due to
+   * escalate. Acknowledging or resolving an alert stops its escalation.
+   */
+  async runDue(now = new Date()) {
+    const settings = await AlertRouting.current();
+    const due = await MonitoringAlert.find({
+      status: 'active',
+      $or: [
+        { 'routing.status': 'pending', timestamp: { $gte: new Date(now.getTime() - MAX_PENDING_AGE_MS) } },
+        { 'routing.status': 'deferred', 'routing.deferred_until': { $lte: now } },
+        { 'routing.status': 'notified', 'routing.next_escalation_at': { $lte: now } }
+      ]
+    })
+      .sort({ timestamp: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const alert of due) {
+      try {
+        await this.route(alert, settings, now);
+      } catch (error) {
+        console.error(`Error routing alert ${alert._id}:`, error);
+      }
+    }
+    return due.length;
+  }
+
+  /**
+   * Apply the admin's routing settings. Resolves to { settings } or { error }.
+   */
+  async update(input = {}, userId) {
+    const settings = await AlertRouting.current();
+
+    if (input.rules !== undefined) {
+      if (!Array.isArray(input.rules)) return { error: 'Rules must be a list' };
+      const names = input.rules.map((rule) => String(rule?.name || '').trim().toLowerCase());
+      const duplicate = names.find((name, index) => name && names.indexOf(name) !== index);
+      if (duplicate) return { error: `Two rules are named "${duplicate}"` };
+      if (input.rules.some((rule) => !Array.isArray(rule?.channels) || rule.channels.length === 0)) {
+        return { error: 'Every rule needs at least one channel' };
+      }
+      settings.rules = input.rules;
+    }
+
+    if (input.quiet_hours !== undefined) {
+      const quiet = input.quiet_hours || {};
+      if (quiet.enabled && (!TIME_PATTERN.test(quiet.start || '') || !TIME_PATTERN.test(quiet.end || ''))) {
+        return { error: 'Quiet hours need a start and end time (HH:MM)' };
+      }
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: quiet.timezone || 'UTC' });
+      } catch (error) {
+        return { error: `Unknown timezone "${quiet.timezone}"` };
+      }
+      settings.quiet_hours = quiet;
+    }
+
+    if (input.webhook_url !== undefined) {
+      const url = String(input.webhook_url || '').trim();
+      if (url && !/^https?:\/\/\S+$/i.test(url)) return { error: 'The webhook URL must start with http:// or https://' };
+      settings.webhook_url = url || undefined;
+    }
+
+    const invalid = settings.validateSync();
+    if (invalid) {
+      return { error: Object.values(invalid.errors).map((item) => item.message).join('; ') };
+    }
+
+    settings.updated_by = userId;
+    await settings.save();
+    return { settings };
+  }
+
+  /**
+   * Start the periodic run; the first run happens immediately
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = async () => {
+      if (this.isRunning) return;
+      this.isRunning = true;
+      try {
+        await this.runDue();
+      } catch (error) {
+        console.error('Error running alert routing:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.runInterval);
+  }
+}
+
+module.exports = new AlertRoutingService();
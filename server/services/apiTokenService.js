@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const { TOKEN_SCOPES } = require('../config/permissions');
+const { hashToken } = require('../utils/tokens');
+
+// Marks API tokens apart from login JWTs, and makes leaked ones easy to search for
+const TOKEN_PREFIX = 'wf_';
+const MAX_EXPIRY_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+// lastUsedAt is written at most this often, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+// Service accounts need an email to satisfy the User model. This domain can
+// never receive mail, so no reset link or SSO sign-in can reach them.
+const SERVICE_ACCOUNT_DOMAIN = 'service-accounts.invalid';
+const SERVICE_ACCOUNT_ROLES = ['Admin', 'Manager', 'User'];
+
+class ApiTokenService {
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Token from an `Authorization: Bearer` header, which is what most HTTP
+   * clients and CI tools send
+   */
+  bearerToken(req) {
+    const authorization = req.header('authorization') || '';
+    return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  }
+
+  scopes() {
+    return Object.entries(TOKEN_SCOPES).map(([scope, { description }]) => ({ scope, description }));
+  }
+
+  /**
+   * Check a token request ({ name, scopes, expiresInDays }). Resolves to the
+   * fields to store, or { error }.
+   */
+  validate({ name, scopes, expiresInDays }) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return { error: 'Token name is required' };
+    }
+    if (name.trim().length > 100) {
+      return { error: 'Token name must be 100 characters or fewer' };
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return { error: 'Choose at least one scope' };
+    }
+    const unknown = scopes.filter((scope) => !TOKEN_SCOPES[scope]);
+    if (unknown.length > 0) {
+      return { error: `Unknown scope(s): ${unknown.join(', ')}` };
+    }
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return { error: `Tokens must expire within 1 to ${MAX_EXPIRY_DAYS} days` };
+    }
+
+    return {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * DAY),
+    };
+  }
+
+  /**
+   * Issue a token for a user. Resolves to { token, apiToken }, where the raw
+   * token is shown once and only its hash is kept, or to { error }.
+   */
+  async create(userId, input, createdBy) {
+    const fields = this.validate(input);
+    if (fields.error) return fields;
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const apiToken = await ApiToken.create({
+      ...fields,
+      user: userId,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      createdBy,
+    });
+
+    const { tokenHash, ...visible } = apiToken.toObject();
+    return { token, apiToken: visible };
+  }
+
+  /**
+   * Tokens of a user that have not been revoked, newest first. Expired ones are
+   * included so their owner can see why a script stopped working.
+   */
+  async list(userId) {
+    return ApiToken.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Revoke one of a user's tokens. Resolves to the token, or null when the user
+   * has no such token.
+   */
+  async revoke(tokenId, userId, revokedBy) {
+    return ApiToken.findOneAndUpdate(
+      { _id: tokenId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy, updatedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async revokeAll(userId, revokedBy) {
+    const result = await ApiToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy, updatedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * The caller behind an API token, shaped like a decoded login token plus the
+   * token's id and scopes. Resolves to null when the token is unknown, expired
+   * or revoked, or its user is gone or deactivated.
+   */
+  async authenticate(token, ip) {
+    const apiToken = await ApiToken.findOne({
+      tokenHash: hashToken(token),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!apiToken) return null;
+
+    const user = await User.findById(apiToken.user).select('name email role department emailVerified serviceAccount deactivatedAt');
+    if (!user || user.deactivatedAt) return null;
+
+    const now = new Date();
+    if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt > TOUCH_INTERVAL_MS) {
+      await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+    }
+
+    return {
+      id: String(user._id),
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      emailVerified: user.emailVerified,
+      serviceAccount: user.serviceAccount,
+      tokenId: String(apiToken._id),
+      scopes: apiToken.scopes,
+    };
+  }
+
+  /**
+   * Service accounts with their active tokens
+   */
+  async listServiceAccounts() {
+    const accounts = await User.find({ serviceAccount: true })
+      .select('name email role department createdAt')
+      .populate('department', 'name')
+      .sort({ name: 1 })
+      .lean();
+    const tokens = await ApiToken.find({ user: { $in: accounts.map((account) => account._id) }, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return accounts.map((account) => ({
+      ...account,
+      tokens: tokens.filter((token) => String(token.user) === String(account._id)),
+    }));
+  }
+
+  /**
+   * Set up a service account ({ name, role, department }). It gets a random
+   * password nobody knows and reaches the API only through its tokens.
+   * Resolves to the account, or { error }.
+   */
+  async createServiceAccount({ name, role = 'User', department }) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return { error: 'Service account name is required' };
+    }
+    if (!SERVICE_ACCOUNT_ROLES.includes(role)) {
+      return { error: 'Invalid role' };
+    }
+    if (department && !(await Department.exists({ _id: department }))) {
+      return { error: 'Department not found' };
+    }
+
+    const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'service';
+    const account = await User.create({
+      name: name.trim(),
+      email: `${slug}-${crypto.randomBytes(3).toString('hex')}@${SERVICE_ACCOUNT_DOMAIN}`,
+      password: crypto.randomBytes(32).toString('hex'),
+      role,
+      department: department || undefined,
+      serviceAccount: true,
+    });
+
+    const { password, ...visible } = account.toObject();
+    return { ...visible, tokens: [] };
+  }
+
+  /**
+   * Remove a service account and revoke its tokens. Resolves to the removed
+   * account, or null.
+   */
+  async deleteServiceAccount(accountId, deletedBy) {
+    const account = await User.findOne({ _id: accountId, serviceAccount: true }).select('name');
+    if (!account) return null;
+
+    await this.revokeAll(account._id, deletedBy);
+    await User.deleteOne({ _id: account._id });
+    return account;
+  }
+
+  async findServiceAccount(accountId) {
+    return User.findOne({ _id: accountId, serviceAccount: true }).select('name');
+  }
+}
+
+module.exports = new ApiTokenService();
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const { formatDistanceToNow } = require('date-fns');
+const ActivityLog = require('../models/ActivityLog');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const Label = require('../models/Label');
+
+// Fields whose changes are recorded, per entity type
+const TRACKED_FIELDS = {
+  Task: ['title', 'description', 'status', 'priority', 'department', 'assignee', 'startDate', 'dueDate',
+    'dependencies', 'progress', 'parent', 'links', 'labels'],
+  TaskSubmission: ['githubLink', 'notes', 'documentLink', 'status', 'feedback'],
+  Progress: ['progressPercentage', 'notes', 'blockers', 'achievements'],
+  Aim: ['aims', 'completed'],
+};
+
+// Reference fields shown by name instead of id
+const REFERENCE_FIELDS = {
+  assignee: User,
+  createdBy: User,
+  reviewer: User,
+  department: Department,
+  dependencies: Task,
+  parent: Task,
+  labels: Label,
+};
+
+class AuditLog {
+  /**
+   * Plain, comparable form of a field value
+   */
+  normalize(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return String(value);
+    if (Array.isArray(value)) return value.map(item => this.normalize(item));
+    if (typeof value === 'object' && value._id) return String(value._id);
+    return value;
+  }
+
+  /**
+   * Field-level differences between two versions of an entity
+   */
+  diff(entityType, before, after) {
+    const changes = [];
+
+    TRACKED_FIELDS[entityType].forEach(field => {
+      const from = this.normalize(before ? before[field] : null);
+      const to = this.normalize(after ? after[field] : null);
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ field, from, to });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Who made the change: the authenticated user, else nobody (System). Ids
+   * sent by the client are never trusted as the actor.
+   */
+  actorFrom(req) {
+    if (req && req.user && req.user.id) return req.user;
+    return null;
+  }
+
+  /**
+   * Append an entry. Failures are logged and never break the change itself.
+   */
+  async record({ entityType, entity, task, action, changes = [], actor, department }) {
+    if (action === 'updated' && changes.length === 0) return null;
+
+    try {
+      let actorId = null;
+      let actorName = 'System';
+      if (actor && actor.id) {
+        actorId = actor.id;
+        actorName = actor.name;
+      } else if (actor && mongoose.isValidObjectId(actor)) {
+        const user = await User.findById(actor).select('name').lean();
+        actorId = actor;
+        actorName = user ? user.name : 'Unknown user';
+      }
+
+      let taskDoc = task;
+      if (task && !task.title) {
+        taskDoc = await Task.findById(task).select('title department').lean();
+      }
+
+      return await ActivityLog.create({
+        entityType,
+        entity: entity._id || entity,
+        task: taskDoc ? taskDoc._id || task : undefined,
+        taskTitle: taskDoc ? taskDoc.title : undefined,
+        department: this.normalize(department || (taskDoc && taskDoc.department)) || undefined,
+        action,
+        changes,
+        actor: actorId,
+        actorName: actorName || 'Unknown user',
+      });
+    } catch (error) {
+      console.error('Error writing activity log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Attach readable labels to reference ids in a batch of entries
+   */
+  async labelReferences(entries) {
+    const idsByModel = new Map();
+    const collect = (field, value) => {
+      const Model = REFERENCE_FIELDS[field];
+      if (!Model || value === null) return;
+      const ids = idsByModel.get(Model) || new Set();
+      [].concat(value).forEach(id => ids.add(id));
+      idsByModel.set(Model, ids);
+    };
+
+    entries.forEach(entry => entry.changes.forEach(change => {
+      collect(change.field, change.from);
+      collect(change.field, change.to);
+    }));
+
+    const labels = new Map();
+    for (const [Model, ids] of idsByModel) {
+      const docs = await Model.find({ _id: { $in: [...ids] } }).select('name title').lean();
+      docs.forEach(doc => labels.set(String(doc._id), doc.name || doc.title));
+    }
+
+    const label = (field, value) => {
+      if (!REFERENCE_FIELDS[field] || value === null) return value;
+      return Array.isArray(value)
+        ? value.map(id => labels.get(id) || 'deleted')
+        : labels.get(value) || 'deleted';
+    };
+
+    return entries.map(entry => ({
+      ...entry,
+      changes: entry.changes.map(change => ({
+        ...change,
+        fromLabel: label(change.field, change.from),
+        toLabel: label(change.field, change.to),
+      })),
+    }));
+  }
+
+  /**
+   * Timeline of a task, including its submissions and progress entries,
+   * newest first. `before` pages back from a given date.
+   */
+  async getTaskHistory(taskId, { limit = 100, before } = {}) {
+    const filter = { task: taskId };
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    const entries = await ActivityLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('actor', 'name avatar')
+      .lean();
+
+    return this.labelReferences(entries);
+  }
+
+  /**
+   * Short verb for an entry, as used by the dashboard activity feed
+   */
+  describeAction(entry) {
+    const changed = field => entry.changes.find(change => change.field === field);
+
+    switch (entry.entityType) {
+      case 'TaskSubmission':
+        if (entry.action === 'reviewed') return 'reviewed the submission for';
+        return entry.action === 'created' ? 'submitted' : `${entry.action} the submission for`;
+      case 'Progress':
+        return entry.action === 'deleted' ? 'removed a progress update on' : 'logged progress on';
+      case 'Aim':
+        return `${entry.action} their daily aims`;
+      default: {
+        if (entry.action !== 'updated') return entry.action;
+        const status = changed('status');
+        if (status && status.to === 'Completed') return 'completed';
+        if (status && status.to === 'In Progress') return 'started';
+        if (changed('assignee')) return 'reassigned';
+        if (changed('dueDate')) return 'rescheduled';
+        return 'updated';
+      }
+    }
+  }
+
+  /**
+   * Latest activity across all tasks, shaped for the dashboard feed.
+   * `department` may be one id or a list of ids.
+   */
+  async getRecentActivity({ limit = 10, department } = {}) {
+    const filter = {};
+    if (department) filter.department = Array.isArray(department) ? { $in: department } : department;
+
+    const entries = await ActivityLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('actor', 'name avatar')
+      .populate('department', 'name')
+      .lean();
+
+    return entries.map(entry => {
+      const name = entry.actor ? entry.actor.name : entry.actorName;
+      return {
+        id: entry._id,
+        user: {
+          name,
+          avatar: (entry.actor && entry.actor.avatar) || '/placeholder.svg?height=40&width=40',
+          initials: name.split(' ').map(part => part[0]).join('').slice(0, 2).toUpperCase(),
+        },
+        action: this.describeAction(entry),
+        task: entry.taskTitle || '',
+        taskId: entry.task,
+        department: entry.department ? entry.department.name : '',
+        time: formatDistanceToNow(entry.createdAt, { addSuffix: true }),
+      };
+    });
+  }
+}
+
+module.exports = new AuditLog();
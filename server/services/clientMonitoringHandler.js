@@ -6,10 +6,12 @@
 const EmployeeActivity = require('../models/EmployeeActivity');
 const ScreenCapture = require('../models/ScreenCapture');
 const MonitoringAlert = require('../models/MonitoringAlert');
-const WebsiteWhitelist = require('../models/WebsiteWhitelist');
+const User = require('../models/User');
 const { uploadViolationScreenshot, uploadRegularScreenshot } = require('../utils/cloudinary');
 const groqAIService = require('./groqAIService');
 const ocrAnalysisService = require('./ocrAnalysisService');
+const monitoringPolicyService = require('./monitoringPolicyService');
+const whitelistService = require('./whitelistService');
 
 class ClientMonitoringHandler {
   constructor() {
@@ -83,14 +85,20 @@ class ClientMonitoringHandler {
       
       console.log(`🚀 Client monitoring started for employee ${employeeId}`);
 
+      // Department decides which monitoring policies apply
+      const employee = await User.findById(employeeId).select('department').lean().catch(() => null);
+
       // Store session data
       this.activeSessions.set(employeeId, {
         employeeId,
         sessionId,
         socketId: socket.id,
+        department: employee?.department || null,
         startTime: new Date(),
         capabilities,
         lastActivity: null,
+        whitelistEntry: null, // Allowed entry the employee is on, for usage limits
+        usageCountedAt: null,
         violationCount: 0,
         lastViolationTime: null
       });
@@ -169,9 +177,15 @@ class ClientMonitoringHandler {
         isActive: activity.isActive
       });
 
+      // Time on the previous site counts towards its usage limits
+      await this.countWhitelistUsage(employeeId, session);
+
       // Update session last activity
       session.lastActivity = activity;
 
+      // Perform compliance check
+      const decision = await this.checkActivityCompliance(employeeId, activity);
+
       // Add to activity buffer
       const activityRecord = {
         employee: employeeId, // Use 'employee' field name as required by schema
@@ -192,6 +206,17 @@ class ClientMonitoringHandler {
         }
       };
 
+      // Keep flagged and alerted activity reviewable in reports
+      if (decision && decision.action !== 'allow') {
+        activityRecord.policy_decision = {
+          action: decision.action,
+          severity: decision.severity,
+          policy_name: decision.policy?.name,
+          policy_version: decision.policy?.version,
+          rule_description: decision.rule?.description || decision.rule?.pattern,
+        };
+      }
+
       this.activityBuffer.get(employeeId).push(activityRecord);
 
       // Check if activity buffer is full
@@ -199,9 +224,6 @@ class ClientMonitoringHandler {
         await this.flushActivities(employeeId);
       }
 
-      // Perform compliance check
-      await this.checkActivityCompliance(employeeId, activity);
-
     } catch (error) {
       console.error('❌ Error handling activity update:', error);
     }
@@ -389,310 +411,69 @@ class ClientMonitoringHandler {
   }
 
   /**
-   * Check activity compliance against whitelist
+   * Check activity against the whitelist, then the monitoring policies.
+   * Resolves to the policy decision, or null when the activity is whitelisted.
    */
   async checkActivityCompliance(employeeId, activity) {
     try {
-      // Check against whitelist first
-      const whitelistEntry = await WebsiteWhitelist.findOne({
-        $or: [
-          { url: activity.url },
-          { domain: activity.domain },
-          { url: new RegExp(activity.domain.replace(/\./g, '\\.'), 'i') }
-        ]
-      });
+      const session = this.activeSessions.get(employeeId);
 
-      const isWhitelisted = !!whitelistEntry;
+      // Check against whitelist first, including its time, usage and department/role restrictions
+      const whitelistCheck = await whitelistService.check({ url: activity.url }, employeeId);
+      if (session) {
+        session.whitelistEntry = whitelistCheck.allowed ? whitelistCheck.entry : null;
+      }
 
       // If whitelisted, allow it
-      if (isWhitelisted) {
+      if (whitelistCheck.allowed) {
         console.log(`✅ Whitelisted activity: ${activity.url}`);
-        return;
+        return null;
+      }
+      if (whitelistCheck.entry) {
+        console.log(`⛔ Whitelist restriction for ${activity.url}: ${whitelistCheck.reason}`);
       }
 
-      // Check if it's explicitly a violation (social media, games, entertainment)
-      const isExplicitViolation = this.isExplicitViolation(activity);
-
-      // Check if it's work-related
-      const isWorkRelated = this.isWorkRelatedActivity(activity);
+      const decision = await monitoringPolicyService.evaluate(activity, { department: session?.department });
 
-      // Trigger violation if it's explicitly a violation OR if it's not work-related
-      if (isExplicitViolation || !isWorkRelated) {
-        const violationType = isExplicitViolation ? 'explicit_violation' : 'non_work_activity';
-        await this.handlePotentialViolation(employeeId, activity, violationType);
-      } else {
-        console.log(`✅ Work-related activity allowed: ${activity.url}`);
+      if (decision.action === 'alert') {
+        await this.handlePotentialViolation(employeeId, activity, decision);
+      } else if (decision.action === 'flag') {
+        console.log(`🚩 Flagged activity for employee ${employeeId}: ${activity.url}`);
       }
 
+      return decision;
+
     } catch (error) {
       console.error('❌ Error checking activity compliance:', error);
+      return null;
     }
   }
 
   /**
-   * Check if activity is explicitly a policy violation
-   * (Social media, gaming, entertainment, etc.)
+   * Add the time since usage was last counted to the whitelisted site the
+   * employee is on. Hidden tabs do not count.
    */
-  isExplicitViolation(activity) {
-    const violationDomains = [
-      // Social Media
-      'facebook.com',
-      'instagram.com',
-      'twitter.com',
-      'x.com',
-      'tiktok.com',
-      'snapchat.com',
-      'linkedin.com', // Can be work-related but often personal
-      'pinterest.com',
-      'reddit.com',
-      'tumblr.com',
-      'discord.com',
-      'whatsapp.com',
-      'telegram.org',
-
-      // Entertainment & Video
-      'youtube.com',
-      'netflix.com',
-      'hulu.com',
-      'disney.com',
-      'disneyplus.com',
-      'amazon.com/prime',
-      'twitch.tv',
-      'vimeo.com',
-      'dailymotion.com',
-      'tiktok.com',
-
-      // Gaming
-      'steam.com',
-      'steamcommunity.com',
-      'epicgames.com',
-      'battle.net',
-      'blizzard.com',
-      'roblox.com',
-      'minecraft.net',
-      'ea.com',
-      'ubisoft.com',
-      'rockstargames.com',
-      'playstation.com',
-      'xbox.com',
-      'nintendo.com',
-      'itch.io',
-      'gog.com',
-
-      // News & Entertainment (non-work)
-      'buzzfeed.com',
-      '9gag.com',
-      'imgur.com',
-      'meme',
-      'funny',
-
-      // Shopping (personal)
-      'amazon.com', // General Amazon (not AWS)
-      'ebay.com',
-      'etsy.com',
-      'alibaba.com',
-      'aliexpress.com',
-      'walmart.com',
-      'target.com',
-      'bestbuy.com',
-
-      // Dating
-      'tinder.com',
-      'bumble.com',
-      'match.com',
-      'okcupid.com',
-      'pof.com',
-
-      // Adult Content (add more as needed)
-      'pornhub.com',
-      'xvideos.com',
-      'xhamster.com',
-      'redtube.com',
-      'youporn.com'
-    ];
-
-    const violationKeywords = [
-      'game', 'gaming', 'play', 'casino', 'bet', 'gambling',
-      'social', 'chat', 'dating', 'meme', 'funny', 'entertainment',
-      'stream', 'video', 'movie', 'tv', 'series', 'anime',
-      'shop', 'buy', 'sale', 'deal', 'coupon', 'fashion',
-      'adult', 'xxx', 'porn', 'sex'
-    ];
-
-    // Check domain against violation list
-    const domain = activity.domain.toLowerCase();
-    const url = activity.url.toLowerCase();
-    const title = (activity.title || '').toLowerCase();
-
-    // Direct domain match
-    if (violationDomains.some(vDomain => domain.includes(vDomain))) {
-      console.log(`🚨 Explicit violation detected - Domain: ${domain}`);
-      return true;
-    }
-
-    // URL path check for specific patterns
-    if (url.includes('youtube.com/watch') ||
-        url.includes('facebook.com/') ||
-        url.includes('instagram.com/') ||
-        url.includes('twitter.com/') ||
-        url.includes('x.com/') ||
-        url.includes('tiktok.com/') ||
-        url.includes('reddit.com/r/') ||
-        url.includes('twitch.tv/') ||
-        url.includes('netflix.com/watch') ||
-        url.includes('amazon.com/gp/video') ||
-        url.includes('steam.com/app/')) {
-      console.log(`🚨 Explicit violation detected - URL pattern: ${url}`);
-      return true;
-    }
-
-    // Keyword check in URL or title
-    if (violationKeywords.some(keyword =>
-        url.includes(keyword) || title.includes(keyword))) {
-      console.log(`🚨 Explicit violation detected - Keyword match: ${url} | ${title}`);
-      return true;
-    }
-
-    return false;
-  }
-
-  /**
-   * Determine if activity is work-related
-   */
-  isWorkRelatedActivity(activity) {
-    const workDomains = [
-      // Development & Programming
-      'github.com',
-      'gitlab.com',
-      'bitbucket.org',
-      'stackoverflow.com',
-      'stackexchange.com',
-      'developer.mozilla.org',
-      'w3schools.com',
-      'codepen.io',
-      'jsfiddle.net',
-
-      // Communication & Collaboration
-      'slack.com',
-      'teams.microsoft.com',
-      'zoom.us',
-      'meet.google.com',
-      'webex.com',
-      'gotomeeting.com',
-      'skype.com',
-
-      // Google Workspace (specific work tools)
-      'docs.google.com',
-      'sheets.google.com',
-      'slides.google.com',
-      'drive.google.com',
-      'calendar.google.com',
-      'gmail.com',
-
-      // Microsoft Office
-      'office.com',
-      'outlook.com',
-      'onedrive.com',
-      'sharepoint.com',
-
-      // Cloud Services & Tools
-      'aws.amazon.com',
-      'console.aws.amazon.com',
-      'azure.microsoft.com',
-      'cloud.google.com',
-      'heroku.com',
-      'vercel.com',
-      'netlify.com',
-
-      // Design & Creative Tools
-      'figma.com',
-      'canva.com',
-      'adobe.com',
-      'sketch.com',
-
-      // Project Management
-      'trello.com',
-      'asana.com',
-      'monday.com',
-      'notion.so',
-      'airtable.com',
-      'jira.atlassian.com',
-
-      // Documentation & Learning
-      'confluence.atlassian.com',
-      'wiki.',
-      'documentation',
-      'docs.',
-      'api.',
-
-      // Development environments
-      'localhost',
-      '127.0.0.1',
-      'infiverse',
-      'workflowmanager',
-      'vercel.app'
-    ];
-
-    const workKeywords = [
-      'api', 'documentation', 'docs', 'tutorial', 'guide',
-      'development', 'programming', 'code', 'software',
-      'project', 'task', 'meeting', 'conference', 'webinar',
-      'dashboard', 'admin', 'management', 'analytics',
-      'business', 'enterprise', 'corporate', 'professional'
-    ];
-
-    const domain = activity.domain.toLowerCase();
-    const url = activity.url.toLowerCase();
-    const title = (activity.title || '').toLowerCase();
-
-    // Check if it's the application itself
-    if (activity.url && (
-      activity.url.includes('localhost') ||
-      activity.url.includes('127.0.0.1') ||
-      activity.url.includes('infiverse') ||
-      activity.url.includes('workflowmanager') ||
-      activity.url.includes('vercel.app')
-    )) {
-      return true;
-    }
+  async countWhitelistUsage(employeeId, session) {
+    const now = new Date();
+    const since = session.usageCountedAt;
+    session.usageCountedAt = now;
 
-    // Direct domain match
-    if (workDomains.some(wDomain => domain.includes(wDomain))) {
-      return true;
-    }
-
-    // Keyword check in URL or title
-    if (workKeywords.some(keyword =>
-        url.includes(keyword) || title.includes(keyword))) {
-      return true;
-    }
+    if (!since || !session.whitelistEntry || session.lastActivity?.isActive === false) return;
 
-    // Special case for Google - only allow specific work-related paths
-    if (domain.includes('google.com')) {
-      if (url.includes('docs.google.com') ||
-          url.includes('sheets.google.com') ||
-          url.includes('slides.google.com') ||
-          url.includes('drive.google.com') ||
-          url.includes('calendar.google.com') ||
-          url.includes('gmail.com') ||
-          url.includes('meet.google.com') ||
-          url.includes('cloud.google.com') ||
-          url.includes('console.cloud.google.com')) {
-        return true;
-      }
-      // Regular google.com searches might be work-related, allow them
-      if (url.includes('google.com/search')) {
-        return true;
-      }
+    try {
+      await whitelistService.recordUsage(session.whitelistEntry, employeeId, (now - since) / 1000, {
+        sessionId: session.sessionId,
+        at: now
+      });
+    } catch (error) {
+      console.error('❌ Error recording whitelist usage:', error);
     }
-
-    return false;
   }
 
   /**
    * Handle potential policy violation
    */
-  async handlePotentialViolation(employeeId, activity, violationType = 'unauthorized_website') {
+  async handlePotentialViolation(employeeId, activity, decision) {
     try {
       const session = this.activeSessions.get(employeeId);
       if (!session) return;
@@ -705,7 +486,7 @@ class ClientMonitoringHandler {
         return;
       }
 
-      console.log(`🚨 ${violationType.toUpperCase()} violation detected for employee ${employeeId}: ${activity.url}`);
+      console.log(`🚨 ${decision.severity.toUpperCase()} policy violation detected for employee ${employeeId}: ${activity.url}`);
 
       // Update violation tracking
       session.violationCount++;
@@ -716,7 +497,7 @@ class ClientMonitoringHandler {
       if (socket) {
         socket.emit('monitoring-request', {
           action: 'capture_violation',
-          reason: violationType,
+          reason: 'policy_violation',
           url: activity.url,
           domain: activity.domain,
           title: activity.title,
@@ -724,8 +505,8 @@ class ClientMonitoringHandler {
         });
       }
 
-      // Create monitoring alert with appropriate type and severity
-      const alertConfig = this.getAlertConfig(violationType, activity);
+      // Create monitoring alert with the type and severity the policy asks for
+      const alertConfig = this.getAlertConfig(decision, activity);
 
       const alert = new MonitoringAlert({
         employee: employeeId, // Use 'employee' field name as required by schema
@@ -736,13 +517,15 @@ class ClientMonitoringHandler {
         session_id: session.sessionId,
         data: {
           website_url: activity.url,
-          violation_type: violationType,
+          application_name: decision.rule?.type === 'application' ? activity.application : undefined,
           activity_data: {
             url: activity.url,
             title: activity.title,
             domain: activity.domain,
             timestamp: activity.timestamp,
-            source: 'client_monitoring'
+            source: 'client_monitoring',
+            policy: decision.policy,
+            rule: decision.rule
           }
         }
       });
@@ -755,75 +538,19 @@ class ClientMonitoringHandler {
   }
 
   /**
-   * Get alert configuration based on violation type
+   * Get alert configuration from the matching policy rule
    */
-  getAlertConfig(violationType, activity) {
-    const domain = activity.domain.toLowerCase();
-    const url = activity.url.toLowerCase();
-
-    // Social Media violations
-    if (domain.includes('facebook.com') || domain.includes('instagram.com') ||
-        domain.includes('twitter.com') || domain.includes('x.com') ||
-        domain.includes('tiktok.com') || domain.includes('snapchat.com')) {
-      return {
-        type: 'social_media_access',
-        title: 'Social Media Access Detected',
-        description: `Employee accessed social media platform: ${activity.domain}`,
-        severity: 'high'
-      };
-    }
+  getAlertConfig(decision, activity) {
+    const { rule, policy } = decision;
+    const isApplication = rule?.type === 'application';
+    const label = rule?.description || (isApplication ? 'Application' : 'Website');
+    const target = isApplication ? activity.application : activity.domain || activity.url;
 
-    // Gaming violations
-    if (domain.includes('steam.com') || domain.includes('epicgames.com') ||
-        domain.includes('battle.net') || domain.includes('roblox.com') ||
-        domain.includes('minecraft.net') || url.includes('game')) {
-      return {
-        type: 'gaming_access',
-        title: 'Gaming Platform Access Detected',
-        description: `Employee accessed gaming platform: ${activity.domain}`,
-        severity: 'high'
-      };
-    }
-
-    // Entertainment violations
-    if (domain.includes('youtube.com') || domain.includes('netflix.com') ||
-        domain.includes('twitch.tv') || domain.includes('hulu.com')) {
-      return {
-        type: 'entertainment_access',
-        title: 'Entertainment Platform Access Detected',
-        description: `Employee accessed entertainment platform: ${activity.domain}`,
-        severity: 'medium'
-      };
-    }
-
-    // Shopping violations
-    if (domain.includes('amazon.com') || domain.includes('ebay.com') ||
-        domain.includes('etsy.com') || domain.includes('walmart.com')) {
-      return {
-        type: 'shopping_access',
-        title: 'Shopping Website Access Detected',
-        description: `Employee accessed shopping website: ${activity.domain}`,
-        severity: 'medium'
-      };
-    }
-
-    // Adult content violations
-    if (domain.includes('pornhub.com') || domain.includes('xvideos.com') ||
-        url.includes('adult') || url.includes('xxx')) {
-      return {
-        type: 'inappropriate_content',
-        title: 'Inappropriate Content Access Detected',
-        description: `Employee accessed inappropriate content: ${activity.domain}`,
-        severity: 'critical'
-      };
-    }
-
-    // Default violation
     return {
-      type: 'unauthorized_website',
-      title: 'Unauthorized Website Access',
-      description: `Employee accessed unauthorized website: ${activity.url}`,
-      severity: 'medium'
+      type: isApplication ? 'application_misuse' : 'unauthorized_website',
+      title: `${label} Access Detected`,
+      description: `Employee accessed ${target}, which the "${policy?.name || 'monitoring'}" policy reports`,
+      severity: decision.severity
     };
   }
 
@@ -929,6 +656,10 @@ class ClientMonitoringHandler {
       for (const employeeId of this.activityBuffer.keys()) {
         await this.flushActivities(employeeId);
       }
+      // The client only reports changes, so long visits are counted here
+      for (const [employeeId, session] of this.activeSessions) {
+        await this.countWhitelistUsage(employeeId, session);
+      }
     }, this.config.activityFlushInterval);
 
     console.log('⏰ Periodic activity flushing started');
@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Department = require('../models/Department');
+const Notification = require('../models/Notification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tasks blocking at least this many downstream tasks are reported as bottlenecks
+const BOTTLENECK_THRESHOLD = 2;
+const MAX_BOTTLENECKS = 5;
+
+// Slack values within this window of the minimum are treated as critical
+const CRITICAL_TOLERANCE_MS = 60 * 60 * 1000;
+
+class DependencyAnalyzer {
+  /**
+   * Normalise a task id (ObjectId, populated document or string) to a string
+   */
+  toId(value) {
+    if (!value) return null;
+    return String(value._id || value);
+  }
+
+  /**
+   * Build an adjacency graph from tasks and their `dependencies` field.
+   * Edges point from a dependency to the task that waits on it.
+   */
+  buildGraph(tasks) {
+    const nodes = new Map();
+    const missing = [];
+
+    tasks.forEach(task => {
+      nodes.set(this.toId(task), {
+        id: this.toId(task),
+        task,
+        dependencies: [],
+        dependents: []
+      });
+    });
+
+    nodes.forEach(node => {
+      (node.task.dependencies || []).forEach(dep => {
+        const depId = this.toId(dep);
+        if (!nodes.has(depId)) {
+          missing.push({ task: node.id, dependency: depId });
+          return;
+        }
+        if (!node.dependencies.includes(depId)) {
+          node.dependencies.push(depId);
+          nodes.get(depId).dependents.push(node.id);
+        }
+      });
+    });
+
+    return { nodes, missing };
+  }
+
+  /**
+   * Kahn's algorithm. Tasks that never reach in-degree zero sit on or behind a cycle.
+   */
+  topologicalOrder(graph) {
+    const inDegree = new Map();
+    graph.nodes.forEach(node => inDegree.set(node.id, node.dependencies.length));
+
+    const queue = [...graph.nodes.keys()].filter(id => inDegree.get(id) === 0);
+    const order = [];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      graph.nodes.get(id).dependents.forEach(dependentId => {
+        inDegree.set(dependentId, inDegree.get(dependentId) - 1);
+        if (inDegree.get(dependentId) === 0) queue.push(dependentId);
+      });
+    }
+
+    const ordered = new Set(order);
+    const unresolved = [...graph.nodes.keys()].filter(id => !ordered.has(id));
+
+    return { order, unresolved };
+  }
+
+  /**
+   * Find dependency cycles with a depth-first search. Each cycle is returned as
+   * an ordered list of task ids where every task depends on the next one and
+   * the last depends on the first.
+   */
+  findCycles(graph) {
+    const cycles = [];
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (id) => {
+      state.set(id, 'visiting');
+      stack.push(id);
+
+      graph.nodes.get(id).dependencies.forEach(depId => {
+        if (state.get(depId) === 'visiting') {
+          cycles.push(stack.slice(stack.indexOf(depId)));
+        } else if (!state.has(depId)) {
+          visit(depId);
+        }
+      });
+
+      stack.pop();
+      state.set(id, 'done');
+    };
+
+    graph.nodes.forEach((node, id) => {
+      if (!state.has(id)) visit(id);
+    });
+
+    return cycles;
+  }
+
+  /**
+   * Breadth-first search along `dependencies` from a set of tasks to another,
+   * loading one level of the graph per query. Tasks already fetched are passed
+   * in `known` (id -> { title, dependencies }) and loaded ones are added to it.
+   * Returns the chain of ids from one of `fromIds` to `toId`, or null if
+   * unreachable.
+   */
+  async findDependencyPath(fromIds, toId, known = new Map()) {
+    const parents = new Map(fromIds.map(id => [id, null]));
+    let frontier = [...fromIds];
+
+    while (frontier.length > 0) {
+      const reached = frontier.find(id => id === toId);
+      if (reached) {
+        const path = [];
+        for (let step = reached; step !== null; step = parents.get(step)) path.unshift(step);
+        return path;
+      }
+
+      const missing = frontier.filter(id => !known.has(id));
+      if (missing.length > 0) {
+        const tasks = await Task.find({ _id: { $in: missing } }).select('title dependencies').lean();
+        tasks.forEach(task => known.set(String(task._id), task));
+      }
+
+      const next = [];
+      frontier.forEach(id => {
+        const task = known.get(id);
+        if (!task) return;
+        (task.dependencies || []).forEach(dep => {
+          const depId = this.toId(dep);
+          if (depId && !parents.has(depId)) {
+            parents.set(depId, id);
+            next.push(depId);
+          }
+        });
+      });
+      frontier = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a proposed dependency list for a task before it is written.
+   * References to tasks that no longer exist are stripped; a self reference or
+   * a dependency that would close a loop back to the task is rejected. Only
+   * the tasks reachable from the requested dependencies are loaded.
+   *
+   * Resolves to { dependencies, removed } or { error, cycle }.
+   */
+  async validateDependencies(taskId, dependencyIds) {
+    const selfId = taskId ? String(taskId) : null;
+    const requested = [...new Set((dependencyIds || []).map(id => this.toId(id)).filter(Boolean))];
+
+    if (selfId && requested.includes(selfId)) {
+      return { error: 'A task cannot depend on itself', cycle: [selfId] };
+    }
+
+    const validIds = requested.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const lookup = selfId && mongoose.Types.ObjectId.isValid(selfId) ? [...validIds, selfId] : validIds;
+    const tasks = lookup.length > 0
+      ? await Task.find({ _id: { $in: lookup } }).select('title dependencies').lean()
+      : [];
+    const known = new Map(tasks.map(t => [String(t._id), t]));
+
+    const dependencies = validIds.filter(id => known.has(id));
+    const removed = requested.filter(id => !dependencies.includes(id));
+
+    // A brand new task has no dependents yet, so it cannot close a loop
+    if (!selfId || !known.has(selfId) || dependencies.length === 0) {
+      return { dependencies, removed };
+    }
+
+    const path = await this.findDependencyPath(dependencies, selfId, known);
+    if (path) {
+      const cycle = [selfId, ...path];
+      const titles = cycle.map(id => `'${known.get(id).title}'`);
+      return {
+        error: `Dependency cycle detected: ${titles.join(' -> ')}`,
+        cycle
+      };
+    }
+
+    return { dependencies, removed };
+  }
+
+  /**
+   * Dependencies still holding a task back, if its department runs in
+   * strict dependencies mode. Returns an empty list otherwise.
+   */
+  async findStrictBlockers(task) {
+    if (!task || !task.dependencies || task.dependencies.length === 0) return [];
+
+    const department = await Department.findById(this.toId(task.department)).select('strictDependencies').lean();
+    if (!department || !department.strictDependencies) return [];
+
+    return Task.find({
+      _id: { $in: task.dependencies.map(dep => this.toId(dep)) },
+      status: { $ne: 'Completed' }
+    }).select('title status').lean();
+  }
+
+  /**
+   * After a task is completed, notify the assignee of every dependent task
+   * whose last incomplete dependency this was.
+   */
+  async notifyUnblockedDependents(completedTask) {
+    const dependents = await Task.find({
+      dependencies: completedTask._id,
+      status: { $ne: 'Completed' }
+    }).select('title assignee dependencies').lean();
+
+    const unblocked = [];
+
+    for (const dependent of dependents) {
+      const remaining = await Task.countDocuments({
+        _id: { $in: dependent.dependencies },
+        status: { $ne: 'Completed' }
+      });
+      if (remaining > 0) continue;
+
+      await Notification.create({
+        recipient: dependent.assignee,
+        type: 'task_unblocked',
+        title: 'Task Unblocked',
+        message: `'${completedTask.title}' is completed. You can now start working on '${dependent.title}'.`,
+        task: dependent._id
+      });
+      unblocked.push(dependent);
+    }
+
+    return unblocked;
+  }
+
+  /**
+   * Planned duration of a task: from its start (or creation) to due date, at least one day
+   */
+  plannedDuration(task) {
+    const start = task.startDate || task.createdAt;
+    if (!task.dueDate || !start) return DAY_MS;
+    return Math.max(DAY_MS, new Date(task.dueDate) - new Date(start));
+  }
+
+  /**
+   * Work left on a task, scaled by its reported progress
+   */
+  remainingDuration(task) {
+    if (task.status === 'Completed') return 0;
+    const progress = Math.min(100, Math.max(0, task.progress || 0));
+    return this.plannedDuration(task) * (1 - progress / 100);
+  }
+
+  /**
+   * Count the incomplete tasks reachable downstream of a task
+   */
+  countDownstream(graph, id) {
+    const seen = new Set();
+    const queue = [...graph.nodes.get(id).dependents];
+
+    while (queue.length > 0) {
+      const next = queue.shift();
+      if (seen.has(next)) continue;
+      seen.add(next);
+      queue.push(...graph.nodes.get(next).dependents);
+    }
+
+    return [...seen].filter(depId => graph.nodes.get(depId).task.status !== 'Completed').length;
+  }
+
+  /**
+   * Run a critical path analysis over the given tasks.
+   *
+   * Forward pass: a task can start once all of its dependencies are finished
+   * (never earlier than now) and takes its remaining duration.
+   * Backward pass: a task must finish by its own due date and early enough for
+   * every dependent to start on time. Slack is the gap between the two.
+   */
+  analyze(tasks, now = new Date()) {
+    const graph = this.buildGraph(tasks);
+    const { order, unresolved } = this.topologicalOrder(graph);
+    const cycles = unresolved.length > 0 ? this.findCycles(graph) : [];
+    const nowMs = new Date(now).getTime();
+    const schedule = new Map();
+
+    // Forward pass
+    order.forEach(id => {
+      const node = graph.nodes.get(id);
+      const remaining = this.remainingDuration(node.task);
+      const earliestStart = node.dependencies.reduce(
+        (latest, depId) => Math.max(latest, schedule.get(depId).earliestFinish),
+        nowMs
+      );
+      schedule.set(id, { remaining, earliestStart, earliestFinish: earliestStart + remaining });
+    });
+
+    const projectedFinish = Math.max(nowMs, ...[...schedule.values()].map(s => s.earliestFinish));
+
+    // Backward pass
+    [...order].reverse().forEach(id => {
+      const node = graph.nodes.get(id);
+      const entry = schedule.get(id);
+      let latestFinish = node.task.dueDate ? new Date(node.task.dueDate).getTime() : Infinity;
+
+      node.dependents.forEach(dependentId => {
+        const dependent = schedule.get(dependentId);
+        if (dependent) latestFinish = Math.min(latestFinish, dependent.latestStart);
+      });
+
+      if (latestFinish === Infinity) latestFinish = projectedFinish;
+
+      entry.latestFinish = latestFinish;
+      entry.latestStart = latestFinish - entry.remaining;
+      entry.slack = latestFinish - entry.earliestFinish;
+    });
+
+    const openIds = order.filter(id => graph.nodes.get(id).task.status !== 'Completed');
+    const minSlack = openIds.length > 0 ? Math.min(...openIds.map(id => schedule.get(id).slack)) : 0;
+    const criticalIds = new Set(
+      openIds.filter(id => schedule.get(id).slack - minSlack <= CRITICAL_TOLERANCE_MS)
+    );
+
+    const criticalPath = this.traceCriticalPath(graph, schedule, criticalIds);
+
+    const bottlenecks = openIds
+      .map(id => ({
+        task: id,
+        title: graph.nodes.get(id).task.title,
+        status: graph.nodes.get(id).task.status,
+        blockedCount: this.countDownstream(graph, id)
+      }))
+      .filter(b => b.blockedCount >= BOTTLENECK_THRESHOLD)
+      .sort((a, b) => b.blockedCount - a.blockedCount)
+      .slice(0, MAX_BOTTLENECKS);
+
+    const slack = {};
+    const taskSummaries = order.map(id => {
+      const node = graph.nodes.get(id);
+      const entry = schedule.get(id);
+      const slackDays = Math.round((entry.slack / DAY_MS) * 10) / 10;
+      slack[id] = slackDays;
+
+      return {
+        id,
+        title: node.task.title,
+        status: node.task.status,
+        progress: node.task.progress || 0,
+        dueDate: node.task.dueDate,
+        dependencies: node.dependencies,
+        earliestStart: new Date(entry.earliestStart).toISOString(),
+        earliestFinish: new Date(entry.earliestFinish).toISOString(),
+        latestFinish: new Date(entry.latestFinish).toISOString(),
+        slackDays,
+        isCritical: criticalIds.has(id),
+        downstreamCount: this.countDownstream(graph, id)
+      };
+    });
+
+    return {
+      generatedAt: new Date(nowMs).toISOString(),
+      projectedFinish: new Date(projectedFinish).toISOString(),
+      criticalPath,
+      bottlenecks,
+      slack,
+      tasks: taskSummaries,
+      cycles,
+      missingDependencies: graph.missing,
+      suggestions: this.buildSuggestions(graph, schedule, criticalPath, bottlenecks, cycles)
+    };
+  }
+
+  /**
+   * Walk back from the latest-finishing critical task through the dependency
+   * that drives its start date, giving the chain in execution order.
+   */
+  traceCriticalPath(graph, schedule, criticalIds) {
+    if (criticalIds.size === 0) return [];
+
+    let current = [...criticalIds].reduce((best, id) =>
+      schedule.get(id).earliestFinish > schedule.get(best).earliestFinish ? id : best
+    );
+    const path = [current];
+
+    while (current) {
+      const drivers = graph.nodes.get(current).dependencies.filter(depId => criticalIds.has(depId));
+      if (drivers.length === 0) break;
+      current = drivers.reduce((best, id) =>
+        schedule.get(id).earliestFinish > schedule.get(best).earliestFinish ? id : best
+      );
+      path.unshift(current);
+    }
+
+    return path;
+  }
+
+  /**
+   * Turn the analysis into short, human readable recommendations
+   */
+  buildSuggestions(graph, schedule, criticalPath, bottlenecks, cycles) {
+    const suggestions = [];
+    const titleOf = id => graph.nodes.get(id).task.title;
+
+    if (criticalPath.length > 0) {
+      suggestions.push(
+        `Prioritize '${titleOf(criticalPath[0])}': it starts the critical path of ${criticalPath.length} task(s)`
+      );
+    }
+
+    bottlenecks.forEach(b => {
+      suggestions.push(`'${b.title}' is blocking ${b.blockedCount} downstream tasks`);
+    });
+
+    schedule.forEach((entry, id) => {
+      const task = graph.nodes.get(id).task;
+      if (task.status !== 'Completed' && entry.slack < 0) {
+        const days = Math.ceil(-entry.slack / DAY_MS);
+        suggestions.push(`'${task.title}' is projected to finish ${days} day(s) after its due date`);
+      }
+    });
+
+    cycles.forEach(cycle => {
+      suggestions.push(`Circular dependency between ${cycle.map(id => `'${titleOf(id)}'`).join(' -> ')}`);
+    });
+
+    return suggestions;
+  }
+}
+
+module.exports = new DependencyAnalyzer();
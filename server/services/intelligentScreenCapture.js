@@ -8,6 +8,7 @@ const MonitoringAlert = require('../models/MonitoringAlert');
 const WebsiteWhitelist = require('../models/WebsiteWhitelist');
 const groqAIService = require('./groqAIService');
 const ocrAnalysisService = require('./ocrAnalysisService');
+const whitelistService = require('./whitelistService');
 const { uploadViolationScreenshot, uploadRegularScreenshot } = require('../utils/cloudinary');
 
 class IntelligentScreenCaptureService {
@@ -709,8 +710,19 @@ Respond in JSON format:
       const session = this.activeSessions.get(employeeId);
       if (!session) return { isWhitelisted: false, reason: 'No active session' };
 
+      // Website entries can have time and usage restrictions, so they are
+      // checked every time rather than cached
+      if (applicationData.url) {
+        const result = await whitelistService.check({ url: applicationData.url }, employeeId);
+        return {
+          isWhitelisted: result.allowed,
+          reason: result.reason,
+          entry: result.entry
+        };
+      }
+
       // Check cache first
-      const cacheKey = applicationData.url || applicationData.name || 'unknown';
+      const cacheKey = applicationData.name || 'unknown';
       if (session.whitelistCache.has(cacheKey)) {
         return session.whitelistCache.get(cacheKey);
       }
@@ -718,14 +730,7 @@ Respond in JSON format:
       // Check database
       let whitelistResult = { isWhitelisted: false, reason: 'Not in whitelist' };
 
-      if (applicationData.url) {
-        const result = await WebsiteWhitelist.isWhitelisted(applicationData.url, employeeId);
-        whitelistResult = {
-          isWhitelisted: result.allowed,
-          reason: result.reason,
-          entry: result.entry
-        };
-      } else if (applicationData.name) {
+      if (applicationData.name) {
         // Check for application name in whitelist
         const entry = await WebsiteWhitelist.findOne({
           $or: [
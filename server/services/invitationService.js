@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const SecuritySettings = require('../models/SecuritySettings');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { checkPasswordStrength } = require('../utils/password');
+const { sendInvitationEmail } = require('../utils/emailService');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+const DAY = 24 * 60 * 60 * 1000;
+const ROLES = ['Admin', 'Manager', 'User'];
+const REGISTRATION_MODES = ['closed', 'domain', 'open'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+const emailDomain = (email) => String(email || '').toLowerCase().trim().split('@')[1] || '';
+
+class InvitationService {
+  /**
+   * Whether anyone can register. Until the first admin exists, registration
+   * stays open so a new installation can be set up.
+   */
+  async isBootstrap() {
+    return !(await User.exists({ role: 'Admin' }));
+  }
+
+  /**
+   * The registration policy as shown on the register page
+   */
+  async describeRegistration() {
+    const settings = await SecuritySettings.current();
+    const bootstrap = await this.isBootstrap();
+    return {
+      mode: settings.registrationMode,
+      domains: settings.registrationMode === 'domain' ? [...settings.registrationDomains] : [],
+      open: bootstrap || settings.registrationMode !== 'closed',
+      bootstrap,
+    };
+  }
+
+  /**
+   * Whether someone with this email may register without an invitation
+   */
+  async selfRegistrationAllowed(email) {
+    if (await this.isBootstrap()) return true;
+    const settings = await SecuritySettings.current();
+    if (settings.registrationMode === 'open') return true;
+    return settings.registrationMode === 'domain' && settings.registrationDomains.includes(emailDomain(email));
+  }
+
+  /**
+   * Change the registration policy ({ mode, domains }). Resolves to { error }
+   * when it is invalid, otherwise to the new policy.
+   */
+  async updateRegistration({ mode, domains }, updatedBy) {
+    const settings = await SecuritySettings.current();
+
+    if (mode !== undefined) {
+      if (!REGISTRATION_MODES.includes(mode)) {
+        return { error: 'Invalid registration mode' };
+      }
+      settings.registrationMode = mode;
+    }
+    if (domains !== undefined) {
+      if (!Array.isArray(domains)) {
+        return { error: 'Domains must be a list' };
+      }
+      const cleaned = [...new Set(domains.map((domain) => String(domain).toLowerCase().trim().replace(/^@/, '')))];
+      const invalid = cleaned.find((domain) => !DOMAIN_PATTERN.test(domain));
+      if (invalid !== undefined) {
+        return { error: `Invalid domain: ${invalid}` };
+      }
+      settings.registrationDomains = cleaned;
+    }
+    if (settings.registrationMode === 'domain' && settings.registrationDomains.length === 0) {
+      return { error: 'Add at least one domain to limit registration to' };
+    }
+
+    settings.updatedBy = updatedBy;
+    await settings.save();
+    return this.describeRegistration();
+  }
+
+  /**
+   * Invitations the caller can see: all of them for admins, otherwise the ones
+   * they sent or that are for a department they run. Accepted and revoked
+   * invitations are left out.
+   */
+  async listOpen(access) {
+    const filter = { acceptedAt: null, revokedAt: null };
+    if (!access.isAdmin) {
+      filter.$or = [
+        { invitedBy: access.userId },
+        { department: { $in: access.managed.map((id) => new mongoose.Types.ObjectId(id)) } },
+      ];
+    }
+
+    const invitations = await Invitation.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'name')
+      .populate('department', 'name')
+      .lean();
+    const now = new Date();
+    return invitations.map((invitation) => ({
+      ...invitation,
+      status: invitation.expiresAt > now ? 'pending' : 'expired',
+    }));
+  }
+
+  /**
+   * An open invitation the caller may resend or revoke, or null
+   */
+  async findManageable(id, access) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const invitation = await Invitation.findOne({ _id: id, acceptedAt: null, revokedAt: null });
+    if (!invitation) return null;
+    if (access.isAdmin || String(invitation.invitedBy) === access.userId || access.manages(invitation.department)) {
+      return invitation;
+    }
+    return null;
+  }
+
+  /**
+   * Invite someone ({ email, name, role, department }). Admins may invite any
+   * role; managers may invite Users into departments they run. An open
+   * invitation to the same email is replaced. Resolves to
+   * { invitation, emailSent } or { error }.
+   */
+  async create({ email, name, role = 'User', department }, access) {
+    const address = String(email || '').toLowerCase().trim();
+    if (!EMAIL_PATTERN.test(address)) {
+      return { error: 'A valid email address is required' };
+    }
+    if (!ROLES.includes(role)) {
+      return { error: 'Invalid role' };
+    }
+    if (!access.isAdmin) {
+      if (role !== 'User') {
+        return { error: 'Only an administrator can invite Admins or Managers' };
+      }
+      if (!department || !access.manages(department)) {
+        return { error: 'Choose a department you manage' };
+      }
+    }
+    if (department && !(mongoose.Types.ObjectId.isValid(department) && (await Department.exists({ _id: department })))) {
+      return { error: 'Department not found' };
+    }
+    if (await User.exists({ email: address })) {
+      return { error: 'A user with this email already exists' };
+    }
+
+    await Invitation.updateMany(
+      { email: address, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date(), updatedAt: new Date() } }
+    );
+
+    const { token, hash } = generateToken();
+    const invitation = await Invitation.create({
+      email: address,
+      name: name ? String(name).trim() : undefined,
+      role,
+      department: department || undefined,
+      tokenHash: hash,
+      invitedBy: access.userId,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * DAY),
+    });
+
+    return { invitation, emailSent: await this.send(invitation, token) };
+  }
+
+  /**
+   * Send the invitation again with a new link and a fresh expiry. The old link
+   * stops working. Resolves to whether the email went out.
+   */
+  async resend(invitation) {
+    const { token, hash } = generateToken();
+    invitation.tokenHash = hash;
+    invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * DAY);
+    invitation.sentAt = new Date();
+    await invitation.save();
+    return this.send(invitation, token);
+  }
+
+  async revoke(invitation) {
+    invitation.revokedAt = new Date();
+    await invitation.save();
+  }
+
+  async send(invitation, token) {
+    const [inviter, department] = await Promise.all([
+      User.findById(invitation.invitedBy).select('name'),
+      invitation.department ? Department.findById(invitation.department).select('name') : null,
+    ]);
+
+    try {
+      await sendInvitationEmail(invitation, token, {
+        inviterName: inviter ? inviter.name : 'Your administrator',
+        departmentName: department && department.name,
+        expiresInDays: INVITATION_TTL_DAYS,
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to send invitation email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * The open, unexpired invitation behind an emailed link, or null
+   */
+  async findByToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    return Invitation.findOne({
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .populate('invitedBy', 'name')
+      .populate('department', 'name');
+  }
+
+  /**
+   * Create the invited account with the role and department from the
+   * invitation. The emailed link proves the address, so it starts verified.
+   * Resolves to { user } or { error }.
+   */
+  async accept(token, { name, password }) {
+    const invitation = await this.findByToken(token);
+    if (!invitation) {
+      return { error: 'This invitation is invalid or has expired' };
+    }
+
+    const fullName = String(name || invitation.name || '').trim();
+    if (!fullName) {
+      return { error: 'Name is required' };
+    }
+    const passwordError = checkPasswordStrength(password, { email: invitation.email, name: fullName });
+    if (passwordError) {
+      return { error: passwordError };
+    }
+    if (await User.exists({ email: invitation.email })) {
+      return { error: 'An account with this email already exists. Try logging in instead.' };
+    }
+
+    // Claimed first so the same link cannot create two accounts
+    const claimed = await Invitation.updateOne(
+      { _id: invitation._id, acceptedAt: null },
+      { $set: { acceptedAt: new Date(), updatedAt: new Date() } }
+    );
+    if (claimed.modifiedCount !== 1) {
+      return { error: 'This invitation is invalid or has expired' };
+    }
+
+    const departmentId = invitation.department ? invitation.department._id : undefined;
+    let user;
+    try {
+      user = await User.create({
+        name: fullName,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        department: departmentId,
+        emailVerified: true,
+      });
+    } catch (error) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+      throw error;
+    }
+
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedUser: user._id } });
+    if (departmentId) {
+      await Department.updateOne({ _id: departmentId }, { $addToSet: { members: user._id } });
+    }
+    return { user };
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,110 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MINUTE = 60 * 1000;
+// Failures allowed before the first lockout. An IP gets more room since an
+// office can share one address.
+const THRESHOLDS = {
+  account: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  ip: parseInt(process.env.LOGIN_LOCKOUT_IP_THRESHOLD) || 20,
+};
+// The first lockout lasts this long and each further failure doubles it, up to the maximum
+const BASE_LOCK_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1) * MINUTE;
+const MAX_LOCK_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * MINUTE;
+// Failures are forgotten after this long without another one
+const FAILURE_MEMORY_MS = 60 * MINUTE;
+const RECORD_TTL_MS = 24 * 60 * MINUTE;
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+class LoginLockout {
+  targets(email, ip) {
+    const targets = [{ kind: 'ip', identifier: ip || 'unknown' }];
+    if (normalizeEmail(email)) targets.push({ kind: 'account', identifier: normalizeEmail(email) });
+    return targets;
+  }
+
+  /**
+   * Whether sign-in is currently locked for the email or the IP. Resolves to
+   * { locked, retryAfter } with retryAfter in seconds.
+   */
+  async check(email, ip) {
+    const locks = await LoginAttempt.find({
+      $or: this.targets(email, ip),
+      lockedUntil: { $gt: new Date() },
+    }).select('lockedUntil');
+
+    if (locks.length === 0) return { locked: false, retryAfter: 0 };
+    const until = Math.max(...locks.map((lock) => lock.lockedUntil.getTime()));
+    return { locked: true, retryAfter: Math.ceil((until - Date.now()) / 1000) };
+  }
+
+  /**
+   * Count a failed password or two-factor code against the email and the IP,
+   * locking either once it passes its threshold
+   */
+  async recordFailure(email, ip, user) {
+    const now = new Date();
+
+    for (const target of this.targets(email, ip)) {
+      // A quiet spell wipes the slate, unless a lockout is still running
+      await LoginAttempt.updateOne(
+        {
+          ...target,
+          lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_MEMORY_MS) },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        { $set: { failures: 0 } },
+      );
+
+      // Counted atomically so parallel guesses cannot share one failure
+      const attempt = await LoginAttempt.findOneAndUpdate(
+        target,
+        {
+          $inc: { failures: 1 },
+          $set: {
+            lastFailureAt: now,
+            lastIp: ip,
+            expiresAt: new Date(now.getTime() + RECORD_TTL_MS),
+            updatedAt: now,
+            ...(target.kind === 'account' && user && { user: user._id || user }),
+          },
+          $setOnInsert: { createdAt: now },
+        },
+        { upsert: true, new: true },
+      );
+
+      const over = attempt.failures - THRESHOLDS[target.kind];
+      if (over >= 0) {
+        const lockMs = Math.min(BASE_LOCK_MS * 2 ** over, MAX_LOCK_MS);
+        await LoginAttempt.updateOne({ _id: attempt._id }, { $set: { lockedUntil: new Date(now.getTime() + lockMs) } });
+      }
+    }
+  }
+
+  /**
+   * Forget the failures for an account after it signs in. The IP keeps its
+   * count, so guessing across many accounts is still caught.
+   */
+  async recordSuccess(email) {
+    await LoginAttempt.deleteOne({ kind: 'account', identifier: normalizeEmail(email) });
+  }
+
+  /**
+   * Accounts and IPs that are locked right now, longest lockout first
+   */
+  async listLocked() {
+    return LoginAttempt.find({ lockedUntil: { $gt: new Date() } })
+      .sort({ lockedUntil: -1 })
+      .populate('user', 'name email role')
+      .lean();
+  }
+
+  /**
+   * Lift a lockout early. Resolves to the removed record, or null.
+   */
+  async unlock(id) {
+    return LoginAttempt.findByIdAndDelete(id);
+  }
+}
+
+module.exports = new LoginLockout();
@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendPushNotificationToUsers } = require('../utils/pushNotificationService');
+
+// "@" at the start of the text or after something that is not part of a word
+const MENTION_START = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_][\p{L}\p{N}_.'-]*)/gu;
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class MentionService {
+  /**
+   * Resolve `@Full Name` mentions in a markdown body to users. Names can
+   * contain spaces, so every "@word" is matched against users whose name
+   * starts with that word and the longest name that fits wins.
+   */
+  async extractMentions(body) {
+    if (!body) return [];
+
+    const positions = [];
+    for (const match of body.matchAll(MENTION_START)) {
+      positions.push({ index: match.index + match[1].length + 1, firstWord: match[2] });
+    }
+    if (positions.length === 0) return [];
+
+    const firstWords = [...new Set(positions.map(p => p.firstWord.toLowerCase()))];
+    const candidates = await User.find({
+      deactivatedAt: null,
+      $or: firstWords.map(word => ({ name: new RegExp(`^${escapeRegex(word)}`, 'i') }))
+    }).select('name email').lean();
+
+    const mentioned = new Map();
+    const lowerBody = body.toLowerCase();
+
+    positions.forEach(({ index }) => {
+      let best = null;
+      candidates.forEach(user => {
+        const name = user.name.toLowerCase();
+        const next = body.charAt(index + name.length);
+        if (lowerBody.startsWith(name, index) && !WORD_CHAR.test(next) && (!best || name.length > best.name.length)) {
+          best = user;
+        }
+      });
+      if (best) mentioned.set(String(best._id), best);
+    });
+
+    return [...mentioned.values()];
+  }
+
+  /**
+   * Notify users mentioned in a comment, both in-app and by push message.
+   * Users in `alreadyNotified` (e.g. mentioned before an edit) and the
+   * author are skipped.
+   */
+  async notifyMentions({ comment, task, author, mentions, alreadyNotified = [] }) {
+    const skip = new Set([String(author._id || author.id), ...alreadyNotified.map(String)]);
+    const recipients = mentions.filter(user => !skip.has(String(user._id)));
+    if (recipients.length === 0) return [];
+
+    const where = comment.targetType === 'TaskSubmission' ? `a submission for '${task.title}'` : `'${task.title}'`;
+    const message = `${author.name} mentioned you in a comment on ${where}.`;
+
+    await Notification.insertMany(recipients.map(user => ({
+      recipient: user._id,
+      type: 'comment_mention',
+      title: 'You were mentioned',
+      message,
+      task: task._id,
+    })));
+
+    try {
+      await sendPushNotificationToUsers(
+        recipients.map(user => user._id),
+        'You were mentioned',
+        message,
+        `/tasks/${task._id}`,
+        `comment-${comment._id}`
+      );
+    } catch (error) {
+      // Push delivery is best effort; the in-app notification is already stored
+      console.error('Error sending mention push notifications:', error);
+    }
+
+    return recipients;
+  }
+}
+
+module.exports = new MentionService();
@@ -0,0 +1,476 @@
+const vm = require('vm');
+const mongoose = require('mongoose');
+const MonitoringPolicy = require('../models/MonitoringPolicy');
+const Department = require('../models/Department');
+const { DEFAULT_POLICY } = require('../config/monitoringPolicy');
+
+const RULE_TYPES = ['domain', 'url_glob', 'url_regex', 'title_keyword', 'application'];
+const ACTIONS = ['allow', 'flag', 'alert'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const MAX_RULES = 500;
+const MAX_SAMPLES = 50;
+// Published policies are cached for this long; saving or publishing clears it
+const CACHE_TTL_MS = 60 * 1000;
+
+const ALLOW = { action: 'allow', severity: 'low', policy: null, rule: null };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole word or phrase, so "play" does not match "display"
+const wordPattern = (phrase) => new RegExp(`(^|[^a-z0-9])${escapeRegex(phrase)}($|[^a-z0-9])`, 'i');
+
+// `*` matches anything and `?` one character; the glob must cover the whole URL
+const globPattern = (glob) =>
+  new RegExp(`^${glob.split('').map((ch) => (ch === '*' ? '.*' : ch === '?' ? '.' : escapeRegex(ch))).join('')}$`, 'i');
+
+// Any quantifier, with the bounds of {n}, {n,} and {n,m} captured
+const QUANTIFIER = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/;
+
+// Whether the quantifier at the start of `text` lets what precedes it match more than once
+const repeatsMany = (text) => {
+  const match = QUANTIFIER.exec(text);
+  if (!match || match[0] === '?') return false;
+  if (!match[1]) return true;
+  if (!match[2]) return Number(match[1]) > 1;
+  return match[3] === '' || Number(match[3]) > 1;
+};
+
+/**
+ * Why a regular expression could take exponential time on some URLs, or null.
+ * A group that may match more than once must not hold a quantifier, e.g.
+ * (a+)+ or (.*a){12}, or an alternation, e.g. (a|a)+. Backreferences are
+ * refused too. Rules that pass still run under a time limit, see matchesWithin.
+ */
+const unsafeRegex = (pattern) => {
+  // For each open group: whether it holds a quantifier or an alternation
+  const groups = [{ repeats: false, alternates: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const rest = pattern.slice(i + 1);
+    const current = groups[groups.length - 1];
+    if (ch === '\\') {
+      if (/^(?:[1-9]|k<)/.test(rest)) return 'backreferences are not allowed';
+      i++;
+    } else if (ch === '[') {
+      // Skip the character class
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+      if (QUANTIFIER.test(pattern.slice(i + 1))) current.repeats = true;
+    } else if (ch === '(') {
+      groups.push({ repeats: false, alternates: false });
+      // Skip the ? of (?:, (?=, (?<name> and the like
+      if (rest[0] === '?') i++;
+    } else if (ch === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (repeatsMany(rest) && group.repeats) return 'nested repetition such as (a+)+ or (.*a){3} is not allowed';
+      if (repeatsMany(rest) && group.alternates) return 'alternatives inside a repeated group such as (a|b)+ are not allowed';
+      if (group.repeats || QUANTIFIER.test(rest)) groups[groups.length - 1].repeats = true;
+    } else if (ch === '|') {
+      current.alternates = true;
+    } else if (QUANTIFIER.test(pattern.slice(i))) {
+      current.repeats = true;
+    }
+  }
+  return null;
+};
+
+// How long one url_regex rule may run against one URL
+const REGEX_TIMEOUT_MS = 50;
+const regexScript = new vm.Script('pattern.test(url)');
+
+/**
+ * A test of `pattern` against URLs that gives up after REGEX_TIMEOUT_MS, so a
+ * rule with heavy backtracking, e.g. .*.*.*x, cannot stall the server. A rule
+ * that runs out of time does not match.
+ */
+const matchesWithin = (pattern, source) => {
+  const context = vm.createContext({ pattern, url: '' });
+  let reported = false;
+  return (url) => {
+    context.url = url;
+    try {
+      return regexScript.runInContext(context, { timeout: REGEX_TIMEOUT_MS });
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      if (!reported) {
+        reported = true;
+        console.error(`url_regex rule "${source}" ran out of time and is treated as not matching`);
+      }
+      return false;
+    }
+  };
+};
+
+const normalizeDomain = (value) =>
+  value
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^\*\./, '')
+    .replace(/^www\./, '');
+
+class MonitoringPolicyService {
+  constructor() {
+    this.cache = null;
+    this.seeded = false;
+  }
+
+  /**
+   * Validate rules from the editor. Resolves to { rules } in stored form or
+   * { error } naming the first bad rule.
+   */
+  validateRules(rules) {
+    if (!Array.isArray(rules)) return { error: 'Rules must be a list' };
+    if (rules.length > MAX_RULES) return { error: `A policy can have at most ${MAX_RULES} rules` };
+
+    const valid = [];
+    for (const [index, rule] of rules.entries()) {
+      const fail = (message) => ({ error: `Rule ${index + 1}: ${message}` });
+      if (!rule || !RULE_TYPES.includes(rule.type)) return fail('unknown rule type');
+      if (!ACTIONS.includes(rule.action)) return fail('action must be allow, flag or alert');
+      if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) return fail('unknown severity');
+
+      let pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+      if (rule.type === 'domain') pattern = normalizeDomain(pattern);
+      if (!pattern) return fail('pattern is required');
+      if (pattern.length > 500) return fail('pattern is too long');
+      if (rule.type === 'url_regex') {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          return fail(`invalid regular expression (${error.message})`);
+        }
+        const unsafe = unsafeRegex(pattern);
+        if (unsafe) return fail(unsafe);
+      }
+
+      valid.push({
+        type: rule.type,
+        pattern,
+        action: rule.action,
+        severity: rule.severity || 'medium',
+        description: typeof rule.description === 'string' ? rule.description.trim().slice(0, 200) : undefined,
+        enabled: rule.enabled !== false,
+      });
+    }
+    return { rules: valid };
+  }
+
+  /**
+   * The parts of an activity rules look at. Browser activity carries a URL and
+   * title, desktop activity an application name.
+   */
+  facts(activity = {}) {
+    const url = String(activity.url || '').slice(0, 2048);
+    let domain = String(activity.domain || '');
+    if (!domain && url) {
+      try {
+        domain = new URL(url).hostname;
+      } catch (error) {
+        domain = url;
+      }
+    }
+    return {
+      url,
+      domain: normalizeDomain(domain),
+      title: String(activity.title || ''),
+      application: String(activity.application || activity.application_name || ''),
+    };
+  }
+
+  /**
+   * Turn a stored rule into a test over activity facts
+   */
+  compileRule(rule) {
+    switch (rule.type) {
+      case 'domain':
+        return ({ domain }) => domain === rule.pattern || domain.endsWith(`.${rule.pattern}`);
+      case 'url_glob': {
+        const pattern = globPattern(rule.pattern);
+        return ({ url }) => Boolean(url) && pattern.test(url);
+      }
+      case 'url_regex': {
+        const matches = matchesWithin(new RegExp(rule.pattern, 'i'), rule.pattern);
+        return ({ url }) => Boolean(url) && matches(url);
+      }
+      case 'title_keyword': {
+        const pattern = wordPattern(rule.pattern);
+        return ({ title }) => pattern.test(title);
+      }
+      case 'application': {
+        const pattern = wordPattern(rule.pattern);
+        return ({ application }) => pattern.test(application);
+      }
+      default:
+        return () => false;
+    }
+  }
+
+  compile(rules) {
+    return rules.map((rule) => ({ rule, matches: this.compileRule(rule) }));
+  }
+
+  /**
+   * Index of the first enabled rule matching the facts, or -1
+   */
+  firstMatch(compiled, facts) {
+    return compiled.findIndex(({ rule, matches }) => rule.enabled !== false && matches(facts));
+  }
+
+  decide(policy, rule) {
+    return {
+      action: rule ? rule.action : policy.default_action,
+      severity: rule ? rule.severity : 'low',
+      policy: { id: String(policy._id), name: policy.name, version: policy.version },
+      rule: rule ? { type: rule.type, pattern: rule.pattern, description: rule.description } : null,
+    };
+  }
+
+  /**
+   * Create the starting policy when there is none, published as version 1
+   */
+  async ensureDefaultPolicy() {
+    if (this.seeded) return;
+    if (!(await MonitoringPolicy.exists({}))) {
+      const now = new Date();
+      const content = { rules: DEFAULT_POLICY.rules, default_action: DEFAULT_POLICY.default_action };
+      await MonitoringPolicy.create({
+        name: DEFAULT_POLICY.name,
+        description: DEFAULT_POLICY.description,
+        draft: { ...content, updated_at: now, tested_at: now },
+        published: { ...content, version: 1, published_at: now },
+        versions: [{ ...content, version: 1, notes: 'Starting policy', published_at: now }],
+      }).catch((error) => {
+        // Another request created it first
+        if (error.code !== 11000) throw error;
+      });
+    }
+    this.seeded = true;
+  }
+
+  /**
+   * Active, published policies with compiled rules, cached briefly since every
+   * activity update is checked against them
+   */
+  async activePolicies() {
+    if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL_MS) return this.cache.policies;
+
+    await this.ensureDefaultPolicy();
+    const policies = await MonitoringPolicy.find({ is_active: true, 'published.version': { $gt: 0 } })
+      .select('name departments published')
+      .lean();
+
+    const compiled = policies.map((policy) => ({
+      _id: policy._id,
+      name: policy.name,
+      version: policy.published.version,
+      departments: (policy.departments || []).map(String),
+      default_action: policy.published.default_action,
+      rules: this.compile(policy.published.rules || []),
+    }));
+    this.cache = { policies: compiled, loadedAt: Date.now() };
+    return compiled;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * What to do with an activity: { action, severity, policy, rule }. Policies
+   * for the employee's department are checked first, then company-wide ones,
+   * and the first matching rule wins. Without a match the most specific
+   * policy's default action applies.
+   */
+  async evaluate(activity, { department } = {}) {
+    const facts = this.facts(activity);
+    const departmentId = department ? String(department._id || department) : null;
+    const applicable = (await this.activePolicies())
+      .filter((policy) => policy.departments.length === 0 || policy.departments.includes(departmentId))
+      .sort((a, b) => (b.departments.length > 0) - (a.departments.length > 0));
+
+    for (const policy of applicable) {
+      const index = this.firstMatch(policy.rules, facts);
+      if (index !== -1) return this.decide(policy, policy.rules[index].rule);
+    }
+    return applicable.length > 0 ? this.decide(applicable[0], null) : ALLOW;
+  }
+
+  /**
+   * Run rules against sample activity: URLs, or { url, title, application }.
+   * Resolves to { results } with the decision and matching rule for each
+   * sample, or { error }.
+   */
+  test({ rules, default_action = 'allow' }, samples) {
+    if (!ACTIONS.includes(default_action)) return { error: 'Unknown default action' };
+    if (!Array.isArray(samples) || samples.length === 0) return { error: 'Add at least one sample URL to test' };
+    if (samples.length > MAX_SAMPLES) return { error: `Test at most ${MAX_SAMPLES} samples at a time` };
+
+    const validated = this.validateRules(rules);
+    if (validated.error) return validated;
+    const compiled = this.compile(validated.rules);
+
+    const results = samples.map((sample) => {
+      const activity = typeof sample === 'string' ? { url: sample.trim() } : sample || {};
+      const index = this.firstMatch(compiled, this.facts(activity));
+      const rule = index === -1 ? null : validated.rules[index];
+      return {
+        sample: activity,
+        action: rule ? rule.action : default_action,
+        severity: rule ? rule.severity : 'low',
+        ruleIndex: index === -1 ? null : index,
+        rule,
+      };
+    });
+    return { results };
+  }
+
+  /**
+   * Every policy with its draft and published rules
+   */
+  async list() {
+    await this.ensureDefaultPolicy();
+    return MonitoringPolicy.find()
+      .populate('departments', 'name')
+      .populate('published.published_by', 'name')
+      .sort({ name: 1 });
+  }
+
+  /**
+   * Apply editor changes. Name, description, departments and is_active take
+   * effect at once; rules and the default action go to the draft, which has to
+   * be tested and published. Resolves to { policy } or { error }.
+   */
+  async save(policy, input, userId) {
+    if (input.name !== undefined) {
+      if (typeof input.name !== 'string' || !input.name.trim()) return { error: 'Name is required' };
+      policy.name = input.name.trim();
+    }
+    if (input.description !== undefined) policy.description = input.description;
+    if (input.departments !== undefined) {
+      if (!Array.isArray(input.departments)) return { error: 'Departments must be a list' };
+      const ids = [...new Set(input.departments.map(String))];
+      if (
+        !ids.every((id) => mongoose.Types.ObjectId.isValid(id)) ||
+        (await Department.countDocuments({ _id: { $in: ids } })) !== ids.length
+      ) {
+        return { error: 'Unknown department' };
+      }
+      policy.departments = ids;
+    }
+    if (input.is_active !== undefined) policy.is_active = Boolean(input.is_active);
+
+    if (input.rules !== undefined || input.default_action !== undefined) {
+      if (input.rules !== undefined) {
+        const validated = this.validateRules(input.rules);
+        if (validated.error) return validated;
+        policy.draft.rules = validated.rules;
+      }
+      if (input.default_action !== undefined) {
+        if (!ACTIONS.includes(input.default_action)) return { error: 'Unknown default action' };
+        policy.draft.default_action = input.default_action;
+      }
+      policy.draft.updated_by = userId;
+      policy.draft.updated_at = new Date();
+      policy.draft.tested_at = undefined;
+    }
+
+    try {
+      await policy.save();
+    } catch (error) {
+      if (error.code === 11000) return { error: 'A policy with this name already exists' };
+      throw error;
+    }
+    this.invalidate();
+    return { policy };
+  }
+
+  async create(input, userId) {
+    const policy = new MonitoringPolicy({ created_by: userId, draft: { rules: [] } });
+    return this.save(policy, { default_action: 'allow', rules: [], ...input }, userId);
+  }
+
+  /**
+   * Test the saved draft. Once it has been tested it can be published.
+   */
+  async testDraft(policy, samples) {
+    const result = this.test(policy.draft, samples);
+    if (result.error) return result;
+
+    policy.draft.tested_at = new Date();
+    await policy.save();
+    return result;
+  }
+
+  /**
+   * Make the tested draft the enforced version. Resolves to { policy } or { error }.
+   */
+  async publish(policyId, userId, notes) {
+    const policy = await MonitoringPolicy.findById(policyId).select('+versions').catch(() => null);
+    if (!policy) return { error: 'Policy not found', status: 404 };
+    if (!policy.draft.tested_at) {
+      return { error: 'Test the draft against sample URLs before publishing it' };
+    }
+
+    const now = new Date();
+    const content = { rules: policy.draft.rules, default_action: policy.draft.default_action };
+    const version = policy.published.version + 1;
+    policy.published = { ...content, version, published_by: userId, published_at: now };
+    policy.versions.push({
+      ...content,
+      version,
+      notes: typeof notes === 'string' ? notes.trim() : undefined,
+      published_by: userId,
+      published_at: now,
+    });
+    await policy.save();
+    this.invalidate();
+    return { policy };
+  }
+
+  /**
+   * Published versions of a policy, newest first
+   */
+  async versions(policyId) {
+    const policy = await MonitoringPolicy.findById(policyId)
+      .select('versions')
+      .populate('versions.published_by', 'name');
+    if (!policy) return null;
+    return policy.versions
+      .map(({ version, notes, published_by, published_at, rules, default_action }) => ({
+        version,
+        notes,
+        published_by,
+        published_at,
+        default_action,
+        rules,
+      }))
+      .reverse();
+  }
+
+  /**
+   * Copy an earlier version into the draft, to be tested and published again
+   */
+  async restore(policyId, version, userId) {
+    const policy = await MonitoringPolicy.findById(policyId).select('+versions').catch(() => null);
+    if (!policy) return { error: 'Policy not found', status: 404 };
+    const snapshot = policy.versions.find((item) => item.version === Number(version));
+    if (!snapshot) return { error: 'Version not found', status: 404 };
+
+    policy.draft.rules = snapshot.rules.map((rule) => rule.toObject());
+    policy.draft.default_action = snapshot.default_action;
+    policy.draft.updated_by = userId;
+    policy.draft.updated_at = new Date();
+    policy.draft.tested_at = undefined;
+    await policy.save();
+    return { policy };
+  }
+
+  async remove(policy) {
+    await policy.deleteOne();
+    this.invalidate();
+  }
+}
+
+module.exports = new MonitoringPolicyService();
@@ -0,0 +1,251 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskSubmission = require('../models/TaskSubmission');
+const Progress = require('../models/Progress');
+const Aim = require('../models/Aim');
+const Comment = require('../models/Comment');
+const Department = require('../models/Department');
+const WorkSession = require('../models/WorkSession');
+const EmployeeActivity = require('../models/EmployeeActivity');
+const MonitoringAlert = require('../models/MonitoringAlert');
+const sessionService = require('./sessionService');
+const apiTokenService = require('./apiTokenService');
+const auditLog = require('./auditLog');
+
+const OPEN_TASKS = { status: { $ne: 'Completed' } };
+
+class OffboardingService {
+  /**
+   * Tasks the user reviews that have submissions waiting for review. The task
+   * creator follows up on its submissions unless a reviewer took over.
+   */
+  async tasksAwaitingReview(userId) {
+    const reviewed = await Task.find({
+      $or: [{ reviewer: userId }, { createdBy: userId, reviewer: null }],
+      ...OPEN_TASKS,
+    }).distinct('_id');
+    if (reviewed.length === 0) return [];
+    return TaskSubmission.find({ task: { $in: reviewed }, status: 'Pending' }).distinct('task');
+  }
+
+  /**
+   * What deactivating the user would hand over or stop, so an admin can pick
+   * someone to take over before going ahead
+   */
+  async preview(userId) {
+    const [openTasks, awaitingReview, ledDepartments, activeSessions] = await Promise.all([
+      Task.countDocuments({ assignee: userId, ...OPEN_TASKS }),
+      this.tasksAwaitingReview(userId),
+      Department.find({ lead: userId }).select('name').lean(),
+      WorkSession.countDocuments({ employee: userId, status: { $in: ['active', 'paused'] } }),
+    ]);
+
+    return {
+      openTasks,
+      pendingReviews: awaitingReview.length,
+      ledDepartments,
+      activeWorkSessions: activeSessions,
+    };
+  }
+
+  /**
+   * Kinds of records that name the user, e.g. ['tasks', 'comments']. Deleting
+   * such a user would leave those records without an owner, so they are
+   * deactivated instead.
+   */
+  async history(userId) {
+    const checks = [
+      ['tasks', Task.exists({ $or: [{ assignee: userId }, { createdBy: userId }, { reviewer: userId }] })],
+      ['submissions', TaskSubmission.exists({ user: userId })],
+      ['progress updates', Progress.exists({ user: userId })],
+      ['aims', Aim.exists({ user: userId })],
+      ['comments', Comment.exists({ author: userId })],
+      ['work sessions', WorkSession.exists({ employee: userId })],
+      ['monitoring records', EmployeeActivity.exists({ employee: userId })],
+      ['monitoring alerts', MonitoringAlert.exists({ employee: userId })],
+    ];
+    const found = await Promise.all(checks.map(([, check]) => check));
+    return checks.filter((_, index) => found[index]).map(([kind]) => kind);
+  }
+
+  /**
+   * The account that takes over open work, or { error }
+   */
+  async findSuccessor(successorId, userId) {
+    if (String(successorId) === String(userId)) {
+      return { error: 'Choose someone other than the user being deactivated' };
+    }
+    const successor = await User.findOne({ _id: successorId, deactivatedAt: null, serviceAccount: { $ne: true } })
+      .select('name role department')
+      .catch(() => null);
+    return successor ? { successor } : { error: 'The user taking over must be an active account' };
+  }
+
+  /**
+   * The user's open tasks and the tasks whose submissions wait on their review
+   */
+  async openWork(userId) {
+    const [assigned, reviewed] = await Promise.all([
+      Task.find({ assignee: userId, ...OPEN_TASKS }).select('title department').lean(),
+      this.tasksAwaitingReview(userId),
+    ]);
+    const reviewedTasks = await Task.find({ _id: { $in: reviewed } }).select('title department').lean();
+    return { assigned, reviewedTasks };
+  }
+
+  /**
+   * Names of the departments among `tasks` the successor neither belongs to nor
+   * leads. Tasks keep their department when they change hands, so whoever takes
+   * them over has to work there.
+   */
+  async departmentsOutOfReach(successor, tasks) {
+    if (successor.role === 'Admin') return [];
+    const led = await Department.find({ lead: successor._id }).distinct('_id');
+    const reach = [successor.department, ...led].filter(Boolean).map(String);
+    const outside = [...new Set(tasks.map((task) => task.department).filter(Boolean).map(String))]
+      .filter((id) => !reach.includes(id));
+    return outside.length > 0 ? Department.find({ _id: { $in: outside } }).distinct('name') : [];
+  }
+
+  /**
+   * Hand the user's open tasks and the reviews waiting on them to the successor.
+   * Reviews move to the task's reviewer, so the task still names its creator.
+   * Each moved task gets an activity entry, so the history shows the handover.
+   */
+  async reassignWork(userId, successor, actor, work) {
+    const { assigned, reviewedTasks } = work || (await this.openWork(userId));
+
+    const now = new Date();
+    await Promise.all([
+      Task.updateMany(
+        { _id: { $in: assigned.map((task) => task._id) } },
+        { $set: { assignee: successor._id, updatedAt: now } }
+      ),
+      Task.updateMany(
+        { _id: { $in: reviewedTasks.map((task) => task._id) } },
+        { $set: { reviewer: successor._id, updatedAt: now } }
+      ),
+    ]);
+
+    const handover = (tasks, field) =>
+      tasks.map((task) =>
+        auditLog.record({
+          entityType: 'Task',
+          entity: task,
+          task,
+          action: 'updated',
+          changes: [{ field, from: String(userId), to: String(successor._id) }],
+          actor,
+        })
+      );
+    await Promise.all([...handover(assigned, 'assignee'), ...handover(reviewedTasks, 'reviewer')]);
+
+    return { tasks: assigned.length, reviews: reviewedTasks.length };
+  }
+
+  /**
+   * End the user's work sessions and any monitoring running for them. The
+   * monitoring services are required here because they load native capture
+   * modules the rest of the admin routes do not need.
+   */
+  async stopMonitoring(userId) {
+    const employeeId = String(userId);
+    const now = new Date();
+    const ended = await WorkSession.updateMany(
+      { employee: userId, status: { $in: ['active', 'paused'] } },
+      { $set: { status: 'completed', endTime: now, updatedAt: now } }
+    );
+
+    try {
+      require('./activityTracker').stopTracking(employeeId);
+      require('./websiteMonitor').stopMonitoring(employeeId);
+      require('./screenCapture').stopCapture(employeeId);
+      require('./intelligentScreenCapture').stopIntelligentMonitoring(employeeId);
+    } catch (error) {
+      console.error(`Error stopping monitoring for ${employeeId}:`, error);
+    }
+
+    return ended.modifiedCount;
+  }
+
+  /**
+   * Block the account from signing in while keeping everything it did.
+   * Optionally hands open work to `reassignTo`. Sessions and API tokens are
+   * revoked and the user leaves their department. Resolves to
+   * { user, reassigned, workSessionsEnded } or { error }.
+   */
+  async deactivate(userId, { reassignTo, reason } = {}, actor) {
+    const user = await User.findById(userId);
+    if (!user) return { error: 'User not found', status: 404 };
+    if (user.deactivatedAt) return { error: 'User is already deactivated' };
+    if (String(user._id) === String(actor.id)) return { error: 'Cannot deactivate your own account' };
+    if (user.serviceAccount) return { error: 'Delete service accounts instead of deactivating them' };
+
+    let successor = null;
+    let work = null;
+    if (reassignTo) {
+      const found = await this.findSuccessor(reassignTo, user._id);
+      if (found.error) return found;
+      successor = found.successor;
+
+      work = await this.openWork(user._id);
+      const outside = await this.departmentsOutOfReach(successor, [...work.assigned, ...work.reviewedTasks]);
+      if (outside.length > 0) {
+        return {
+          error: `${successor.name} is not in ${outside.join(', ')}, where some of this work belongs. ` +
+            'Choose someone from that department.',
+        };
+      }
+    }
+
+    const department = user.department;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = actor.id;
+    user.deactivationReason = typeof reason === 'string' ? reason.slice(0, 500) : undefined;
+    user.departmentBeforeDeactivation = department;
+    user.department = undefined;
+    await user.save();
+
+    await Promise.all([
+      sessionService.revokeAll(user._id, { reason: 'deactivated' }),
+      apiTokenService.revokeAll(user._id, actor.id),
+      Department.updateMany({ members: user._id }, { $pull: { members: user._id } }),
+      Department.updateMany({ lead: user._id }, { $unset: { lead: '' } }),
+    ]);
+
+    const reassigned = successor
+      ? await this.reassignWork(user._id, successor, actor, work)
+      : { tasks: 0, reviews: 0 };
+    const workSessionsEnded = await this.stopMonitoring(user._id);
+
+    return { user, reassigned, workSessionsEnded };
+  }
+
+  /**
+   * Let a deactivated account sign in again, back in its old department if that
+   * still exists. Resolves to { user } or { error }.
+   */
+  async reactivate(userId) {
+    const user = await User.findById(userId);
+    if (!user) return { error: 'User not found', status: 404 };
+    if (!user.deactivatedAt) return { error: 'User is not deactivated' };
+
+    const department =
+      user.departmentBeforeDeactivation && (await Department.findById(user.departmentBeforeDeactivation).select('_id'));
+
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    user.deactivationReason = undefined;
+    user.departmentBeforeDeactivation = undefined;
+    if (department) user.department = department._id;
+    await user.save();
+
+    if (department) {
+      await Department.findByIdAndUpdate(department._id, { $addToSet: { members: user._id } });
+    }
+
+    return { user };
+  }
+}
+
+module.exports = new OffboardingService();
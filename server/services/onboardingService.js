@@ -0,0 +1,96 @@
+const User = require('../models/User');
+const Aim = require('../models/Aim');
+const Progress = require('../models/Progress');
+const Invitation = require('../models/Invitation');
+
+// The checklist is offered for this long after an account is created
+const ONBOARDING_DAYS = parseInt(process.env.ONBOARDING_DAYS) || 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Getting-started steps. Each is checked off from what the user has actually
+// done, so there is nothing to keep in sync. `roles` limits a step to some roles.
+const STEPS = [
+  {
+    id: 'verify-email',
+    title: 'Verify your email address',
+    description: 'Follow the link we emailed you to unlock full access.',
+    isDone: ({ user }) => user.emailVerified !== false,
+  },
+  {
+    id: 'profile-photo',
+    title: 'Add a profile photo',
+    description: 'Help your team recognise you on tasks and comments.',
+    href: '/settings',
+    isDone: ({ user }) => Boolean(user.avatar),
+  },
+  {
+    id: 'two-factor',
+    title: 'Turn on two-factor authentication',
+    description: 'Protect your account with an authenticator app.',
+    href: '/settings?tab=security',
+    isDone: ({ user }) => user.twoFactorEnabled,
+  },
+  {
+    id: 'first-aim',
+    title: "Set today's aim",
+    description: 'Tell your manager what you plan to get done.',
+    href: '/aims',
+    roles: ['User'],
+    isDone: ({ hasAim }) => hasAim,
+  },
+  {
+    id: 'first-progress',
+    title: 'Post a progress update',
+    description: 'Report progress on one of your tasks.',
+    href: '/progress',
+    roles: ['User'],
+    isDone: ({ hasProgress }) => hasProgress,
+  },
+  {
+    id: 'invite-team',
+    title: 'Invite your team',
+    description: 'Send invitations with the right role and department.',
+    href: '/admindashboard',
+    roles: ['Admin', 'Manager'],
+    isDone: ({ hasInvited }) => hasInvited,
+  },
+];
+
+class OnboardingService {
+  /**
+   * The user's checklist: { steps, completed, total, visible }. It is visible
+   * to new accounts until every step is done or the user dismisses it.
+   */
+  async checklist(userId) {
+    const user = await User.findById(userId).select(
+      'role emailVerified avatar twoFactorEnabled createdAt onboardingDismissedAt'
+    );
+    if (!user) return null;
+
+    const [hasAim, hasProgress, hasInvited] = await Promise.all([
+      Aim.exists({ user: user._id }),
+      Progress.exists({ user: user._id }),
+      Invitation.exists({ invitedBy: user._id }),
+    ]);
+    const facts = { user, hasAim: Boolean(hasAim), hasProgress: Boolean(hasProgress), hasInvited: Boolean(hasInvited) };
+
+    const steps = STEPS.filter((step) => !step.roles || step.roles.includes(user.role)).map(
+      ({ id, title, description, href, isDone }) => ({ id, title, description, href, done: Boolean(isDone(facts)) })
+    );
+    const completed = steps.filter((step) => step.done).length;
+    const isNew = Date.now() - user.createdAt.getTime() < ONBOARDING_DAYS * DAY;
+
+    return {
+      steps,
+      completed,
+      total: steps.length,
+      visible: isNew && !user.onboardingDismissedAt && completed < steps.length,
+    };
+  }
+
+  async dismiss(userId) {
+    await User.updateOne({ _id: userId }, { $set: { onboardingDismissedAt: new Date() } });
+  }
+}
+
+module.exports = new OnboardingService();
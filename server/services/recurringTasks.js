@@ -0,0 +1,293 @@
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const auditLog = require('./auditLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+class RecurringTaskScheduler {
+  constructor() {
+    this.runInterval = parseInt(process.env.RECURRING_TASK_INTERVAL) || 60 * 60 * 1000; // 1 hour
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Midnight (UTC) of the day a date falls on
+   */
+  startOfDay(date) {
+    const d = new Date(date);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  }
+
+  /**
+   * Validate a recurrence definition, returning an error message or null
+   */
+  validateRecurrence(recurrence) {
+    if (!recurrence || !FREQUENCIES.includes(recurrence.frequency)) {
+      return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+    }
+    if (recurrence.interval !== undefined && !(Number.isInteger(Number(recurrence.interval)) && recurrence.interval >= 1)) {
+      return 'Recurrence interval must be a positive whole number';
+    }
+    if (recurrence.frequency === 'weekly' && recurrence.byWeekday &&
+        !recurrence.byWeekday.every(day => Number.isInteger(Number(day)) && day >= 0 && day <= 6)) {
+      return 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (recurrence.frequency === 'monthly' && recurrence.byMonthDay !== undefined && recurrence.byMonthDay !== null) {
+      const day = Number(recurrence.byMonthDay);
+      if (!Number.isInteger(day) || day === 0 || day < -1 || day > 31) {
+        return 'Day of the month must be between 1 and 31, or -1 for the last day';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * RRULE representation of a recurrence, for display and export
+   */
+  toRRule(recurrence) {
+    const interval = recurrence.interval > 1 ? `;INTERVAL=${recurrence.interval}` : '';
+
+    switch (recurrence.frequency) {
+      case 'daily':
+        return `FREQ=DAILY${interval}`;
+      case 'weekdays':
+        return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+      case 'weekly': {
+        const days = (recurrence.byWeekday || []).slice().sort((a, b) => a - b).map(day => RRULE_DAYS[day]);
+        return `FREQ=WEEKLY${interval}${days.length ? `;BYDAY=${days.join(',')}` : ''}`;
+      }
+      case 'monthly':
+        return `FREQ=MONTHLY${interval}${recurrence.byMonthDay ? `;BYMONTHDAY=${recurrence.byMonthDay}` : ''}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Whether the schedule has an occurrence on the given day. Weekly schedules
+   * without weekdays repeat on the start date's weekday, monthly schedules
+   * without a day on the start date's day. Monthly days past the end of a
+   * month fall on its last day.
+   */
+  occursOn(template, dayMs) {
+    const { recurrence } = template;
+    const anchor = this.startOfDay(template.startDate);
+    const interval = recurrence.interval || 1;
+    const day = new Date(dayMs);
+
+    switch (recurrence.frequency) {
+      case 'daily':
+        return Math.round((dayMs - anchor) / DAY_MS) % interval === 0;
+      case 'weekdays':
+        return day.getUTCDay() >= 1 && day.getUTCDay() <= 5;
+      case 'weekly': {
+        const weekdays = recurrence.byWeekday && recurrence.byWeekday.length
+          ? recurrence.byWeekday
+          : [new Date(anchor).getUTCDay()];
+        if (!weekdays.includes(day.getUTCDay())) return false;
+        const anchorWeek = anchor - new Date(anchor).getUTCDay() * DAY_MS;
+        const dayWeek = dayMs - day.getUTCDay() * DAY_MS;
+        return Math.round((dayWeek - anchorWeek) / (7 * DAY_MS)) % interval === 0;
+      }
+      case 'monthly': {
+        const anchorDate = new Date(anchor);
+        const months = (day.getUTCFullYear() - anchorDate.getUTCFullYear()) * 12 +
+          day.getUTCMonth() - anchorDate.getUTCMonth();
+        if (months % interval !== 0) return false;
+        const daysInMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+        const wanted = recurrence.byMonthDay || anchorDate.getUTCDate();
+        const target = wanted === -1 ? daysInMonth : Math.min(wanted, daysInMonth);
+        return day.getUTCDate() === target;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Occurrence days (UTC midnights) of a template within [from, to]
+   */
+  occurrencesBetween(template, from, to) {
+    const first = Math.max(this.startOfDay(from), this.startOfDay(template.startDate));
+    const last = template.endDate
+      ? Math.min(this.startOfDay(to), this.startOfDay(template.endDate))
+      : this.startOfDay(to);
+    const occurrences = [];
+
+    for (let dayMs = first; dayMs <= last; dayMs += DAY_MS) {
+      if (this.occursOn(template, dayMs)) occurrences.push(new Date(dayMs));
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * The next `count` occurrences from today, looking at most a year ahead
+   */
+  previewOccurrences(template, count = 5, now = new Date()) {
+    const occurrences = this.occurrencesBetween(template, now, new Date(now.getTime() + 366 * DAY_MS));
+    return occurrences.slice(0, count);
+  }
+
+  /**
+   * Users a round-robin template rotates through: its own rotation list, or
+   * every member of the department.
+   */
+  async rotationPool(template) {
+    if (template.rotation && template.rotation.length > 0) return template.rotation;
+
+    const department = await Department.findById(template.department).select('members').lean();
+    if (department && department.members && department.members.length > 0) return department.members;
+
+    const users = await User.find({ department: template.department }).select('_id').sort({ _id: 1 }).lean();
+    return users.map(user => user._id);
+  }
+
+  /**
+   * Pick the assignee for the next generated task, advancing the rotation
+   */
+  async nextAssignee(template) {
+    if (template.assignmentMode !== 'roundRobin') return template.assignee;
+
+    const pool = await this.rotationPool(template);
+    if (pool.length === 0) return template.assignee;
+
+    const assignee = pool[template.rotationIndex % pool.length];
+    template.rotationIndex = (template.rotationIndex + 1) % pool.length;
+    return assignee;
+  }
+
+  /**
+   * Create the tasks of every occurrence from today up to `leadDays` ahead
+   * that has not been generated yet. Occurrences missed while the scheduler
+   * was not running are not backfilled.
+   */
+  async generateForTemplate(template, now = new Date()) {
+    const today = this.startOfDay(now);
+    const from = template.lastOccurrence
+      ? Math.max(this.startOfDay(template.lastOccurrence) + DAY_MS, today)
+      : today;
+    const to = today + (template.leadDays || 0) * DAY_MS;
+    const created = [];
+
+    for (const occurrence of this.occurrencesBetween(template, from, to)) {
+      const assignee = await this.nextAssignee(template);
+      if (!assignee) {
+        console.warn(`Recurring task template ${template._id} has no assignee; skipping ${occurrence.toDateString()}`);
+        template.lastOccurrence = occurrence;
+        continue;
+      }
+
+      try {
+        const task = await Task.create({
+          title: template.title,
+          description: template.description || template.title,
+          priority: template.priority,
+          department: template.department,
+          assignee,
+          links: template.links,
+          startDate: occurrence,
+          // Due at the end of the day, `durationDays` after the occurrence
+          dueDate: new Date(occurrence.getTime() + ((template.durationDays || 0) + 1) * DAY_MS - 1),
+          createdBy: template.createdBy,
+          template: template._id,
+          occurrenceDate: occurrence,
+        });
+        await auditLog.record({
+          entityType: 'Task',
+          entity: task,
+          task,
+          action: 'created',
+          changes: auditLog.diff('Task', null, task),
+        });
+        created.push(task);
+      } catch (error) {
+        // Another run already generated this occurrence
+        if (error.code !== 11000) throw error;
+      }
+
+      template.lastOccurrence = occurrence;
+    }
+
+    await template.save();
+    return created;
+  }
+
+  /**
+   * Notify assignees and connected clients about generated tasks
+   */
+  async announce(tasks) {
+    for (const task of tasks) {
+      await Notification.create({
+        recipient: task.assignee,
+        type: 'task_assigned',
+        title: 'New Task Assigned',
+        message: `You have been assigned a new recurring task: '${task.title}', due ${task.dueDate.toDateString()}.`,
+        task: task._id,
+      });
+    }
+
+    if (global.io && tasks.length > 0) {
+      const populated = await Task.find({ _id: { $in: tasks.map(task => task._id) } })
+        .populate('department', 'name color strictDependencies')
+        .populate('assignee', 'name avatar');
+      populated.forEach(task => global.io.emit('task:created', task));
+    }
+  }
+
+  /**
+   * Generate upcoming tasks for every active template
+   */
+  async runDueTemplates(now = new Date()) {
+    const templates = await TaskTemplate.find({
+      active: true,
+      startDate: { $lte: new Date(now.getTime() + 366 * DAY_MS) },
+    });
+    const created = [];
+
+    for (const template of templates) {
+      try {
+        const tasks = await this.generateForTemplate(template, now);
+        await this.announce(tasks);
+        created.push(...tasks);
+      } catch (error) {
+        console.error(`Error generating tasks for template ${template._id}:`, error);
+      }
+    }
+
+    if (created.length > 0) {
+      console.log(`Generated ${created.length} recurring task(s) from ${templates.length} template(s)`);
+    }
+    return created;
+  }
+
+  /**
+   * Start the periodic run; the first run happens immediately
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = async () => {
+      if (this.isRunning) return;
+      this.isRunning = true;
+      try {
+        await this.runDueTemplates();
+      } catch (error) {
+        console.error('Error running recurring task scheduler:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.runInterval);
+  }
+}
+
+module.exports = new RecurringTaskScheduler();
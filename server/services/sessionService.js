@@ -0,0 +1,159 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const twoFactorService = require('./twoFactorService');
+const { hashToken, generateToken } = require('../utils/tokens');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'jwtSecret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Two tabs refreshing at once both send the same token; the slower one is not
+// treated as token theft if it arrives this soon after the rotation
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+class SessionService {
+  /**
+   * Readable device name from a user agent, e.g. "Chrome on Windows"
+   */
+  describeDevice(userAgent = '') {
+    const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+    const system = SYSTEMS.find(([marker]) => userAgent.includes(marker));
+    if (!browser && !system) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+    return [browser ? browser[1] : 'Browser', system ? system[1] : null].filter(Boolean).join(' on ');
+  }
+
+  /**
+   * Client address as Express resolves it, so X-Forwarded-For only counts when
+   * TRUST_PROXY is set (see index.js)
+   */
+  clientIp(req) {
+    return req.ip || '';
+  }
+
+  /**
+   * Claims carried in the access token, also returned to the client as `user`
+   */
+  payloadFor(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: Boolean(user.twoFactorEnabled),
+    };
+  }
+
+  /**
+   * The user as returned to the client, including whether the security policy
+   * still requires them to set up two-factor authentication
+   */
+  async describeUser(user) {
+    return { ...this.payloadFor(user), twoFactorSetupRequired: await twoFactorService.setupRequired(user) };
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign({ ...this.payloadFor(user), sid: String(sessionId) }, JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
+  }
+
+  /**
+   * Open a session for a user who just logged in or registered.
+   * Resolves to { token, refreshToken, user }.
+   */
+  async start(user, req) {
+    const { token: refreshToken, hash } = generateToken();
+    const userAgent = req.header('user-agent') || '';
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: hash,
+      userAgent,
+      device: this.describeDevice(userAgent),
+      ip: this.clientIp(req),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    return { token: this.signAccessToken(user, session._id), refreshToken, user: await this.describeUser(user) };
+  }
+
+  /**
+   * Swap a refresh token for a new access token and refresh token. Resolves to
+   * null when the token is unknown, expired or revoked. A token that was already
+   * rotated away revokes its session, since someone else has a copy of it.
+   */
+  async refresh(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+    const hash = hashToken(refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: hash });
+    if (!session) {
+      const reused = await Session.findOne({ previousTokenHash: hash, revokedAt: null });
+      if (reused && (!reused.rotatedAt || Date.now() - reused.rotatedAt.getTime() > ROTATION_GRACE_MS)) {
+        await this.revoke(reused._id, 'reuse');
+        console.warn(`Refresh token reuse detected, revoked session ${reused._id}`);
+      }
+      return null;
+    }
+    if (!session.isActive) return null;
+
+    const user = await User.findById(session.user);
+    if (!user || user.deactivatedAt) {
+      await this.revoke(session._id, 'admin');
+      return null;
+    }
+
+    const { token: nextToken, hash: nextHash } = generateToken();
+    session.previousTokenHash = hash;
+    session.refreshTokenHash = nextHash;
+    session.rotatedAt = new Date();
+    session.lastUsedAt = new Date();
+    session.ip = this.clientIp(req);
+    await session.save();
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken: nextToken,
+      user: await this.describeUser(user),
+    };
+  }
+
+  /**
+   * Whether access tokens for this session are still honoured
+   */
+  async isActive(sessionId) {
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return Boolean(session && session.isActive);
+  }
+
+  async revoke(sessionId, reason = 'user') {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  }
+
+  /**
+   * Revoke every open session of a user, optionally keeping one (the caller's).
+   * Resolves to the number of sessions revoked.
+   */
+  async revokeAll(userId, { reason = 'user', except } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Open sessions of a user, most recently used first
+   */
+  async listActive(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .select('device userAgent ip createdAt lastUsedAt expiresAt')
+      .lean();
+  }
+}
+
+module.exports = new SessionService();
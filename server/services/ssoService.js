@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const SsoLogin = require('../models/SsoLogin');
+const SecuritySettings = require('../models/SecuritySettings');
+const { hashToken, generateToken } = require('../utils/tokens');
+
+// OpenID Connect authorization code login with PKCE against the identity
+// provider at OIDC_ISSUER. Users are created or linked on their first login,
+// and the security settings map their IdP groups to a role and department.
+
+const ROLE_RANK = ['User', 'Manager', 'Admin'];
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+class SsoService {
+  constructor() {
+    this.discovery = null;
+    this.discoveredAt = 0;
+    this.keys = new Map();
+  }
+
+  get config() {
+    const port = process.env.PORT || 5000;
+    return {
+      issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${port}/api/auth/sso/callback`,
+      scopes: process.env.OIDC_SCOPES || 'openid email profile',
+      groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+      providerName: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+    };
+  }
+
+  isConfigured() {
+    const { issuer, clientId } = this.config;
+    return Boolean(issuer && clientId);
+  }
+
+  async fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const reason = body.error_description || body.error || response.statusText;
+      throw new Error(`Identity provider request to ${url} failed: ${reason}`);
+    }
+    return body;
+  }
+
+  /**
+   * The provider's endpoints from its discovery document, cached for an hour
+   */
+  async provider() {
+    if (!this.discovery || Date.now() - this.discoveredAt > DISCOVERY_TTL_MS) {
+      const { issuer } = this.config;
+      const discovery = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+      if (discovery.issuer.replace(/\/$/, '') !== issuer) {
+        throw new Error(`Identity provider reports issuer ${discovery.issuer}, expected ${issuer}`);
+      }
+      this.discovery = discovery;
+      this.discoveredAt = Date.now();
+      this.keys.clear();
+    }
+    return this.discovery;
+  }
+
+  /**
+   * Signing key for an ID token. The key set is fetched again when the provider
+   * signs with a key we have not seen, e.g. after rotating keys.
+   */
+  async signingKey(kid) {
+    if (!this.keys.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.provider();
+      const { keys = [] } = await this.fetchJson(jwksUri);
+      this.keys.clear();
+      for (const jwk of keys.filter((key) => !key.use || key.use === 'sig')) {
+        this.keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    }
+    const key = this.keys.get(kid) || (kid === undefined && this.keys.size === 1 ? [...this.keys.values()][0] : null);
+    if (!key) throw new Error(`Identity provider has no signing key '${kid}'`);
+    return key;
+  }
+
+  /**
+   * Start a login. Resolves to the provider URL to send the browser to and the
+   * state to keep in a cookie until the callback.
+   */
+  async beginLogin() {
+    const { authorization_endpoint: authorizationEndpoint } = await this.provider();
+    const { clientId, redirectUri, scopes } = this.config;
+
+    const state = generateToken().token;
+    const nonce = generateToken().token;
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    await SsoLogin.create({
+      stateHash: hashToken(state),
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + LOGIN_TTL_MS),
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+      code_challenge_method: 'S256',
+    });
+    return { url: `${authorizationEndpoint}?${params}`, state };
+  }
+
+  /**
+   * Handle the provider's redirect back. `cookieState` is the state stored in
+   * the browser that began the login, which ties the callback to it. Resolves to
+   * { handoffCode } for the client to exchange, or { error } with a message for
+   * the user.
+   */
+  async completeLogin({ code, state, cookieState }) {
+    if (!code || !state || state !== cookieState) {
+      return { error: 'Sign-in could not be verified. Please try again.' };
+    }
+
+    // Each state is used once
+    const login = await SsoLogin.findOneAndUpdate(
+      { stateHash: hashToken(state), expiresAt: { $gt: new Date() } },
+      { $unset: { stateHash: 1 } },
+    ).select('+codeVerifier');
+    if (!login) {
+      return { error: 'Sign-in has expired. Please try again.' };
+    }
+
+    const claims = await this.exchangeCode(code, login);
+    const result = await this.provisionUser(claims);
+    if (result.error) return result;
+
+    const { token: handoffCode, hash } = generateToken();
+    login.stateHash = undefined;
+    login.user = result.user._id;
+    login.handoffHash = hash;
+    login.codeVerifier = undefined;
+    login.expiresAt = new Date(Date.now() + LOGIN_TTL_MS);
+    await login.save();
+
+    return { handoffCode };
+  }
+
+  /**
+   * Swap the authorization code for tokens and return the verified ID token
+   * claims, merged with the userinfo response when the provider has one
+   */
+  async exchangeCode(code, login) {
+    const provider = await this.provider();
+    const { issuer, clientId, clientSecret, redirectUri } = this.config;
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: login.codeVerifier,
+    });
+    if (clientSecret) body.set('client_secret', clientSecret);
+
+    const tokens = await this.fetchJson(provider.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body,
+    });
+    if (!tokens.id_token) throw new Error('Identity provider returned no ID token');
+
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+    if (!decoded) throw new Error('Identity provider returned a malformed ID token');
+    const claims = jwt.verify(tokens.id_token, await this.signingKey(decoded.header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: [issuer, `${issuer}/`],
+      audience: clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+    if (claims.nonce !== login.nonce) throw new Error('ID token nonce does not match the login');
+
+    if (provider.userinfo_endpoint && tokens.access_token) {
+      const userinfo = await this.fetchJson(provider.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+      // Userinfo for another subject is ignored, as the spec requires
+      if (userinfo.sub === claims.sub) return { ...userinfo, ...claims };
+    }
+    return claims;
+  }
+
+  /**
+   * Role and department granted by the user's IdP groups. Either is undefined
+   * when no mapped group matches, leaving the account as it is.
+   */
+  mapGroups(groups, settings) {
+    const memberOf = new Set(groups.map(String));
+    const roles = settings.ssoRoleMappings
+      .filter((mapping) => memberOf.has(mapping.group))
+      .map((mapping) => mapping.role);
+    const department = settings.ssoDepartmentMappings.find((mapping) => memberOf.has(mapping.group));
+
+    return {
+      role: roles.length ? roles.sort((a, b) => ROLE_RANK.indexOf(b) - ROLE_RANK.indexOf(a))[0] : undefined,
+      department: department ? department.department : undefined,
+    };
+  }
+
+  /**
+   * Find the account for the provider's claims, linking an existing account by
+   * its verified email or creating one, and apply the group mappings
+   */
+  async provisionUser(claims) {
+    const { groupsClaim } = this.config;
+    const email = typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : '';
+    const subject = `${claims.iss}|${claims.sub}`;
+
+    let user = await User.findOne({ ssoSubject: subject });
+    if (!user) {
+      if (!email) {
+        return { error: 'Your identity provider did not share an email address.' };
+      }
+      if (claims.email_verified === false) {
+        return { error: 'Verify your email address with your identity provider first.' };
+      }
+      user = await User.findOne({ email });
+      if (user && user.ssoSubject) {
+        return { error: 'This email address is linked to a different single sign-on account.' };
+      }
+    }
+    if (user && user.deactivatedAt) {
+      return { error: 'This account has been deactivated. Contact your administrator.' };
+    }
+
+    const settings = await SecuritySettings.current();
+    const groups = [].concat(claims[groupsClaim] || []);
+    const { role, department } = this.mapGroups(groups, settings);
+
+    if (!user) {
+      user = new User({
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+        email,
+        // Never used; the account signs in through the provider
+        password: generateToken().token,
+        role: role || 'User',
+        department,
+      });
+    }
+
+    const previousDepartment = user.isNew ? undefined : user.department;
+    user.ssoSubject = subject;
+    user.emailVerified = true;
+    // The provider is the source of truth for mapped groups
+    if (role) user.role = role;
+    if (department) user.department = department;
+    await user.save();
+
+    // Keep department member lists in step, as the admin user routes do
+    if (department && String(previousDepartment) !== String(department)) {
+      if (previousDepartment) {
+        await Department.findByIdAndUpdate(previousDepartment, { $pull: { members: user._id } });
+      }
+      await Department.findByIdAndUpdate(department, { $addToSet: { members: user._id } });
+    }
+
+    return { user };
+  }
+
+  /**
+   * Whether password sign-in is open to a role. Admins always keep it so a
+   * broken identity provider cannot lock everyone out.
+   */
+  async localLoginAllowed(role) {
+    if (role === 'Admin') return true;
+    return (await SecuritySettings.current()).localLoginEnabled;
+  }
+
+  /**
+   * Provider details and the admin-managed single sign-on settings
+   */
+  async describeSettings() {
+    const settings = await SecuritySettings.findOne({ key: 'global' })
+      .populate('ssoDepartmentMappings.department', 'name')
+      .then((found) => found || SecuritySettings.current());
+    const { issuer, clientId, redirectUri, groupsClaim, providerName } = this.config;
+
+    return {
+      configured: this.isConfigured(),
+      providerName,
+      issuer,
+      clientId,
+      redirectUri,
+      groupsClaim,
+      localLoginEnabled: settings.localLoginEnabled,
+      roleMappings: settings.ssoRoleMappings.map(({ group, role }) => ({ group, role })),
+      departmentMappings: settings.ssoDepartmentMappings.map(({ group, department }) => ({ group, department })),
+    };
+  }
+
+  /**
+   * Change the single sign-on settings. Resolves to { error } when the change
+   * is not allowed, otherwise to the new settings.
+   */
+  async updateSettings({ localLoginEnabled, roleMappings, departmentMappings }, updatedBy) {
+    const settings = await SecuritySettings.current();
+
+    if (localLoginEnabled !== undefined) {
+      if (!localLoginEnabled && !this.isConfigured()) {
+        return { error: 'Set up single sign-on before turning off password sign-in' };
+      }
+      settings.localLoginEnabled = Boolean(localLoginEnabled);
+    }
+    if (roleMappings !== undefined) settings.ssoRoleMappings = roleMappings;
+    if (departmentMappings !== undefined) {
+      settings.ssoDepartmentMappings = departmentMappings.map(({ group, department }) => ({
+        group,
+        department: department && department._id ? department._id : department,
+      }));
+    }
+    settings.updatedBy = updatedBy;
+
+    const validationError = settings.validateSync();
+    if (validationError) {
+      return { error: Object.values(validationError.errors)[0].message };
+    }
+    await settings.save();
+    return this.describeSettings();
+  }
+
+  /**
+   * Use up a handoff code from the callback. Resolves to the user, or null when
+   * the code is unknown, used or expired.
+   */
+  async redeemHandoff(handoffCode) {
+    if (!handoffCode || typeof handoffCode !== 'string') return null;
+    const login = await SsoLogin.findOneAndDelete({
+      handoffHash: hashToken(handoffCode),
+      expiresAt: { $gt: new Date() },
+    });
+    return login && login.user ? User.findById(login.user) : null;
+  }
+}
+
+module.exports = new SsoService();
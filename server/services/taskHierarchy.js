@@ -0,0 +1,97 @@
+const Task = require('../models/Task');
+
+class TaskHierarchy {
+  /**
+   * Progress a child contributes to its parent
+   */
+  childProgress(child) {
+    return child.status === 'Completed' ? 100 : child.progress || 0;
+  }
+
+  /**
+   * Recompute progress for the parent of a task and every ancestor above it.
+   * A parent's progress is the average progress of its direct children.
+   */
+  async rollUpProgress(parentId) {
+    let currentId = parentId;
+    const updated = [];
+
+    while (currentId) {
+      const children = await Task.find({ parent: currentId }).select('status progress').lean();
+      const parent = await Task.findById(currentId);
+      if (!parent) break;
+
+      if (children.length > 0) {
+        const total = children.reduce((sum, child) => sum + this.childProgress(child), 0);
+        parent.progress = Math.round(total / children.length);
+        await parent.save();
+        updated.push(parent);
+      }
+
+      currentId = parent.parent;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Whether making `parentId` the parent of `taskId` would put the task
+   * underneath itself.
+   */
+  async wouldCreateCycle(taskId, parentId) {
+    let currentId = parentId ? String(parentId) : null;
+
+    while (currentId) {
+      if (currentId === String(taskId)) return true;
+      const current = await Task.findById(currentId).select('parent').lean();
+      currentId = current && current.parent ? String(current.parent) : null;
+    }
+
+    return false;
+  }
+
+  /**
+   * Load a task's descendants as a nested tree, ordered by `order`
+   */
+  async getTree(taskId) {
+    const children = await Task.find({ parent: taskId })
+      .sort({ order: 1, createdAt: 1 })
+      .populate('assignee', 'name avatar')
+      .select('title status priority progress dueDate assignee parent order checklist')
+      .lean();
+
+    for (const child of children) {
+      child.subtasks = await this.getTree(child._id);
+    }
+
+    return children;
+  }
+
+  /**
+   * Persist a new order for the direct children of a task. Ids that are not
+   * children of the task are ignored.
+   */
+  async reorderChildren(parentId, orderedIds) {
+    const children = await Task.find({ parent: parentId }).select('_id').lean();
+    const childIds = new Set(children.map(child => String(child._id)));
+    const ordered = orderedIds.map(String).filter(id => childIds.has(id));
+
+    if (ordered.length > 0) {
+      await Task.bulkWrite(ordered.map((id, index) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { order: index } } }
+      })));
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Next `order` value for a new child of the given parent
+   */
+  async nextOrder(parentId) {
+    const last = await Task.findOne({ parent: parentId }).sort({ order: -1 }).select('order').lean();
+    return last ? (last.order || 0) + 1 : 0;
+  }
+}
+
+module.exports = new TaskHierarchy();
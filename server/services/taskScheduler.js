@@ -0,0 +1,165 @@
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const dependencyAnalyzer = require('./dependencyAnalyzer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TaskScheduler {
+  /**
+   * When a task is planned to start. Without an explicit start date, the
+   * original plan implicitly starts it once its dependencies were due.
+   */
+  startOf(task, dependencyTasks) {
+    if (task.startDate) return new Date(task.startDate).getTime();
+
+    const created = new Date(task.createdAt || Date.now()).getTime();
+    return dependencyTasks.reduce(
+      (latest, dep) => Math.max(latest, new Date(dep.dueDate).getTime()),
+      created
+    );
+  }
+
+  /**
+   * Propose new dates for tasks whose dependencies now finish later than the
+   * task is planned to start. Dates are only ever pushed later, and each
+   * shifted task keeps its planned duration.
+   *
+   * Incomplete predecessors finish no earlier than their (proposed) due date,
+   * or now if they are already overdue. Completed predecessors never delay.
+   *
+   * With `rootTaskId`, only changes downstream of that task are returned.
+   */
+  async proposeReschedule({ rootTaskId, department, now = new Date() } = {}) {
+    const filter = {};
+    if (department) filter.department = department;
+
+    const tasks = await Task.find(filter)
+      .select('title status progress startDate dueDate createdAt dependencies assignee department')
+      .populate('assignee', 'name')
+      .populate('department', 'name')
+      .lean();
+
+    const graph = dependencyAnalyzer.buildGraph(tasks);
+    const { order } = dependencyAnalyzer.topologicalOrder(graph);
+    const nowMs = new Date(now).getTime();
+    const planned = new Map(); // id -> { start, due }
+    const changes = [];
+
+    order.forEach(id => {
+      const { task, dependencies } = graph.nodes.get(id);
+      const start = this.startOf(task, dependencies.map(depId => graph.nodes.get(depId).task));
+      const due = new Date(task.dueDate).getTime();
+      planned.set(id, { start, due });
+
+      if (task.status === 'Completed') return;
+
+      let constraint = -Infinity;
+      const causedBy = [];
+      dependencies.forEach(depId => {
+        const dep = graph.nodes.get(depId).task;
+        if (dep.status === 'Completed') return;
+        const finish = Math.max(planned.get(depId).due, nowMs);
+        if (finish > start) causedBy.push({ task: depId, title: dep.title });
+        constraint = Math.max(constraint, finish);
+      });
+
+      if (constraint <= start) return;
+
+      const duration = Math.max(DAY_MS, due - start);
+      const newStart = constraint;
+      const newDue = newStart + duration;
+      if (newDue <= due) return;
+
+      planned.set(id, { start: newStart, due: newDue });
+      changes.push({
+        task: id,
+        title: task.title,
+        status: task.status,
+        assignee: task.assignee,
+        department: task.department,
+        oldStartDate: new Date(start).toISOString(),
+        newStartDate: new Date(newStart).toISOString(),
+        oldDueDate: new Date(due).toISOString(),
+        newDueDate: new Date(newDue).toISOString(),
+        shiftDays: Math.round(((newDue - due) / DAY_MS) * 10) / 10,
+        causedBy
+      });
+    });
+
+    if (!rootTaskId) return changes;
+
+    const downstream = this.collectDownstream(graph, String(rootTaskId));
+    return changes.filter(change => downstream.has(change.task));
+  }
+
+  /**
+   * Every task that transitively depends on the given one
+   */
+  collectDownstream(graph, id) {
+    const seen = new Set();
+    const queue = graph.nodes.has(id) ? [...graph.nodes.get(id).dependents] : [];
+
+    while (queue.length > 0) {
+      const next = queue.shift();
+      if (seen.has(next)) continue;
+      seen.add(next);
+      queue.push(...graph.nodes.get(next).dependents);
+    }
+
+    return seen;
+  }
+
+  /**
+   * Apply reviewed proposals in one batch. The dates are recomputed here, so
+   * only the task ids come from the reviewer. A task is skipped when it no
+   * longer needs moving, or when its proposed due date differs from the one
+   * that was reviewed.
+   */
+  async applyReschedule(selection, appliedBy, { department } = {}) {
+    const proposals = await this.proposeReschedule({ department });
+    const byTask = new Map(proposals.map(change => [String(change.task), change]));
+
+    const applied = [];
+    const skipped = [];
+
+    selection.forEach(({ task, newDueDate }) => {
+      const change = byTask.get(String(task));
+      if (!change) {
+        skipped.push({ task, reason: 'Task no longer needs rescheduling' });
+      } else if (newDueDate && new Date(newDueDate).getTime() !== new Date(change.newDueDate).getTime()) {
+        skipped.push({ task, reason: 'Proposed dates changed since the review' });
+      } else {
+        applied.push({ ...change, assignee: change.assignee?._id || change.assignee || null });
+      }
+    });
+
+    if (applied.length > 0) {
+      await Task.bulkWrite(applied.map(change => ({
+        updateOne: {
+          filter: { _id: change.task },
+          update: {
+            $set: {
+              startDate: new Date(change.newStartDate),
+              dueDate: new Date(change.newDueDate),
+              updatedAt: new Date()
+            }
+          }
+        }
+      })));
+
+      await Notification.insertMany(applied.filter(change => change.assignee).map(change => ({
+        recipient: change.assignee,
+        type: 'task_rescheduled',
+        title: 'Task Rescheduled',
+        message: `The due date of '${change.title}' moved from ${new Date(change.oldDueDate).toDateString()} to ${new Date(change.newDueDate).toDateString()} because a dependency slipped.`,
+        task: change.task
+      })));
+    }
+
+    console.log(`Rescheduled ${applied.length} task(s), skipped ${skipped.length}${appliedBy ? ` (by ${appliedBy})` : ''}`);
+
+    return { applied, skipped };
+  }
+}
+
+module.exports = new TaskScheduler();
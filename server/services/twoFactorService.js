@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
+const totp = require('../utils/totp');
+const { hashToken } = require('../utils/tokens');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'jwtSecret';
+// Login challenges are signed with their own key so one can never pass as an
+// access token
+const CHALLENGE_SECRET = `${JWT_SECRET}:two-factor-challenge`;
+const CHALLENGE_TTL = '5m';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'WorkflowAI';
+// Changing the key makes every enrolled authenticator unreadable
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+const RECOVERY_CODE_COUNT = 10;
+const SETTINGS_CACHE_MS = 30 * 1000;
+
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastStep +twoFactorRecoveryCodes';
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class TwoFactorService {
+  constructor() {
+    this.cachedSettings = null;
+    this.cachedAt = 0;
+  }
+
+  encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map((part) => part.toString('base64')).join('.');
+  }
+
+  decrypt(stored) {
+    const [iv, tag, data] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * The security policy, cached briefly since every permission check reads it
+   */
+  async settings() {
+    if (!this.cachedSettings || Date.now() - this.cachedAt > SETTINGS_CACHE_MS) {
+      this.cachedSettings = await SecuritySettings.current();
+      this.cachedAt = Date.now();
+    }
+    return this.cachedSettings;
+  }
+
+  async requiredRoles() {
+    return [...(await this.settings()).twoFactorRequiredRoles];
+  }
+
+  async setRequiredRoles(roles, updatedBy) {
+    const settings = await SecuritySettings.current();
+    settings.twoFactorRequiredRoles = [...new Set(roles)];
+    settings.updatedBy = updatedBy;
+    await settings.save();
+    this.cachedSettings = settings;
+    this.cachedAt = Date.now();
+    return this.requiredRoles();
+  }
+
+  async isRequiredFor(role) {
+    return (await this.requiredRoles()).includes(role);
+  }
+
+  /**
+   * Whether the policy requires this user to enroll before doing anything else.
+   * Service accounts never sign in interactively, so it does not apply to them.
+   */
+  async setupRequired(user) {
+    return !user.twoFactorEnabled && !user.serviceAccount && (await this.isRequiredFor(user.role));
+  }
+
+  async status(userId) {
+    const user = await User.findById(userId).select(`role twoFactorEnabled ${SECRET_FIELDS}`);
+    return {
+      enabled: user.twoFactorEnabled,
+      required: await this.isRequiredFor(user.role),
+      recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0,
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret. It only replaces an active one once
+   * enable() confirms a code from it.
+   */
+  async beginSetup(userId) {
+    const user = await User.findById(userId).select(`email ${SECRET_FIELDS}`);
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = this.encrypt(secret);
+    await user.save();
+
+    const otpauthUrl = totp.keyUri({ secret, account: user.email, issuer: ISSUER });
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+  }
+
+  /**
+   * Confirm enrollment with a code from the new secret. Resolves to the
+   * recovery codes, shown to the user once, or null when the code is wrong.
+   */
+  async enable(userId, code) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactorPendingSecret) return null;
+
+    const step = totp.verifyCode(this.decrypt(user.twoFactorPendingSecret), code);
+    if (step === null) return null;
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = this.issueRecoveryCodes(user);
+    await user.save();
+    return recoveryCodes;
+  }
+
+  /**
+   * Replace the user's recovery codes (without saving) and return them
+   */
+  issueRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    user.twoFactorRecoveryCodes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+    return codes;
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    const codes = this.issueRecoveryCodes(user);
+    await user.save();
+    return codes;
+  }
+
+  /**
+   * Check a code from the authenticator app, or else a recovery code, which is
+   * used up. Resolves to 'totp', 'recovery' or null. Both are claimed with an
+   * atomic update so the same code cannot be accepted twice.
+   */
+  async verify(userId, code) {
+    const user = await User.findById(userId).select(`twoFactorEnabled ${SECRET_FIELDS}`);
+    if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) return null;
+
+    const lastStep = user.twoFactorLastStep === undefined ? -1 : user.twoFactorLastStep;
+    const step = totp.verifyCode(this.decrypt(user.twoFactorSecret), code, { afterStep: lastStep });
+    if (step !== null) {
+      const claimed = await User.updateOne(
+        { _id: user._id, $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }] },
+        { $set: { twoFactorLastStep: step } }
+      );
+      return claimed.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return null;
+    const hash = hashToken(normalized);
+    const used = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return used.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret and recovery codes
+   */
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorLastStep: 1, twoFactorRecoveryCodes: 1 },
+      }
+    );
+  }
+
+  /**
+   * Short-lived token proving the password step of a login succeeded
+   */
+  createChallenge(user) {
+    return jwt.sign({ id: String(user._id), purpose: 'two-factor' }, CHALLENGE_SECRET, { expiresIn: CHALLENGE_TTL });
+  }
+
+  /**
+   * User id from a login challenge, or null when it is invalid or expired
+   */
+  readChallenge(token) {
+    try {
+      const decoded = jwt.verify(String(token || ''), CHALLENGE_SECRET);
+      return decoded.purpose === 'two-factor' ? decoded.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -3,6 +3,7 @@ const MonitoringAlert = require('../models/MonitoringAlert');
 const activityTracker = require('./activityTracker');
 const screenCaptureService = require('./screenCapture');
 const environmentConfig = require('../config/environment');
+const whitelistService = require('./whitelistService');
 
 class WebsiteMonitor {
   constructor() {
@@ -90,6 +91,7 @@ class WebsiteMonitor {
       currentApplication: null,
       urlStartTime: null,
       dailyUsage: new Map(), // domain -> total time
+      whitelistEntry: null, // Allowed entry for the current URL, for usage limits
       intervalId: null,
       lastCheck: new Date()
     };
@@ -103,6 +105,10 @@ class WebsiteMonitor {
           const hasClientMonitoring = activeSessions.some(s => s.employeeId === employeeId);
 
           if (hasClientMonitoring) {
+            // The client counts whitelist usage while it reports; start counting
+            // afresh once it stops so no time is counted twice
+            sessionData.lastCheck = new Date();
+            sessionData.whitelistEntry = null;
             console.log(`🔄 Client monitoring active for employee ${employeeId}, skipping server-side detection`);
             return;
           }
@@ -188,6 +194,16 @@ class WebsiteMonitor {
       if (!currentActivity) return;
 
       const { url, title, application } = currentActivity;
+
+      // Time since the last check counts towards the current site's usage limits
+      if (sessionData.whitelistEntry) {
+        await whitelistService.recordUsage(
+          sessionData.whitelistEntry,
+          sessionData.employeeId,
+          (Date.now() - sessionData.lastCheck.getTime()) / 1000,
+          { sessionId: sessionData.sessionId }
+        );
+      }
       
       // Check if URL has changed
       if (url !== sessionData.currentUrl) {
@@ -748,7 +764,8 @@ class WebsiteMonitor {
    */
   async checkUrlCompliance(sessionData, url, title, application) {
     try {
-      const whitelistCheck = await WebsiteWhitelist.isWhitelisted(url, sessionData.employeeId);
+      const whitelistCheck = await whitelistService.check({ url }, sessionData.employeeId);
+      sessionData.whitelistEntry = whitelistCheck.allowed ? whitelistCheck.entry : null;
       
       if (!whitelistCheck.allowed) {
         // Create alert for unauthorized website
@@ -0,0 +1,534 @@
+const WebsiteWhitelist = require('../models/WebsiteWhitelist');
+const WhitelistUsage = require('../models/WhitelistUsage');
+const MonitoringAlert = require('../models/MonitoringAlert');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const Notification = require('../models/Notification');
+const { sendPushNotificationToUsers } = require('../utils/pushNotificationService');
+
+const EMPLOYEE_CACHE_MS = 60 * 1000;
+// Usage reported further apart than this starts a new visit for max_session_minutes
+const VISIT_GAP_MS = 2 * 60 * 1000;
+// Longest gap between two reports counted as time on the site, so a laptop
+// left asleep on a page does not use up the daily limit
+const MAX_USAGE_INCREMENT_SECONDS = 5 * 60;
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// role_restrictions uses its own role names
+const RESTRICTION_ROLES = { Admin: 'admin', Manager: 'manager', User: 'employee' };
+
+const bareDomain = (domain) => domain.replace(/^www\./, '');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Approvals without an expiry date, or whose expiry is still ahead
+const notExpired = () => ({ $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }] });
+
+const hasUsageLimits = (entry) => {
+  const limits = entry.usage_limits || {};
+  return Boolean(limits.max_daily_minutes || limits.max_session_minutes || limits.warning_threshold_minutes);
+};
+
+class WhitelistService {
+  constructor() {
+    this.employees = new Map(); // employeeId -> { employee, loadedAt }
+  }
+
+  /**
+   * Date, weekday and minutes past midnight at `at` in the entry's timezone.
+   * Unknown timezones fall back to UTC.
+   */
+  localTime(timezone, at = new Date()) {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(at);
+    } catch (error) {
+      return this.localTime('UTC', at);
+    }
+
+    const part = (type) => parts.find((item) => item.type === type).value;
+    const date = `${part('year')}-${part('month')}-${part('day')}`;
+    return {
+      date,
+      day: DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()],
+      minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+  }
+
+  /**
+   * Whether `minutes` falls in the allowed hours. Either end may be left out
+   * ("after 17:00"), and a start later than the end spans midnight.
+   */
+  withinHours(allowedHours = {}, minutes) {
+    const start = parseTime(allowedHours.start);
+    const end = parseTime(allowedHours.end);
+    if (start === null && end === null) return true;
+    if (end === null) return minutes >= start;
+    if (start === null) return minutes < end;
+    if (start <= end) return minutes >= start && minutes < end;
+    return minutes >= start || minutes < end;
+  }
+
+  /**
+   * Role and department of an employee, cached briefly since every activity
+   * update is checked
+   */
+  async employee(employeeId) {
+    const key = String(employeeId);
+    const cached = this.employees.get(key);
+    if (cached && Date.now() - cached.loadedAt < EMPLOYEE_CACHE_MS) return cached.employee;
+
+    const employee = await User.findById(employeeId).select('role department').lean().catch(() => null);
+    this.employees.set(key, { employee, loadedAt: Date.now() });
+    return employee;
+  }
+
+  /**
+   * The approved entry covering a URL or application. For URLs the most
+   * specific domain wins, so an entry for docs.example.com beats example.com.
+   */
+  async findEntry({ url, application }) {
+    const active = { is_active: true, approval_status: 'approved', $and: [notExpired()] };
+
+    if (url) {
+      let hostname;
+      try {
+        hostname = bareDomain(new URL(url).hostname.toLowerCase());
+      } catch (error) {
+        return null;
+      }
+      // docs.example.com -> docs.example.com, example.com (not the bare TLD)
+      const labels = hostname.split('.');
+      const candidates = labels.map((_, i) => labels.slice(i).join('.')).slice(0, Math.max(1, labels.length - 1));
+      candidates.push(...candidates.map((domain) => `www.${domain}`));
+
+      const entries = await WebsiteWhitelist.find({ ...active, domain: { $in: candidates } });
+      const specificity = (entry) => bareDomain(entry.domain).length;
+      return entries.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+    }
+
+    if (application) {
+      const name = new RegExp(`^${escapeRegex(application)}$`, 'i');
+      return WebsiteWhitelist.findOne({
+        ...active,
+        $and: [...active.$and, { $or: [{ application_name: name }, { application_executable: name }] }]
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Why the entry does not cover this visit, or null when it does. Checks
+   * department and role scoping, blocked and allowed paths, then the allowed
+   * days and hours in the entry's timezone.
+   */
+  restrictionFor(entry, employee, { path = '/', at = new Date() } = {}) {
+    const departments = entry.department_restrictions || [];
+    if (departments.length > 0) {
+      const department = employee?.department && String(employee.department);
+      if (!departments.some((item) => String(item._id || item) === department)) {
+        return 'Not allowed for this department';
+      }
+    }
+
+    const roles = entry.role_restrictions || [];
+    if (roles.length > 0 && !roles.includes(RESTRICTION_ROLES[employee?.role])) {
+      return 'Not allowed for this role';
+    }
+
+    const blocked = (entry.blocked_paths || []).find((item) => item.path && path.startsWith(item.path));
+    if (blocked) {
+      return `Path blocked${blocked.reason ? `: ${blocked.reason}` : ''}`;
+    }
+
+    const allowedPaths = (entry.allowed_paths || []).filter((item) => item.path);
+    if (allowedPaths.length > 0 && !allowedPaths.some((item) => path.startsWith(item.path))) {
+      return 'Path not in allowed paths';
+    }
+
+    const restrictions = entry.time_restrictions || {};
+    const local = this.localTime(restrictions.timezone, at);
+    if (restrictions.allowed_days?.length > 0 && !restrictions.allowed_days.includes(local.day)) {
+      return `Not allowed on ${local.day}`;
+    }
+    if (!this.withinHours(restrictions.allowed_hours, local.minutes)) {
+      return 'Outside allowed hours';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the employee may use this site or application right now. Resolves
+   * to { allowed, reason, entry, monitoring_level, auto_screenshot }.
+   */
+  async check({ url, application }, employeeId, at = new Date()) {
+    const entry = await this.findEntry({ url, application });
+    if (!entry) {
+      return { allowed: false, reason: url ? 'Domain not in whitelist' : 'Application not in whitelist' };
+    }
+
+    let path = '/';
+    if (url) {
+      try {
+        path = new URL(url).pathname;
+      } catch (error) {
+        path = '/';
+      }
+    }
+
+    const employee = await this.employee(employeeId);
+    const restriction = this.restrictionFor(entry, employee, { path, at });
+    if (restriction) {
+      return { allowed: false, reason: restriction, entry };
+    }
+
+    const maxDaily = entry.usage_limits?.max_daily_minutes;
+    if (maxDaily) {
+      const usage = await WhitelistUsage.findOne({
+        entry: entry._id,
+        employee: employeeId,
+        date: this.localTime(entry.time_restrictions?.timezone, at).date
+      }).lean();
+      if (usage && usage.seconds >= maxDaily * 60) {
+        return { allowed: false, reason: `Daily limit of ${maxDaily} minutes reached`, entry };
+      }
+    }
+
+    await WebsiteWhitelist.updateUsageStats(entry._id, employeeId);
+
+    return {
+      allowed: true,
+      entry,
+      monitoring_level: entry.monitoring_level,
+      auto_screenshot: entry.auto_screenshot
+    };
+  }
+
+  /**
+   * Count time spent on an allowed entry towards its usage limits and raise an
+   * alert the first time the warning threshold, the daily limit or the
+   * per-visit limit is crossed. Counts are added atomically, so reports for the
+   * same employee arriving together are all kept.
+   */
+  async recordUsage(entry, employeeId, seconds, { sessionId, at = new Date() } = {}) {
+    if (!entry || !hasUsageLimits(entry) || !(seconds > 0)) return null;
+
+    const increment = Math.min(Math.round(seconds), MAX_USAGE_INCREMENT_SECONDS);
+    const day = { entry: entry._id, employee: employeeId, date: this.localTime(entry.time_restrictions?.timezone, at).date };
+    const counted = { $inc: { seconds: increment }, $max: { last_seen_at: at } };
+
+    // Seen within the gap: the same visit goes on. Otherwise a new one starts.
+    let usage = await WhitelistUsage.findOneAndUpdate(
+      { ...day, last_seen_at: { $gte: new Date(at.getTime() - VISIT_GAP_MS) } },
+      { ...counted, $inc: { ...counted.$inc, stretch_seconds: increment } },
+      { new: true }
+    );
+    if (!usage) {
+      usage = await WhitelistUsage.findOneAndUpdate(
+        day,
+        {
+          ...counted,
+          $set: { stretch_started_at: new Date(at.getTime() - increment * 1000), stretch_seconds: increment },
+          $unset: { session_limit_alerted_at: '' }
+        },
+        { upsert: true, new: true }
+      );
+    }
+
+    // Each alert is sent once: only the update that sets its marker raises it
+    const claim = async (field) =>
+      !usage[field] && (await WhitelistUsage.updateOne({ _id: usage._id, [field]: null }, { $set: { [field]: at } }))
+        .modifiedCount === 1;
+
+    const limits = entry.usage_limits;
+    const usedMinutes = usage.seconds / 60;
+    const alerts = [];
+
+    if (limits.warning_threshold_minutes && usedMinutes >= limits.warning_threshold_minutes &&
+        (await claim('warning_sent_at'))) {
+      alerts.push({
+        severity: 'low',
+        title: 'Approaching Daily Usage Limit',
+        description: `Employee has used ${entry.domain} for ${Math.floor(usedMinutes)} minutes today` +
+          (limits.max_daily_minutes ? ` of the ${limits.max_daily_minutes} allowed` : '')
+      });
+    }
+
+    if (limits.max_daily_minutes && usedMinutes >= limits.max_daily_minutes && (await claim('limit_reached_at'))) {
+      alerts.push({
+        severity: 'medium',
+        title: 'Daily Usage Limit Reached',
+        description: `Employee reached the daily limit of ${limits.max_daily_minutes} minutes on ${entry.domain}`
+      });
+    }
+
+    if (limits.max_session_minutes && usage.stretch_seconds >= limits.max_session_minutes * 60 &&
+        (await claim('session_limit_alerted_at'))) {
+      alerts.push({
+        severity: 'low',
+        title: 'Visit Length Limit Reached',
+        description: `Employee has been on ${entry.domain} for more than ${limits.max_session_minutes} minutes at once`
+      });
+    }
+
+    await Promise.all(alerts.map((alert) => new MonitoringAlert({
+      employee: employeeId,
+      alert_type: 'application_misuse',
+      ...alert,
+      session_id: sessionId,
+      data: {
+        website_url: entry.domain,
+        application_name: entry.application_name,
+        activity_data: {
+          whitelist_entry: entry._id,
+          used_minutes: Math.floor(usedMinutes),
+          visit_minutes: Math.floor(usage.stretch_seconds / 60),
+          usage_limits: limits
+        }
+      }
+    }).save()));
+
+    return usage;
+  }
+
+  /**
+   * Who reviews an employee's access requests: the Managers and lead of their
+   * department, or the admins when there are none
+   */
+  async approvers(requester) {
+    const available = { deactivatedAt: null, serviceAccount: { $ne: true }, _id: { $ne: requester._id } };
+    if (requester.department) {
+      const [managers, department] = await Promise.all([
+        User.find({ ...available, role: 'Manager', department: requester.department }).distinct('_id'),
+        Department.findById(requester.department).select('lead')
+      ]);
+      const ids = [...managers, department?.lead].filter(Boolean).map(String);
+      const approvers = [...new Set(ids)].filter((id) => id !== String(requester._id));
+      if (approvers.length > 0) return approvers;
+    }
+    return (await User.find({ ...available, role: 'Admin' }).distinct('_id')).map(String);
+  }
+
+  async notify(recipients, { type, title, message, url, tag }) {
+    if (recipients.length === 0) return;
+    await Notification.insertMany(recipients.map((recipient) => ({ recipient, type, title, message })));
+
+    try {
+      await sendPushNotificationToUsers(recipients, title, message, url, tag);
+    } catch (error) {
+      // Push delivery is best effort; the in-app notification is already stored
+      console.error('Error sending whitelist push notifications:', error);
+    }
+  }
+
+  /**
+   * The employee who asked for an entry; requests made before requested_by
+   * existed only have added_by
+   */
+  requesterOf(entry) {
+    return entry.requested_by || entry.added_by;
+  }
+
+  /**
+   * An employee asks for a site to be allowed. The request is a pending
+   * whitelist entry with the justification as its description; rejected or
+   * expired entries for the same domain are reopened without their old
+   * department scope. Resolves to { entry } or { error }.
+   */
+  async requestAccess(requesterId, { domain, justification } = {}) {
+    const requester = await User.findById(requesterId).select('name department');
+    if (!requester) return { error: 'User not found', status: 404 };
+
+    const fields = this.entryFields({ domain: domain || '' });
+    if (!fields.domain || fields.domain.length > 253) return { error: 'Enter the site you need, e.g. example.com' };
+    const reason = typeof justification === 'string' ? justification.trim() : '';
+    if (!reason) return { error: 'Explain why you need this site' };
+    if (reason.length > 1000) return { error: 'Keep the justification under 1000 characters' };
+
+    let entry = await WebsiteWhitelist.findOne({ domain: { $in: [fields.domain, `www.${fields.domain}`] } });
+    if (entry?.approval_status === 'pending') {
+      return { error: 'Access to this site has already been requested' };
+    }
+    const stillApproved = entry?.approval_status === 'approved' && entry.is_active &&
+      (!entry.expires_at || entry.expires_at > new Date());
+    if (stillApproved) {
+      return { error: 'This site is already on the whitelist. Ask your manager if it is restricted for you.' };
+    }
+
+    const request = {
+      description: reason,
+      requested_by: requester._id,
+      department_restrictions: [],
+      approval_status: 'pending',
+      is_active: true,
+      approved_by: undefined,
+      approval_date: undefined,
+      rejection_reason: undefined,
+      expires_at: undefined
+    };
+    if (entry) {
+      entry.set(request);
+    } else {
+      entry = new WebsiteWhitelist({
+        domain: fields.domain,
+        category: 'other',
+        monitoring_level: 'basic',
+        added_by: requester._id,
+        ...request
+      });
+    }
+    await entry.save();
+
+    await this.notify(await this.approvers(requester), {
+      type: 'access_requested',
+      title: 'Website access requested',
+      message: `${requester.name} asked for access to ${entry.domain}: "${reason}"`,
+      url: '/monitoring',
+      tag: `whitelist-request-${entry._id}`
+    });
+
+    return { entry };
+  }
+
+  /**
+   * Approve a pending request, optionally until `expiresAt`. Approvals by
+   * managers and leads apply to the requester's department only; admins may
+   * allow the site for everyone unless `departmentOnly` is set. Takes effect on
+   * the employee's next page change.
+   */
+  async approve(entry, reviewerId, { notes, expiresAt, departmentOnly } = {}) {
+    if (entry.approval_status !== 'pending') return { error: 'Only pending requests can be reviewed' };
+    const requesterId = this.requesterOf(entry);
+    if (String(requesterId) === String(reviewerId)) return { error: 'You cannot review your own request' };
+
+    let expires;
+    if (expiresAt) {
+      expires = new Date(expiresAt);
+      if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+        return { error: 'The approval must end in the future' };
+      }
+    }
+
+    const [reviewer, requester] = await Promise.all([
+      User.findById(reviewerId).select('role'),
+      User.findById(requesterId).select('department')
+    ]);
+    if (departmentOnly || reviewer?.role !== 'Admin') {
+      if (!requester?.department) {
+        return { error: 'The requester is not in a department, so only an admin can approve this request' };
+      }
+      entry.department_restrictions = [requester.department];
+    } else {
+      entry.department_restrictions = [];
+    }
+
+    entry.expires_at = expires;
+    entry.is_active = true;
+    await entry.approve(reviewerId, typeof notes === 'string' ? notes.trim() : '');
+
+    await this.notify([String(requesterId)], {
+      type: 'access_request_reviewed',
+      title: 'Website access approved',
+      message: `Your request for ${entry.domain} was approved` +
+        (expires ? ` until ${expires.toDateString()}.` : '.'),
+      url: '/userdashboard',
+      tag: `whitelist-request-${entry._id}`
+    });
+
+    return { entry };
+  }
+
+  async reject(entry, reviewerId, reason) {
+    if (entry.approval_status !== 'pending') return { error: 'Only pending requests can be reviewed' };
+    const requesterId = this.requesterOf(entry);
+    if (String(requesterId) === String(reviewerId)) return { error: 'You cannot review your own request' };
+
+    const why = typeof reason === 'string' ? reason.trim() : '';
+    await entry.reject(reviewerId, why || undefined);
+
+    await this.notify([String(requesterId)], {
+      type: 'access_request_reviewed',
+      title: 'Website access request declined',
+      message: `Your request for ${entry.domain} was declined${why ? `: ${why}` : '.'}`,
+      url: '/userdashboard',
+      tag: `whitelist-request-${entry._id}`
+    });
+
+    return { entry };
+  }
+
+  /**
+   * Map the whitelist form's fields onto the model. Only fields present in
+   * `input` are returned, so it also serves partial updates.
+   */
+  entryFields(input = {}) {
+    const fields = {};
+    const lines = (list, key) => (Array.isArray(list) ? list : [])
+      .map((item) => (typeof item === 'string' ? { path: item } : item))
+      .filter((item) => item && typeof item.path === 'string' && item.path.trim())
+      .map((item) => ({ path: item.path.trim(), [key]: item[key] }));
+
+    if (input.domain !== undefined) {
+      const domain = String(input.domain).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+      fields.domain = bareDomain(domain);
+    }
+    if (input.category !== undefined) fields.category = input.category;
+    if (input.description !== undefined) fields.description = input.description;
+    if (input.applicationName !== undefined) fields.application_name = input.applicationName || undefined;
+    if (input.applicationExecutable !== undefined) {
+      fields.application_executable = input.applicationExecutable || undefined;
+    }
+    if (input.trustLevel !== undefined) fields.trust_level = input.trustLevel;
+    if (input.monitoringLevel !== undefined) fields.monitoring_level = input.monitoringLevel;
+    if (input.allowedPaths !== undefined) fields.allowed_paths = lines(input.allowedPaths, 'description');
+    if (input.blockedPaths !== undefined) fields.blocked_paths = lines(input.blockedPaths, 'reason');
+    if (input.departmentRestrictions !== undefined) {
+      fields.department_restrictions = Array.isArray(input.departmentRestrictions) ? input.departmentRestrictions : [];
+    }
+    if (input.roleRestrictions !== undefined) {
+      fields.role_restrictions = Array.isArray(input.roleRestrictions) ? input.roleRestrictions : [];
+    }
+
+    if (input.timeRestrictions !== undefined) {
+      const time = input.timeRestrictions || {};
+      const hours = time.allowedHours || time.allowed_hours || {};
+      fields.time_restrictions = {
+        allowed_hours: { start: hours.start || undefined, end: hours.end || undefined },
+        allowed_days: time.allowedDays || time.allowed_days || [],
+        timezone: time.timezone || 'UTC'
+      };
+    }
+
+    if (input.usageLimits !== undefined) {
+      const limits = input.usageLimits || {};
+      const minutes = (camel, snake) => {
+        const value = Number(limits[camel] ?? limits[snake]);
+        return value > 0 ? value : undefined;
+      };
+      fields.usage_limits = {
+        max_daily_minutes: minutes('maxDailyMinutes', 'max_daily_minutes'),
+        max_session_minutes: minutes('maxSessionMinutes', 'max_session_minutes'),
+        warning_threshold_minutes: minutes('warningThresholdMinutes', 'warning_threshold_minutes')
+      };
+    }
+
+    return fields;
+  }
+}
+
+module.exports = new WhitelistService();
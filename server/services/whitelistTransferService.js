@@ -0,0 +1,486 @@
+const WebsiteWhitelist = require('../models/WebsiteWhitelist');
+const MonitoringPolicy = require('../models/MonitoringPolicy');
+const Department = require('../models/Department');
+const whitelistService = require('./whitelistService');
+const monitoringPolicyService = require('./monitoringPolicyService');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+const FORMAT_VERSION = 1;
+const MAX_RECORDS = 5000;
+const ACTIONS = ['allow', 'flag', 'alert'];
+
+// One whitelist entry per row. Lists are separated by semicolons, and
+// departments are written by name so a file can be imported elsewhere.
+const CSV_COLUMNS = [
+  'domain', 'category', 'description', 'application_name', 'application_executable', 'is_active',
+  'trust_level', 'monitoring_level', 'allowed_paths', 'blocked_paths', 'allowed_hours_start',
+  'allowed_hours_end', 'allowed_days', 'timezone', 'max_daily_minutes', 'max_session_minutes',
+  'warning_threshold_minutes', 'departments', 'roles'
+];
+const TIME_COLUMNS = ['allowed_hours_start', 'allowed_hours_end', 'allowed_days', 'timezone'];
+const LIMIT_COLUMNS = ['max_daily_minutes', 'max_session_minutes', 'warning_threshold_minutes'];
+
+const splitList = (value) => String(value || '').split(';').map((item) => item.trim()).filter(Boolean);
+const joinList = (list) => (list || []).join(';');
+
+// Drop empty values, so a field left out and a field left blank compare equal
+const compact = (value) => {
+  if (Array.isArray(value)) return value.map(compact);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const cleaned = compact(item);
+      const empty = cleaned && typeof cleaned === 'object' && !Array.isArray(cleaned) && Object.keys(cleaned).length === 0;
+      if (cleaned !== undefined && !empty) result[key] = cleaned;
+    }
+    return result;
+  }
+  return value === '' || value === null ? undefined : value;
+};
+const same = (a, b) => JSON.stringify(compact(a) ?? null) === JSON.stringify(compact(b) ?? null);
+
+const emptyReport = () => ({ added: [], changed: [], unchanged: 0, conflicts: [], errors: [] });
+
+/**
+ * Moves whitelist entries and monitoring policies between environments as CSV
+ * or JSON. Imports are planned first: the plan lists what would be added,
+ * changed or left alone, and what conflicts with local data, so a dry run can
+ * be reviewed before it is applied. Entries are matched by domain and
+ * policies by name.
+ */
+class WhitelistTransferService {
+  async departmentNames() {
+    const departments = await Department.find().select('name').lean();
+    return new Map(departments.map((department) => [String(department._id), department.name]));
+  }
+
+  /**
+   * A whitelist entry without database ids or usage data
+   */
+  portableEntry(entry, departmentNames) {
+    const time = entry.time_restrictions || {};
+    const hours = time.allowed_hours || {};
+    const limits = entry.usage_limits || {};
+    return {
+      domain: entry.domain,
+      category: entry.category,
+      description: entry.description,
+      application_name: entry.application_name,
+      application_executable: entry.application_executable,
+      is_active: entry.is_active,
+      trust_level: entry.trust_level,
+      monitoring_level: entry.monitoring_level,
+      allowed_paths: (entry.allowed_paths || []).map(({ path, description }) => ({ path, description })),
+      blocked_paths: (entry.blocked_paths || []).map(({ path, reason }) => ({ path, reason })),
+      time_restrictions: {
+        allowed_hours: { start: hours.start, end: hours.end },
+        allowed_days: [...(time.allowed_days || [])],
+        timezone: time.timezone
+      },
+      usage_limits: {
+        max_daily_minutes: limits.max_daily_minutes,
+        max_session_minutes: limits.max_session_minutes,
+        warning_threshold_minutes: limits.warning_threshold_minutes
+      },
+      role_restrictions: [...(entry.role_restrictions || [])],
+      departments: (entry.department_restrictions || [])
+        .map((id) => departmentNames.get(String(id)))
+        .filter(Boolean)
+        .sort()
+    };
+  }
+
+  /**
+   * A policy with the rules it enforces, or its draft if it was never
+   * published
+   */
+  portablePolicy(policy, departmentNames) {
+    const content = policy.published && policy.published.version > 0 ? policy.published : policy.draft;
+    return {
+      name: policy.name,
+      description: policy.description,
+      is_active: policy.is_active,
+      departments: (policy.departments || [])
+        .map((department) => departmentNames.get(String(department._id || department)))
+        .filter(Boolean)
+        .sort(),
+      default_action: content.default_action,
+      rules: this.portableRules(content.rules)
+    };
+  }
+
+  portableRules(rules = []) {
+    return rules.map(({ type, pattern, action, severity, description, enabled }) => ({
+      type, pattern, action, severity, description, enabled
+    }));
+  }
+
+  /**
+   * The approved whitelist (and, for JSON, the monitoring policies) as
+   * { filename, contentType, body }
+   */
+  async export(format = 'json') {
+    const departmentNames = await this.departmentNames();
+    const entries = await WebsiteWhitelist.find({ approval_status: 'approved' }).sort({ domain: 1 });
+    const whitelist = entries.map((entry) => this.portableEntry(entry, departmentNames));
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      const rows = whitelist.map((entry) => ({
+        ...entry,
+        allowed_paths: joinList(entry.allowed_paths.map((item) => item.path)),
+        blocked_paths: joinList(entry.blocked_paths.map((item) => item.path)),
+        allowed_hours_start: entry.time_restrictions.allowed_hours.start,
+        allowed_hours_end: entry.time_restrictions.allowed_hours.end,
+        allowed_days: joinList(entry.time_restrictions.allowed_days),
+        timezone: entry.time_restrictions.timezone,
+        ...entry.usage_limits,
+        departments: joinList(entry.departments),
+        roles: joinList(entry.role_restrictions)
+      }));
+      return { filename: `whitelist-${date}.csv`, contentType: 'text/csv', body: toCsv(CSV_COLUMNS, rows) };
+    }
+
+    const policies = await monitoringPolicyService.list();
+    const body = {
+      version: FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      whitelist,
+      policies: policies.map((policy) => this.portablePolicy(policy, departmentNames))
+    };
+    return {
+      filename: `monitoring-policy-${date}.json`,
+      contentType: 'application/json',
+      body: JSON.stringify(body, null, 2)
+    };
+  }
+
+  /**
+   * Read an import file into { whitelist, policies } records, each carrying
+   * the row or position it came from. Only JSON files carry policies.
+   */
+  parse(format, content) {
+    if (format === 'csv') {
+      if (typeof content !== 'string') return { error: 'Upload the CSV file as text' };
+      const parsed = parseCsv(content);
+      if (parsed.error) return parsed;
+      if (!parsed.headers.includes('domain')) return { error: 'The CSV file needs a domain column' };
+      return { whitelist: parsed.rows.map((row) => ({ row: row._row, record: this.fromCsvRow(row) })), policies: [] };
+    }
+
+    if (format !== 'json') return { error: 'Format must be csv or json' };
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        return { error: `Invalid JSON (${error.message})` };
+      }
+    }
+    // A plain list is taken to be whitelist entries
+    if (Array.isArray(data)) data = { whitelist: data };
+    if (!data || typeof data !== 'object') return { error: 'The file has no whitelist or policies' };
+    if (data.version !== undefined && data.version > FORMAT_VERSION) {
+      return { error: `The file was exported by a newer version (format ${data.version})` };
+    }
+
+    const records = (list) => (Array.isArray(list) ? list : []).map((record, index) => ({ row: index + 1, record }));
+    return { whitelist: records(data.whitelist), policies: records(data.policies) };
+  }
+
+  /**
+   * Only the columns present in the file are set, so a sheet with just
+   * domain, category and description leaves other settings alone.
+   */
+  fromCsvRow(row) {
+    const has = (column) => row[column] !== undefined;
+    const record = {};
+    for (const column of ['domain', 'application_name', 'application_executable']) {
+      if (has(column)) record[column] = row[column];
+    }
+    // A blank cell keeps the default (or the current value) for these
+    for (const column of ['category', 'description', 'trust_level', 'monitoring_level']) {
+      if (row[column]) record[column] = row[column];
+    }
+    if (has('is_active')) record.is_active = !['false', 'no', '0'].includes(row.is_active.toLowerCase());
+    if (has('allowed_paths')) record.allowed_paths = splitList(row.allowed_paths);
+    if (has('blocked_paths')) record.blocked_paths = splitList(row.blocked_paths);
+    if (TIME_COLUMNS.some(has)) {
+      record.time_restrictions = {
+        allowed_hours: { start: row.allowed_hours_start, end: row.allowed_hours_end },
+        allowed_days: splitList(row.allowed_days).map((day) => day.toLowerCase()),
+        timezone: row.timezone
+      };
+    }
+    if (LIMIT_COLUMNS.some(has)) {
+      record.usage_limits = Object.fromEntries(LIMIT_COLUMNS.map((column) => [column, row[column]]));
+    }
+    if (has('departments')) record.departments = splitList(row.departments);
+    if (has('roles')) record.role_restrictions = splitList(row.roles).map((role) => role.toLowerCase());
+    return record;
+  }
+
+  /**
+   * Department ids for names, or { error } naming the first unknown one
+   */
+  departmentIds(names, departmentNames) {
+    if (!Array.isArray(names)) return { error: 'Departments must be a list of names' };
+    const byName = new Map([...departmentNames].map(([id, name]) => [name.toLowerCase(), id]));
+    const ids = [];
+    for (const name of names) {
+      const id = byName.get(String(name).trim().toLowerCase());
+      if (!id) return { error: `Unknown department '${name}'` };
+      ids.push(id);
+    }
+    return { ids };
+  }
+
+  /**
+   * Model fields for an imported entry, or { error }
+   */
+  entryFields(record, departmentNames) {
+    if (!record || typeof record !== 'object') return { error: 'Not a whitelist entry' };
+    if (typeof record.domain !== 'string' || !record.domain.trim()) return { error: 'Domain is required' };
+
+    const limits = record.usage_limits || {};
+    for (const [key, value] of Object.entries(limits)) {
+      if (value !== undefined && value !== null && value !== '' && !(Number(value) >= 0)) {
+        return { error: `${key} must be a number of minutes` };
+      }
+    }
+
+    const fields = whitelistService.entryFields({
+      domain: record.domain,
+      category: record.category,
+      description: record.description,
+      applicationName: record.application_name,
+      applicationExecutable: record.application_executable,
+      trustLevel: record.trust_level,
+      monitoringLevel: record.monitoring_level,
+      allowedPaths: record.allowed_paths,
+      blockedPaths: record.blocked_paths,
+      roleRestrictions: record.role_restrictions,
+      timeRestrictions: record.time_restrictions,
+      usageLimits: record.usage_limits
+    });
+    if (!fields.domain) return { error: 'Domain is required' };
+    if (record.is_active !== undefined) fields.is_active = record.is_active !== false;
+    if (record.departments !== undefined) {
+      const departments = this.departmentIds(record.departments, departmentNames);
+      if (departments.error) return departments;
+      fields.department_restrictions = departments.ids;
+    }
+    return { fields };
+  }
+
+  /**
+   * What importing the file would do, without saving anything. Each added or
+   * changed item keeps the document to save, under `doc`.
+   */
+  async plan(format, content, userId) {
+    const parsed = this.parse(format, content);
+    if (parsed.error) return parsed;
+    if (parsed.whitelist.length + parsed.policies.length === 0) return { error: 'The file has no whitelist entries or policies' };
+    if (parsed.whitelist.length + parsed.policies.length > MAX_RECORDS) {
+      return { error: `Import at most ${MAX_RECORDS} entries at a time` };
+    }
+
+    const departmentNames = await this.departmentNames();
+    return {
+      whitelist: await this.planWhitelist(parsed.whitelist, departmentNames, userId),
+      policies: await this.planPolicies(parsed.policies, departmentNames)
+    };
+  }
+
+  async planWhitelist(records, departmentNames, userId) {
+    const report = emptyReport();
+    const prepared = [];
+    for (const { row, record } of records) {
+      const result = this.entryFields(record, departmentNames);
+      if (result.error) report.errors.push({ row, error: result.error });
+      else prepared.push({ row, fields: result.fields });
+    }
+
+    const domains = prepared.map(({ fields }) => fields.domain);
+    const existing = await WebsiteWhitelist.find({ domain: { $in: [...domains, ...domains.map((domain) => `www.${domain}`)] } });
+    const byDomain = new Map(existing.map((entry) => [entry.domain.replace(/^www\./, ''), entry]));
+    const seen = new Map();
+
+    for (const { row, fields } of prepared) {
+      const { domain } = fields;
+      if (seen.has(domain)) {
+        report.conflicts.push({ row, domain, reason: `Also listed in row ${seen.get(domain)}; only the first is imported` });
+        continue;
+      }
+      seen.set(domain, row);
+
+      const entry = byDomain.get(domain);
+      if (!entry) {
+        const doc = new WebsiteWhitelist({
+          ...fields,
+          added_by: userId,
+          approved_by: userId,
+          approval_status: 'approved',
+          approval_date: new Date()
+        });
+        const invalid = doc.validateSync();
+        if (invalid) report.errors.push({ row, domain, error: this.validationMessage(invalid) });
+        else report.added.push({ row, domain, doc });
+        continue;
+      }
+
+      if (entry.approval_status !== 'approved') {
+        report.conflicts.push({
+          row,
+          domain,
+          reason: `An employee's access request for this site is ${entry.approval_status}; review it instead`
+        });
+        continue;
+      }
+
+      // Path notes are not in CSV files, so paths that stay keep theirs
+      const notes = (list, key, current) => list && list.map((item) => {
+        const match = current.find((path) => path.path === item.path);
+        return item[key] === undefined && match ? { ...item, [key]: match[key] } : item;
+      });
+      if (fields.allowed_paths) fields.allowed_paths = notes(fields.allowed_paths, 'description', entry.allowed_paths);
+      if (fields.blocked_paths) fields.blocked_paths = notes(fields.blocked_paths, 'reason', entry.blocked_paths);
+      delete fields.domain;
+
+      const before = this.portableEntry(entry, departmentNames);
+      entry.set(fields);
+      const after = this.portableEntry(entry, departmentNames);
+      const changes = Object.keys(after)
+        .filter((field) => !same(before[field], after[field]))
+        .map((field) => ({ field, from: compact(before[field]), to: compact(after[field]) }));
+
+      if (changes.length === 0) {
+        report.unchanged += 1;
+        continue;
+      }
+      const invalid = entry.validateSync();
+      if (invalid) report.errors.push({ row, domain, error: this.validationMessage(invalid) });
+      else report.changed.push({ row, domain, changes, doc: entry });
+    }
+    report.errors.sort((a, b) => a.row - b.row);
+    return report;
+  }
+
+  async planPolicies(records, departmentNames) {
+    const report = emptyReport();
+    if (records.length === 0) return report;
+
+    const existing = await MonitoringPolicy.find();
+    const byName = new Map(existing.map((policy) => [policy.name, policy]));
+    const seen = new Map();
+
+    for (const { row, record } of records) {
+      const name = record && typeof record.name === 'string' ? record.name.trim() : '';
+      if (!name) {
+        report.errors.push({ row, error: 'Name is required' });
+        continue;
+      }
+      const rules = monitoringPolicyService.validateRules(record.rules || []);
+      if (rules.error) {
+        report.errors.push({ row, name, error: rules.error });
+        continue;
+      }
+      const defaultAction = record.default_action || 'allow';
+      if (!ACTIONS.includes(defaultAction)) {
+        report.errors.push({ row, name, error: 'Unknown default action' });
+        continue;
+      }
+      const departments = this.departmentIds(record.departments || [], departmentNames);
+      if (departments.error) {
+        report.errors.push({ row, name, error: departments.error });
+        continue;
+      }
+      if (seen.has(name)) {
+        report.conflicts.push({ row, name, reason: `Also listed as policy ${seen.get(name)}; only the first is imported` });
+        continue;
+      }
+      seen.set(name, row);
+
+      const input = {
+        name,
+        description: record.description,
+        is_active: record.is_active !== false,
+        departments: departments.ids,
+        default_action: defaultAction,
+        rules: rules.rules
+      };
+      const policy = byName.get(name);
+      if (!policy) {
+        report.added.push({ row, name, input });
+        continue;
+      }
+
+      const draft = { default_action: policy.draft.default_action, rules: this.portableRules(policy.draft.rules) };
+      const published = { default_action: policy.published.default_action, rules: this.portableRules(policy.published.rules) };
+      const incoming = { default_action: defaultAction, rules: this.portableRules(rules.rules) };
+      if (policy.published.version > 0 && !same(draft, published) && !same(draft, incoming)) {
+        report.conflicts.push({ row, name, reason: 'The policy has unpublished draft changes the import would overwrite' });
+        continue;
+      }
+
+      const before = { ...this.portablePolicy(policy, departmentNames), ...draft };
+      const after = { ...before, ...incoming, description: input.description, is_active: input.is_active };
+      after.departments = input.departments.map((id) => departmentNames.get(String(id))).sort();
+      const changes = Object.keys(after)
+        .filter((field) => field !== 'name' && !same(before[field], after[field]))
+        .map((field) => ({ field, from: compact(before[field]), to: compact(after[field]) }));
+
+      if (changes.length === 0) report.unchanged += 1;
+      else report.changed.push({ row, name, changes, policy, input });
+    }
+    return report;
+  }
+
+  validationMessage(error) {
+    return Object.values(error.errors || {}).map((item) => item.message).join('; ') || error.message;
+  }
+
+  /**
+   * Plan the import and, unless it is a dry run, save the added and changed
+   * entries. Conflicts and invalid rows are skipped. Imported policy rules
+   * become drafts that still have to be tested and published. Resolves to a
+   * summary per section, or { error }.
+   */
+  async import(format, content, userId, { dryRun = true } = {}) {
+    const plan = await this.plan(format, content, userId);
+    if (plan.error) return plan;
+
+    if (!dryRun) {
+      for (const item of [...plan.whitelist.added, ...plan.whitelist.changed]) {
+        try {
+          await item.doc.save();
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          this.skip(plan.whitelist, item, 'This domain was added while importing');
+        }
+      }
+      for (const item of plan.policies.added) {
+        const result = await monitoringPolicyService.create(item.input, userId);
+        if (result.error) this.skip(plan.policies, item, result.error);
+      }
+      for (const item of plan.policies.changed) {
+        const result = await monitoringPolicyService.save(item.policy, item.input, userId);
+        if (result.error) this.skip(plan.policies, item, result.error);
+      }
+    }
+
+    const item = ({ row, domain, name, changes }) => ({ row, domain, name, changes });
+    const summary = (report) => ({ ...report, added: report.added.map(item), changed: report.changed.map(item) });
+    return { dryRun, whitelist: summary(plan.whitelist), policies: summary(plan.policies) };
+  }
+
+  // Move an item that failed to save from added/changed to errors
+  skip(report, item, error) {
+    for (const key of ['added', 'changed']) {
+      report[key] = report[key].filter((other) => other !== item);
+    }
+    report.errors.push({ row: item.row, domain: item.domain, name: item.name, error });
+  }
+}
+
+module.exports = new WhitelistTransferService();
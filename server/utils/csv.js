@@ -0,0 +1,114 @@
+// Minimal RFC 4180 CSV: comma separated, fields quoted when they contain a
+// comma, quote or line break, quotes doubled inside quoted fields.
+
+// Spreadsheets run cells starting with these as formulas. Such cells are
+// written with a leading ' so they open as text, and read back without it.
+const FORMULA_START = /^[=+\-@\t\r]/
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return ""
+  let text = String(value)
+  if (FORMULA_START.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const unescapeField = (text) => (text[0] === "'" && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text)
+
+/**
+ * CSV text for rows of objects. `columns` is the list of keys, also used as
+ * the header row.
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(escapeField).join(",")]
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeField(row[column])).join(","))
+  }
+  return lines.join("\r\n") + "\r\n"
+}
+
+/**
+ * Parse CSV text into a list of records, each a list of fields, and the line
+ * each record starts on. Returns { records, lines } or { error } for an
+ * unterminated quoted field.
+ */
+function parseRecords(text) {
+  const records = []
+  const lines = []
+  let record = []
+  let field = ""
+  let quoted = false
+  // Quoted fields may span lines, so records and lines can differ
+  let line = 1
+  let recordLine = 1
+
+  // A byte order mark from spreadsheet exports is not part of the first header
+  const input = String(text).replace(/^\uFEFF/, "")
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === "\n" || (char === "\r" && input[i + 1] !== "\n")) line++
+        field += char
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true
+    } else if (char === ",") {
+      record.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++
+      record.push(field)
+      records.push(record)
+      lines.push(recordLine)
+      line++
+      recordLine = line
+      record = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (quoted) return { error: "Unterminated quoted field" }
+  if (field !== "" || record.length > 0) {
+    record.push(field)
+    records.push(record)
+    lines.push(recordLine)
+  }
+  return { records, lines }
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by the trimmed,
+ * lower-cased headers. Blank lines are skipped; each row carries the line it
+ * starts on as `_row`, counting the header as line 1. Values written with a
+ * leading ' to keep spreadsheets from running them lose it again. Returns
+ * { headers, rows } or { error }.
+ */
+function parseCsv(text) {
+  const parsed = parseRecords(text)
+  if (parsed.error) return parsed
+
+  const { records, lines } = parsed
+  if (records.length === 0) return { error: "The file is empty" }
+
+  const headers = records[0].map((header) => header.trim().toLowerCase())
+  const rows = []
+  records.slice(1).forEach((record, index) => {
+    if (record.every((value) => value.trim() === "")) return
+    const row = { _row: lines[index + 1] }
+    headers.forEach((header, column) => {
+      if (header) row[header] = unescapeField((record[column] || "").trim()).trim()
+    })
+    rows.push(row)
+  })
+  return { headers, rows }
+}
+
+module.exports = { toCsv, parseCsv }
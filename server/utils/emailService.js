@@ -4,14 +4,32 @@ const PDFDocument = require("pdfkit")
 const fs = require("fs")
 const path = require("path")
 
-// Create a transporter
-const transporter = nodemailer.createTransport({
-  service: process.env.EMAIL_SERVICE || "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD,
-  },
-})
+// Create a transporter. Setting SMTP_HOST sends through that server instead of the
+// email service, e.g. a local capture server such as Mailpit (SMTP_PORT=1025).
+const transporter = nodemailer.createTransport(
+  process.env.SMTP_HOST
+    ? {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        ...(process.env.EMAIL_USER && {
+          auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD,
+          },
+        }),
+      }
+    : {
+        service: process.env.EMAIL_SERVICE || "gmail",
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASSWORD,
+        },
+      }
+)
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://main-workflow.vercel.app"
+const MAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER || "no-reply@workflowai.local"
 
 // Send task reminder email
 const sendTaskReminder = async (user, task) => {
@@ -485,10 +503,169 @@ const sendAimReminder = async (user) => {
     }
   }
   
-  // Export the new function
+// Shared layout for account emails that carry a single-use link
+const accountEmail = ({ title, greeting, intro, linkText, link, outro }) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #3b82f6;">${title}</h2>
+    <p>${greeting}</p>
+    <p>${intro}</p>
+    <div style="margin-top: 20px;">
+      <a href="${link}"
+         style="background-color: #3b82f6; color: white; padding: 10px 15px; text-decoration: none; border-radius: 5px;">
+        ${linkText}
+      </a>
+    </div>
+    <p style="margin-top: 20px;">If the button does not work, copy this link into your browser:<br>${link}</p>
+    <p>${outro}</p>
+    <p style="margin-top: 20px; color: #6b7280; font-size: 0.9em;">
+      This is an automated message from the WorkflowAI system.
+    </p>
+  </div>
+`
+
+// Send email verification link
+const sendVerificationEmail = async (user, token) => {
+  try {
+    const info = await transporter.sendMail({
+      from: MAIL_FROM,
+      to: user.email,
+      subject: "Verify your WorkflowAI email address",
+      html: accountEmail({
+        title: "Confirm Your Email",
+        greeting: `Hello ${user.name},`,
+        intro: "Please confirm your email address to unlock full access to your WorkflowAI account.",
+        linkText: "Verify Email",
+        link: `${FRONTEND_URL}/verify-email?token=${token}`,
+        outro: "This link expires in 24 hours. If you did not create an account, you can ignore this email.",
+      }),
+    })
+    console.log("Verification email sent: ", info.messageId)
+    return info
+  } catch (error) {
+    console.error("Error sending verification email:", error)
+    throw error
+  }
+}
+
+// Confirm a new address the user asked to switch to; the link goes to that address
+const sendEmailChangeEmail = async (user, token) => {
+  try {
+    const info = await transporter.sendMail({
+      from: MAIL_FROM,
+      to: user.pendingEmail,
+      subject: "Confirm your new WorkflowAI email address",
+      html: accountEmail({
+        title: "Confirm Your New Email",
+        greeting: `Hello ${user.name},`,
+        intro: "You asked to sign in to WorkflowAI with this email address. Your account keeps its current address until you confirm.",
+        linkText: "Confirm New Email",
+        link: `${FRONTEND_URL}/verify-email?token=${token}`,
+        outro: "This link expires in 24 hours. If you did not ask for this change, you can ignore this email.",
+      }),
+    })
+    console.log("Email change confirmation sent: ", info.messageId)
+    return info
+  } catch (error) {
+    console.error("Error sending email change confirmation:", error)
+    throw error
+  }
+}
+
+// Send password reset link
+const sendPasswordResetEmail = async (user, token) => {
+  try {
+    const info = await transporter.sendMail({
+      from: MAIL_FROM,
+      to: user.email,
+      subject: "Reset your WorkflowAI password",
+      html: accountEmail({
+        title: "Password Reset",
+        greeting: `Hello ${user.name},`,
+        intro: "We received a request to reset the password for your WorkflowAI account.",
+        linkText: "Choose a New Password",
+        link: `${FRONTEND_URL}/reset-password?token=${token}`,
+        outro: "This link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.",
+      }),
+    })
+    console.log("Password reset email sent: ", info.messageId)
+    return info
+  } catch (error) {
+    console.error("Error sending password reset email:", error)
+    throw error
+  }
+}
+
+// Send an invitation to create an account
+const sendInvitationEmail = async (invitation, token, { inviterName, departmentName, expiresInDays }) => {
+  try {
+    const info = await transporter.sendMail({
+      from: MAIL_FROM,
+      to: invitation.email,
+      subject: `${inviterName} invited you to WorkflowAI`,
+      html: accountEmail({
+        title: "You're Invited",
+        greeting: invitation.name ? `Hello ${invitation.name},` : "Hello,",
+        intro: `${inviterName} has invited you to join WorkflowAI as ${invitation.role === "Admin" ? "an" : "a"} ${invitation.role}${
+          departmentName ? ` in ${departmentName}` : ""
+        }.`,
+        linkText: "Accept Invitation",
+        link: `${FRONTEND_URL}/accept-invite?token=${token}`,
+        outro: `This link expires in ${expiresInDays} days and can only be used once. If you were not expecting it, you can ignore this email.`,
+      }),
+    })
+    console.log("Invitation email sent: ", info.messageId)
+    return info
+  } catch (error) {
+    console.error("Error sending invitation email:", error)
+    throw error
+  }
+}
+
+// Tell managers about a monitoring alert, or that one has gone unacknowledged
+const sendMonitoringAlertEmail = async (recipients, { alert, employeeName, escalated }) => {
+  try {
+    const info = await transporter.sendMail({
+      from: MAIL_FROM,
+      to: recipients.map((user) => user.email).join(", "),
+      subject: `${escalated ? "Escalated" : "Monitoring"} alert (${alert.severity}): ${alert.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #ef4444;">${alert.title}</h2>
+          ${escalated ? "<p><strong>This alert has not been acknowledged and was escalated to you.</strong></p>" : ""}
+          <div style="background-color: #f3f4f6; padding: 15px; border-radius: 5px; margin: 15px 0;">
+            <p style="margin-top: 0;"><strong>Employee:</strong> ${employeeName}</p>
+            <p><strong>Severity:</strong> ${alert.severity}</p>
+            <p><strong>Raised:</strong> ${new Date(alert.timestamp).toLocaleString()}</p>
+            <p style="margin-bottom: 0;">${alert.description}</p>
+          </div>
+          <div style="margin-top: 20px;">
+            <a href="${FRONTEND_URL}/monitoring"
+               style="background-color: #3b82f6; color: white; padding: 10px 15px; text-decoration: none; border-radius: 5px;">
+              Review Alert
+            </a>
+          </div>
+          <p style="margin-top: 20px; color: #6b7280; font-size: 0.9em;">
+            This is an automated message from the WorkflowAI system.
+          </p>
+        </div>
+      `,
+    })
+    console.log("Monitoring alert email sent: ", info.messageId)
+    return info
+  } catch (error) {
+    console.error("Error sending monitoring alert email:", error)
+    throw error
+  }
+}
+
   module.exports = {
     sendTaskReminder,
     generateDepartmentProgressPDF,
     sendDepartmentProgressReport,
     sendAimReminder,
+    sendVerificationEmail,
+    sendEmailChangeEmail,
+    sendPasswordResetEmail,
+    sendInvitationEmail,
+    sendMonitoringAlertEmail,
   }
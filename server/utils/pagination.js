@@ -0,0 +1,93 @@
+// Shared contract for list endpoints.
+//
+//   ?page=2&limit=25     page through results (page starts at 1, limit is capped)
+//   ?sort=-dueDate,title sort by whitelisted keys, "-" for descending
+//   ?fields=title,status only return these fields (_id is always included)
+//
+// Totals are returned in headers so existing clients that expect a plain array keep
+// working: X-Total-Count, X-Page, X-Per-Page and X-Total-Pages. Without page or limit
+// a route returns every matching document, as before, unless it sets a default limit.
+
+const DEFAULT_LIMIT = 25
+const MAX_LIMIT = 100
+
+const PAGINATION_HEADERS = ["X-Total-Count", "X-Page", "X-Per-Page", "X-Total-Pages"]
+
+const splitList = (value) =>
+  [].concat(value || [])
+    .join(",")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+/**
+ * Read page, limit, sort and fields from a query string. Returns { error } when the
+ * query asks for a sort key or field the route does not allow.
+ */
+function parseListQuery(query, { sortable = [], defaultSort = { _id: 1 }, fields = [], defaultLimit } = {}) {
+  const paginate = query.page !== undefined || query.limit !== undefined || defaultLimit !== undefined
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit || DEFAULT_LIMIT, 1), MAX_LIMIT)
+  const page = Math.max(parseInt(query.page) || 1, 1)
+
+  let sort = defaultSort
+  const sortKeys = splitList(query.sort)
+  if (sortKeys.length > 0) {
+    sort = {}
+    for (const key of sortKeys) {
+      const field = key.replace(/^[-+]/, "")
+      if (!sortable.includes(field)) {
+        return { error: `Cannot sort by '${field}'. Sortable fields: ${sortable.join(", ")}` }
+      }
+      sort[field] = key.startsWith("-") ? -1 : 1
+    }
+  }
+  // A unique tie-breaker keeps pages stable when sort values repeat
+  if (sort._id === undefined) sort = { ...sort, _id: 1 }
+
+  let projection = null
+  const requested = splitList(query.fields)
+  if (requested.length > 0) {
+    const unknown = requested.filter((field) => !fields.includes(field))
+    if (unknown.length > 0) {
+      return { error: `Unknown field(s): ${unknown.join(", ")}. Selectable fields: ${fields.join(", ")}` }
+    }
+    projection = requested.join(" ")
+  }
+
+  return { paginate, page, limit, skip: (page - 1) * limit, sort, projection }
+}
+
+/**
+ * Run a list query with the parsed options. `populate` receives the query so
+ * routes can keep their populates. Resolves to { items, total }.
+ */
+async function findPage(Model, filter, options, populate = (query) => query) {
+  let query = Model.find(filter).sort(options.sort)
+  if (options.projection) query = query.select(options.projection)
+  if (options.paginate) query = query.skip(options.skip).limit(options.limit)
+
+  const [items, total] = await Promise.all([populate(query), Model.countDocuments(filter)])
+  return { items, total }
+}
+
+/**
+ * Set the pagination headers for a page of results
+ */
+function setPageHeaders(res, options, total) {
+  const limit = options.paginate ? options.limit : total
+  res.set({
+    "X-Total-Count": String(total),
+    "X-Page": String(options.paginate ? options.page : 1),
+    "X-Per-Page": String(limit),
+    "X-Total-Pages": String(limit > 0 ? Math.ceil(total / limit) : 1),
+  })
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PAGINATION_HEADERS,
+  parseListQuery,
+  findPage,
+  setPageHeaders,
+}
@@ -0,0 +1,94 @@
+const crypto = require("crypto")
+const { promisify } = require("util")
+
+const scrypt = promisify(crypto.scrypt)
+
+// Stored as scrypt$<N>$<r>$<p>$<salt>$<hash>, so the cost can be raised later
+// and older hashes upgraded on login.
+const PREFIX = "scrypt"
+const COST = { N: 16384, r: 8, p: 1 }
+const KEY_LENGTH = 64
+const SALT_BYTES = 16
+
+const MIN_LENGTH = 8
+const MAX_LENGTH = 128
+const COMMON_PASSWORDS = [
+  "password", "password1", "password123", "12345678", "123456789", "1234567890", "qwerty123",
+  "qwertyuiop", "iloveyou", "welcome1", "admin123", "letmein1", "abc12345", "11111111",
+]
+
+const isHashed = (stored) => typeof stored === "string" && stored.startsWith(`${PREFIX}$`)
+
+/**
+ * Salted scrypt hash of a password
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES)
+  const hash = await scrypt(password, salt, KEY_LENGTH, COST)
+  return [PREFIX, COST.N, COST.r, COST.p, salt.toString("base64"), hash.toString("base64")].join("$")
+}
+
+/**
+ * Check a password against what is stored. Accounts created before hashing still
+ * hold plain text; those match by value and are flagged for an upgrade.
+ * Resolves to { valid, needsRehash }.
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") {
+    return { valid: false, needsRehash: false }
+  }
+
+  if (!isHashed(stored)) {
+    const a = Buffer.from(password)
+    const b = Buffer.from(stored)
+    const valid = a.length === b.length && crypto.timingSafeEqual(a, b)
+    return { valid, needsRehash: valid }
+  }
+
+  const [, N, r, p, salt, hash] = stored.split("$")
+  const expected = Buffer.from(hash, "base64")
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  })
+  const valid = crypto.timingSafeEqual(actual, expected)
+  const outdated = Number(N) !== COST.N || Number(r) !== COST.r || Number(p) !== COST.p
+  return { valid, needsRehash: valid && outdated }
+}
+
+/**
+ * First rule a new password breaks, or null when it is acceptable
+ */
+function checkPasswordStrength(password, { email, name } = {}) {
+  if (typeof password !== "string" || password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters long`
+  }
+  if (password.length > MAX_LENGTH) {
+    return `Password must be at most ${MAX_LENGTH} characters long`
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+    return "Password must contain both upper and lower case letters"
+  }
+  if (!/\d/.test(password)) {
+    return "Password must contain at least one number"
+  }
+
+  const lower = password.toLowerCase()
+  if (COMMON_PASSWORDS.includes(lower)) {
+    return "Password is too common"
+  }
+  const emailName = email ? String(email).split("@")[0].toLowerCase() : ""
+  if ((emailName.length >= 3 && lower.includes(emailName)) || (name && lower === String(name).toLowerCase())) {
+    return "Password must not contain your name or email"
+  }
+
+  return null
+}
+
+module.exports = {
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  checkPasswordStrength,
+}
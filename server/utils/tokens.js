@@ -0,0 +1,20 @@
+const crypto = require("crypto")
+
+// Single-use tokens sent by email (password reset, email verification). Only a
+// SHA-256 of the token is stored, so a leaked database cannot be used to reset
+// anyone's password.
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+
+/**
+ * New random token and the hash to store for it
+ */
+function generateToken() {
+  const token = crypto.randomBytes(32).toString("hex")
+  return { token, hash: hashToken(token) }
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+}
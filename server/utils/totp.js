@@ -0,0 +1,85 @@
+const crypto = require("crypto")
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps.
+const STEP_SECONDS = 30
+const DIGITS = 6
+const SECRET_BYTES = 20
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+function base32Encode(buffer) {
+  let bits = ""
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0")
+  let output = ""
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)]
+  }
+  return output
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "")
+  let bits = ""
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value === -1) throw new Error("Invalid base32 secret")
+    bits += value.toString(2).padStart(5, "0")
+  }
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  return Buffer.from(bytes)
+}
+
+/**
+ * New random secret, base32 encoded as authenticator apps expect
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES))
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS)
+
+/**
+ * The code for a secret at a given time step
+ */
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0")
+}
+
+/**
+ * Checks a code against the current step and `window` steps either side, to
+ * allow for clock drift. Steps up to `afterStep` are rejected so a code cannot be
+ * used twice. Returns the matching step, or null.
+ */
+function verifyCode(secret, code, { window = 1, afterStep = -1 } = {}) {
+  const candidate = String(code || "").replace(/\s/g, "")
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null
+
+  const now = currentStep()
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= afterStep) continue
+    const expected = codeAt(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step
+  }
+  return null
+}
+
+/**
+ * otpauth:// URI that authenticator apps read from the enrollment QR code
+ */
+function keyUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS })
+  return `otpauth://totp/${label}?${params}`
+}
+
+module.exports = {
+  generateSecret,
+  currentStep,
+  codeAt,
+  verifyCode,
+  keyUri,
+}